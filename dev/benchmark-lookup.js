@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * Book Lookup Benchmark
+ * Times book lookups and transaction submits through Code.gs against a
+ * large synthetic Books sheet, and counts the Books cells each request reads.
+ *
+ *   node dev/benchmark-lookup.js [--books 20000] [--requests 200] [--baseline /tmp/Code.old.gs]
+ *
+ * --baseline runs the same requests against another copy of Code.gs, e.g.
+ * the version before the cached book index:
+ *
+ *   git show <commit>:google-apps-script/Code.gs > /tmp/Code.old.gs
+ *
+ * Timings are for the in-memory fake spreadsheet, so they show how the work
+ * grows with the sheet rather than real Apps Script latency; the cells read
+ * are what a real Sheets read costs in proportion to.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMockBackend } = require('./mock-server');
+const { createMockIdToken } = require('./fake-apps-script');
+
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'sheets.json');
+const CODE_GS_PATH = path.join(__dirname, '..', 'google-apps-script', 'Code.gs');
+
+/**
+ * A valid ISBN-13 for the i-th synthetic book
+ * @param {number} i
+ * @returns {string}
+ */
+function syntheticCode(i) {
+  const digits = '979' + String(i).padStart(9, '0');
+  let sum = 0;
+  for (let d = 0; d < 12; d++) {
+    sum += Number(digits[d]) * (d % 2 === 0 ? 1 : 3);
+  }
+  return digits + ((10 - (sum % 10)) % 10);
+}
+
+/**
+ * The dev fixture with its Books sheet replaced by `count` books
+ * @param {number} count
+ * @returns {object} { fixture, codes }
+ */
+function buildFixture(count) {
+  const fixture = JSON.parse(fs.readFileSync(FIXTURE_PATH, 'utf8'));
+  const headers = fixture.Books[0];
+  const codes = [];
+  const books = [headers];
+
+  for (let i = 0; i < count; i++) {
+    const code = syntheticCode(i);
+    const values = {
+      Book_code: code, Book_series: 'Series ' + (i % 50), Book_name: 'Book ' + i,
+      Volume: i % 20, Total: 100, Last_update: '', Min_qty: '', Store: 50, Warehouse: 50
+    };
+    codes.push(code);
+    books.push(headers.map(header => (values[header] !== undefined ? values[header] : '')));
+  }
+
+  fixture.Books = books;
+  return { fixture, codes };
+}
+
+/**
+ * Count the cells read from the Books sheet from here on
+ * @param {object} backend - From createMockBackend
+ * @returns {object} { cells }
+ */
+function countBookReads(backend) {
+  const sheet = backend.spreadsheet.getSheetByName('Books');
+  const counter = { cells: 0 };
+  const watch = (range) => {
+    const getValues = range.getValues.bind(range);
+    range.getValues = () => {
+      counter.cells += range.numRows * range.numColumns;
+      return getValues();
+    };
+    return range;
+  };
+  const getRange = sheet.getRange.bind(sheet);
+  const getDataRange = sheet.getDataRange.bind(sheet);
+  sheet.getRange = (...args) => watch(getRange(...args));
+  sheet.getDataRange = () => watch(getDataRange());
+  return counter;
+}
+
+/**
+ * Run the first request (cold cache) and the rest (warm), timing each group
+ * @param {Function} request - Called with a request number
+ * @param {number} count
+ * @param {object} counter - From countBookReads
+ * @returns {object} { coldMs, warmMs, warmCells } (warm figures per request)
+ */
+function timeRequests(request, count, counter) {
+  let start = process.hrtime.bigint();
+  request(0);
+  const coldMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+  counter.cells = 0;
+  start = process.hrtime.bigint();
+  for (let i = 1; i < count; i++) {
+    request(i);
+  }
+  const warmMs = Number(process.hrtime.bigint() - start) / 1e6 / Math.max(1, count - 1);
+
+  return { coldMs, warmMs, warmCells: Math.round(counter.cells / Math.max(1, count - 1)) };
+}
+
+/**
+ * Benchmark one copy of Code.gs
+ * @param {string} codePath
+ * @param {object} options - { fixture, codes, requests }
+ * @returns {object} { lookup, submit } from timeRequests
+ */
+function benchmark(codePath, options) {
+  const backend = createMockBackend({ fixture: options.fixture, codePath: codePath, log: () => {} });
+  const counter = countBookReads(backend);
+  const token = createMockIdToken('admin@example.com');
+  // Spread requests across the sheet, not just its first rows
+  const pick = (i) => options.codes[(i * 7919) % options.codes.length];
+
+  const lookup = timeRequests((i) => {
+    const result = backend.doGet({ code: pick(i), id_token: token });
+    if (result.status !== 200) throw new Error(`Lookup failed: ${JSON.stringify(result.data)}`);
+  }, options.requests, counter);
+
+  const submit = timeRequests((i) => {
+    const result = backend.doPost({
+      book_code: pick(i + options.requests), qty: -1, location: 'Store',
+      transaction_id: 'bench-' + i, id_token: token
+    });
+    if (result.status !== 200) throw new Error(`Submit failed: ${JSON.stringify(result.data)}`);
+  }, options.requests, counter);
+
+  return { lookup, submit };
+}
+
+/**
+ * Parse --books, --requests and --baseline from the command line
+ * @param {Array} args - process.argv.slice(2)
+ * @returns {object} { books, requests, baseline }
+ */
+function parseArgs(args) {
+  const options = { books: 20000, requests: 200, baseline: null };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--books') {
+      options.books = parseInt(args[++i], 10);
+    } else if (args[i] === '--requests') {
+      options.requests = parseInt(args[++i], 10);
+    } else if (args[i] === '--baseline') {
+      options.baseline = path.resolve(args[++i]);
+    } else {
+      throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+  if (!(options.books > 0) || !(options.requests > 1)) {
+    throw new Error('--books must be at least 1 and --requests at least 2');
+  }
+  return options;
+}
+
+function formatRow(name, result) {
+  return [
+    name.padEnd(10),
+    result.coldMs.toFixed(1).padStart(10),
+    result.warmMs.toFixed(2).padStart(10),
+    String(result.warmCells).padStart(12)
+  ].join('  ');
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error('Usage: node dev/benchmark-lookup.js [--books 20000] [--requests 200] [--baseline /tmp/Code.old.gs]');
+    process.exit(1);
+  }
+
+  const { fixture, codes } = buildFixture(options.books);
+  const runs = [['current', CODE_GS_PATH]];
+  if (options.baseline) {
+    runs.unshift(['baseline', options.baseline]);
+  }
+
+  console.log(`${options.books} books, ${options.requests} requests of each kind\n`);
+  console.log(['Code.gs'.padEnd(10), 'request'.padEnd(10), 'cold ms'.padStart(10), 'warm ms'.padStart(10),
+    'cells/req'.padStart(12)].join('  '));
+
+  for (const [name, codePath] of runs) {
+    const result = benchmark(codePath, { fixture, codes, requests: options.requests });
+    console.log(name.padEnd(10) + '  ' + formatRow('lookup', result.lookup));
+    console.log(name.padEnd(10) + '  ' + formatRow('submit', result.submit));
+  }
+}
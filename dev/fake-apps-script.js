@@ -0,0 +1,388 @@
+/**
+ * Fake Apps Script Services
+ * Just enough of SpreadsheetApp, ContentService, LockService, CacheService,
+ * Utilities and UrlFetchApp for google-apps-script/Code.gs to run under
+ * Node (see mock-server.js).
+ *
+ * Sheets are kept in memory as arrays of rows, the same shape as
+ * Range.getValues(). ID tokens are the unsigned ones made by
+ * createMockIdToken - real Google tokens are rejected.
+ */
+
+const crypto = require('crypto');
+
+// Last segment of a mock ID token instead of a signature
+const MOCK_TOKEN_SIGNATURE = 'mock';
+
+/**
+ * Build an unsigned ID token that the fake tokeninfo endpoint accepts
+ * (SheetsAPI.createMockIdToken makes the same thing in the browser)
+ * @param {string} email - User to sign in as (must be in the Users sheet)
+ * @param {object} claims - Extra or overriding claims (e.g. { exp })
+ * @returns {string}
+ */
+function createMockIdToken(email, claims = {}) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const payload = {
+    email: email,
+    name: email.split('@')[0],
+    email_verified: true,
+    exp: Math.floor(Date.now() / 1000) + 3600,
+    ...claims
+  };
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(payload)}.${MOCK_TOKEN_SIGNATURE}`;
+}
+
+/**
+ * Claims of a mock ID token, or null if it isn't one
+ * @param {string} token
+ * @returns {object|null}
+ */
+function parseMockIdToken(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3 || parts[2] !== MOCK_TOKEN_SIGNATURE) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+}
+
+class FakeRange {
+  /**
+   * @param {FakeSheet} sheet
+   * @param {number} row - 1-based
+   * @param {number} column - 1-based
+   * @param {number} numRows
+   * @param {number} numColumns
+   */
+  constructor(sheet, row, column, numRows = 1, numColumns = 1) {
+    if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+      throw new Error(`The coordinates or dimensions of the range are invalid (${row}, ${column}, ${numRows}, ${numColumns})`);
+    }
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows;
+    this.numColumns = numColumns;
+  }
+
+  getRow() {
+    return this.row;
+  }
+
+  getSheet() {
+    return this.sheet;
+  }
+
+  getValues() {
+    const values = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const row = [];
+      for (let c = 0; c < this.numColumns; c++) {
+        row.push(this.sheet.getCell(this.row + r, this.column + c));
+      }
+      values.push(row);
+    }
+    return values;
+  }
+
+  getValue() {
+    return this.sheet.getCell(this.row, this.column);
+  }
+
+  setValues(values) {
+    if (values.length !== this.numRows || values.some(row => row.length !== this.numColumns)) {
+      throw new Error(`The number of rows or columns in the data does not match the range (${this.numRows}x${this.numColumns})`);
+    }
+    values.forEach((row, r) => {
+      row.forEach((value, c) => this.sheet.setCell(this.row + r, this.column + c, value));
+    });
+    return this;
+  }
+
+  setValue(value) {
+    this.sheet.setCell(this.row, this.column, value);
+    return this;
+  }
+
+  setNumberFormat(format) {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numColumns; c++) {
+        this.sheet.formats[`${this.row + r},${this.column + c}`] = format;
+      }
+    }
+    return this;
+  }
+
+  createTextFinder(text) {
+    return new FakeTextFinder(this, text);
+  }
+}
+
+// Case-insensitive, like the real TextFinder's default
+class FakeTextFinder {
+  constructor(range, text) {
+    this.range = range;
+    this.text = String(text).toLowerCase();
+    this.entireCell = false;
+    this.position = 0;
+  }
+
+  matchEntireCell(entireCell) {
+    this.entireCell = entireCell;
+    return this;
+  }
+
+  findAll() {
+    const matches = [];
+    this.range.getValues().forEach((row, r) => {
+      row.forEach((value, c) => {
+        const cell = String(value).toLowerCase();
+        if (this.entireCell ? cell === this.text : cell.includes(this.text)) {
+          matches.push(new FakeRange(this.range.sheet, this.range.row + r, this.range.column + c));
+        }
+      });
+    });
+    return matches;
+  }
+
+  findNext() {
+    const match = this.findAll()[this.position] || null;
+    this.position++;
+    return match;
+  }
+}
+
+class FakeSheet {
+  /**
+   * @param {string} name
+   * @param {Array} rows - Row arrays, header first
+   */
+  constructor(name, rows = []) {
+    this.name = name;
+    this.rows = rows.map(row => row.slice());
+    this.formats = {};   // "row,column" -> number format
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  getLastRow() {
+    let last = this.rows.length;
+    while (last > 0 && this.rows[last - 1].every(value => value === '' || value === null)) {
+      last--;
+    }
+    return last;
+  }
+
+  getLastColumn() {
+    return Math.max(0, ...this.rows.map(row => {
+      let last = row.length;
+      while (last > 0 && (row[last - 1] === '' || row[last - 1] === null)) last--;
+      return last;
+    }));
+  }
+
+  getRange(row, column, numRows, numColumns) {
+    return new FakeRange(this, row, column, numRows, numColumns);
+  }
+
+  getDataRange() {
+    return new FakeRange(this, 1, 1, Math.max(1, this.getLastRow()), Math.max(1, this.getLastColumn()));
+  }
+
+  appendRow(values) {
+    const row = this.getLastRow() + 1;
+    values.forEach((value, c) => this.setCell(row, c + 1, value));
+    return this;
+  }
+
+  setFrozenRows() {
+    return this;
+  }
+
+  getCell(row, column) {
+    const value = this.rows[row - 1] ? this.rows[row - 1][column - 1] : undefined;
+    return value === undefined || value === null ? '' : value;
+  }
+
+  setCell(row, column, value) {
+    while (this.rows.length < row) {
+      this.rows.push([]);
+    }
+    const cells = this.rows[row - 1];
+    while (cells.length < column) {
+      cells.push('');
+    }
+
+    // Like Sheets, numeric-looking text becomes a number unless the cell is formatted as text
+    if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim()) &&
+        this.formats[`${row},${column}`] !== '@') {
+      value = Number(value);
+    }
+    cells[column - 1] = value === undefined || value === null ? '' : value;
+  }
+}
+
+class FakeSpreadsheet {
+  /**
+   * @param {object} sheets - { sheetName: [[header...], [row...], ...] }
+   */
+  constructor(sheets = {}) {
+    this.sheets = {};
+    for (const name of Object.keys(sheets)) {
+      this.sheets[name] = new FakeSheet(name, sheets[name]);
+    }
+  }
+
+  getSheetByName(name) {
+    return this.sheets[name] || null;
+  }
+
+  insertSheet(name) {
+    if (this.sheets[name]) {
+      throw new Error(`A sheet with the name "${name}" already exists`);
+    }
+    this.sheets[name] = new FakeSheet(name);
+    return this.sheets[name];
+  }
+
+  /**
+   * Every sheet's values, in the fixture format
+   * @returns {object}
+   */
+  toJSON() {
+    const result = {};
+    for (const name of Object.keys(this.sheets)) {
+      const sheet = this.sheets[name];
+      result[name] = sheet.getLastRow() > 0 ? sheet.getDataRange().getValues() : [];
+    }
+    return result;
+  }
+}
+
+/**
+ * Apps Script globals for a vm context running Code.gs
+ * @param {FakeSpreadsheet} spreadsheet - Returned by getActiveSpreadsheet
+ * @param {object} options - { clientId() - expected token audience, log(message) }
+ * @returns {object} Globals to put in the context
+ */
+function createAppsScriptGlobals(spreadsheet, options = {}) {
+  const log = options.log || (() => {});
+  const cache = new Map();
+
+  return {
+    SpreadsheetApp: {
+      getActiveSpreadsheet: () => spreadsheet,
+      flush: () => {}
+    },
+
+    ContentService: {
+      MimeType: { JSON: 'application/json', TEXT: 'text/plain' },
+      createTextOutput: (content) => ({
+        content: content,
+        mimeType: 'text/plain',
+        setMimeType(mimeType) {
+          this.mimeType = mimeType;
+          return this;
+        },
+        getContent() {
+          return this.content;
+        }
+      })
+    },
+
+    // Node runs one request at a time, so the lock is always free
+    LockService: {
+      getScriptLock: () => ({
+        tryLock: () => true,
+        waitLock: () => {},
+        releaseLock: () => {}
+      })
+    },
+
+    CacheService: {
+      getScriptCache: () => {
+        const scriptCache = {
+          get: (key) => {
+            const entry = cache.get(key);
+            return entry && entry.expires > Date.now() ? entry.value : null;
+          },
+          // Only the keys that are present come back, as in Apps Script
+          getAll: (keys) => {
+            const values = {};
+            for (const key of keys) {
+              const value = scriptCache.get(key);
+              if (value !== null) {
+                values[key] = value;
+              }
+            }
+            return values;
+          },
+          put: (key, value, seconds = 600) => {
+            cache.set(key, { value: String(value), expires: Date.now() + seconds * 1000 });
+          },
+          putAll: (values, seconds = 600) => {
+            for (const key of Object.keys(values)) {
+              scriptCache.put(key, values[key], seconds);
+            }
+          },
+          remove: (key) => cache.delete(key)
+        };
+        return scriptCache;
+      }
+    },
+
+    Utilities: {
+      DigestAlgorithm: { SHA_256: 'sha256', MD5: 'md5' },
+      getUuid: () => crypto.randomUUID(),
+      computeDigest: (algorithm, value) => Array.from(crypto.createHash(algorithm).update(String(value)).digest())
+        .map(byte => (byte > 127 ? byte - 256 : byte)),
+      base64EncodeWebSafe: (bytes) => Buffer.from(bytes.map(byte => byte & 0xff)).toString('base64')
+        .replace(/\+/g, '-').replace(/\//g, '_')
+    },
+
+    // Only Google's tokeninfo endpoint is used by Code.gs
+    UrlFetchApp: {
+      fetch: (url) => {
+        const match = /^https:\/\/oauth2\.googleapis\.com\/tokeninfo\?id_token=(.*)$/.exec(url);
+        if (!match) {
+          throw new Error(`UrlFetchApp.fetch is not available in the mock backend: ${url}`);
+        }
+
+        const claims = parseMockIdToken(decodeURIComponent(match[1]));
+        const body = claims
+          ? {
+            ...claims,
+            aud: claims.aud || (options.clientId ? options.clientId() : ''),
+            iss: claims.iss || 'https://accounts.google.com',
+            exp: String(claims.exp),
+            email_verified: String(claims.email_verified)
+          }
+          : { error: 'invalid_token', error_description: 'Not a mock ID token' };
+
+        return {
+          getResponseCode: () => (claims ? 200 : 400),
+          getContentText: () => JSON.stringify(body)
+        };
+      }
+    },
+
+    Logger: {
+      log: (message) => log(typeof message === 'string' ? message : JSON.stringify(message))
+    }
+  };
+}
+
+module.exports = {
+  FakeSpreadsheet,
+  FakeSheet,
+  createAppsScriptGlobals,
+  createMockIdToken,
+  parseMockIdToken
+};
@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+/**
+ * Mock Backend for Local Development and Tests
+ * Runs the real google-apps-script/Code.gs under Node, against an in-memory
+ * copy of a fixture spreadsheet, and serves the app's static files from the
+ * same port.
+ *
+ *   node dev/mock-server.js [--port 8000] [--fixture dev/fixtures/sheets.json]
+ *
+ * Then open http://localhost:8000/?api=mock and sign in as any email in the
+ * fixture's Users sheet (admin@example.com, clerk@example.com, ...).
+ *
+ * Endpoints:
+ * - GET/POST /mock/exec - the Apps Script web app (doGet/doPost)
+ * - GET /mock/sheets - every sheet's current values, as JSON
+ * - POST /mock/reset - reload the fixture, discarding changes
+ *
+ * Like Apps Script, /mock/exec always answers HTTP 200; the status Code.gs
+ * passed to createResponse is in the X-Mock-Status header.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+const { FakeSpreadsheet, createAppsScriptGlobals } = require('./fake-apps-script');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const CODE_GS_PATH = path.join(ROOT_DIR, 'google-apps-script', 'Code.gs');
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, 'fixtures', 'sheets.json');
+const DEFAULT_PORT = 8000;
+
+// Loopback only: the mock accepts unsigned sign-in tokens
+const LISTEN_HOST = '127.0.0.1';
+
+// Same path SheetsAPI uses for ?api=mock
+const MOCK_API_PATH = '/mock/exec';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+/**
+ * Load Code.gs into a fresh context backed by a copy of the fixture
+ * @param {object} options - { fixture: sheets object or path to a JSON file, log(message),
+ *   codePath: another copy of Code.gs to load (e.g. an older version, for benchmarks) }
+ * @returns {object} { doGet(params), doPost(body, params), spreadsheet, context }
+ *   doGet/doPost return { status, data }
+ */
+function createMockBackend(options = {}) {
+  const fixture = typeof options.fixture === 'object' && options.fixture !== null
+    ? options.fixture
+    : JSON.parse(fs.readFileSync(options.fixture || DEFAULT_FIXTURE_PATH, 'utf8'));
+
+  const spreadsheet = new FakeSpreadsheet(fixture);
+  let context = null;
+  const globals = createAppsScriptGlobals(spreadsheet, {
+    clientId: () => vm.runInContext('GOOGLE_CLIENT_ID', context),
+    log: options.log
+  });
+
+  context = vm.createContext({ ...globals, console: console });
+  vm.runInContext(fs.readFileSync(options.codePath || CODE_GS_PATH, 'utf8'), context, { filename: 'Code.gs' });
+
+  // Keep the status Code.gs meant to send (Apps Script itself can't send it)
+  const createResponse = context.createResponse;
+  context.createResponse = function(data, status) {
+    const output = createResponse(data, status);
+    output.status = status;
+    return output;
+  };
+
+  const unwrap = (output) => ({ status: output.status || 200, data: JSON.parse(output.getContent()) });
+
+  return {
+    spreadsheet: spreadsheet,
+    context: context,
+    doGet: (params = {}) => unwrap(context.doGet({ parameter: params })),
+    doPost: (body, params = {}) => unwrap(context.doPost({
+      parameter: params,
+      postData: { contents: typeof body === 'string' ? body : JSON.stringify(body), type: 'text/plain' }
+    }))
+  };
+}
+
+/**
+ * Start the HTTP server, on this machine only (LISTEN_HOST)
+ * @param {object} options - { port, fixture, log }
+ * @returns {Promise<http.Server>} Listening server (port 0 picks a free one)
+ */
+function startMockServer(options = {}) {
+  let backend = createMockBackend(options);
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname.startsWith('/mock/')) {
+      // Apps Script web apps allow any origin
+      res.setHeader('Access-Control-Allow-Origin', '*');
+
+      if (req.method === 'OPTIONS') {
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+    }
+
+    if (url.pathname === MOCK_API_PATH && (req.method === 'GET' || req.method === 'POST')) {
+      readBody(req).then(body => {
+        const params = Object.fromEntries(url.searchParams);
+        const result = req.method === 'GET' ? backend.doGet(params) : backend.doPost(body, params);
+        sendJson(res, result.data, { 'X-Mock-Status': String(result.status) });
+      }).catch(error => sendJson(res, { error: 'Mock server error: ' + error.message }, {}, 500));
+      return;
+    }
+
+    if (url.pathname === '/mock/sheets' && req.method === 'GET') {
+      sendJson(res, backend.spreadsheet.toJSON());
+      return;
+    }
+
+    if (url.pathname === '/mock/reset' && req.method === 'POST') {
+      backend = createMockBackend(options);
+      sendJson(res, { success: true });
+      return;
+    }
+
+    serveStatic(url.pathname, res);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port === undefined ? DEFAULT_PORT : options.port, LISTEN_HOST, () => resolve(server));
+  });
+}
+
+/**
+ * Read a request body as text
+ * @returns {Promise<string>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, data, headers = {}, status = 200) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Serve a file from the repository (the app itself)
+ * @param {string} pathname - URL path
+ * @param {http.ServerResponse} res
+ */
+function serveStatic(pathname, res) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (error) {
+    // e.g. /%E0 - not valid UTF-8
+    res.writeHead(400, { 'Content-Type': 'text/plain' });
+    res.end('Bad request');
+    return;
+  }
+
+  const filePath = path.normalize(path.join(ROOT_DIR, decoded));
+
+  if (!filePath.startsWith(ROOT_DIR + path.sep) && filePath !== ROOT_DIR) {
+    res.writeHead(403);
+    res.end('Forbidden');
+    return;
+  }
+
+  const target = pathname.endsWith('/') ? path.join(filePath, 'index.html') : filePath;
+
+  fs.readFile(target, (error, content) => {
+    if (error) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(target)] || 'application/octet-stream',
+      'Cache-Control': 'no-cache'
+    });
+    res.end(content);
+  });
+}
+
+/**
+ * Parse --port and --fixture from the command line
+ * @param {Array} args - process.argv.slice(2)
+ * @returns {object} { port, fixture }
+ */
+function parseArgs(args) {
+  const options = { port: DEFAULT_PORT, fixture: DEFAULT_FIXTURE_PATH };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port') {
+      options.port = parseInt(args[++i], 10);
+    } else if (args[i] === '--fixture') {
+      options.fixture = path.resolve(args[++i]);
+    } else {
+      throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+  return options;
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error('Usage: node dev/mock-server.js [--port 8000] [--fixture dev/fixtures/sheets.json]');
+    process.exit(1);
+  }
+
+  options.log = message => console.log('[Code.gs] ' + message);
+
+  startMockServer(options).then(server => {
+    const port = server.address().port;
+    console.log(`Mock backend using ${path.relative(process.cwd(), options.fixture)}`);
+    console.log(`Open your browser to: http://localhost:${port}/?api=mock`);
+    console.log('Sign in as any email in the fixture\'s Users sheet. Changes are kept in memory only.');
+    console.log('Press Ctrl+C to stop the server');
+  }).catch(error => {
+    console.error('Failed to start mock server:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { createMockBackend, startMockServer, MOCK_API_PATH };
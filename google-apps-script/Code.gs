@@ -2,7 +2,7 @@
  * Mobile Inventory Management - Google Apps Script Backend
  *
  * This script handles:
- * - User authentication (checking Users sheet)
+ * - User authentication (verifying the Google ID token, checking Users sheet)
  * - Initial data loading (users, locations, books)
  * - Book lookups by Book_code
  * - Transaction submissions with location-based inventory updates
@@ -17,68 +17,371 @@ const BOOKS_SHEET_NAME = 'Books';
 const TRANSACTIONS_SHEET_NAME = 'Transactions';
 const USERS_SHEET_NAME = 'Users';
 const LOCATIONS_SHEET_NAME = 'Locations';
+const STOCKTAKES_SHEET_NAME = 'Stocktakes';  // Created automatically on first stocktake
+const SERIES_SHEET_NAME = 'Series';  // Optional: per-series Min_qty
+const BOOK_FIELDS_SHEET_NAME = 'Book_fields';  // Optional: extra Books columns to show
+
+// Books sheet columns the app itself uses. Location columns are the ones
+// named in the Locations sheet; extra columns (ISBN, Publisher, Price...)
+// are shown read-only if listed in the Book_fields sheet, otherwise ignored.
+const BOOK_STANDARD_COLUMNS = ['Book_code', 'Book_series', 'Book_name', 'Volume', 'Total', 'Last_update', 'Min_qty'];
+
+// Transactions sheet columns, in order. New columns are only ever appended,
+// so sheets created with the original six columns keep working.
+const TRANSACTION_COLUMNS = [
+  'Book_code', 'Qty', 'Location', 'Datetime', 'User', 'Comments',
+  'Transaction_id', 'Reference', 'Type'
+];
+
+// Values for the Transactions Type column
+const TRANSACTION_TYPES = {
+  TRANSACTION: 'transaction',
+  TRANSFER: 'transfer',
+  STOCKTAKE: 'stocktake',
+  REVERSAL: 'reversal'
+};
+
+// Users sheet Role values, lowest to highest. Each role can do everything the
+// ones before it can:
+// - viewer: look up books and history only
+// - clerk: record changes at their own locations
+// - manager: any location, and large negative adjustments
+// - admin: also reverse other users' transactions
+const ROLES = ['viewer', 'clerk', 'manager', 'admin'];
+
+// Role for users whose Role cell is empty (sheets from before roles existed)
+const DEFAULT_ROLE = 'clerk';
+
+// Removing more than this many copies of a book at once needs a manager
+const LARGE_NEGATIVE_THRESHOLD = 20;
+
+// Stocktakes sheet columns (one summary row per physical count)
+const STOCKTAKE_COLUMNS = [
+  'Stocktake_id', 'Location', 'Datetime', 'User',
+  'Books_counted', 'Units_counted', 'Adjustments', 'Net_variance', 'Comments'
+];
+
+// History page size when the client doesn't ask for one, and the most it may ask for
+const HISTORY_DEFAULT_LIMIT = 20;
+const HISTORY_MAX_LIMIT = 100;
+
+// Top-moving titles in a movement report when the client doesn't ask for a
+// number, and the most it may ask for
+const REPORT_DEFAULT_TOP = 10;
+const REPORT_MAX_TOP = 50;
+
+// A sync also returns books changed this long before `since`, so a write
+// that was still in progress during the previous sync isn't missed
+const SYNC_OVERLAP_MS = 60000;
+
+// How long a request waits for another request's stock update to finish
+const LOCK_TIMEOUT_MS = 30000;
+
+// Book lookups use an index of Book_code -> row kept in the script cache, so
+// a request reads the one row it needs instead of the whole Books sheet.
+// The index is split into buckets by a hash of the code (CacheService values
+// are limited to 100KB, and a request only needs to fetch and parse the
+// bucket its code is in). It is dropped when a book is added and when the
+// Books, Locations or Book_fields sheet is edited by hand (see onEdit); a row
+// that no longer holds the code the index says is caught on read and the
+// index rebuilt.
+const BOOK_INDEX_CACHE_KEY = 'books_index';
+const BOOK_INDEX_BUCKET_SIZE = 500;    // codes per bucket, on average
+const BOOK_INDEX_TTL_SECONDS = 21600;  // CacheService maximum (6 hours)
+
+// English text for each error the app may be sent. Error responses carry
+// the code and its {placeholder} values as well as the English sentence, so
+// the app can show the message in the user's language (see errorBody).
+const ERROR_MESSAGES = {
+  auth_required: 'Authentication required',
+  sign_in_expired: 'Sign-in expired or invalid. Please sign in again.',
+  user_not_registered: 'Your email is not registered. Please contact the administrator.',
+  server_error: 'Server error: {detail}',
+  server_busy: 'Server busy, please try again',
+  missing_parameters: 'Missing required parameters',
+  missing_parameter: 'Missing required parameter: {name}',
+  missing_fields: 'Missing required fields: {fields}',
+  book_not_found: 'Book not found',
+  location_column_not_found: 'Location column not found',
+  location_column_missing: 'Location column "{location}" not found in Books sheet',
+  book_code_column_missing: 'Book_code column not found in Books sheet',
+  sheet_not_found: 'The {sheet} sheet was not found. Check the sheet names at the top of Code.gs.',
+  books_changed: 'The Books sheet changed during the lookup, please try again',
+  report_manager_only: 'Only a manager can view movement reports',
+  invalid_dates: 'from and to must be dates (YYYY-MM-DD)',
+  dates_inverted: 'from must not be after to',
+  qty_invalid: 'qty must be a valid number',
+  qty_not_positive: 'qty must be a positive number',
+  qty_zero: 'qty must be a non-zero number',
+  counted_negative: 'counted must be zero or more',
+  same_location: 'from_location and to_location must be different',
+  book_code_invalid: 'book_code must contain letters or digits',
+  book_exists: 'Book code {book_code} already exists: {book_name}',
+  not_enough_stock: 'Not enough stock: {location} has {qty}. Give an override reason to go below zero.',
+  line_not_enough_stock: 'Not enough stock ({qty} at {location})',
+  role_read_only: 'Your role ({role}) can look up books but not record changes',
+  reconcile_admin_only: 'Only an admin can reconcile stock with the Transactions sheet',
+  location_not_allowed: 'You are not allowed to record changes at {location}',
+  large_negative: 'Removing more than {threshold} copies at once needs a manager',
+  line_large_negative: 'Removing more than {threshold} copies needs a manager',
+  large_shortfall: 'Short by more than {threshold} - a manager must confirm this count',
+  transaction_not_found: 'Transaction not found',
+  not_reversible: 'A {type} row cannot be reversed',
+  already_reversed: 'This transaction was already reversed by {user}',
+  reverse_not_allowed: 'Only {user} or an admin can reverse this transaction',
+  reverse_transfer_leg: 'This is one side of transfer {transfer_id} - undo the transfer as a whole',
+  transaction_id_in_use: 'Transaction ID {transaction_id} is already in use'
+};
+
+// Google OAuth Client ID - must match GOOGLE_CLIENT_ID in index.html
+const GOOGLE_CLIENT_ID = '130531368552-f8qh9n5coltovhplttpt8n6r25j7trn5.apps.googleusercontent.com';
+
+// Issuers Google uses for ID tokens
+const GOOGLE_TOKEN_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
 
 /**
  * Handle GET requests
+ * Every request must include id_token (the Google Sign-In credential).
  * Actions:
- * - ?action=init&email=... - Load all initial data (user, locations, books)
- * - ?code=... - Book lookup (legacy support)
+ * - ?action=init&since=...&id_token=... - Load all initial data (user, locations, books);
+ *   with since (server_time from an earlier response), only books changed since then
+ * - ?action=sync&since=...&id_token=... - Books changed since then (all books without since)
+ * - ?action=history&code=...&limit=20&offset=0&id_token=... - A book's transactions,
+ *   newest first, with running balances (offset skips that many newer rows)
+ * - ?action=low_stock&id_token=... - Books whose total is below their Min_qty
+ * - ?action=report&from=YYYY-MM-DD&to=YYYY-MM-DD&top=10&id_token=... - In/out totals
+ *   by location, series and user, and the top-moving titles (managers only)
+ * - ?code=...&id_token=... - Book lookup (legacy support)
  */
 function doGet(e) {
   try {
     const action = e.parameter.action;
-    const email = e.parameter.email;
     const bookCode = e.parameter.code;
 
+    const auth = authenticateRequest(e.parameter.id_token);
+    if (auth.response) {
+      return auth.response;
+    }
+
     // New init action - load all data at once
-    if (action === 'init' && email) {
-      return handleInit(email);
+    if (action === 'init') {
+      return handleInit(auth.user, e.parameter.since);
+    }
+
+    // Books changed since the client's last sync
+    if (action === 'sync') {
+      return createResponse(Object.assign({ success: true }, getBookChanges(e.parameter.since)), 200);
+    }
+
+    // Transactions for one book, newest first
+    if (action === 'history') {
+      return handleHistory(e.parameter);
+    }
+
+    // Books below their minimum quantity
+    if (action === 'low_stock') {
+      return createResponse({ success: true, books: getLowStockBooks() }, 200);
+    }
+
+    // Movement totals for a date range
+    if (action === 'report') {
+      return handleReport(auth.user, e.parameter);
     }
 
     // Legacy book lookup
     if (bookCode) {
       const book = lookupBook(bookCode);
       if (!book) {
-        return createResponse({ error: 'Book not found' }, 404);
+        return createResponse(errorBody('book_not_found'), 404);
       }
       return createResponse(book, 200);
     }
 
-    return createResponse({ error: 'Missing required parameters' }, 400);
+    return createResponse(errorBody('missing_parameters'), 400);
 
   } catch (error) {
     Logger.log('Error in doGet: ' + error.toString());
-    return createResponse({ error: 'Server error: ' + error.toString() }, 500);
+    return createResponse(getErrorResponseBody(error), 500);
   }
 }
 
 /**
- * Handle initialization - validate user and load all data
- * @param {string} email - User's email from Google Sign-In
+ * Handle initialization - load all data for an authenticated user
+ * @param {object} user - User object from validateUser
+ * @param {string} since - Optional server_time of the client's cached books
  * @returns {ContentService.TextOutput} JSON response
  */
-function handleInit(email) {
-  // Validate user
-  const user = validateUser(email);
-  if (!user) {
-    return createResponse({
-      error: 'User not authorized',
-      message: 'Your email is not registered. Please contact the administrator.'
-    }, 403);
-  }
-
+function handleInit(user, since) {
   // Load all data
   const locations = getLocations();
-  const books = getAllBooks();
+  const changes = getBookChanges(since);
 
   return createResponse({
     success: true,
     user: user,
     locations: locations,
-    books: books
+    books: changes.books,
+    book_count: changes.book_count,
+    server_time: changes.server_time,
+    full: changes.full,
+    limits: {
+      large_negative_threshold: LARGE_NEGATIVE_THRESHOLD
+    }
   }, 200);
 }
 
+/**
+ * Handle a history request
+ * @param {object} params - Query parameters: code, limit (optional), offset (optional)
+ * @returns {ContentService.TextOutput} JSON response
+ */
+function handleHistory(params) {
+  if (!params.code) {
+    return createResponse(errorBody('missing_parameter', { name: 'code' }), 400);
+  }
+
+  const limit = Math.min(parseInt(params.limit, 10) || HISTORY_DEFAULT_LIMIT, HISTORY_MAX_LIMIT);
+  const offset = Math.max(parseInt(params.offset, 10) || 0, 0);
+
+  const history = getBookHistory(params.code, limit, offset);
+  if (!history) {
+    return createResponse(errorBody('book_not_found'), 404);
+  }
+
+  return createResponse(history, 200);
+}
+
+/**
+ * Handle a movement report request
+ * @param {object} user - Authenticated user
+ * @param {object} params - Query parameters: from, to (YYYY-MM-DD, both included), top (optional)
+ * @returns {ContentService.TextOutput} JSON response
+ */
+function handleReport(user, params) {
+  if (!hasRole(user, 'manager')) {
+    return createResponse(Object.assign(errorBody('report_manager_only'), { permission_error: true }), 403);
+  }
+
+  const from = parseReportDate(params.from);
+  const to = parseReportDate(params.to);
+  if (!from || !to) {
+    return createResponse(errorBody('invalid_dates'), 400);
+  }
+  if (from > to) {
+    return createResponse(errorBody('dates_inverted'), 400);
+  }
+
+  const top = Math.min(parseInt(params.top, 10) || REPORT_DEFAULT_TOP, REPORT_MAX_TOP);
+  const report = getMovementReport(from, to, top);
+
+  return createResponse(Object.assign({ success: true, from: params.from, to: params.to }, report), 200);
+}
+
+/**
+ * Parse a YYYY-MM-DD date as midnight in the script's time zone
+ * @param {string} value
+ * @returns {Date|null} null if it isn't a real date
+ */
+function parseReportDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec((value || '').toString().trim());
+  if (!match) {
+    return null;
+  }
+
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return date.getMonth() === Number(match[2]) - 1 ? date : null;
+}
+
+/**
+ * Authenticate a request from its Google ID token
+ * @param {string} idToken - Raw ID token (JWT) from Google Sign-In
+ * @returns {object} { user } when authenticated, otherwise { response } to return as-is
+ */
+function authenticateRequest(idToken) {
+  if (!idToken) {
+    return {
+      response: createResponse(Object.assign(errorBody('auth_required'), { auth_error: true }), 401)
+    };
+  }
+
+  const identity = verifyIdToken(idToken);
+  if (!identity) {
+    return {
+      response: createResponse(Object.assign(errorBody('sign_in_expired'), { auth_error: true }), 401)
+    };
+  }
+
+  const user = validateUser(identity.email);
+  if (!user) {
+    return {
+      response: createResponse(errorBody('user_not_registered'), 403)
+    };
+  }
+
+  return { user: user };
+}
+
+/**
+ * Verify a Google ID token
+ * Signature is checked by Google's tokeninfo endpoint; audience, issuer,
+ * expiry and email verification are checked here. Verified tokens are
+ * cached until they expire so each request doesn't cost a round trip.
+ * @param {string} idToken - Raw ID token (JWT)
+ * @returns {object|null} { email, exp } or null if the token is not valid
+ */
+function verifyIdToken(idToken) {
+  const cache = CacheService.getScriptCache();
+  const cacheKey = 'idtoken_' + Utilities.base64EncodeWebSafe(
+    Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, idToken)
+  );
+
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    const identity = JSON.parse(cached);
+    return identity.exp * 1000 > Date.now() ? identity : null;
+  }
+
+  const response = UrlFetchApp.fetch(
+    'https://oauth2.googleapis.com/tokeninfo?id_token=' + encodeURIComponent(idToken),
+    { muteHttpExceptions: true }
+  );
+
+  if (response.getResponseCode() !== 200) {
+    Logger.log('ID token rejected by tokeninfo: ' + response.getContentText());
+    return null;
+  }
+
+  const claims = JSON.parse(response.getContentText());
+  const expiresAt = parseInt(claims.exp, 10);
+
+  if (claims.aud !== GOOGLE_CLIENT_ID) {
+    Logger.log('ID token audience mismatch: ' + claims.aud);
+    return null;
+  }
+  if (GOOGLE_TOKEN_ISSUERS.indexOf(claims.iss) === -1) {
+    Logger.log('ID token issuer mismatch: ' + claims.iss);
+    return null;
+  }
+  if (!expiresAt || expiresAt * 1000 <= Date.now()) {
+    Logger.log('ID token expired');
+    return null;
+  }
+  if (!claims.email || String(claims.email_verified) !== 'true') {
+    Logger.log('ID token has no verified email');
+    return null;
+  }
+
+  const identity = { email: claims.email, exp: expiresAt };
+
+  // CacheService limit is 6 hours; Google tokens last about 1 hour
+  const ttl = Math.min(expiresAt - Math.floor(Date.now() / 1000), 21600);
+  if (ttl > 0) {
+    cache.put(cacheKey, JSON.stringify(identity), ttl);
+  }
+
+  return identity;
+}
+
 /**
  * Validate user by email
  * @param {string} email - User's email address
@@ -100,6 +403,9 @@ function validateUser(email) {
   const emailCol = headers.indexOf('Email');
   const nameCol = headers.indexOf('Name');
   const defaultLocCol = headers.indexOf('Default_location');
+  const roleCol = headers.indexOf('Role');  // Optional
+  const allowedLocCol = headers.indexOf('Allowed_locations');  // Optional, comma-separated
+  const languageCol = headers.indexOf('Language');  // Optional, e.g. en or he
 
   if (emailCol === -1) {
     Logger.log('Email column not found in Users sheet');
@@ -117,7 +423,10 @@ function validateUser(email) {
       return {
         email: data[i][emailCol],
         name: nameCol !== -1 ? data[i][nameCol] : '',
-        default_location: defaultLocCol !== -1 ? data[i][defaultLocCol] : ''
+        default_location: defaultLocCol !== -1 ? data[i][defaultLocCol] : '',
+        role: parseRole(roleCol !== -1 ? data[i][roleCol] : ''),
+        allowed_locations: allowedLocCol !== -1 ? parseLocationList(data[i][allowedLocCol]) : [],
+        language: languageCol !== -1 ? data[i][languageCol].toString().trim().toLowerCase() : ''
       };
     }
   }
@@ -125,6 +434,129 @@ function validateUser(email) {
   return null;
 }
 
+/**
+ * Role from a Users sheet cell; empty means DEFAULT_ROLE, anything
+ * unrecognised means viewer
+ * @param {*} value - Role cell
+ * @returns {string} One of ROLES
+ */
+function parseRole(value) {
+  const role = (value || '').toString().trim().toLowerCase();
+  if (!role) {
+    return DEFAULT_ROLE;
+  }
+  return ROLES.indexOf(role) !== -1 ? role : 'viewer';
+}
+
+/**
+ * Split a comma-separated list of location names
+ * @param {*} value - Cell value
+ * @returns {Array} Trimmed, non-empty names
+ */
+function parseLocationList(value) {
+  return (value || '').toString().split(',')
+    .map(function(name) { return name.trim(); })
+    .filter(function(name) { return name; });
+}
+
+/**
+ * Whether a user's role is at least the given one
+ * @param {object} user - From validateUser
+ * @param {string} role - One of ROLES
+ * @returns {boolean}
+ */
+function hasRole(user, role) {
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Whether a user may record changes at a location
+ * Managers and admins may use any location. A clerk is limited to their
+ * Allowed_locations, or to their Default_location if that list is empty;
+ * a clerk with neither may use any location.
+ * @param {object} user - From validateUser
+ * @param {string} location - Location name
+ * @returns {boolean}
+ */
+function canUseLocation(user, location) {
+  if (hasRole(user, 'manager')) {
+    return true;
+  }
+
+  const own = user.allowed_locations.length > 0
+    ? user.allowed_locations
+    : parseLocationList(user.default_location);
+
+  return own.length === 0 || own.indexOf(location) !== -1;
+}
+
+/**
+ * Check a POST against the user's role and locations
+ * A transfer takes its quantity out of from_location, and a reversal
+ * undoes what the original rows did, so both are held to the same
+ * location and large-negative rules as a transaction. Large negative lines
+ * in a batch or stocktake are refused line by line (see
+ * allow_large_negative) rather than here.
+ * @param {object} data - Request body
+ * @param {object} user - Authenticated user
+ * @returns {object|null} Why the request is refused (an errorBody), or null if it's allowed
+ */
+function getPermissionError(data, user) {
+  if (!hasRole(user, 'clerk')) {
+    return errorBody('role_read_only', { role: user.role });
+  }
+
+  if (data.action === 'reconcile' && !hasRole(user, 'admin')) {
+    return errorBody('reconcile_admin_only');
+  }
+
+  let locations = [];
+  // Quantities taken out of a location (negative), for the large-negative rule
+  let removals = [];
+  if (data.action === 'transfer') {
+    locations = [data.from_location, data.to_location];
+    removals = [-parseFloat(data.qty)];
+  } else if (data.action === 'reverse') {
+    const changes = getReversalChanges(data.original_id);
+    locations = changes.map(function(change) { return change.location; });
+    removals = changes.map(function(change) { return change.qty; });
+  } else if (!data.action || data.action === 'bulk' || data.action === 'stocktake') {
+    locations = [data.location];
+    removals = data.action ? [] : [parseFloat(data.qty)];
+  }
+
+  for (const location of locations) {
+    const name = (location || '').toString().trim();
+    if (name && !canUseLocation(user, name)) {
+      return errorBody('location_not_allowed', { location: name });
+    }
+  }
+
+  const large = removals.some(function(qty) { return qty < -LARGE_NEGATIVE_THRESHOLD; });
+  if (large && !hasRole(user, 'manager')) {
+    return errorBody('large_negative', { threshold: LARGE_NEGATIVE_THRESHOLD });
+  }
+
+  return null;
+}
+
+/**
+ * What reversing a transaction or transfer would do to each location
+ * (read without the lock - reverseTransaction reads the rows again under it)
+ * @param {string} originalId - Transaction_id or transfer ID being reversed
+ * @returns {Array} [{ location, qty }] - empty if there's nothing to reverse
+ */
+function getReversalChanges(originalId) {
+  const transSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(TRANSACTIONS_SHEET_NAME);
+  if (!transSheet || !originalId) {
+    return [];
+  }
+
+  return findReversalOriginals(transSheet, originalId.toString().trim()).originals.map(function(original) {
+    return { location: original.Location, qty: -(parseFloat(original.Qty) || 0) };
+  });
+}
+
 /**
  * Get all locations from Locations sheet
  * @returns {Array} Array of location objects
@@ -172,298 +604,2317 @@ function getAllBooks() {
   const booksSheet = ss.getSheetByName(BOOKS_SHEET_NAME);
 
   if (!booksSheet) {
-    throw new Error('Books sheet not found');
+    throw codedError('sheet_not_found', { sheet: BOOKS_SHEET_NAME });
   }
 
   const data = booksSheet.getDataRange().getValues();
-  const headers = data[0];
+  const schema = getBooksSchema(data[0]);
+  const seriesMinimums = getSeriesMinimums();
 
-  // Find column indices for standard fields
-  const codeCol = headers.indexOf('Book_code');
-  const seriesCol = headers.indexOf('Book_series');
-  const nameCol = headers.indexOf('Book_name');
-  const volumeCol = headers.indexOf('Volume');
-  const totalCol = headers.indexOf('Total');
-  const updateCol = headers.indexOf('Last_update');
+  const books = [];
+  for (let i = 1; i < data.length; i++) {
+    if (!data[i][schema.codeCol]) continue; // Skip empty rows
+    books.push(describeBookRow(schema, data[i], seriesMinimums));
+  }
+
+  return books;
+}
+
+/**
+ * How the Books sheet's columns are used, from its header row
+ * Shared by everything that reads Books rows, so a column is a location
+ * (or a field) in the same way everywhere.
+ * - Location columns: headers that are a Location_name in the Locations sheet.
+ *   Without any locations there, every header that isn't standard or a field
+ *   is a location (how sheets worked before the Locations sheet existed).
+ * - Fields: headers listed in the Book_fields sheet, shown read-only
+ * - Anything else is ignored, so a new column never becomes a location by accident
+ * @param {Array} headers - Books header row
+ * @returns {object} { headers (trimmed), codeCol, seriesCol, nameCol, volumeCol, totalCol,
+ *   updateCol, minCol, locationCols: [{ index, name }], fieldCols: [{ index, name, label }] }
+ */
+function getBooksSchema(headers) {
+  const trimmed = headers.map(function(header) { return header.toString().trim(); });
+  const codeCol = trimmed.indexOf('Book_code');
 
   if (codeCol === -1) {
-    throw new Error('Book_code column not found in Books sheet');
+    throw codedError('book_code_column_missing');
   }
 
-  // Find location columns (any column that's not a standard field)
-  const standardCols = ['Book_code', 'Book_series', 'Book_name', 'Volume', 'Total', 'Last_update'];
+  const fieldLabels = getBookFieldLabels();
+  const locationNames = getLocations().map(function(location) { return location.name; });
+
   const locationCols = [];
-  for (let i = 0; i < headers.length; i++) {
-    const headerName = headers[i].toString().trim();
-    if (!standardCols.includes(headerName) && headerName) {
-      locationCols.push({ index: i, name: headerName });
+  const fieldCols = [];
+  for (let i = 0; i < trimmed.length; i++) {
+    const name = trimmed[i];
+    if (!name || BOOK_STANDARD_COLUMNS.includes(name)) continue;
+
+    if (fieldLabels[name] !== undefined) {
+      fieldCols.push({ index: i, name: name, label: fieldLabels[name] || name });
+    } else if (locationNames.length === 0 || locationNames.indexOf(name) !== -1) {
+      locationCols.push({ index: i, name: name });
     }
   }
 
-  const books = [];
-  for (let i = 1; i < data.length; i++) {
-    if (!data[i][codeCol]) continue; // Skip empty rows
-
-    const book = {
-      Book_code: data[i][codeCol],
-      Book_series: seriesCol !== -1 ? data[i][seriesCol] : '',
-      Book_name: nameCol !== -1 ? data[i][nameCol] : '',
-      Volume: volumeCol !== -1 ? data[i][volumeCol] : '',
-      Total: totalCol !== -1 ? data[i][totalCol] : 0,
-      Last_update: updateCol !== -1 ? data[i][updateCol] : '',
-      locations: {}
-    };
+  return {
+    headers: trimmed,
+    codeCol: codeCol,
+    seriesCol: trimmed.indexOf('Book_series'),
+    nameCol: trimmed.indexOf('Book_name'),
+    volumeCol: trimmed.indexOf('Volume'),
+    totalCol: trimmed.indexOf('Total'),
+    updateCol: trimmed.indexOf('Last_update'),
+    minCol: trimmed.indexOf('Min_qty'),
+    locationCols: locationCols,
+    fieldCols: fieldCols
+  };
+}
 
-    // Add location-specific quantities
-    for (const loc of locationCols) {
-      book.locations[loc.name] = data[i][loc.index] || 0;
-    }
+/**
+ * Extra Books columns to show, from the optional Book_fields sheet
+ * (Column = Books header, Label = name shown in the app, defaults to Column)
+ * @returns {object} { column: label } in sheet order
+ */
+function getBookFieldLabels() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const fieldsSheet = ss.getSheetByName(BOOK_FIELDS_SHEET_NAME);
+  const labels = {};
 
-    books.push(book);
+  if (!fieldsSheet) {
+    return labels;
   }
 
-  return books;
+  const data = fieldsSheet.getDataRange().getValues();
+  const headers = data[0].map(function(header) { return header.toString().trim(); });
+  const columnCol = headers.indexOf('Column');
+  const labelCol = headers.indexOf('Label');
+
+  if (columnCol === -1) {
+    Logger.log('Book_fields sheet needs a Column column');
+    return labels;
+  }
+
+  for (let i = 1; i < data.length; i++) {
+    const column = data[i][columnCol].toString().trim();
+    if (column && !BOOK_STANDARD_COLUMNS.includes(column)) {
+      labels[column] = labelCol !== -1 ? data[i][labelCol].toString().trim() : '';
+    }
+  }
+
+  return labels;
 }
 
 /**
- * Handle POST requests - Add transaction
- * Body: JSON with { book_code, qty, location, user, comments }
- * Returns: JSON with updated quantities or error
+ * A Books row as the book object sent to the app
+ * @param {object} schema - From getBooksSchema
+ * @param {Array} row - Books row values
+ * @param {object} seriesMinimums - From getSeriesMinimums; without it Min_qty is left out
+ * @returns {object} { Book_code, Book_series, Book_name, Volume, Total, Last_update,
+ *   locations: { name: qty }, fields: { label: value }, Min_qty }
  */
-function doPost(e) {
-  try {
-    const data = JSON.parse(e.postData.contents);
+function describeBookRow(schema, row, seriesMinimums) {
+  const book = {
+    Book_code: row[schema.codeCol],
+    Book_series: schema.seriesCol !== -1 ? row[schema.seriesCol] : '',
+    Book_name: schema.nameCol !== -1 ? row[schema.nameCol] : '',
+    Volume: schema.volumeCol !== -1 ? row[schema.volumeCol] : '',
+    Total: schema.totalCol !== -1 ? row[schema.totalCol] : 0,
+    Last_update: schema.updateCol !== -1 ? row[schema.updateCol] : '',
+    locations: {},
+    fields: {}
+  };
 
-    // Validate required fields
-    if (!data.book_code || data.qty === undefined || !data.location || !data.user) {
-      return createResponse({
-        error: 'Missing required fields: book_code, qty, location, user'
-      }, 400);
-    }
+  for (const loc of schema.locationCols) {
+    book.locations[loc.name] = row[loc.index] || 0;
+  }
 
-    // Validate qty is a number
-    const qty = parseFloat(data.qty);
-    if (isNaN(qty)) {
-      return createResponse({ error: 'qty must be a valid number' }, 400);
-    }
+  for (const field of schema.fieldCols) {
+    book.fields[field.label] = row[field.index];
+  }
 
-    // Check if book exists
-    const book = lookupBook(data.book_code);
-    if (!book) {
-      return createResponse({ error: 'Book not found' }, 404);
-    }
+  if (seriesMinimums) {
+    book.Min_qty = getMinimumQty(schema.minCol !== -1 ? row[schema.minCol] : '', book.Book_series, seriesMinimums);
+  }
 
-    // Add transaction and update location-specific inventory
-    const result = addTransaction({
-      book_code: data.book_code,
-      qty: qty,
-      location: data.location.toString().trim(),
-      user: data.user,
-      comments: data.comments || ''
-    });
+  return book;
+}
 
-    return createResponse(result, 200);
+/**
+ * Books sheet column of a location
+ * @param {object} schema - From getBooksSchema (or a readBooksTable table)
+ * @param {string} location - Location name
+ * @returns {number} 0-based column, or -1 if it isn't a location column
+ */
+function findLocationColumn(schema, location) {
+  const name = (location || '').toString().trim();
+  for (const loc of schema.locationCols) {
+    if (loc.name === name) {
+      return loc.index;
+    }
+  }
+  return -1;
+}
 
-  } catch (error) {
-    Logger.log('Error in doPost: ' + error.toString());
-    return createResponse({ error: 'Server error: ' + error.toString() }, 500);
+/**
+ * Books whose Last_update is after since (less SYNC_OVERLAP_MS)
+ * Without a valid since every book is returned (full = true). book_count
+ * is the number of distinct codes in the sheet, so a client whose cache
+ * has a different count knows books were deleted and asks for a full sync.
+ * Books edited by hand without changing Last_update are only picked up by
+ * a full sync.
+ * @param {string} since - ISO timestamp (server_time from an earlier response)
+ * @returns {object} { books, book_count, server_time, full }
+ */
+function getBookChanges(since) {
+  // Taken before reading, so the next sync overlaps rather than leaves a gap
+  const serverTime = new Date();
+  const allBooks = getAllBooks();
+  const sinceTime = since ? new Date(since).getTime() : NaN;
+
+  const codes = {};
+  for (const book of allBooks) {
+    codes[normalizeBookCode(book.Book_code)] = true;
   }
+
+  const full = isNaN(sinceTime);
+  const books = full ? allBooks : allBooks.filter(function(book) {
+    const updated = book.Last_update ? new Date(book.Last_update).getTime() : NaN;
+    return updated >= sinceTime - SYNC_OVERLAP_MS;
+  });
+
+  return {
+    books: books,
+    book_count: Object.keys(codes).length,
+    server_time: serverTime.toISOString(),
+    full: full
+  };
 }
 
 /**
- * Look up a book by Book_code
- * @param {string} bookCode - The book code to search for
- * @returns {object|null} Book object or null if not found
+ * Per-series minimum quantities from the optional Series sheet
+ * @returns {object} { normalizedSeriesName: minQty }
  */
-function lookupBook(bookCode) {
+function getSeriesMinimums() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const booksSheet = ss.getSheetByName(BOOKS_SHEET_NAME);
+  const seriesSheet = ss.getSheetByName(SERIES_SHEET_NAME);
+  const minimums = {};
 
-  if (!booksSheet) {
-    throw new Error('Books sheet not found. Check BOOKS_SHEET_NAME constant.');
+  if (!seriesSheet) {
+    return minimums;
   }
 
-  const data = booksSheet.getDataRange().getValues();
-  const headers = data[0];
-
-  // Find column indices
-  const codeCol = headers.indexOf('Book_code');
+  const data = seriesSheet.getDataRange().getValues();
+  const headers = data[0].map(function(header) { return header.toString().trim(); });
   const seriesCol = headers.indexOf('Book_series');
-  const nameCol = headers.indexOf('Book_name');
-  const volumeCol = headers.indexOf('Volume');
-  const totalCol = headers.indexOf('Total');
-  const updateCol = headers.indexOf('Last_update');
+  const minCol = headers.indexOf('Min_qty');
 
-  if (codeCol === -1) {
-    throw new Error('Book_code column not found in Books sheet');
+  if (seriesCol === -1 || minCol === -1) {
+    Logger.log('Series sheet needs Book_series and Min_qty columns');
+    return minimums;
   }
 
-  // Find location columns
-  const standardCols = ['Book_code', 'Book_series', 'Book_name', 'Volume', 'Total', 'Last_update'];
-  const locationCols = [];
-  for (let i = 0; i < headers.length; i++) {
-    const headerName = headers[i].toString().trim();
-    if (!standardCols.includes(headerName) && headerName) {
-      locationCols.push({ index: i, name: headerName });
+  for (let i = 1; i < data.length; i++) {
+    const name = data[i][seriesCol].toString().trim().toLowerCase();
+    const min = parseFloat(data[i][minCol]);
+    if (name && !isNaN(min)) {
+      minimums[name] = min;
     }
   }
 
-  // Normalize book code for comparison
-  const normalizedSearchCode = bookCode.toString().replace(/[-\s]/g, '').toUpperCase();
+  return minimums;
+}
 
-  // Search for book (skip header row)
-  for (let i = 1; i < data.length; i++) {
-    const sheetCode = data[i][codeCol].toString().replace(/[-\s]/g, '').toUpperCase();
-
-    if (sheetCode === normalizedSearchCode) {
-      const book = {
-        Book_code: data[i][codeCol],
-        Book_series: seriesCol !== -1 ? data[i][seriesCol] : '',
-        Book_name: nameCol !== -1 ? data[i][nameCol] : '',
-        Volume: volumeCol !== -1 ? data[i][volumeCol] : '',
-        Total: totalCol !== -1 ? data[i][totalCol] : 0,
-        Last_update: updateCol !== -1 ? data[i][updateCol] : '',
-        locations: {},
-        rowIndex: i + 1 // Store for updating later (1-based)
-      };
+/**
+ * Minimum quantity for a book: its own Min_qty cell if filled in,
+ * otherwise its series' minimum, otherwise none
+ * @param {*} bookMin - Books sheet Min_qty cell
+ * @param {string} series - Book_series
+ * @param {object} seriesMinimums - From getSeriesMinimums
+ * @returns {number|null}
+ */
+function getMinimumQty(bookMin, series, seriesMinimums) {
+  const own = parseFloat(bookMin);
+  if (!isNaN(own)) {
+    return own;
+  }
 
-      // Add location-specific quantities
-      for (const loc of locationCols) {
-        book.locations[loc.name] = data[i][loc.index] || 0;
-      }
+  const key = (series || '').toString().trim().toLowerCase();
+  return seriesMinimums[key] !== undefined ? seriesMinimums[key] : null;
+}
+
+/**
+ * Books whose total across all locations is below their minimum quantity
+ * @returns {Array} [{ Book_code, Book_name, Book_series, Volume, total, min_qty, shortfall, locations }]
+ *   largest shortfall first
+ */
+function getLowStockBooks() {
+  const lowStock = [];
 
-      return book;
+  for (const book of getAllBooks()) {
+    if (book.Min_qty === null) continue;
+
+    let total = 0;
+    for (const name in book.locations) {
+      total += parseFloat(book.locations[name]) || 0;
+    }
+
+    if (total < book.Min_qty) {
+      lowStock.push({
+        Book_code: book.Book_code,
+        Book_name: book.Book_name,
+        Book_series: book.Book_series,
+        Volume: book.Volume,
+        total: total,
+        min_qty: book.Min_qty,
+        shortfall: book.Min_qty - total,
+        locations: book.locations
+      });
     }
   }
 
-  return null;
+  return lowStock.sort(function(a, b) { return b.shortfall - a.shortfall; });
 }
 
 /**
- * Add a transaction and update location-specific inventory
- * @param {object} transaction - Transaction data
- * @returns {object} Result with new quantities
+ * In/out totals of the Transactions rows dated within a range
+ * Every row counts, so a transfer is out of one location and in to another,
+ * and a reversal cancels what it reverses. Series and titles come from the
+ * Books sheet (rows logged under the other ISBN form count for the same book).
+ * @param {Date} from - First day (midnight)
+ * @param {Date} to - Last day (midnight; the whole day is included)
+ * @param {number} top - How many top-moving titles to return
+ * @returns {object} { transactions, totals, by_location, by_series, by_user, top_titles }
+ *   each total is { in, out, net } with out as a positive number; lists are
+ *   most copies out first
  */
-function addTransaction(transaction) {
+function getMovementReport(from, to, top) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const transSheet = ss.getSheetByName(TRANSACTIONS_SHEET_NAME);
-  const booksSheet = ss.getSheetByName(BOOKS_SHEET_NAME);
 
   if (!transSheet) {
-    throw new Error('Transactions sheet not found. Check TRANSACTIONS_SHEET_NAME constant.');
-  }
-
-  if (!booksSheet) {
-    throw new Error('Books sheet not found. Check BOOKS_SHEET_NAME constant.');
-  }
-
-  // Get current book details
-  const book = lookupBook(transaction.book_code);
-  if (!book) {
-    throw new Error('Book not found');
+    throw codedError('sheet_not_found', { sheet: TRANSACTIONS_SHEET_NAME });
   }
 
-  // Add transaction row to Transactions sheet
-  const timestamp = new Date();
-  transSheet.appendRow([
-    transaction.book_code,
-    transaction.qty,
-    transaction.location,  // This is the location name
-    timestamp,
-    transaction.user,
-    transaction.comments
-  ]);
+  const col = {};
+  TRANSACTION_COLUMNS.forEach(function(name, index) { col[name] = index; });
 
-  // Find the location column in Books sheet
-  const booksData = booksSheet.getDataRange().getValues();
-  const headers = booksData[0];
+  const lastRow = transSheet.getLastRow();
+  const rows = lastRow < 2 ? [] : transSheet
+    .getRange(2, 1, lastRow - 1, Math.min(transSheet.getLastColumn(), TRANSACTION_COLUMNS.length))
+    .getValues();
 
-  // Find the column for this location (trim headers for comparison)
-  let locationColIndex = -1;
-  let updateColIndex = -1;
-  for (let i = 0; i < headers.length; i++) {
-    const headerName = headers[i].toString().trim();
-    if (headerName === transaction.location) {
-      locationColIndex = i;
-    }
-    if (headerName === 'Last_update') {
-      updateColIndex = i;
+  const booksSheet = ss.getSheetByName(BOOKS_SHEET_NAME);
+  const table = booksSheet ? readBooksTable(booksSheet) : null;
+
+  const start = from.getTime();
+  const end = new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1).getTime();
+
+  const totals = { in: 0, out: 0 };
+  const byLocation = {};
+  const bySeries = {};
+  const byUser = {};
+  const byBook = {};
+  let count = 0;
+
+  for (const row of rows) {
+    const time = new Date(row[col.Datetime]).getTime();
+    if (isNaN(time) || time < start || time >= end) continue;
+
+    const qty = parseFloat(row[col.Qty]) || 0;
+    if (qty === 0) continue;
+    count++;
+
+    const rowIndex = table ? findBooksTableRow(table, row[col.Book_code]) : undefined;
+    const bookRow = rowIndex !== undefined ? table.data[rowIndex] : null;
+    const code = bookRow ? bookRow[table.codeCol].toString() : row[col.Book_code].toString();
+    const key = normalizeBookCode(code);
+    if (!byBook[key]) {
+      byBook[key] = {
+        Book_code: code,
+        Book_name: bookRow && table.nameCol !== -1 ? bookRow[table.nameCol] : '',
+        Book_series: bookRow && table.seriesCol !== -1 ? bookRow[table.seriesCol] : '',
+        in: 0,
+        out: 0
+      };
     }
-  }
+    const book = byBook[key];
 
-  if (locationColIndex === -1) {
-    throw new Error('Location column "' + transaction.location + '" not found in Books sheet');
+    addMovement(totals, qty);
+    addMovement(book, qty);
+    addMovement(getMovementGroup(byLocation, 'location', row[col.Location]), qty);
+    addMovement(getMovementGroup(bySeries, 'series', book.Book_series), qty);
+    addMovement(getMovementGroup(byUser, 'user', row[col.User]), qty);
   }
 
-  // Calculate new quantity for this location
-  const currentLocationQty = book.locations[transaction.location] || 0;
-  const newLocationQty = currentLocationQty + transaction.qty;
-
-  // Update the location-specific column
-  booksSheet.getRange(book.rowIndex, locationColIndex + 1).setValue(newLocationQty);
+  return {
+    transactions: count,
+    totals: withNetMovement(totals),
+    by_location: sortMovements(byLocation),
+    by_series: sortMovements(bySeries),
+    by_user: sortMovements(byUser),
+    top_titles: sortMovements(byBook).slice(0, top)
+  };
+}
 
-  // Update Last_update timestamp
-  if (updateColIndex !== -1) {
-    booksSheet.getRange(book.rowIndex, updateColIndex + 1).setValue(timestamp);
+/**
+ * The running totals for one location, series or user, created on first use
+ * @param {object} groups - Totals so far, keyed by name
+ * @param {string} field - Property to hold the name ('location', 'series' or 'user')
+ * @param {*} name - Cell value
+ * @returns {object} { [field]: name, in, out }
+ */
+function getMovementGroup(groups, field, name) {
+  const key = (name || '').toString().trim();
+  if (!groups[key]) {
+    groups[key] = { in: 0, out: 0 };
+    groups[key][field] = key;
   }
+  return groups[key];
+}
 
-  // Prepare updated locations object
-  const updatedLocations = { ...book.locations };
-  updatedLocations[transaction.location] = newLocationQty;
-
-  return {
-    success: true,
-    book_code: transaction.book_code,
-    book_name: book.Book_name,
-    location: transaction.location,
-    old_qty: currentLocationQty,
-    new_qty: newLocationQty,
-    transaction_qty: transaction.qty,
-    locations: updatedLocations,
-    timestamp: timestamp
-  };
+/**
+ * Add a quantity to in (positive) or out (negative, stored as positive)
+ * @param {object} totals - { in, out }
+ * @param {number} qty - Transactions Qty
+ */
+function addMovement(totals, qty) {
+  if (qty > 0) {
+    totals.in += qty;
+  } else {
+    totals.out -= qty;
+  }
 }
 
 /**
- * Create a JSON response
- * @param {object} data - Data to return
- * @param {number} status - HTTP status code (for logging only)
- * @returns {ContentService.TextOutput}
+ * @param {object} totals - { in, out, ... }
+ * @returns {object} The same object with net = in - out
  */
-function createResponse(data, status) {
-  const output = ContentService.createTextOutput(JSON.stringify(data));
-  output.setMimeType(ContentService.MimeType.JSON);
-  return output;
+function withNetMovement(totals) {
+  totals.net = totals.in - totals.out;
+  return totals;
 }
 
 /**
- * Test function - Validate user
+ * Grouped totals as a list, most copies out first (then most in)
+ * @param {object} groups - Totals keyed by name
+ * @returns {Array}
  */
-function testValidateUser() {
-  const user = validateUser('test@example.com');
-  Logger.log(user);
+function sortMovements(groups) {
+  return Object.keys(groups)
+    .map(function(key) { return withNetMovement(groups[key]); })
+    .sort(function(a, b) { return (b.out - a.out) || (b.in - a.in); });
 }
 
 /**
- * Test function - Get locations
+ * Append the reason for a negative stock override to the comments
+ * @param {string} comments - User's comments
+ * @param {string} reason - Override reason (empty if none)
+ * @returns {string}
  */
-function testGetLocations() {
-  const locations = getLocations();
-  Logger.log(locations);
+function withOverrideNote(comments, reason) {
+  if (!reason) {
+    return comments;
+  }
+  return ((comments || '') + ' [Negative stock override: ' + reason + ']').trim();
 }
 
 /**
- * Test function - Get all books
+ * Handle POST requests
+ * Every body must include id_token; the user is the email verified from it.
+ * Actions (body.action):
+ * - (none) - Add a transaction: { book_code, qty, location, comments, transaction_id }
+ * - 'transfer' - Move stock between locations:
+ *   { book_code, qty, from_location, to_location, comments, transaction_id }
+ * - 'bulk' - Several transactions in one call (batch scan cart):
+ *   { location, lines: [{ book_code, qty, comments }], comments, transaction_id }
+ * - 'stocktake' - Physical count of a location; corrects quantities to match:
+ *   { location, lines: [{ book_code, counted }], comments, transaction_id }
+ * - 'reverse' - Undo an earlier transaction or transfer (its own user or an admin):
+ *   { original_id, comments, transaction_id }
+ * - 'create_book' - Add a new book with zero stock everywhere:
+ *   { book_code, book_name, book_series, volume }
+ * - 'reconcile' - Rebuild Books quantities from the Transactions sheet (admin only):
+ *   { dry_run } - dry_run defaults to true (report only)
+ * transaction_id is generated by the client; a retry with the same ID is
+ * reported as a duplicate instead of being applied twice.
+ * Returns: JSON with updated quantities or error
  */
-function testGetAllBooks() {
+function doPost(e) {
+  try {
+    const data = JSON.parse(e.postData.contents);
+
+    const auth = authenticateRequest(data.id_token);
+    if (auth.response) {
+      return auth.response;
+    }
+
+    const permissionError = getPermissionError(data, auth.user);
+    if (permissionError) {
+      return createResponse(Object.assign(permissionError, { permission_error: true }), 403);
+    }
+
+    if (data.action === 'transfer') {
+      return handleTransfer(data, auth.user);
+    }
+
+    if (data.action === 'bulk') {
+      return handleBulk(data, auth.user);
+    }
+
+    if (data.action === 'stocktake') {
+      return handleStocktake(data, auth.user);
+    }
+
+    if (data.action === 'reverse') {
+      return handleReverse(data, auth.user);
+    }
+
+    if (data.action === 'create_book') {
+      return handleCreateBook(data);
+    }
+
+    if (data.action === 'reconcile') {
+      return handleReconcile(data);
+    }
+
+    return handleTransaction(data, auth.user);
+
+  } catch (error) {
+    if (error.retry) {
+      return createResponse(Object.assign(errorBody('server_busy'), { retry: true }), 503);
+    }
+    Logger.log('Error in doPost: ' + error.toString());
+    return createResponse(getErrorResponseBody(error), 500);
+  }
+}
+
+/**
+ * Handle a single transaction POST
+ * @param {object} data - Request body
+ * @param {object} user - Authenticated user
+ * @returns {ContentService.TextOutput} JSON response
+ */
+function handleTransaction(data, user) {
+  // Validate required fields
+  if (!data.book_code || data.qty === undefined || !data.location) {
+    return createResponse(errorBody('missing_fields', { fields: 'book_code, qty, location' }), 400);
+  }
+
+  // Validate qty is a number
+  const qty = parseFloat(data.qty);
+  if (isNaN(qty)) {
+    return createResponse(errorBody('qty_invalid'), 400);
+  }
+
+  // Add transaction and update location-specific inventory
+  const result = addTransaction({
+    book_code: data.book_code,
+    qty: qty,
+    location: data.location.toString().trim(),
+    user: user.email,
+    comments: data.comments || '',
+    override_reason: (data.override_reason || '').toString().trim(),
+    transaction_id: getTransactionId(data)
+  });
+
+  return createResponse(result, getResultStatus(result));
+}
+
+/**
+ * Handle a stock transfer POST
+ * @param {object} data - Request body
+ * @param {object} user - Authenticated user
+ * @returns {ContentService.TextOutput} JSON response
+ */
+function handleTransfer(data, user) {
+  if (!data.book_code || data.qty === undefined || !data.from_location || !data.to_location) {
+    return createResponse(errorBody('missing_fields', { fields: 'book_code, qty, from_location, to_location' }), 400);
+  }
+
+  const qty = parseFloat(data.qty);
+  if (isNaN(qty) || qty <= 0) {
+    return createResponse(errorBody('qty_not_positive'), 400);
+  }
+
+  const fromLocation = data.from_location.toString().trim();
+  const toLocation = data.to_location.toString().trim();
+  if (fromLocation === toLocation) {
+    return createResponse(errorBody('same_location'), 400);
+  }
+
+  const result = transferStock({
+    book_code: data.book_code,
+    qty: qty,
+    from_location: fromLocation,
+    to_location: toLocation,
+    user: user.email,
+    comments: data.comments || '',
+    override_reason: (data.override_reason || '').toString().trim(),
+    transaction_id: getTransactionId(data)
+  });
+
+  return createResponse(result, getResultStatus(result));
+}
+
+/**
+ * Handle a bulk transaction POST
+ * Lines are applied independently; the response reports each one.
+ * @param {object} data - Request body
+ * @param {object} user - Authenticated user
+ * @returns {ContentService.TextOutput} JSON response
+ */
+function handleBulk(data, user) {
+  if (!data.location || !Array.isArray(data.lines) || data.lines.length === 0) {
+    return createResponse(errorBody('missing_fields', { fields: 'location, lines' }), 400);
+  }
+
+  const result = addBulkTransactions({
+    location: data.location.toString().trim(),
+    lines: data.lines,
+    user: user.email,
+    allow_large_negative: hasRole(user, 'manager'),
+    comments: data.comments || '',
+    transaction_id: getTransactionId(data)
+  });
+
+  return createResponse(result, 200);
+}
+
+/**
+ * Handle a stocktake POST
+ * @param {object} data - Request body
+ * @param {object} user - Authenticated user
+ * @returns {ContentService.TextOutput} JSON response
+ */
+function handleStocktake(data, user) {
+  if (!data.location || !Array.isArray(data.lines)) {
+    return createResponse(errorBody('missing_fields', { fields: 'location, lines' }), 400);
+  }
+
+  const result = applyStocktake({
+    location: data.location.toString().trim(),
+    lines: data.lines,
+    user: user.email,
+    allow_large_negative: hasRole(user, 'manager'),
+    comments: data.comments || '',
+    transaction_id: getTransactionId(data)
+  });
+
+  return createResponse(result, 200);
+}
+
+/**
+ * Handle a reversal POST
+ * @param {object} data - Request body
+ * @param {object} user - Authenticated user
+ * @returns {ContentService.TextOutput} JSON response
+ */
+function handleReverse(data, user) {
+  if (!data.original_id) {
+    return createResponse(errorBody('missing_fields', { fields: 'original_id' }), 400);
+  }
+
+  const result = reverseTransaction({
+    original_id: data.original_id.toString().trim(),
+    user: user.email,
+    is_admin: hasRole(user, 'admin'),
+    comments: data.comments || '',
+    override_reason: (data.override_reason || '').toString().trim(),
+    transaction_id: getTransactionId(data)
+  });
+
+  return createResponse(result, result.error ? 409 : 200);
+}
+
+/**
+ * Handle a create-book POST
+ * @param {object} data - Request body
+ * @returns {ContentService.TextOutput} JSON response
+ */
+function handleCreateBook(data) {
+  const bookCode = (data.book_code || '').toString().trim();
+  const bookName = (data.book_name || '').toString().trim();
+
+  if (!bookCode || !bookName) {
+    return createResponse(errorBody('missing_fields', { fields: 'book_code, book_name' }), 400);
+  }
+
+  if (!normalizeBookCode(bookCode)) {
+    return createResponse(errorBody('book_code_invalid'), 400);
+  }
+
+  const result = createBook({
+    book_code: bookCode,
+    book_name: bookName,
+    book_series: (data.book_series || '').toString().trim(),
+    volume: (data.volume || '').toString().trim()
+  });
+
+  return createResponse(result, result.error ? 409 : 200);
+}
+
+/**
+ * Handle a reconcile POST
+ * Only writes to the Books sheet when dry_run is explicitly false.
+ * @param {object} data - Request body
+ * @returns {ContentService.TextOutput} JSON response
+ */
+function handleReconcile(data) {
+  const result = reconcileStock({ dry_run: data.dry_run !== false });
+  return createResponse(result, 200);
+}
+
+/**
+ * HTTP status for a result from addTransaction or transferStock
+ * @param {object} result
+ * @returns {number} 404 for an unknown book, 409 for another refusal, otherwise 200
+ */
+function getResultStatus(result) {
+  if (result.not_found) {
+    return 404;
+  }
+  return result.error ? 409 : 200;
+}
+
+/**
+ * Client-supplied transaction ID, or a new one for older clients
+ * @param {object} data - Request body
+ * @returns {string}
+ */
+function getTransactionId(data) {
+  return data.transaction_id ? data.transaction_id.toString().trim() : Utilities.getUuid();
+}
+
+/**
+ * Look up a book by Book_code
+ * @param {string} bookCode - The book code to search for
+ * @returns {object|null} Book object or null if not found
+ */
+function lookupBook(bookCode) {
+  const record = findBookRecord(bookCode);
+  return record ? record.book : null;
+}
+
+/**
+ * Find a book's row through the cached index and read just that row
+ * A book stored under its other ISBN form is found too, but a row with the
+ * code as given comes first. If the row no longer holds the code (rows were
+ * moved or deleted without onEdit seeing it), or the cached index doesn't
+ * have the code and the sheet has grown since it was built (a row added by
+ * the Sheets API, another script or an import), the index is rebuilt from
+ * the sheet and the lookup tried again. A code missing from an index that is
+ * up to date is simply not found, without a rebuild.
+ * @param {string} bookCode - Code as sent by the client or logged in Transactions
+ * @returns {object|null} { book (with rowIndex, 1-based), schema } or null if not found
+ */
+function findBookRecord(bookCode) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const booksSheet = ss.getSheetByName(BOOKS_SHEET_NAME);
+
+  if (!booksSheet) {
+    throw codedError('sheet_not_found', { sheet: BOOKS_SHEET_NAME });
+  }
+
+  const searchCodes = getBookCodeVariants(bookCode);
+  let index = getBookIndex(booksSheet, searchCodes);
+
+  for (let i = 0; i <= searchCodes.length; i++) {
+    if (i === searchCodes.length) {
+      if (!index.cached || booksSheet.getLastRow() === index.lastRow) {
+        return null;
+      }
+      // Rows added since the index was built - it may be one of them
+      index = buildBookIndex(booksSheet);
+      i = -1;
+      continue;
+    }
+
+    const code = searchCodes[i];
+    const rowIndex = index.rows[code];
+    if (!rowIndex) continue;
+
+    const row = booksSheet.getRange(rowIndex, 1, 1, index.schema.headers.length).getValues()[0];
+    if (normalizeBookCode(row[index.schema.codeCol]) !== code) {
+      if (!index.cached) {
+        throw codedError('books_changed');
+      }
+      // Stale index - rebuild it and start again
+      index = buildBookIndex(booksSheet);
+      i = -1;
+      continue;
+    }
+
+    const book = describeBookRow(index.schema, row);
+    book.rowIndex = rowIndex; // Store for updating later (1-based)
+    return { book: book, schema: index.schema };
+  }
+}
+
+/**
+ * Rows for the given codes from the cached index, or else the whole index
+ * built from the sheet
+ * The header row is read every time: inserting or deleting a column doesn't
+ * run onEdit, and a cached schema with the old column positions would put
+ * quantities in the wrong column.
+ * @param {Sheet} booksSheet - Books sheet
+ * @param {Array} codes - Normalized codes to look up
+ * @returns {object} { schema, rows: { normalizedCode: 1-based row }, lastRow, cached }
+ *   (a cached index has rows for the codes' buckets only; lastRow is the
+ *   sheet's last row when it was built)
+ */
+function getBookIndex(booksSheet, codes) {
+  const cache = CacheService.getScriptCache();
+  const meta = cache.get(BOOK_INDEX_CACHE_KEY);
+
+  if (meta && isBooksHeaderUnchanged(booksSheet, JSON.parse(meta).schema)) {
+    const header = JSON.parse(meta);
+    const keys = codes.map(function(code) {
+      return BOOK_INDEX_CACHE_KEY + '_' + getBookIndexBucket(code, header.buckets);
+    }).filter(function(key, i, all) { return all.indexOf(key) === i; });
+    const buckets = cache.getAll(keys);
+
+    // A bucket can be evicted on its own - then the index is rebuilt
+    if (keys.every(function(key) { return buckets[key]; })) {
+      const rows = {};
+      for (const key of keys) {
+        Object.assign(rows, JSON.parse(buckets[key]));
+      }
+      return { schema: header.schema, rows: rows, lastRow: header.last_row, cached: true };
+    }
+  }
+
+  return buildBookIndex(booksSheet);
+}
+
+/**
+ * Whether the Books header row still matches a cached schema
+ * @param {Sheet} booksSheet - Books sheet
+ * @param {object} schema - From getBooksSchema
+ * @returns {boolean}
+ */
+function isBooksHeaderUnchanged(booksSheet, schema) {
+  const headers = booksSheet.getRange(1, 1, 1, booksSheet.getLastColumn()).getValues()[0]
+    .map(function(header) { return header.toString().trim(); });
+  return headers.length === schema.headers.length && headers.join('\n') === schema.headers.join('\n');
+}
+
+/**
+ * Build the Book_code -> row index from the header row and Book_code column
+ * (not the whole sheet) and save it in the script cache
+ * @param {Sheet} booksSheet - Books sheet
+ * @returns {object} { schema, rows, lastRow, cached: false }
+ */
+function buildBookIndex(booksSheet) {
+  const schema = getBooksSchema(booksSheet.getRange(1, 1, 1, booksSheet.getLastColumn()).getValues()[0]);
+  const lastRow = booksSheet.getLastRow();
+  const codes = lastRow < 2 ? [] : booksSheet.getRange(2, schema.codeCol + 1, lastRow - 1, 1).getValues();
+
+  const rows = {};
+  for (let i = 0; i < codes.length; i++) {
+    const code = normalizeBookCode(codes[i][0]);
+    if (code && rows[code] === undefined) {
+      rows[code] = i + 2;
+    }
+  }
+
+  const bucketCount = Math.max(1, Math.ceil(codes.length / BOOK_INDEX_BUCKET_SIZE));
+  const buckets = [];
+  for (let i = 0; i < bucketCount; i++) {
+    buckets.push({});
+  }
+  for (const code of Object.keys(rows)) {
+    buckets[getBookIndexBucket(code, bucketCount)][code] = rows[code];
+  }
+
+  const values = {};
+  buckets.forEach(function(bucket, i) {
+    values[BOOK_INDEX_CACHE_KEY + '_' + i] = JSON.stringify(bucket);
+  });
+  values[BOOK_INDEX_CACHE_KEY] = JSON.stringify({ schema: schema, buckets: bucketCount, last_row: lastRow });
+
+  try {
+    CacheService.getScriptCache().putAll(values, BOOK_INDEX_TTL_SECONDS);
+  } catch (error) {
+    // Lookups still work without the cache, just more slowly
+    Logger.log('Could not cache the book index: ' + error.toString());
+  }
+
+  return { schema: schema, rows: rows, lastRow: lastRow, cached: false };
+}
+
+/**
+ * Which index bucket a code is kept in
+ * @param {string} code - Normalized book code
+ * @param {number} bucketCount
+ * @returns {number} 0 to bucketCount - 1
+ */
+function getBookIndexBucket(code, bucketCount) {
+  let hash = 0;
+  for (let i = 0; i < code.length; i++) {
+    hash = (hash * 31 + code.charCodeAt(i)) % bucketCount;
+  }
+  return hash;
+}
+
+/**
+ * Drop the cached book index (rows were added, or columns may have changed)
+ */
+function invalidateBookIndex() {
+  CacheService.getScriptCache().remove(BOOK_INDEX_CACHE_KEY);
+}
+
+/**
+ * Simple trigger: runs whenever someone edits the spreadsheet by hand
+ * Edits to the sheets the book index depends on drop it. (Script writes
+ * don't trigger this; createBook drops the index itself.)
+ * @param {object} e - Edit event
+ */
+function onEdit(e) {
+  const name = e && e.range ? e.range.getSheet().getName() : '';
+  if ([BOOKS_SHEET_NAME, LOCATIONS_SHEET_NAME, BOOK_FIELDS_SHEET_NAME].indexOf(name) !== -1) {
+    invalidateBookIndex();
+  }
+}
+
+/**
+ * Normalize book code for comparison (same rules as normalizeBookCode in app.js)
+ * @param {*} code - Book code as typed, scanned or stored
+ * @returns {string}
+ */
+function normalizeBookCode(code) {
+  return code.toString().replace(/[-\s]/g, '').toUpperCase();
+}
+
+/**
+ * Every normalized form a book's code may be stored under: as given,
+ * without an EAN-2/EAN-5 add-on, and the other ISBN form (ISBN-10 <-> ISBN-13)
+ * (same rules as BarcodeUtils.getCodeVariants in barcode-utils.js)
+ * @param {*} code - Book code as typed, scanned or stored
+ * @returns {Array} Normalized codes, the code as given first
+ */
+function getBookCodeVariants(code) {
+  const raw = normalizeBookCode(code);
+  let cleaned = raw;
+  if (/^\d{15}$|^\d{18}$/.test(raw) && isValidGtin(raw.slice(0, 13))) {
+    cleaned = raw.slice(0, 13);
+  }
+
+  const variants = [raw, cleaned];
+  if (/^\d{9}[\dX]$/.test(cleaned) && isbn10CheckDigit(cleaned) === cleaned[9]) {
+    const isbn13 = '978' + cleaned.slice(0, 9);
+    variants.push(isbn13 + gtinCheckDigit(isbn13));
+  } else if (/^978\d{10}$/.test(cleaned) && isValidGtin(cleaned)) {
+    const isbn10 = cleaned.slice(3, 12);
+    variants.push(isbn10 + isbn10CheckDigit(isbn10));
+  }
+
+  return variants.filter(function(variant, index) {
+    return variant && variants.indexOf(variant) === index;
+  });
+}
+
+/**
+ * GS1 check digit (EAN-8, UPC-A, EAN-13) for the digits before it
+ * @param {string} digits
+ * @returns {number}
+ */
+function gtinCheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    sum += Number(digits[i]) * ((digits.length - i) % 2 === 1 ? 3 : 1);
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * @param {string} code - Digits only
+ * @returns {boolean} Whether it is an EAN-8, UPC-A or EAN-13 with a correct check digit
+ */
+function isValidGtin(code) {
+  return /^(\d{8}|\d{12}|\d{13})$/.test(code) && gtinCheckDigit(code.slice(0, -1)) === Number(code.slice(-1));
+}
+
+/**
+ * ISBN-10 check character for the first nine digits
+ * @param {string} digits
+ * @returns {string} '0'-'9' or 'X'
+ */
+function isbn10CheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    sum += Number(digits[i]) * (10 - i);
+  }
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+}
+
+/**
+ * Add a transaction and update location-specific inventory
+ * Runs under the script lock so concurrent submits for the same book
+ * can't overwrite each other's quantity update.
+ * A removal that would leave the location below zero is refused unless
+ * override_reason is given; the reason is added to the comments.
+ * @param {object} transaction - Transaction data (including transaction_id, optional override_reason)
+ * @returns {object} Result with new quantities, or { error, negative_stock, location_qty }
+ */
+function addTransaction(transaction) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const transSheet = ss.getSheetByName(TRANSACTIONS_SHEET_NAME);
+  const booksSheet = ss.getSheetByName(BOOKS_SHEET_NAME);
+
+  if (!transSheet) {
+    throw codedError('sheet_not_found', { sheet: TRANSACTIONS_SHEET_NAME });
+  }
+
+  if (!booksSheet) {
+    throw codedError('sheet_not_found', { sheet: BOOKS_SHEET_NAME });
+  }
+
+  return withScriptLock(function() {
+    ensureTransactionColumns(transSheet);
+
+    // Already applied (client retried after a timeout or lost response)
+    const existingRow = findTransactionRow(transSheet, transaction.transaction_id);
+    if (existingRow !== -1) {
+      return getDuplicateTransactionResult(transSheet, existingRow);
+    }
+
+    // Get current book details (read inside the lock so the quantity is current)
+    const record = findBookRecord(transaction.book_code);
+    if (!record) {
+      return Object.assign(errorBody('book_not_found'), { not_found: true, book_code: transaction.book_code });
+    }
+    const book = record.book;
+
+    // Find the location column in Books sheet
+    const schema = record.schema;
+    const locationColIndex = findLocationColumn(schema, transaction.location);
+    const updateColIndex = schema.updateCol;
+    const totalColIndex = schema.totalCol;
+
+    if (locationColIndex === -1) {
+      throw codedError('location_column_missing', { location: transaction.location });
+    }
+
+    // Calculate new quantity for this location
+    const currentLocationQty = book.locations[transaction.location] || 0;
+    const newLocationQty = currentLocationQty + transaction.qty;
+
+    if (transaction.qty < 0 && newLocationQty < 0 && !transaction.override_reason) {
+      return Object.assign(errorBody('not_enough_stock', { location: transaction.location, qty: currentLocationQty }), {
+        negative_stock: true,
+        book_code: transaction.book_code,
+        location: transaction.location,
+        location_qty: currentLocationQty
+      });
+    }
+
+    // Add transaction row to Transactions sheet
+    const timestamp = new Date();
+    appendTransactionRows(transSheet, [buildTransactionRow({
+      Book_code: transaction.book_code,
+      Qty: transaction.qty,
+      Location: transaction.location,  // This is the location name
+      Datetime: timestamp,
+      User: transaction.user,
+      Comments: withOverrideNote(transaction.comments, transaction.override_reason),
+      Transaction_id: transaction.transaction_id,
+      Type: TRANSACTION_TYPES.TRANSACTION
+    })]);
+
+    // Update the location-specific column
+    booksSheet.getRange(book.rowIndex, locationColIndex + 1).setValue(newLocationQty);
+
+    // Update Last_update timestamp
+    if (updateColIndex !== -1) {
+      booksSheet.getRange(book.rowIndex, updateColIndex + 1).setValue(timestamp);
+    }
+
+    // Prepare updated locations object
+    const updatedLocations = { ...book.locations };
+    updatedLocations[transaction.location] = newLocationQty;
+
+    // Recompute Total from the locations (not Total + qty, so any drift is repaired)
+    if (totalColIndex !== -1) {
+      booksSheet.getRange(book.rowIndex, totalColIndex + 1).setValue(sumLocationQuantities(updatedLocations));
+    }
+
+    return {
+      success: true,
+      transaction_id: transaction.transaction_id,
+      book_code: transaction.book_code,
+      book_name: book.Book_name,
+      location: transaction.location,
+      old_qty: currentLocationQty,
+      new_qty: newLocationQty,
+      transaction_qty: transaction.qty,
+      locations: updatedLocations,
+      timestamp: timestamp
+    };
+  });
+}
+
+/**
+ * Apply many transactions in one pass over the Books sheet
+ * Each line gets Transaction_id "<batch id>-<line index>" and the batch ID
+ * as Reference, so a retried batch skips the lines already recorded.
+ * Lines that fail (unknown book, bad qty, not enough stock) don't stop the others.
+ * @param {object} batch - { location, lines: [{ book_code, qty, comments }], user, comments, transaction_id,
+ *   allow_large_negative }
+ * @returns {object} { success, transaction_id, applied, failed, results: [...] }
+ */
+function addBulkTransactions(batch) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const transSheet = ss.getSheetByName(TRANSACTIONS_SHEET_NAME);
+  const booksSheet = ss.getSheetByName(BOOKS_SHEET_NAME);
+
+  if (!transSheet) {
+    throw codedError('sheet_not_found', { sheet: TRANSACTIONS_SHEET_NAME });
+  }
+
+  if (!booksSheet) {
+    throw codedError('sheet_not_found', { sheet: BOOKS_SHEET_NAME });
+  }
+
+  return withScriptLock(function() {
+    ensureTransactionColumns(transSheet);
+
+    const table = readBooksTable(booksSheet);
+    const locationCol = findLocationColumn(table, batch.location);
+
+    if (locationCol === -1) {
+      throw codedError('location_column_missing', { location: batch.location });
+    }
+
+    const existingIds = getTransactionIds(transSheet);
+    const timestamp = new Date();
+    const ledgerRows = [];
+    const changedRows = {};
+    const results = [];
+
+    batch.lines.forEach(function(line, index) {
+      const lineId = batch.transaction_id + '-' + index;
+      const qty = parseFloat(line.qty);
+      const rowIndex = findBooksTableRow(table, line.book_code || '');
+      const lineResult = { index: index, book_code: line.book_code, transaction_id: lineId };
+
+      if (rowIndex === undefined) {
+        lineResult.success = false;
+        Object.assign(lineResult, errorBody('book_not_found'));
+      } else if (isNaN(qty) || qty === 0) {
+        lineResult.success = false;
+        Object.assign(lineResult, errorBody('qty_zero'));
+      } else if (qty < -LARGE_NEGATIVE_THRESHOLD && !batch.allow_large_negative) {
+        lineResult.success = false;
+        Object.assign(lineResult, errorBody('line_large_negative', { threshold: LARGE_NEGATIVE_THRESHOLD }));
+      } else if (existingIds[lineId]) {
+        lineResult.success = true;
+        lineResult.duplicate = true;
+        lineResult.row = rowIndex;
+      } else if (qty < 0 && (parseFloat(table.data[rowIndex][locationCol]) || 0) + qty < 0) {
+        lineResult.success = false;
+        Object.assign(lineResult, errorBody('line_not_enough_stock', {
+          qty: parseFloat(table.data[rowIndex][locationCol]) || 0,
+          location: batch.location
+        }));
+      } else {
+        const newQty = (parseFloat(table.data[rowIndex][locationCol]) || 0) + qty;
+        table.data[rowIndex][locationCol] = newQty;
+        changedRows[rowIndex] = true;
+
+        ledgerRows.push(buildTransactionRow({
+          Book_code: table.data[rowIndex][table.codeCol],
+          Qty: qty,
+          Location: batch.location,
+          Datetime: timestamp,
+          User: batch.user,
+          Comments: line.comments || batch.comments,
+          Transaction_id: lineId,
+          Reference: batch.transaction_id,
+          Type: TRANSACTION_TYPES.TRANSACTION
+        }));
+
+        lineResult.success = true;
+        lineResult.transaction_qty = qty;
+        lineResult.row = rowIndex;
+      }
+
+      results.push(lineResult);
+    });
+
+    writeBooksTableColumn(booksSheet, table, changedRows, locationCol, timestamp);
+    appendTransactionRows(transSheet, ledgerRows);
+
+    // Final quantity per line (after every line for the same book)
+    for (const lineResult of results) {
+      if (lineResult.row === undefined) continue;
+      Object.assign(lineResult, describeBooksTableRow(table, lineResult.row));
+      lineResult.new_qty = lineResult.locations[batch.location];
+      delete lineResult.row;
+    }
+
+    const failed = results.filter(function(r) { return !r.success; }).length;
+
+    return {
+      success: true,
+      transaction_id: batch.transaction_id,
+      location: batch.location,
+      applied: results.length - failed,
+      failed: failed,
+      results: results,
+      timestamp: timestamp
+    };
+  });
+}
+
+/**
+ * Record a physical count and correct the location's quantities to match
+ * Each line's adjustment is counted minus the quantity in the sheet at the
+ * time of posting (not the client's cached value). A summary row goes to
+ * the Stocktakes sheet. Retrying the same stocktake ID changes nothing.
+ * @param {object} stocktake - { location, lines: [{ book_code, counted }], user, comments, transaction_id,
+ *   allow_large_negative }
+ * @returns {object} { success, transaction_id, summary, results: [...] }
+ */
+function applyStocktake(stocktake) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const transSheet = ss.getSheetByName(TRANSACTIONS_SHEET_NAME);
+  const booksSheet = ss.getSheetByName(BOOKS_SHEET_NAME);
+
+  if (!transSheet) {
+    throw codedError('sheet_not_found', { sheet: TRANSACTIONS_SHEET_NAME });
+  }
+
+  if (!booksSheet) {
+    throw codedError('sheet_not_found', { sheet: BOOKS_SHEET_NAME });
+  }
+
+  return withScriptLock(function() {
+    ensureTransactionColumns(transSheet);
+    // Inside the lock, so two first stocktakes can't both insert the sheet
+    const stocktakesSheet = getOrCreateSheet(STOCKTAKES_SHEET_NAME, STOCKTAKE_COLUMNS);
+
+    if (findStocktakeRow(stocktakesSheet, stocktake.transaction_id) !== -1) {
+      return { success: true, duplicate: true, transaction_id: stocktake.transaction_id, results: [] };
+    }
+
+    const table = readBooksTable(booksSheet);
+    const locationCol = findLocationColumn(table, stocktake.location);
+
+    if (locationCol === -1) {
+      throw codedError('location_column_missing', { location: stocktake.location });
+    }
+
+    const timestamp = new Date();
+    const ledgerRows = [];
+    const changedRows = {};
+    const results = [];
+    const summary = { books_counted: 0, units_counted: 0, adjustments: 0, net_variance: 0 };
+
+    stocktake.lines.forEach(function(line, index) {
+      const counted = parseFloat(line.counted);
+      const rowIndex = findBooksTableRow(table, line.book_code || '');
+      const lineResult = { index: index, book_code: line.book_code };
+
+      if (rowIndex === undefined) {
+        lineResult.success = false;
+        Object.assign(lineResult, errorBody('book_not_found'));
+        results.push(lineResult);
+        return;
+      }
+      if (isNaN(counted) || counted < 0) {
+        lineResult.success = false;
+        Object.assign(lineResult, errorBody('counted_negative'));
+        results.push(lineResult);
+        return;
+      }
+
+      const expected = parseFloat(table.data[rowIndex][locationCol]) || 0;
+      const variance = counted - expected;
+
+      if (variance < -LARGE_NEGATIVE_THRESHOLD && !stocktake.allow_large_negative) {
+        lineResult.success = false;
+        Object.assign(lineResult, errorBody('large_shortfall', { threshold: LARGE_NEGATIVE_THRESHOLD }));
+        results.push(lineResult);
+        return;
+      }
+
+      if (counted > 0) {
+        summary.books_counted++;
+        summary.units_counted += counted;
+      }
+
+      if (variance !== 0) {
+        table.data[rowIndex][locationCol] = counted;
+        changedRows[rowIndex] = true;
+        summary.adjustments++;
+        summary.net_variance += variance;
+
+        ledgerRows.push(buildTransactionRow({
+          Book_code: table.data[rowIndex][table.codeCol],
+          Qty: variance,
+          Location: stocktake.location,
+          Datetime: timestamp,
+          User: stocktake.user,
+          Comments: 'Stocktake correction (expected ' + expected + ', counted ' + counted + ')',
+          Transaction_id: stocktake.transaction_id + '-' + index,
+          Reference: stocktake.transaction_id,
+          Type: TRANSACTION_TYPES.STOCKTAKE
+        }));
+      }
+
+      lineResult.success = true;
+      lineResult.expected = expected;
+      lineResult.counted = counted;
+      lineResult.variance = variance;
+      Object.assign(lineResult, describeBooksTableRow(table, rowIndex));
+      results.push(lineResult);
+    });
+
+    writeBooksTableColumn(booksSheet, table, changedRows, locationCol, timestamp);
+    appendTransactionRows(transSheet, ledgerRows);
+
+    stocktakesSheet.appendRow(STOCKTAKE_COLUMNS.map(function(column) {
+      return {
+        Stocktake_id: stocktake.transaction_id,
+        Location: stocktake.location,
+        Datetime: timestamp,
+        User: stocktake.user,
+        Books_counted: summary.books_counted,
+        Units_counted: summary.units_counted,
+        Adjustments: summary.adjustments,
+        Net_variance: summary.net_variance,
+        Comments: stocktake.comments
+      }[column];
+    }));
+
+    return {
+      success: true,
+      transaction_id: stocktake.transaction_id,
+      location: stocktake.location,
+      summary: summary,
+      results: results,
+      timestamp: timestamp
+    };
+  });
+}
+
+/**
+ * Append a new book to the Books sheet with every location at zero
+ * A code that matches an existing one (in any form, see getBookCodeVariants) is refused,
+ * unless it's the same book again (a retried request), which is returned as is.
+ * @param {object} newBook - { book_code, book_name, book_series, volume }
+ * @returns {object} { success, book } (book as in getAllBooks), or { error }
+ */
+function createBook(newBook) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const booksSheet = ss.getSheetByName(BOOKS_SHEET_NAME);
+
+  if (!booksSheet) {
+    throw codedError('sheet_not_found', { sheet: BOOKS_SHEET_NAME });
+  }
+
+  return withScriptLock(function() {
+    const table = readBooksTable(booksSheet);
+    const existingRow = findBooksTableRow(table, newBook.book_code);
+
+    if (existingRow !== undefined) {
+      const existing = describeBooksTableRow(table, existingRow);
+      const existingCode = table.data[existingRow][table.codeCol];
+
+      if (existingCode.toString() === newBook.book_code && existing.book_name === newBook.book_name) {
+        return { success: true, duplicate: true, book: describeBookRow(table, table.data[existingRow]) };
+      }
+      return errorBody('book_exists', { book_code: newBook.book_code, book_name: existing.book_name });
+    }
+
+    const timestamp = new Date();
+    const values = {
+      Book_code: newBook.book_code,
+      Book_series: newBook.book_series,
+      Book_name: newBook.book_name,
+      Volume: newBook.volume,
+      Total: 0,
+      Last_update: timestamp
+    };
+    for (const loc of table.locationCols) {
+      values[loc.name] = 0;
+    }
+
+    const row = table.headers.map(function(header) {
+      return values[header] !== undefined ? values[header] : '';
+    });
+
+    // Keep codes like "00123" as text so the sheet doesn't turn them into numbers
+    const newRow = table.data.length + 1;
+    booksSheet.getRange(newRow, table.codeCol + 1).setNumberFormat('@');
+    booksSheet.getRange(newRow, 1, 1, row.length).setValues([row]);
+    invalidateBookIndex();
+
+    return { success: true, book: describeBookRow(table, row) };
+  });
+}
+
+/**
+ * Read the whole Books sheet once for an update that touches many books
+ * @param {Sheet} booksSheet - Books sheet
+ * @returns {object} The getBooksSchema columns plus { data, rowsByCode }
+ *   rowsByCode maps normalized Book_code to its index in data
+ */
+function readBooksTable(booksSheet) {
+  const data = booksSheet.getDataRange().getValues();
+  const schema = getBooksSchema(data[0]);
+
+  const rowsByCode = {};
+  for (let i = 1; i < data.length; i++) {
+    const code = normalizeBookCode(data[i][schema.codeCol]);
+    if (code && rowsByCode[code] === undefined) {
+      rowsByCode[code] = i;
+    }
+  }
+
+  return Object.assign({ data: data, rowsByCode: rowsByCode }, schema);
+}
+
+/**
+ * Data row of a book in a readBooksTable table, trying the code's other
+ * forms (see getBookCodeVariants) when it isn't stored as given
+ * @param {object} table - From readBooksTable
+ * @param {*} bookCode - Code as sent by the client or logged in Transactions
+ * @returns {number|undefined} Index into table.data
+ */
+function findBooksTableRow(table, bookCode) {
+  const variants = getBookCodeVariants(bookCode);
+  for (let i = 0; i < variants.length; i++) {
+    if (table.rowsByCode[variants[i]] !== undefined) {
+      return table.rowsByCode[variants[i]];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Write one column's changed values from a readBooksTable table back to the sheet
+ * Total is recomputed from the row's location columns.
+ * @param {Sheet} booksSheet - Books sheet
+ * @param {object} table - From readBooksTable (with updated data)
+ * @param {object} changedRows - { dataRowIndex: true } for rows to write
+ * @param {number} column - 0-based column that changed
+ * @param {Date} timestamp - Written to Last_update for each changed row
+ */
+function writeBooksTableColumn(booksSheet, table, changedRows, column, timestamp) {
+  for (const key in changedRows) {
+    const rowIndex = Number(key);
+    booksSheet.getRange(rowIndex + 1, column + 1).setValue(table.data[rowIndex][column]);
+    if (table.totalCol !== -1) {
+      table.data[rowIndex][table.totalCol] = sumLocationQuantities(describeBooksTableRow(table, rowIndex).locations);
+      booksSheet.getRange(rowIndex + 1, table.totalCol + 1).setValue(table.data[rowIndex][table.totalCol]);
+    }
+    if (table.updateCol !== -1) {
+      booksSheet.getRange(rowIndex + 1, table.updateCol + 1).setValue(timestamp);
+    }
+  }
+}
+
+/**
+ * Sum of a book's per-location quantities (the value Total should hold)
+ * @param {object} locations - { locationName: qty }
+ * @returns {number}
+ */
+function sumLocationQuantities(locations) {
+  let total = 0;
+  for (const name in locations) {
+    total += parseFloat(locations[name]) || 0;
+  }
+  return total;
+}
+
+/**
+ * Name and per-location quantities of a row in a readBooksTable table
+ * @param {object} table - From readBooksTable
+ * @param {number} rowIndex - Index in table.data
+ * @returns {object} { book_name, locations }
+ */
+function describeBooksTableRow(table, rowIndex) {
+  const row = table.data[rowIndex];
+  const locations = {};
+  for (const loc of table.locationCols) {
+    locations[loc.name] = row[loc.index] || 0;
+  }
+  return {
+    book_name: table.nameCol !== -1 ? row[table.nameCol] : '',
+    locations: locations
+  };
+}
+
+/**
+ * Move stock from one location to another
+ * Writes two Transactions rows (out of the source, into the destination)
+ * sharing the transfer's ID as Reference, and updates both location
+ * columns. If any write fails, the Books cells already written are
+ * restored so stock never disappears half-way. Taking the source below
+ * zero needs an override_reason, as in addTransaction.
+ * @param {object} transfer - { book_code, qty, from_location, to_location, user, comments, transaction_id,
+ *   override_reason }
+ * @returns {object} Result with both new quantities, or { error, negative_stock, location_qty }
+ */
+function transferStock(transfer) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const transSheet = ss.getSheetByName(TRANSACTIONS_SHEET_NAME);
+  const booksSheet = ss.getSheetByName(BOOKS_SHEET_NAME);
+
+  if (!transSheet) {
+    throw codedError('sheet_not_found', { sheet: TRANSACTIONS_SHEET_NAME });
+  }
+
+  if (!booksSheet) {
+    throw codedError('sheet_not_found', { sheet: BOOKS_SHEET_NAME });
+  }
+
+  const outId = transfer.transaction_id + '-out';
+  const inId = transfer.transaction_id + '-in';
+
+  return withScriptLock(function() {
+    ensureTransactionColumns(transSheet);
+
+    const record = findBookRecord(transfer.book_code);
+    if (!record) {
+      return Object.assign(errorBody('book_not_found'), { not_found: true, book_code: transfer.book_code });
+    }
+    const book = record.book;
+
+    // Already applied - report current quantities
+    if (findTransactionRow(transSheet, outId) !== -1) {
+      return {
+        success: true,
+        duplicate: true,
+        transaction_id: transfer.transaction_id,
+        book_code: transfer.book_code,
+        book_name: book.Book_name,
+        from_location: transfer.from_location,
+        to_location: transfer.to_location,
+        from_qty: book.locations[transfer.from_location] || 0,
+        to_qty: book.locations[transfer.to_location] || 0,
+        transaction_qty: transfer.qty,
+        locations: book.locations
+      };
+    }
+
+    const schema = record.schema;
+
+    const fromColIndex = findLocationColumn(schema, transfer.from_location);
+    const toColIndex = findLocationColumn(schema, transfer.to_location);
+    const updateColIndex = schema.updateCol;
+    const totalColIndex = schema.totalCol;
+
+    if (fromColIndex === -1) {
+      throw codedError('location_column_missing', { location: transfer.from_location });
+    }
+    if (toColIndex === -1) {
+      throw codedError('location_column_missing', { location: transfer.to_location });
+    }
+
+    const timestamp = new Date();
+    const oldFromQty = book.locations[transfer.from_location] || 0;
+    const oldToQty = book.locations[transfer.to_location] || 0;
+    const newFromQty = oldFromQty - transfer.qty;
+    const newToQty = oldToQty + transfer.qty;
+
+    if (newFromQty < 0 && !transfer.override_reason) {
+      return Object.assign(errorBody('not_enough_stock', { location: transfer.from_location, qty: oldFromQty }), {
+        negative_stock: true,
+        book_code: transfer.book_code,
+        location: transfer.from_location,
+        location_qty: oldFromQty
+      });
+    }
+    const comments = withOverrideNote(transfer.comments, transfer.override_reason);
+
+    const ledgerRows = [
+      buildTransactionRow({
+        Book_code: transfer.book_code,
+        Qty: -transfer.qty,
+        Location: transfer.from_location,
+        Datetime: timestamp,
+        User: transfer.user,
+        Comments: comments,
+        Transaction_id: outId,
+        Reference: transfer.transaction_id,
+        Type: TRANSACTION_TYPES.TRANSFER
+      }),
+      buildTransactionRow({
+        Book_code: transfer.book_code,
+        Qty: transfer.qty,
+        Location: transfer.to_location,
+        Datetime: timestamp,
+        User: transfer.user,
+        Comments: comments,
+        Transaction_id: inId,
+        Reference: transfer.transaction_id,
+        Type: TRANSACTION_TYPES.TRANSFER
+      })
+    ];
+
+    const updatedLocations = { ...book.locations };
+    updatedLocations[transfer.from_location] = newFromQty;
+    updatedLocations[transfer.to_location] = newToQty;
+
+    // Cells to change in the book's row: [0-based column, new value]
+    const cellUpdates = [[fromColIndex, newFromQty], [toColIndex, newToQty]];
+    if (updateColIndex !== -1) {
+      cellUpdates.push([updateColIndex, timestamp]);
+    }
+    if (totalColIndex !== -1) {
+      cellUpdates.push([totalColIndex, sumLocationQuantities(updatedLocations)]);
+    }
+
+    writeBookCellsWithLedger(booksSheet, book.rowIndex, cellUpdates, transSheet, ledgerRows);
+
+    return {
+      success: true,
+      transaction_id: transfer.transaction_id,
+      book_code: transfer.book_code,
+      book_name: book.Book_name,
+      from_location: transfer.from_location,
+      to_location: transfer.to_location,
+      from_qty: newFromQty,
+      to_qty: newToQty,
+      transaction_qty: transfer.qty,
+      locations: updatedLocations,
+      timestamp: timestamp
+    };
+  });
+}
+
+/**
+ * Update cells in one Books row and append Transactions rows as one unit
+ * Call inside withScriptLock. On failure the Books cells are restored to
+ * their previous values before the error is rethrown.
+ * @param {Sheet} booksSheet - Books sheet
+ * @param {number} rowIndex - 1-based row of the book
+ * @param {Array} cellUpdates - [[0-based column, value], ...]
+ * @param {Sheet} transSheet - Transactions sheet
+ * @param {Array} ledgerRows - Rows from buildTransactionRow
+ */
+function writeBookCellsWithLedger(booksSheet, rowIndex, cellUpdates, transSheet, ledgerRows) {
+  const written = [];
+
+  try {
+    for (const update of cellUpdates) {
+      const cell = booksSheet.getRange(rowIndex, update[0] + 1);
+      written.push({ cell: cell, previous: cell.getValue() });
+      cell.setValue(update[1]);
+    }
+
+    appendTransactionRows(transSheet, ledgerRows);
+
+  } catch (error) {
+    Logger.log('Rolling back Books row ' + rowIndex + ': ' + error.toString());
+    for (const change of written) {
+      change.cell.setValue(change.previous);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Post rows that cancel an earlier transaction and restore the quantities
+ * original_id is a Transaction_id (single transaction or batch line) or a
+ * transfer ID (both legs are reversed together). Each reversal row has
+ * Type 'reversal' and Reference = original_id, which is how a second
+ * reversal is detected. Stocktake corrections and reversals can't be reversed.
+ * Taking back stock that has since been sold or moved would leave a
+ * location below zero, which needs an override_reason, as in addTransaction.
+ * @param {object} reversal - { original_id, user, is_admin, comments, override_reason, transaction_id }
+ * @returns {object} { success, transaction_id, original_id, book_code, book_name, locations, ... }
+ *   or { error } when the reversal is refused ({ error, negative_stock, location_qty } for lack of stock)
+ */
+function reverseTransaction(reversal) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const transSheet = ss.getSheetByName(TRANSACTIONS_SHEET_NAME);
+  const booksSheet = ss.getSheetByName(BOOKS_SHEET_NAME);
+
+  if (!transSheet) {
+    throw codedError('sheet_not_found', { sheet: TRANSACTIONS_SHEET_NAME });
+  }
+
+  if (!booksSheet) {
+    throw codedError('sheet_not_found', { sheet: BOOKS_SHEET_NAME });
+  }
+
+  return withScriptLock(function() {
+    ensureTransactionColumns(transSheet);
+
+    const found = findReversalOriginals(transSheet, reversal.original_id);
+    const referencing = found.referencing;
+    const originals = found.originals;
+
+    // A transfer's legs are only reversed together, by the transfer ID -
+    // otherwise the same movement could be undone once per leg and again whole
+    if (originals.length === 1 && originals[0].Type === TRANSACTION_TYPES.TRANSFER &&
+        originals[0].Transaction_id.toString() === reversal.original_id) {
+      return errorBody('reverse_transfer_leg', { transfer_id: originals[0].Reference });
+    }
+
+    if (originals.length === 0) {
+      return errorBody('transaction_not_found');
+    }
+
+    const type = originals[0].Type || TRANSACTION_TYPES.TRANSACTION;
+    if (type !== TRANSACTION_TYPES.TRANSACTION && type !== TRANSACTION_TYPES.TRANSFER) {
+      return errorBody('not_reversible', { type: type });
+    }
+
+    const record = findBookRecord(originals[0].Book_code);
+    if (!record) {
+      return errorBody('book_not_found');
+    }
+    const book = record.book;
+
+    const previous = referencing.filter(function(record) {
+      return record.Type === TRANSACTION_TYPES.REVERSAL;
+    });
+    if (previous.length > 0) {
+      const ownId = previous[0].Transaction_id.toString();
+      // Our own earlier attempt (client retried) - report it as done
+      if (ownId === reversal.transaction_id || ownId.indexOf(reversal.transaction_id + '-') === 0) {
+        return {
+          success: true,
+          duplicate: true,
+          transaction_id: reversal.transaction_id,
+          original_id: reversal.original_id,
+          book_code: book.Book_code,
+          book_name: book.Book_name,
+          locations: book.locations
+        };
+      }
+      return errorBody('already_reversed', { user: previous[0].User });
+    }
+
+    // The reversal's rows need IDs of their own
+    const reversalIds = originals.length === 1
+      ? [reversal.transaction_id]
+      : originals.map(function(original, index) { return reversal.transaction_id + '-' + index; });
+    const idInUse = reversal.transaction_id === reversal.original_id ||
+      findTransactionRowsByReference(transSheet, reversal.transaction_id).length > 0 ||
+      reversalIds.some(function(id) { return findTransactionRow(transSheet, id) !== -1; });
+    if (idInUse) {
+      return errorBody('transaction_id_in_use', { transaction_id: reversal.transaction_id });
+    }
+
+    const originalUser = originals[0].User.toString().toLowerCase().trim();
+    if (!reversal.is_admin && originalUser !== reversal.user.toString().toLowerCase().trim()) {
+      return errorBody('reverse_not_allowed', { user: originals[0].User });
+    }
+
+    const schema = record.schema;
+    const updateColIndex = schema.updateCol;
+    const totalColIndex = schema.totalCol;
+
+    const timestamp = new Date();
+    const updatedLocations = { ...book.locations };
+    const cellUpdates = [];
+    const ledgerRows = [];
+
+    originals.forEach(function(original, index) {
+      const colIndex = findLocationColumn(schema, original.Location);
+      if (colIndex === -1) {
+        throw codedError('location_column_missing', { location: original.Location });
+      }
+
+      const qty = parseFloat(original.Qty) || 0;
+      updatedLocations[original.Location] = (parseFloat(updatedLocations[original.Location]) || 0) - qty;
+      cellUpdates.push([colIndex, updatedLocations[original.Location]]);
+
+      ledgerRows.push(buildTransactionRow({
+        Book_code: original.Book_code,
+        Qty: -qty,
+        Location: original.Location,
+        Datetime: timestamp,
+        User: reversal.user,
+        Comments: withOverrideNote(
+          ('Reversal of ' + original.Transaction_id + ' ' + (reversal.comments || '')).trim(),
+          reversal.override_reason
+        ),
+        Transaction_id: reversalIds[index],
+        Reference: reversal.original_id,
+        Type: TRANSACTION_TYPES.REVERSAL
+      }));
+    });
+
+    const shortLocation = Object.keys(updatedLocations).find(function(location) {
+      return updatedLocations[location] < 0 && updatedLocations[location] < (parseFloat(book.locations[location]) || 0);
+    });
+    if (shortLocation !== undefined && !reversal.override_reason) {
+      const currentQty = parseFloat(book.locations[shortLocation]) || 0;
+      return Object.assign(errorBody('not_enough_stock', { location: shortLocation, qty: currentQty }), {
+        negative_stock: true,
+        book_code: book.Book_code,
+        location: shortLocation,
+        location_qty: currentQty
+      });
+    }
+
+    if (updateColIndex !== -1) {
+      cellUpdates.push([updateColIndex, timestamp]);
+    }
+    if (totalColIndex !== -1) {
+      cellUpdates.push([totalColIndex, sumLocationQuantities(updatedLocations)]);
+    }
+
+    writeBookCellsWithLedger(booksSheet, book.rowIndex, cellUpdates, transSheet, ledgerRows);
+
+    return {
+      success: true,
+      transaction_id: reversal.transaction_id,
+      original_id: reversal.original_id,
+      original_type: type,
+      book_code: book.Book_code,
+      book_name: book.Book_name,
+      locations: updatedLocations,
+      timestamp: timestamp
+    };
+  });
+}
+
+/**
+ * The Transactions rows a reversal would cancel: the legs of a transfer,
+ * or else the single row with that Transaction_id
+ * @param {Sheet} transSheet - Transactions sheet
+ * @param {string} originalId - Transaction_id or transfer ID
+ * @returns {object} { originals, referencing } - referencing is every row
+ *   whose Reference is originalId (including earlier reversals)
+ */
+function findReversalOriginals(transSheet, originalId) {
+  const referencing = findTransactionRowsByReference(transSheet, originalId)
+    .map(function(row) { return readTransactionRecord(transSheet, row); });
+
+  let originals = referencing.filter(function(record) {
+    return record.Type === TRANSACTION_TYPES.TRANSFER;
+  });
+  if (originals.length === 0) {
+    const row = findTransactionRow(transSheet, originalId);
+    originals = row === -1 ? [] : [readTransactionRecord(transSheet, row)];
+  }
+
+  return { originals: originals, referencing: referencing };
+}
+
+/**
+ * Compare every book's location quantities and Total with the Transactions
+ * sheet, and optionally overwrite them with the ledger's figures
+ * The ledger is replayed from the first row, so stock that was typed into
+ * the Books sheet without a transaction shows up as a mismatch - review a
+ * dry run before applying. Transactions rows whose book or location no
+ * longer exists are reported as unmatched and left out.
+ * @param {object} options - { dry_run } - when true nothing is written
+ * @returns {object} { success, dry_run, books_checked, transactions_replayed,
+ *   mismatches: [{ row, book_code, book_name, column, stored, ledger }], unmatched: [...], fixed }
+ */
+function reconcileStock(options) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const transSheet = ss.getSheetByName(TRANSACTIONS_SHEET_NAME);
+  const booksSheet = ss.getSheetByName(BOOKS_SHEET_NAME);
+
+  if (!transSheet) {
+    throw codedError('sheet_not_found', { sheet: TRANSACTIONS_SHEET_NAME });
+  }
+
+  if (!booksSheet) {
+    throw codedError('sheet_not_found', { sheet: BOOKS_SHEET_NAME });
+  }
+
+  return withScriptLock(function() {
+    const table = readBooksTable(booksSheet);
+    const locationNames = table.locationCols.map(function(loc) { return loc.name; });
+
+    // Replay the ledger: { dataRowIndex: { locationName: qty } }
+    const ledger = {};
+    const unmatched = [];
+    const codeIndex = TRANSACTION_COLUMNS.indexOf('Book_code');
+    const qtyIndex = TRANSACTION_COLUMNS.indexOf('Qty');
+    const locationIndex = TRANSACTION_COLUMNS.indexOf('Location');
+    const transData = transSheet.getDataRange().getValues();
+
+    for (let i = 1; i < transData.length; i++) {
+      const code = transData[i][codeIndex];
+      const location = (transData[i][locationIndex] || '').toString().trim();
+      const qty = parseFloat(transData[i][qtyIndex]) || 0;
+      const rowIndex = findBooksTableRow(table, code || '');
+
+      if (rowIndex === undefined || !locationNames.includes(location)) {
+        unmatched.push({
+          row: i + 1,
+          book_code: code,
+          location: location,
+          qty: qty,
+          reason_code: rowIndex === undefined ? 'book_not_found' : 'location_column_not_found',
+          reason: ERROR_MESSAGES[rowIndex === undefined ? 'book_not_found' : 'location_column_not_found']
+        });
+        continue;
+      }
+
+      ledger[rowIndex] = ledger[rowIndex] || {};
+      ledger[rowIndex][location] = (ledger[rowIndex][location] || 0) + qty;
+    }
+
+    const mismatches = [];
+    const changedRows = {};
+
+    for (let rowIndex = 1; rowIndex < table.data.length; rowIndex++) {
+      const row = table.data[rowIndex];
+      // Blank rows, and repeats of a code (the ledger is credited to its first row)
+      if (table.rowsByCode[normalizeBookCode(row[table.codeCol])] !== rowIndex) continue;
+
+      const expected = ledger[rowIndex] || {};
+      const describe = function(column, stored, ledgerQty) {
+        mismatches.push({
+          row: rowIndex + 1,
+          book_code: row[table.codeCol],
+          book_name: table.nameCol !== -1 ? row[table.nameCol] : '',
+          column: column,
+          stored: stored,
+          ledger: ledgerQty
+        });
+        changedRows[rowIndex] = true;
+      };
+
+      for (const loc of table.locationCols) {
+        const stored = parseFloat(row[loc.index]) || 0;
+        const ledgerQty = expected[loc.name] || 0;
+        if (stored !== ledgerQty) {
+          describe(loc.name, stored, ledgerQty);
+          row[loc.index] = ledgerQty;
+        }
+      }
+
+      if (table.totalCol !== -1) {
+        const stored = parseFloat(row[table.totalCol]) || 0;
+        const ledgerTotal = sumLocationQuantities(expected);
+        if (stored !== ledgerTotal) {
+          describe('Total', stored, ledgerTotal);
+          row[table.totalCol] = ledgerTotal;
+        }
+      }
+    }
+
+    const fixed = Object.keys(changedRows).length;
+
+    if (!options.dry_run && fixed > 0) {
+      const timestamp = new Date();
+      const columns = table.locationCols.map(function(loc) { return loc.index; });
+      if (table.totalCol !== -1) {
+        columns.push(table.totalCol);
+      }
+      for (const key in changedRows) {
+        if (table.updateCol !== -1) {
+          table.data[Number(key)][table.updateCol] = timestamp;
+        }
+      }
+      if (table.updateCol !== -1) {
+        columns.push(table.updateCol);
+      }
+
+      // One write per column rather than one per cell
+      for (const column of columns) {
+        const values = table.data.slice(1).map(function(row) { return [row[column]]; });
+        booksSheet.getRange(2, column + 1, values.length, 1).setValues(values);
+      }
+    }
+
+    return {
+      success: true,
+      dry_run: options.dry_run,
+      books_checked: Object.keys(table.rowsByCode).length,
+      transactions_replayed: transData.length - 1 - unmatched.length,
+      mismatches: mismatches,
+      unmatched: unmatched,
+      fixed: options.dry_run ? 0 : fixed
+    };
+  });
+}
+
+/**
+ * Run a read-modify-write on the sheets while holding the script lock
+ * Pending writes are flushed before the lock is released.
+ * @param {Function} callback - Work to do under the lock
+ * @returns {*} Whatever callback returns
+ * @throws {Error} With retry=true if the lock could not be acquired in time
+ */
+function withScriptLock(callback) {
+  const lock = LockService.getScriptLock();
+
+  if (!lock.tryLock(LOCK_TIMEOUT_MS)) {
+    const error = new Error(ERROR_MESSAGES.server_busy);
+    error.retry = true;
+    throw error;
+  }
+
+  try {
+    const result = callback();
+    SpreadsheetApp.flush();
+    return result;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Append rows from buildTransactionRow in a single write
+ * @param {Sheet} transSheet - Transactions sheet
+ * @param {Array} rows - Rows to append (may be empty)
+ */
+function appendTransactionRows(transSheet, rows) {
+  if (rows.length === 0) {
+    return;
+  }
+  const firstRow = transSheet.getLastRow() + 1;
+
+  // Keep codes like "00123" as text, as createBook does in the Books sheet
+  transSheet.getRange(firstRow, TRANSACTION_COLUMNS.indexOf('Book_code') + 1, rows.length, 1).setNumberFormat('@');
+  transSheet.getRange(firstRow, 1, rows.length, TRANSACTION_COLUMNS.length)
+    .setValues(rows);
+}
+
+/**
+ * Get a sheet by name, creating it with a header row if it doesn't exist
+ * @param {string} name - Sheet name
+ * @param {Array} headers - Header row for a new sheet
+ * @returns {Sheet}
+ */
+function getOrCreateSheet(name, headers) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(name);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(name);
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    sheet.setFrozenRows(1);
+  }
+
+  return sheet;
+}
+
+/**
+ * Transactions rows for a book, newest first, with running balances
+ * Balances are worked back from the book's current quantities, so they are
+ * the quantity right after each row (assuming the ledger is complete).
+ * @param {string} bookCode - Book code (rows logged under its other ISBN form count too)
+ * @param {number} limit - Rows per page
+ * @param {number} offset - Newer rows to skip
+ * @returns {object|null} { success, book_code, total, offset, limit, has_more, transactions }
+ *   or null if the book doesn't exist
+ */
+function getBookHistory(bookCode, limit, offset) {
+  const book = lookupBook(bookCode);
+  if (!book) {
+    return null;
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const transSheet = ss.getSheetByName(TRANSACTIONS_SHEET_NAME);
+
+  if (!transSheet) {
+    throw codedError('sheet_not_found', { sheet: TRANSACTIONS_SHEET_NAME });
+  }
+
+  const col = {};
+  TRANSACTION_COLUMNS.forEach(function(name, index) { col[name] = index; });
+
+  const lastRow = transSheet.getLastRow();
+  const rows = lastRow < 2 ? [] : transSheet
+    .getRange(2, 1, lastRow - 1, Math.min(transSheet.getLastColumn(), TRANSACTION_COLUMNS.length))
+    .getValues();
+
+  // Work backwards from the current quantities (rows are in the order written)
+  const codes = getBookCodeVariants(bookCode);
+  const locationBalances = {};
+  let balance = 0;
+  for (const name in book.locations) {
+    locationBalances[name] = parseFloat(book.locations[name]) || 0;
+    balance += locationBalances[name];
+  }
+
+  const transactions = [];
+  for (let i = rows.length - 1; i >= 0; i--) {
+    const row = rows[i];
+    if (codes.indexOf(normalizeBookCode(row[col.Book_code])) === -1) continue;
+
+    const qty = parseFloat(row[col.Qty]) || 0;
+    const location = row[col.Location];
+
+    transactions.push({
+      datetime: row[col.Datetime],
+      user: row[col.User],
+      location: location,
+      qty: qty,
+      comments: row[col.Comments],
+      transaction_id: row[col.Transaction_id] || '',
+      reference: row[col.Reference] || '',
+      type: row[col.Type] || TRANSACTION_TYPES.TRANSACTION,
+      balance: balance,
+      location_balance: locationBalances[location] || 0
+    });
+
+    balance -= qty;
+    locationBalances[location] = (locationBalances[location] || 0) - qty;
+  }
+
+  return {
+    success: true,
+    book_code: book.Book_code,
+    total: transactions.length,
+    offset: offset,
+    limit: limit,
+    has_more: offset + limit < transactions.length,
+    transactions: transactions.slice(offset, offset + limit)
+  };
+}
+
+/**
+ * Find a Stocktakes row by Stocktake_id
+ * @param {Sheet} stocktakesSheet - Stocktakes sheet
+ * @param {string} stocktakeId - Client-generated ID
+ * @returns {number} 1-based row number, or -1 if not found
+ */
+function findStocktakeRow(stocktakesSheet, stocktakeId) {
+  const lastRow = stocktakesSheet.getLastRow();
+  if (lastRow < 2) {
+    return -1;
+  }
+
+  const idCol = STOCKTAKE_COLUMNS.indexOf('Stocktake_id') + 1;
+  const match = stocktakesSheet.getRange(2, idCol, lastRow - 1, 1)
+    .createTextFinder(stocktakeId)
+    .matchEntireCell(true)
+    .findNext();
+
+  return match ? match.getRow() : -1;
+}
+
+/**
+ * Build a Transactions row in TRANSACTION_COLUMNS order
+ * @param {object} fields - Values keyed by column name (missing ones are blank)
+ * @returns {Array} Row values
+ */
+function buildTransactionRow(fields) {
+  return TRANSACTION_COLUMNS.map(function(column) {
+    return fields[column] !== undefined ? fields[column] : '';
+  });
+}
+
+/**
+ * Add any missing TRANSACTION_COLUMNS headers to the Transactions sheet
+ * @param {Sheet} transSheet - Transactions sheet
+ */
+function ensureTransactionColumns(transSheet) {
+  const lastCol = transSheet.getLastColumn();
+  if (lastCol >= TRANSACTION_COLUMNS.length) {
+    return;
+  }
+
+  const missing = TRANSACTION_COLUMNS.slice(lastCol);
+  transSheet.getRange(1, lastCol + 1, 1, missing.length).setValues([missing]);
+}
+
+/**
+ * Find a transaction row by its Transaction_id
+ * @param {Sheet} transSheet - Transactions sheet
+ * @param {string} transactionId - Client-generated transaction ID
+ * @returns {number} 1-based row number, or -1 if not found
+ */
+function findTransactionRow(transSheet, transactionId) {
+  const lastRow = transSheet.getLastRow();
+  if (!transactionId || lastRow < 2) {
+    return -1;
+  }
+
+  const idCol = TRANSACTION_COLUMNS.indexOf('Transaction_id') + 1;
+  const match = transSheet.getRange(2, idCol, lastRow - 1, 1)
+    .createTextFinder(transactionId)
+    .matchEntireCell(true)
+    .findNext();
+
+  return match ? match.getRow() : -1;
+}
+
+/**
+ * Rows whose Reference is the given ID (transfer legs, batch lines, reversals)
+ * @param {Sheet} transSheet - Transactions sheet
+ * @param {string} reference - Reference value to match exactly
+ * @returns {Array} 1-based row numbers
+ */
+function findTransactionRowsByReference(transSheet, reference) {
+  const lastRow = transSheet.getLastRow();
+  if (!reference || lastRow < 2) {
+    return [];
+  }
+
+  const refCol = TRANSACTION_COLUMNS.indexOf('Reference') + 1;
+  return transSheet.getRange(2, refCol, lastRow - 1, 1)
+    .createTextFinder(reference)
+    .matchEntireCell(true)
+    .findAll()
+    .map(function(range) { return range.getRow(); });
+}
+
+/**
+ * Read a Transactions row as an object keyed by TRANSACTION_COLUMNS
+ * @param {Sheet} transSheet - Transactions sheet
+ * @param {number} row - 1-based row number
+ * @returns {object} { Book_code, Qty, Location, ..., row }
+ */
+function readTransactionRecord(transSheet, row) {
+  const values = transSheet.getRange(row, 1, 1, TRANSACTION_COLUMNS.length).getValues()[0];
+  const record = { row: row };
+  TRANSACTION_COLUMNS.forEach(function(name, index) {
+    record[name] = values[index];
+  });
+  return record;
+}
+
+/**
+ * All Transaction_id values already in the Transactions sheet
+ * @param {Sheet} transSheet - Transactions sheet
+ * @returns {object} Set-like map { id: true }
+ */
+function getTransactionIds(transSheet) {
+  const ids = {};
+  const lastRow = transSheet.getLastRow();
+  if (lastRow < 2) {
+    return ids;
+  }
+
+  const idCol = TRANSACTION_COLUMNS.indexOf('Transaction_id') + 1;
+  const values = transSheet.getRange(2, idCol, lastRow - 1, 1).getValues();
+  for (const row of values) {
+    if (row[0]) {
+      ids[row[0]] = true;
+    }
+  }
+  return ids;
+}
+
+/**
+ * Build the response for a transaction that was already recorded
+ * Quantities are the book's current ones, not those at the original submit.
+ * @param {Sheet} transSheet - Transactions sheet
+ * @param {number} row - 1-based row of the original transaction
+ * @returns {object} Result in the same shape as addTransaction
+ */
+function getDuplicateTransactionResult(transSheet, row) {
+  const values = transSheet.getRange(row, 1, 1, TRANSACTION_COLUMNS.length).getValues()[0];
+  const bookCode = values[TRANSACTION_COLUMNS.indexOf('Book_code')];
+  const location = values[TRANSACTION_COLUMNS.indexOf('Location')];
+  const book = lookupBook(bookCode);
+
+  return {
+    success: true,
+    duplicate: true,
+    transaction_id: values[TRANSACTION_COLUMNS.indexOf('Transaction_id')],
+    book_code: bookCode,
+    book_name: book ? book.Book_name : '',
+    location: location,
+    new_qty: book ? (book.locations[location] || 0) : 0,
+    transaction_qty: values[TRANSACTION_COLUMNS.indexOf('Qty')],
+    locations: book ? book.locations : {},
+    timestamp: values[TRANSACTION_COLUMNS.indexOf('Datetime')]
+  };
+}
+
+/**
+ * Create a JSON response
+ * @param {object} data - Data to return
+ * @param {number} status - HTTP status code (for logging only)
+ * @returns {ContentService.TextOutput}
+ */
+function createResponse(data, status) {
+  const output = ContentService.createTextOutput(JSON.stringify(data));
+  output.setMimeType(ContentService.MimeType.JSON);
+  return output;
+}
+
+/**
+ * Error response body in English, with the code and values the app needs to
+ * show it in the user's language
+ * @param {string} code - Key of ERROR_MESSAGES
+ * @param {object} params - Values for the message's {placeholders}
+ * @returns {object} { error, code, params }
+ */
+function errorBody(code, params) {
+  params = params || {};
+  const error = ERROR_MESSAGES[code].replace(/\{(\w+)\}/g, function(match, name) {
+    return params[name] !== undefined ? params[name].toString() : match;
+  });
+  return { error: error, code: code, params: params };
+}
+
+/**
+ * An Error for a problem the app should be able to explain (e.g. a sheet
+ * or column missing), for where returning an error body isn't practical.
+ * doGet and doPost send it as errorBody(code, params).
+ * @param {string} code - Key in ERROR_MESSAGES
+ * @param {object} params - Values for its placeholders
+ * @returns {Error} With code and params
+ */
+function codedError(code, params) {
+  const body = errorBody(code, params);
+  const error = new Error(body.error);
+  error.code = code;
+  error.params = body.params;
+  return error;
+}
+
+/**
+ * The error body for an exception caught by doGet or doPost
+ * @param {Error} error
+ * @returns {object} From errorBody - the error's own code (see codedError),
+ *   or server_error with the exception as its detail
+ */
+function getErrorResponseBody(error) {
+  if (error.code && ERROR_MESSAGES[error.code]) {
+    return errorBody(error.code, error.params);
+  }
+  return errorBody('server_error', { detail: error.toString() });
+}
+
+/**
+ * Test function - Validate user
+ */
+function testValidateUser() {
+  const user = validateUser('test@example.com');
+  Logger.log(user);
+}
+
+/**
+ * Test function - Get locations
+ */
+function testGetLocations() {
+  const locations = getLocations();
+  Logger.log(locations);
+}
+
+/**
+ * Test function - Get all books
+ */
+function testGetAllBooks() {
   const books = getAllBooks();
   Logger.log(books);
 }
 
+/**
+ * Test function - Reconcile (report only)
+ */
+function testReconcile() {
+  const result = reconcileStock({ dry_run: true });
+  Logger.log(result);
+}
+
 /**
  * Test function - Full init
  */
 function testInit() {
-  const result = handleInit('test@example.com');
+  const result = handleInit(validateUser('test@example.com'));
   Logger.log(result);
 }
@@ -9,37 +9,238 @@ const appState = {
   isAuthenticated: false,
   userEmail: null,
 
-  // Cached data (loaded once on login)
-  user: null,         // { email, name, default_location }
+  // Cached data (loaded on login; books kept current by syncBooks)
+  user: null,         // { email, name, default_location, role, allowed_locations }
+  limits: { large_negative_threshold: Infinity },
   locations: [],      // [{ code, name }, ...]
   books: new Map(),   // Map<normalized_code, book_object> for O(1) lookup
 
+  // Book sync: server_time of the last sync (sent as since) and when it happened here
+  sync: { since: null, lastSynced: null, syncing: false, timer: null },
+
   // Current transaction
   currentBook: null,
+  transactionMode: 'transaction',  // 'transaction' (in/out) or 'transfer'
   scanner: null,
-  isLoading: false
+  isLoading: false,
+
+  // Batch scan mode
+  batchMode: false,
+  cart: [],           // [{ book_code, qty, error }, ...] in scan order
+  lastScan: { code: null, time: 0 },
+
+  // Hands-free: post a fixed quantity for each handheld scanner read
+  handsFree: { enabled: false, qty: 1 },
+  wedge: null,
+
+  // Location reminder: the setting, when the app was last used, and
+  // whether it's waiting for the user to confirm the location
+  locationReminder: { minutes: 0, lastActivity: 0, timer: null, due: false },
+
+  // Stocktake (physical count) - a StocktakeSession while counting
+  stocktake: null,
+
+  // Movement report last shown (a MovementReport), for CSV download
+  report: null,
+
+  // Barcode labels: what to print (books as [{ book_code, copies }],
+  // location codes once the section has been opened), book search results
+  // and the LabelSheet last built from them
+  labels: { kind: 'book', books: [], locations: null, results: [], sheet: null },
+
+  // History panel for the current book (rows already shown, for paging)
+  history: { bookCode: null, loaded: 0, loading: false },
+
+  // This device's recent transactions, newest first, for Undo
+  recentActivity: [],
+
+  // Type-ahead search: books shown and the one highlighted by arrow keys
+  search: { results: [], active: -1, timer: null },
+
+  // Offline queue
+  pendingCount: 0,
+  queueRetryTimer: null,
+
+  // Set when the server rejects our ID token (it expires after about an hour)
+  needsReauth: false
 };
 
+// How often to retry sending queued transactions while the app is open
+const QUEUE_RETRY_INTERVAL = 30000;
+
+// The scanner reports the same barcode on every frame while it's in view;
+// in batch mode a repeat within this window is the same scan, not a new copy
+const BATCH_SCAN_COOLDOWN = 1500;
+
+// Hands-free setting (on/off and quantity) is kept per device
+const HANDS_FREE_STORAGE_KEY = 'lahak.handsFree';
+
+// So is the location reminder (minutes idle before it shows, 0 = off)
+const LOCATION_REMINDER_STORAGE_KEY = 'lahak.locationReminder';
+
+// Batch cart survives a reload
+const CART_STORAGE_KEY = 'lahak.batchCart';
+
+// An unfinished stocktake survives a reload too
+const STOCKTAKE_STORAGE_KEY = 'lahak.stocktake';
+
+// Transaction history rows fetched per "Load More"
+const HISTORY_PAGE_SIZE = 20;
+
+// Recent activity kept for Undo (all users on this device together)
+const ACTIVITY_STORAGE_KEY = 'lahak.recentActivity';
+const ACTIVITY_LIMIT = 20;
+
+// Success messages with an Undo button stay up a little longer
+const UNDO_STATUS_DURATION = 10000;
+
+// Roles from the Users sheet, lowest to highest (same order as Code.gs)
+const ROLES = ['viewer', 'clerk', 'manager', 'admin'];
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DEBOUNCE = 150;
+
+// Email last used to sign in to the mock backend (development only)
+const MOCK_EMAIL_STORAGE_KEY = 'lahak.mockEmail';
+
+// Check for other users' changes this often while the app is in view
+const SYNC_INTERVAL = 60000;
+
+// "Synced" is highlighted once the last successful sync is this old
+const SYNC_STALE_AFTER = 5 * 60000;
+
 // DOM elements
 const elements = {
   // Login section
   loginSection: document.getElementById('login-section'),
   authError: document.getElementById('auth-error'),
+  googleSigninBtn: document.getElementById('google-signin-btn'),
+  mockSigninForm: document.getElementById('mock-signin-form'),
+  mockSigninEmail: document.getElementById('mock-signin-email'),
+  mockBackendUrl: document.getElementById('mock-backend-url'),
 
   // User info
   userInfo: document.getElementById('user-info'),
   userDisplayName: document.getElementById('user-display-name'),
   signOutBtn: document.getElementById('sign-out-btn'),
+  queueBadge: document.getElementById('queue-badge'),
+  queueCount: document.getElementById('queue-count'),
+  syncStatus: document.getElementById('sync-status'),
+  languageSelect: document.getElementById('language-select'),
 
   // Main app
   appMain: document.getElementById('app-main'),
+  readOnlyNotice: document.getElementById('read-only-notice'),
 
   // Scanner controls
   startScanBtn: document.getElementById('start-scan-btn'),
   stopScanBtn: document.getElementById('stop-scan-btn'),
+  cameraSelect: document.getElementById('camera-select'),
+  torchBtn: document.getElementById('torch-btn'),
+  zoomControl: document.getElementById('zoom-control'),
+  zoomInput: document.getElementById('zoom-input'),
+  confirmFramesSelect: document.getElementById('confirm-frames-select'),
+  scanSoundToggle: document.getElementById('scan-sound-toggle'),
+  scanVibrateToggle: document.getElementById('scan-vibrate-toggle'),
   scannerContainer: document.getElementById('scanner-container'),
   manualCodeInput: document.getElementById('manual-code-input'),
   lookupBtn: document.getElementById('lookup-btn'),
+  batchModeToggle: document.getElementById('batch-mode-toggle'),
+  handsFreeControl: document.getElementById('hands-free-control'),
+  handsFreeToggle: document.getElementById('hands-free-toggle'),
+  handsFreeQty: document.getElementById('hands-free-qty'),
+  locationReminderControl: document.getElementById('location-reminder-control'),
+  locationReminderMinutes: document.getElementById('location-reminder-minutes'),
+  locationBanner: document.getElementById('location-banner'),
+  locationBannerName: document.getElementById('location-banner-name'),
+  locationBannerHint: document.getElementById('location-banner-hint'),
+  locationBannerOkBtn: document.getElementById('location-banner-ok-btn'),
+  bookSearchInput: document.getElementById('book-search-input'),
+  bookSearchResults: document.getElementById('book-search-results'),
+
+  // Batch cart
+  cartSection: document.getElementById('cart-section'),
+  cartCount: document.getElementById('cart-count'),
+  cartList: document.getElementById('cart-list'),
+  cartLocationSelect: document.getElementById('cart-location-select'),
+  cartSubmitBtn: document.getElementById('cart-submit-btn'),
+  cartClearBtn: document.getElementById('cart-clear-btn'),
+
+  // Stocktake
+  stocktakeStartBtn: document.getElementById('stocktake-start-btn'),
+  stocktakeSection: document.getElementById('stocktake-section'),
+  stocktakeSetup: document.getElementById('stocktake-setup'),
+  stocktakeLocationSelect: document.getElementById('stocktake-location-select'),
+  stocktakeBeginBtn: document.getElementById('stocktake-begin-btn'),
+  stocktakeCloseBtn: document.getElementById('stocktake-close-btn'),
+  stocktakeCounting: document.getElementById('stocktake-counting'),
+  stocktakeLocationName: document.getElementById('stocktake-location-name'),
+  stocktakeBooks: document.getElementById('stocktake-books'),
+  stocktakeUnits: document.getElementById('stocktake-units'),
+  stocktakeList: document.getElementById('stocktake-list'),
+  stocktakeReviewBtn: document.getElementById('stocktake-review-btn'),
+  stocktakeCancelBtn: document.getElementById('stocktake-cancel-btn'),
+  stocktakeReview: document.getElementById('stocktake-review'),
+  stocktakeSummary: document.getElementById('stocktake-summary'),
+  stocktakeVariances: document.getElementById('stocktake-variances'),
+  stocktakeConfirmBtn: document.getElementById('stocktake-confirm-btn'),
+  stocktakeBackBtn: document.getElementById('stocktake-back-btn'),
+
+  // Low stock report
+  lowStockBtn: document.getElementById('low-stock-btn'),
+  lowStockSection: document.getElementById('low-stock-section'),
+  lowStockList: document.getElementById('low-stock-list'),
+  lowStockRefreshBtn: document.getElementById('low-stock-refresh-btn'),
+  lowStockCloseBtn: document.getElementById('low-stock-close-btn'),
+
+  // Movement reports (managers)
+  reportBtn: document.getElementById('report-btn'),
+  reportSection: document.getElementById('report-section'),
+  reportForm: document.getElementById('report-form'),
+  reportFrom: document.getElementById('report-from'),
+  reportTo: document.getElementById('report-to'),
+  reportSummary: document.getElementById('report-summary'),
+  reportTables: document.getElementById('report-tables'),
+  reportCsvBtn: document.getElementById('report-csv-btn'),
+  reportCloseBtn: document.getElementById('report-close-btn'),
+
+  // Barcode labels
+  labelsBtn: document.getElementById('labels-btn'),
+  labelsSection: document.getElementById('labels-section'),
+  labelsKind: document.getElementById('labels-kind'),
+  labelsBooks: document.getElementById('labels-books'),
+  labelsSearchInput: document.getElementById('labels-search-input'),
+  labelsSearchResults: document.getElementById('labels-search-results'),
+  labelsAddUnbarcodedBtn: document.getElementById('labels-add-unbarcoded-btn'),
+  labelsBookList: document.getElementById('labels-book-list'),
+  labelsLocationList: document.getElementById('labels-location-list'),
+  labelsLayout: document.getElementById('labels-layout'),
+  labelsSkip: document.getElementById('labels-skip'),
+  labelsCustom: document.getElementById('labels-custom'),
+  labelsSummary: document.getElementById('labels-summary'),
+  labelsPreview: document.getElementById('labels-preview'),
+  labelsPrintBtn: document.getElementById('labels-print-btn'),
+  labelsPdfBtn: document.getElementById('labels-pdf-btn'),
+  labelsCloseBtn: document.getElementById('labels-close-btn'),
+  labelPrint: document.getElementById('label-print'),
+  labelPageStyle: document.getElementById('label-page-style'),
+
+  // Reconcile (admin)
+  reconcileBtn: document.getElementById('reconcile-btn'),
+  reconcileSection: document.getElementById('reconcile-section'),
+  reconcileSummary: document.getElementById('reconcile-summary'),
+  reconcileList: document.getElementById('reconcile-list'),
+  reconcileApplyBtn: document.getElementById('reconcile-apply-btn'),
+  reconcileCloseBtn: document.getElementById('reconcile-close-btn'),
+
+  // New book form
+  newBookSection: document.getElementById('new-book-section'),
+  newBookForm: document.getElementById('new-book-form'),
+  newBookCode: document.getElementById('new-book-code'),
+  newBookName: document.getElementById('new-book-name'),
+  newBookSeries: document.getElementById('new-book-series'),
+  newBookVolume: document.getElementById('new-book-volume'),
+  newBookCancelBtn: document.getElementById('new-book-cancel-btn'),
 
   // Book display
   bookSection: document.getElementById('book-section'),
@@ -48,13 +249,36 @@ const elements = {
   bookSeries: document.getElementById('book-series'),
   bookVolume: document.getElementById('book-volume'),
   bookLocations: document.getElementById('book-locations'),
+  bookLowStock: document.getElementById('book-low-stock'),
+  bookFields: document.getElementById('book-fields'),
+  historyPanel: document.getElementById('history-panel'),
+  historyList: document.getElementById('history-list'),
+  historyEmpty: document.getElementById('history-empty'),
+  historyMoreBtn: document.getElementById('history-more-btn'),
 
   // Transaction form
   transactionSection: document.getElementById('transaction-section'),
   transactionForm: document.getElementById('transaction-form'),
+  transactionMode: document.getElementById('transaction-mode'),
+  qtyLabel: document.getElementById('qty-label'),
   qtyInput: document.getElementById('qty-input'),
+  qtyHelp: document.getElementById('qty-help'),
+  locationLabel: document.getElementById('location-label'),
   locationSelect: document.getElementById('location-select'),
+  toLocationGroup: document.getElementById('to-location-group'),
+  toLocationSelect: document.getElementById('to-location-select'),
   commentsInput: document.getElementById('comments-input'),
+  submitTransactionBtn: document.getElementById('submit-transaction-btn'),
+
+  // Offline queue
+  queueSection: document.getElementById('queue-section'),
+  queueList: document.getElementById('queue-list'),
+  queueRetryBtn: document.getElementById('queue-retry-btn'),
+  queueCloseBtn: document.getElementById('queue-close-btn'),
+
+  // Recent activity
+  activitySection: document.getElementById('activity-section'),
+  activityList: document.getElementById('activity-list'),
 
   // Status and loading
   statusMessage: document.getElementById('status-message'),
@@ -77,7 +301,18 @@ function handleGoogleSignIn(response) {
   const payload = parseJwt(response.credential);
 
   if (!payload || !payload.email) {
-    showAuthError('Failed to get user information from Google.');
+    showAuthError(t('auth.googleUserFailed'));
+    return;
+  }
+
+  // The raw token is verified by the server on every request
+  window.sheetsAPI.setIdToken(response.credential, payload.email);
+
+  // Already signed in - this is a fresh token after the old one expired
+  if (appState.isAuthenticated && payload.email === appState.userEmail) {
+    appState.needsReauth = false;
+    showStatus(t('auth.signedInAgain'), 'success', 2000);
+    flushOfflineQueue();
     return;
   }
 
@@ -88,7 +323,50 @@ function handleGoogleSignIn(response) {
   showDataLoading();
 
   // Load initial data from backend
-  loadInitialData(payload.email);
+  loadInitialData();
+}
+
+/**
+ * Show the email sign-in used with the local mock backend instead of Google's button
+ */
+function showMockSignIn() {
+  elements.googleSigninBtn.style.display = 'none';
+  elements.mockBackendUrl.textContent = window.sheetsAPI.SCRIPT_URL;
+  elements.mockSigninEmail.value = localStorage.getItem(MOCK_EMAIL_STORAGE_KEY) || '';
+  elements.mockSigninForm.style.display = 'block';
+}
+
+/**
+ * Sign in to the mock backend with a token it accepts for any email
+ * (the server still checks the email against its Users sheet)
+ */
+function handleMockSignIn(e) {
+  e.preventDefault();
+
+  const email = elements.mockSigninEmail.value.trim();
+  localStorage.setItem(MOCK_EMAIL_STORAGE_KEY, email);
+  handleGoogleSignIn({ credential: window.sheetsAPI.createMockIdToken(email) });
+}
+
+/**
+ * Ask the user to sign in again after the server rejected the ID token
+ */
+function promptReauthentication() {
+  if (appState.needsReauth) return;
+  appState.needsReauth = true;
+
+  // Mock tokens can simply be reissued
+  if (window.sheetsAPI.isMockBackend()) {
+    handleGoogleSignIn({ credential: window.sheetsAPI.createMockIdToken(appState.userEmail) });
+    return;
+  }
+
+  showStatus(t('auth.expired'), 'warning', 0);
+
+  // One Tap prompt; its callback (handleGoogleSignIn) picks up the new token
+  if (typeof google !== 'undefined' && google.accounts) {
+    google.accounts.id.prompt();
+  }
 }
 
 /**
@@ -110,32 +388,53 @@ function parseJwt(token) {
 
 /**
  * Load initial data from backend
- * This is called once after Google Sign-In
+ * This is called once after Google Sign-In. Books saved on this device
+ * by an earlier session are reused, so only changed books are downloaded.
  */
-async function loadInitialData(email) {
+async function loadInitialData() {
   try {
-    // Step 1: Connecting
-    updateDataLoading(10, 'Connecting to server...');
+    // Step 1: Books saved by an earlier session
+    updateDataLoading(10, t('loading.readingSaved'));
+    let cached = null;
+    try {
+      cached = await window.bookCache.load(window.sheetsAPI.SCRIPT_URL);
+    } catch (error) {
+      console.warn('Failed to read saved books:', error);
+    }
 
     // Step 2: Fetching data
-    updateDataLoading(30, 'Fetching inventory data...');
-    const data = await window.sheetsAPI.loadInitData(email);
+    updateDataLoading(30, cached
+      ? t('loading.fetchingChanges', { count: cached.books.length })
+      : t('loading.fetching'));
+    const data = await window.sheetsAPI.loadInitData(cached ? cached.since : null);
 
     // Step 3: Processing user info
-    updateDataLoading(60, 'Loading user profile...');
+    updateDataLoading(60, t('loading.profile'));
     appState.user = data.user;
     appState.locations = data.locations;
+    appState.limits = data.limits || appState.limits;
+
+    // This user's own language choice, or the one set for them in the Users sheet
+    window.i18n.chooseLanguage(appState.userEmail, appState.user.language);
+    window.i18n.applyToDocument();
+    elements.languageSelect.value = window.i18n.language;
 
     // Step 4: Building book index
-    updateDataLoading(80, 'Indexing books...');
+    updateDataLoading(80, t('loading.indexing'));
     appState.books.clear();
-    for (const book of data.books) {
-      const normalizedCode = normalizeBookCode(book.Book_code);
-      appState.books.set(normalizedCode, book);
+    if (cached && !data.full) {
+      for (const book of cached.books) {
+        appState.books.set(normalizeBookCode(book.Book_code), book);
+      }
+    }
+    if (!(await applyBookSync(data))) {
+      // Books were deleted from the sheet since the last session
+      updateDataLoading(90, t('loading.refreshing'));
+      await applyBookSync(await window.sheetsAPI.syncBooks(null));
     }
 
     // Step 5: Done
-    updateDataLoading(100, 'Ready!');
+    updateDataLoading(100, t('loading.ready'));
 
     // Mark as authenticated
     appState.isAuthenticated = true;
@@ -158,12 +457,177 @@ async function loadInitialData(email) {
     console.error('Failed to load initial data:', error);
     hideDataLoading();
 
-    if (error.message.includes('not authorized') || error.message.includes('not registered')) {
+    if (error.authError || error.code === 'user_not_registered' ||
+        error.message.includes('not authorized') || error.message.includes('not registered')) {
       showAuthError(error.message);
     } else {
-      showAuthError('Failed to connect to the server. Please try again.');
+      showAuthError(t('auth.connectFailed'));
+    }
+  }
+}
+
+/**
+ * Merge a sync response (from init or syncBooks) into appState.books and
+ * save it on the device
+ * Books with transactions still in the offline queue keep their cached
+ * quantities until the queue is sent, in memory and on the device, so the
+ * optimistic change isn't lost.
+ * @param {object} data - { books, book_count, server_time, full }
+ * @returns {Promise<boolean>} false if the book count doesn't match the
+ *   server's (books were deleted) and a full sync is needed
+ */
+async function applyBookSync(data) {
+  const queuedCodes = await getQueuedBookCodes();
+  const received = new Set();
+
+  for (const book of data.books) {
+    const key = normalizeBookCode(book.Book_code);
+    received.add(key);
+    if (queuedCodes.has(key)) continue;
+
+    // Update in place - appState.currentBook may be this object
+    const existing = appState.books.get(key);
+    if (existing) {
+      Object.assign(existing, book);
+    } else {
+      appState.books.set(key, book);
+    }
+  }
+
+  if (data.full) {
+    for (const key of Array.from(appState.books.keys())) {
+      if (!received.has(key)) {
+        appState.books.delete(key);
+      }
+    }
+  } else if (appState.books.size !== data.book_count) {
+    return false;
+  }
+
+  // Sending the queue changes those books, so the next sync brings them again
+  const toSave = data.books.map((book) => {
+    const key = normalizeBookCode(book.Book_code);
+    return queuedCodes.has(key) ? appState.books.get(key) || book : book;
+  });
+  window.bookCache.save(toSave, data.full, data.server_time, window.sheetsAPI.SCRIPT_URL)
+    .catch(error => console.warn('Failed to save books on this device:', error));
+
+  appState.sync.since = data.server_time;
+  appState.sync.lastSynced = new Date();
+  renderSyncStatus();
+
+  if (data.books.length > 0) {
+    window.bookSearch.setBooks(appState.books.values());
+
+    const current = appState.currentBook;
+    if (current && received.has(normalizeBookCode(current.Book_code))) {
+      displayBook(current);
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Normalized codes of every book with a request in the offline queue
+ * waiting to be sent (entries the server rejected changed nothing, so
+ * their books take the server's quantities)
+ * @returns {Promise<Set>}
+ */
+async function getQueuedBookCodes() {
+  const codes = new Set();
+  if (appState.pendingCount === 0) {
+    return codes;
+  }
+
+  for (const entry of await window.offlineQueue.getAll()) {
+    if (entry.status === 'failed') continue;
+    const payload = entry.payload;
+    const lineCodes = (payload.lines || []).map(line => line.book_code);
+    for (const code of [payload.book_code, ...lineCodes]) {
+      if (code) {
+        codes.add(normalizeBookCode(code));
+      }
+    }
+  }
+  return codes;
+}
+
+/**
+ * Start checking for other users' changes while the app is open
+ */
+function initBookSync() {
+  if (appState.sync.timer) return;
+
+  appState.sync.timer = setInterval(() => {
+    if (document.visibilityState === 'visible') {
+      syncBooks();
+    }
+    renderSyncStatus();
+  }, SYNC_INTERVAL);
+}
+
+/**
+ * Fetch books changed since the last sync and merge them in
+ * Quietly does nothing when offline or already syncing; the next
+ * interval, focus or reconnect tries again.
+ * @param {boolean} userInitiated - Report the outcome
+ */
+async function syncBooks(userInitiated = false) {
+  if (!appState.isAuthenticated || appState.sync.syncing || appState.needsReauth) return;
+
+  if (!navigator.onLine) {
+    if (userInitiated) {
+      showStatus(t('sync.offline'), 'warning');
+    }
+    return;
+  }
+
+  appState.sync.syncing = true;
+  renderSyncStatus();
+
+  try {
+    const data = await window.sheetsAPI.syncBooks(appState.sync.since);
+    if (!(await applyBookSync(data))) {
+      await applyBookSync(await window.sheetsAPI.syncBooks(null));
+    }
+
+    if (userInitiated) {
+      showStatus(data.books.length > 0 ? t('sync.updated', { count: data.books.length }) : t('sync.upToDate'), 'success', 2000);
+    }
+  } catch (error) {
+    console.warn('Book sync failed:', error);
+    if (error.authError) {
+      promptReauthentication();
+    } else if (userInitiated) {
+      showStatus(t('sync.failed', { message: error.message }), 'error');
     }
+  } finally {
+    appState.sync.syncing = false;
+    renderSyncStatus();
+  }
+}
+
+/**
+ * Show when the books were last synced in the header
+ */
+function renderSyncStatus() {
+  const lastSynced = appState.sync.lastSynced;
+
+  if (appState.sync.syncing) {
+    elements.syncStatus.textContent = t('sync.syncing');
+  } else if (lastSynced) {
+    const time = lastSynced.toLocaleTimeString(window.i18n.language, { hour: '2-digit', minute: '2-digit' });
+    elements.syncStatus.textContent = t('sync.synced', { time });
+  } else {
+    elements.syncStatus.textContent = t('sync.notSynced');
   }
+
+  const stale = !lastSynced || Date.now() - lastSynced.getTime() > SYNC_STALE_AFTER;
+  elements.syncStatus.classList.toggle('sync-stale', stale && !appState.sync.syncing);
+  elements.syncStatus.title = lastSynced
+    ? t('sync.lastChecked', { time: lastSynced.toLocaleString(window.i18n.language) })
+    : t('sync.tapToCheck');
 }
 
 /**
@@ -177,7 +641,7 @@ function normalizeBookCode(code) {
  * Show authentication error
  */
 function showAuthError(message) {
-  elements.authError.innerHTML = `<p>${message}</p><p>Please contact the administrator to request access.</p>`;
+  elements.authError.innerHTML = `<p>${message}</p><p>${t('auth.contactAdmin')}</p>`;
   elements.authError.style.display = 'block';
 }
 
@@ -204,6 +668,99 @@ function showMainApp() {
 
   // Initialize scanner
   initScanner();
+
+  // Restore a batch cart left from before a reload
+  loadCart();
+  if (appState.cart.length > 0) {
+    setBatchMode(true);
+  }
+
+  // ...and a stocktake that was in progress
+  loadStocktake();
+  if (appState.stocktake) {
+    showStocktakeSection();
+  }
+
+  // Hide what this user's role doesn't allow
+  applyPermissions();
+  noteActivity();
+
+  loadActivity();
+  renderActivity();
+
+  // Send anything left over from an earlier offline session
+  initOfflineQueue();
+
+  // Pick up other users' changes from now on
+  initBookSync();
+}
+
+/**
+ * Whether the signed-in user's role is at least the given one
+ * @param {string} role - One of ROLES
+ * @returns {boolean}
+ */
+function hasRole(role) {
+  const userRole = appState.user && appState.user.role ? appState.user.role : 'clerk';
+  return ROLES.indexOf(userRole) >= ROLES.indexOf(role);
+}
+
+/**
+ * Whether the signed-in user may record changes at a location
+ * (mirrors canUseLocation in Code.gs, which has the final say)
+ * @param {string} location - Location name
+ * @returns {boolean}
+ */
+function canUseLocation(location) {
+  if (hasRole('manager')) {
+    return true;
+  }
+
+  const user = appState.user;
+  let own = user.allowed_locations || [];
+  if (own.length === 0 && user.default_location) {
+    own = [user.default_location];
+  }
+
+  return own.length === 0 || own.includes(location);
+}
+
+/**
+ * Hide or disable controls the user's role doesn't allow
+ */
+function applyPermissions() {
+  const canPost = hasRole('clerk');
+
+  if (!canPost) {
+    appState.stocktake = null;
+    setBatchMode(false);
+    hideStocktakeSection();
+    hideTransactionForm();
+  }
+
+  elements.readOnlyNotice.style.display = canPost ? 'none' : 'block';
+  elements.batchModeToggle.parentElement.style.display = canPost ? '' : 'none';
+  elements.handsFreeControl.style.display = canPost ? '' : 'none';
+  elements.locationReminderControl.style.display = canPost ? '' : 'none';
+  elements.stocktakeStartBtn.style.display = canPost ? 'block' : 'none';
+  elements.reportBtn.style.display = hasRole('manager') ? 'block' : 'none';
+  if (!hasRole('manager')) {
+    elements.reportSection.style.display = 'none';
+  }
+  elements.reconcileBtn.style.display = hasRole('admin') ? 'block' : 'none';
+  if (!hasRole('admin')) {
+    elements.reconcileSection.style.display = 'none';
+  }
+
+  renderLocationBanner();
+
+  // Larger removals are refused by the server - say so up front
+  const threshold = appState.limits.large_negative_threshold;
+  if (canPost && !hasRole('manager') && isFinite(threshold)) {
+    elements.qtyInput.min = -threshold;
+  } else {
+    elements.qtyInput.removeAttribute('min');
+  }
 }
 
 /**
@@ -212,20 +769,101 @@ function showMainApp() {
 function populateLocationsDropdown() {
   const select = elements.locationSelect;
 
-  // Clear existing options (except the placeholder)
-  select.innerHTML = '<option value="">Select a location...</option>';
+  const dropdowns = [
+    select,
+    elements.toLocationSelect,
+    elements.cartLocationSelect,
+    elements.stocktakeLocationSelect
+  ];
+
+  for (const dropdown of dropdowns) {
+    // Clear existing options (except the placeholder)
+    dropdown.innerHTML = `<option value="">${escapeHtml(t('locations.placeholder'))}</option>`;
+
+    // Add locations (only those this user may post to)
+    for (const location of appState.locations) {
+      if (!canUseLocation(location.name)) continue;
+
+      const option = document.createElement('option');
+      option.value = location.name;
+      option.textContent = location.name;
+      dropdown.appendChild(option);
+    }
+  }
+
+  // Set default location if user has one
+  if (appState.user.default_location && canUseLocation(appState.user.default_location)) {
+    select.value = appState.user.default_location;
+    elements.cartLocationSelect.value = appState.user.default_location;
+    elements.stocktakeLocationSelect.value = appState.user.default_location;
+  }
+  renderLocationBanner();
+}
 
-  // Add locations
-  for (const location of appState.locations) {
+/**
+ * Fill the language switcher and show the page in the language last used
+ * on this device (called on page load, before sign-in)
+ */
+function initLanguage() {
+  const select = elements.languageSelect;
+  select.innerHTML = '';
+  for (const language of I18n.getLanguages()) {
     const option = document.createElement('option');
-    option.value = location.name;
-    option.textContent = location.name;
+    option.value = language.code;
+    option.textContent = language.name;
+    option.lang = language.code;
     select.appendChild(option);
   }
 
-  // Set default location if user has one
-  if (appState.user.default_location) {
-    select.value = appState.user.default_location;
+  select.value = window.i18n.language;
+  window.i18n.applyToDocument();
+  select.addEventListener('change', () => applyLanguage(select.value));
+}
+
+/**
+ * Switch language from the header switcher and redraw what's on screen
+ * @param {string} language - One of I18n.getLanguages()
+ */
+function applyLanguage(language) {
+  if (!window.i18n.setLanguage(language, appState.userEmail)) return;
+  window.i18n.applyToDocument();
+
+  if (!appState.isAuthenticated) return;
+
+  // Text set from app.js rather than data-i18n
+  renderTransactionModeText();
+  renderSyncStatus();
+
+  const dropdowns = [
+    elements.locationSelect,
+    elements.toLocationSelect,
+    elements.cartLocationSelect,
+    elements.stocktakeLocationSelect
+  ];
+  const selected = dropdowns.map(dropdown => dropdown.value);
+  populateLocationsDropdown();
+  dropdowns.forEach((dropdown, index) => { dropdown.value = selected[index]; });
+  renderLocationBanner();
+
+  renderCart();
+  if (appState.stocktake && elements.stocktakeReview.style.display === 'block') {
+    showStocktakeReview();
+  } else if (appState.stocktake) {
+    renderStocktake();
+  }
+  renderActivity();
+  if (elements.queueSection.style.display !== 'none') {
+    renderQueueList();
+  }
+  if (appState.currentBook) {
+    displayBook(appState.currentBook);
+  }
+  if (appState.report) {
+    renderReport(appState.report);
+  }
+  if (elements.labelsSection.style.display === 'block') {
+    populateLabelLayouts();
+    setLabelsKind(appState.labels.kind);
   }
 }
 
@@ -240,6 +878,25 @@ function handleSignOut() {
   appState.locations = [];
   appState.books.clear();
   appState.currentBook = null;
+  appState.cart = [];
+  localStorage.removeItem(CART_STORAGE_KEY);
+  appState.stocktake = null;
+  localStorage.removeItem(STOCKTAKE_STORAGE_KEY);
+  appState.labels = { kind: 'book', books: [], locations: null, results: [], sheet: null };
+  elements.labelsSection.style.display = 'none';
+  clearTimeout(appState.locationReminder.timer);
+  appState.locationReminder.due = false;
+  elements.locationBanner.style.display = 'none';
+
+  if (appState.queueRetryTimer) {
+    clearInterval(appState.queueRetryTimer);
+    appState.queueRetryTimer = null;
+  }
+
+  if (appState.sync.timer) {
+    clearInterval(appState.sync.timer);
+  }
+  appState.sync = { since: null, lastSynced: null, syncing: false, timer: null };
 
   // Reset UI
   elements.appMain.style.display = 'none';
@@ -254,8 +911,9 @@ function handleSignOut() {
     google.accounts.id.disableAutoSelect();
   }
 
-  // Reload page to reset Google Sign-In
-  window.location.reload();
+  // Forget the token (queued transactions stay until this user signs in again),
+  // then reload page to reset Google Sign-In
+  window.sheetsAPI.setIdToken(null).finally(() => window.location.reload());
 }
 
 /**
@@ -265,12 +923,26 @@ function initScanner() {
   appState.scanner = new BarcodeScanner();
   appState.scanner.init(onScanSuccess, onScanError);
 
+  const settings = appState.scanner.settings;
+  elements.confirmFramesSelect.value = String(settings.confirmFrames);
+  elements.scanSoundToggle.checked = settings.sound;
+  elements.scanVibrateToggle.checked = settings.vibrate;
+
+  // Handheld (keyboard-wedge) scanners work wherever focus is
+  loadHandsFree();
+  elements.handsFreeToggle.checked = appState.handsFree.enabled;
+  elements.handsFreeQty.value = String(appState.handsFree.qty);
+  appState.wedge = new KeyboardWedge();
+
+  loadLocationReminder();
+  elements.locationReminderMinutes.value = String(appState.locationReminder.minutes);
+
   // Set up event listeners
   setupEventListeners();
 
   // Check if API is configured
   if (!window.sheetsAPI.isConfigured()) {
-    showStatus('Please configure Google Apps Script URL in sheets-api.js', 'warning', 0);
+    showStatus(t('config.scriptUrl'), 'warning', 0);
   }
 
   console.log('App initialized');
@@ -282,6 +954,17 @@ function initScanner() {
 function setupEventListeners() {
   // Sign out button
   elements.signOutBtn.addEventListener('click', handleSignOut);
+  elements.mockSigninForm.addEventListener('submit', handleMockSignIn);
+
+  // Keep cached quantities close to live: sync on tap, on return to the app and on reconnect
+  elements.syncStatus.addEventListener('click', () => syncBooks(true));
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      syncBooks();
+      checkLocationReminder();
+    }
+  });
+  window.addEventListener('online', () => syncBooks());
 
   // Start scan button
   elements.startScanBtn.addEventListener('click', startScanning);
@@ -289,13 +972,37 @@ function setupEventListeners() {
   // Stop scan button
   elements.stopScanBtn.addEventListener('click', stopScanning);
 
+  // Camera, torch, zoom and scanner settings
+  elements.cameraSelect.addEventListener('change', async () => {
+    try {
+      await appState.scanner.selectCamera(elements.cameraSelect.value);
+      renderScannerControls();
+    } catch (error) {
+      showStatus(t('scanner.switchFailed', { message: error.message }), 'error');
+    }
+  });
+  elements.torchBtn.addEventListener('click', toggleTorch);
+  elements.zoomInput.addEventListener('input', () => {
+    appState.scanner.setZoom(parseFloat(elements.zoomInput.value))
+      .catch(error => console.warn('Zoom failed:', error));
+  });
+  elements.confirmFramesSelect.addEventListener('change', () => {
+    appState.scanner.updateSettings({ confirmFrames: elements.confirmFramesSelect.value });
+  });
+  elements.scanSoundToggle.addEventListener('change', () => {
+    appState.scanner.updateSettings({ sound: elements.scanSoundToggle.checked });
+  });
+  elements.scanVibrateToggle.addEventListener('change', () => {
+    appState.scanner.updateSettings({ vibrate: elements.scanVibrateToggle.checked });
+  });
+
   // Manual lookup button
   elements.lookupBtn.addEventListener('click', () => {
     const code = elements.manualCodeInput.value.trim();
     if (code) {
-      lookupBook(code);
+      enterBookCode(code);
     } else {
-      showStatus('Please enter a book code', 'error');
+      showStatus(t('code.enter'), 'error');
     }
   });
 
@@ -306,8 +1013,236 @@ function setupEventListeners() {
     }
   });
 
+  // Type-ahead search by name/series/volume
+  elements.bookSearchInput.addEventListener('input', () => {
+    clearTimeout(appState.search.timer);
+    appState.search.timer = setTimeout(runBookSearch, SEARCH_DEBOUNCE);
+  });
+  elements.bookSearchInput.addEventListener('keydown', handleSearchKeydown);
+  elements.bookSearchInput.addEventListener('blur', () => {
+    // Let a click on a result land first
+    setTimeout(hideSearchResults, 200);
+  });
+  elements.bookSearchResults.addEventListener('mousedown', (e) => {
+    const item = e.target.closest('[data-search-index]');
+    if (item) {
+      e.preventDefault();
+      selectSearchResult(Number(item.dataset.searchIndex));
+    }
+  });
+
+  // Low stock report
+  elements.lowStockBtn.addEventListener('click', showLowStockSection);
+  elements.lowStockRefreshBtn.addEventListener('click', loadLowStock);
+  elements.lowStockCloseBtn.addEventListener('click', () => {
+    elements.lowStockSection.style.display = 'none';
+  });
+  elements.lowStockList.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-low-stock-code]');
+    if (item) {
+      elements.lowStockSection.style.display = 'none';
+      lookupBook(item.dataset.lowStockCode);
+    }
+  });
+
+  // Movement reports (managers)
+  elements.reportBtn.addEventListener('click', showReportSection);
+  elements.reportForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadReport();
+  });
+  elements.reportCsvBtn.addEventListener('click', downloadReportCsv);
+  elements.reportCloseBtn.addEventListener('click', () => {
+    elements.reportSection.style.display = 'none';
+  });
+
+  // Barcode labels
+  elements.labelsBtn.addEventListener('click', showLabelsSection);
+  elements.labelsKind.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-labels-kind]');
+    if (button) {
+      setLabelsKind(button.dataset.labelsKind);
+    }
+  });
+  elements.labelsSearchInput.addEventListener('input', () => {
+    clearTimeout(appState.search.timer);
+    appState.search.timer = setTimeout(runLabelsSearch, SEARCH_DEBOUNCE);
+  });
+  elements.labelsSearchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      const book = appState.labels.results[0];
+      if (book) {
+        addLabelBook(book.Book_code);
+      }
+    } else if (e.key === 'Escape') {
+      hideLabelsSearchResults();
+    }
+  });
+  elements.labelsSearchInput.addEventListener('blur', () => {
+    setTimeout(hideLabelsSearchResults, 200);
+  });
+  elements.labelsSearchResults.addEventListener('mousedown', (e) => {
+    const item = e.target.closest('[data-labels-result]');
+    if (item) {
+      e.preventDefault();
+      addLabelBook(appState.labels.results[Number(item.dataset.labelsResult)].Book_code);
+    }
+  });
+  elements.labelsAddUnbarcodedBtn.addEventListener('click', addUnbarcodedBooks);
+  elements.labelsBookList.addEventListener('change', (e) => {
+    const index = e.target.dataset.labelsCopies;
+    if (index !== undefined) {
+      const copies = Math.floor(Number(e.target.value));
+      appState.labels.books[Number(index)].copies = copies >= 1 ? copies : 1;
+      renderLabelBooks();
+      renderLabels();
+    }
+  });
+  elements.labelsBookList.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-labels-remove]');
+    if (button) {
+      appState.labels.books.splice(Number(button.dataset.labelsRemove), 1);
+      renderLabelBooks();
+      renderLabels();
+    }
+  });
+  elements.labelsLocationList.addEventListener('change', (e) => {
+    const code = e.target.dataset.labelsLocation;
+    if (code !== undefined) {
+      const chosen = appState.labels.locations.filter(c => c !== code);
+      appState.labels.locations = e.target.checked ? [...chosen, code] : chosen;
+      renderLabels();
+    }
+  });
+  elements.labelsLayout.addEventListener('change', renderLabels);
+  elements.labelsSkip.addEventListener('input', renderLabels);
+  elements.labelsCustom.addEventListener('input', renderLabels);
+  elements.labelsPrintBtn.addEventListener('click', printLabels);
+  elements.labelsPdfBtn.addEventListener('click', downloadLabelsPdf);
+  elements.labelsCloseBtn.addEventListener('click', () => {
+    elements.labelsSection.style.display = 'none';
+  });
+
+  // Reconcile (admin)
+  elements.reconcileBtn.addEventListener('click', () => {
+    elements.reconcileSection.style.display = 'block';
+    elements.reconcileSection.scrollIntoView({ behavior: 'smooth' });
+    runReconcile(true);
+  });
+  elements.reconcileApplyBtn.addEventListener('click', () => runReconcile(false));
+  elements.reconcileCloseBtn.addEventListener('click', () => {
+    elements.reconcileSection.style.display = 'none';
+  });
+
+  // New book form
+  elements.newBookForm.addEventListener('submit', handleNewBookSubmit);
+  elements.newBookCancelBtn.addEventListener('click', hideNewBookForm);
+
   // Transaction form submit
   elements.transactionForm.addEventListener('submit', handleTransactionSubmit);
+
+  // Batch mode
+  elements.batchModeToggle.addEventListener('change', () => {
+    setBatchMode(elements.batchModeToggle.checked);
+  });
+
+  // Handheld scanner and hands-free posting
+  appState.wedge.attach(handleWedgeScan);
+  elements.handsFreeToggle.addEventListener('change', () => {
+    updateHandsFree({ enabled: elements.handsFreeToggle.checked });
+  });
+  elements.handsFreeQty.addEventListener('change', () => {
+    updateHandsFree({ qty: elements.handsFreeQty.value });
+  });
+
+  // Active location: picked by hand (the single and batch forms follow each
+  // other) or by scanning a location label, with an optional reminder once
+  // the app has sat idle
+  elements.locationSelect.addEventListener('change', () => setActiveLocation(elements.locationSelect.value));
+  elements.cartLocationSelect.addEventListener('change', () => setActiveLocation(elements.cartLocationSelect.value));
+  elements.locationBannerOkBtn.addEventListener('click', acknowledgeLocation);
+  elements.locationReminderMinutes.addEventListener('change', () => {
+    updateLocationReminder(elements.locationReminderMinutes.value);
+  });
+  document.addEventListener('pointerdown', noteActivity);
+  document.addEventListener('keydown', noteActivity);
+  elements.cartList.addEventListener('change', (e) => {
+    if (e.target.dataset.cartQty !== undefined) {
+      updateCartQty(Number(e.target.dataset.cartQty), e.target.value);
+    }
+  });
+  elements.cartList.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-cart-remove]');
+    if (button) {
+      removeFromCart(Number(button.dataset.cartRemove));
+    }
+  });
+  elements.cartSubmitBtn.addEventListener('click', submitCart);
+  elements.cartClearBtn.addEventListener('click', () => {
+    if (appState.cart.length === 0 || confirm(t('cart.clearConfirm'))) {
+      appState.cart = [];
+      saveCart();
+      renderCart();
+    }
+  });
+
+  // Stocktake
+  elements.stocktakeStartBtn.addEventListener('click', showStocktakeSection);
+  elements.stocktakeCloseBtn.addEventListener('click', hideStocktakeSection);
+  elements.stocktakeBeginBtn.addEventListener('click', beginStocktake);
+  elements.stocktakeCancelBtn.addEventListener('click', cancelStocktake);
+  elements.stocktakeReviewBtn.addEventListener('click', showStocktakeReview);
+  elements.stocktakeBackBtn.addEventListener('click', renderStocktake);
+  elements.stocktakeConfirmBtn.addEventListener('click', submitStocktake);
+  elements.stocktakeList.addEventListener('change', (e) => {
+    if (e.target.dataset.stocktakeQty !== undefined) {
+      updateStocktakeCount(e.target.dataset.stocktakeQty, e.target.value);
+    }
+  });
+  elements.stocktakeList.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-stocktake-remove]');
+    if (button) {
+      appState.stocktake.remove(button.dataset.stocktakeRemove);
+      saveStocktake();
+      renderStocktake();
+    }
+  });
+
+  // Undo from the recent activity list
+  elements.activityList.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-undo-id]');
+    if (button) {
+      undoTransaction(button.dataset.undoId);
+    }
+  });
+
+  // Transaction history (first page loads when the panel is opened)
+  elements.historyPanel.addEventListener('toggle', () => {
+    if (elements.historyPanel.open && appState.history.loaded === 0) {
+      loadHistory(true);
+    }
+  });
+  elements.historyMoreBtn.addEventListener('click', () => loadHistory());
+
+  // In/Out vs Transfer toggle
+  elements.transactionMode.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-mode]');
+    if (button) {
+      setTransactionMode(button.dataset.mode);
+    }
+  });
+
+  // Offline queue controls
+  elements.queueBadge.addEventListener('click', showQueueSection);
+  elements.queueCloseBtn.addEventListener('click', hideQueueSection);
+  elements.queueRetryBtn.addEventListener('click', () => flushOfflineQueue(true));
+  elements.queueList.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-discard-id]');
+    if (button) {
+      discardQueuedTransaction(Number(button.dataset.discardId));
+    }
+  });
 }
 
 /**
@@ -318,7 +1253,7 @@ async function startScanning() {
     // Check camera support
     const isSupported = await BarcodeScanner.isCameraSupported();
     if (!isSupported) {
-      showStatus('No camera found on this device. Please use manual entry.', 'error');
+      showStatus(t('scanner.noCamera'), 'error');
       return;
     }
 
@@ -328,228 +1263,2710 @@ async function startScanning() {
 
     // Start scanner
     await appState.scanner.start();
-    showStatus('Scanner active - point camera at barcode', 'info', 3000);
+    renderScannerControls();
+    showStatus(t('scanner.active'), 'info', 3000);
 
   } catch (error) {
     console.error('Failed to start scanner:', error);
-    showStatus(`Failed to start scanner: ${error.message}`, 'error');
+    showStatus(t('scanner.startFailed', { message: error.message }), 'error');
     elements.scannerContainer.style.display = 'none';
     elements.startScanBtn.style.display = 'block';
   }
 }
 
 /**
- * Stop barcode scanning
+ * Fill the camera list and show torch/zoom controls the camera supports
  */
-async function stopScanning() {
-  try {
-    await appState.scanner.stop();
-    elements.scannerContainer.style.display = 'none';
-    elements.startScanBtn.style.display = 'block';
-    showStatus('Scanner stopped', 'info', 2000);
-  } catch (error) {
-    console.error('Error stopping scanner:', error);
+async function renderScannerControls() {
+  const cameras = await BarcodeScanner.getCameras();
+  const selected = appState.scanner.settings.cameraId || '';
+
+  elements.cameraSelect.innerHTML = `<option value="">${escapeHtml(t('scanner.rearCamera'))}</option>`;
+  cameras.forEach((camera, index) => {
+    const option = document.createElement('option');
+    option.value = camera.id;
+    option.textContent = camera.label || t('scanner.camera', { number: index + 1 });
+    elements.cameraSelect.appendChild(option);
+  });
+  elements.cameraSelect.value = cameras.some(camera => camera.id === selected) ? selected : '';
+
+  const features = appState.scanner.getTrackFeatures();
+  elements.torchBtn.style.display = features.torch ? 'inline-block' : 'none';
+  elements.torchBtn.classList.remove('torch-on');
+
+  if (features.zoom) {
+    elements.zoomInput.min = features.zoom.min;
+    elements.zoomInput.max = features.zoom.max;
+    elements.zoomInput.step = features.zoom.step;
+    elements.zoomInput.value = features.zoom.value;
+    elements.zoomControl.style.display = 'flex';
+  } else {
+    elements.zoomControl.style.display = 'none';
   }
 }
 
 /**
- * Called when barcode is successfully scanned
+ * Turn the camera torch on or off
  */
-function onScanSuccess(decodedText, decodedResult) {
-  console.log('Barcode detected:', decodedText);
+async function toggleTorch() {
+  const on = !elements.torchBtn.classList.contains('torch-on');
+  try {
+    await appState.scanner.setTorch(on);
+    elements.torchBtn.classList.toggle('torch-on', on);
+  } catch (error) {
+    showStatus(t('scanner.torchFailed', { message: error.message }), 'error');
+  }
+}
+
+/**
+ * Stop barcode scanning
+ */
+async function stopScanning() {
+  try {
+    await appState.scanner.stop();
+    elements.scannerContainer.style.display = 'none';
+    elements.startScanBtn.style.display = 'block';
+    showStatus(t('scanner.stopped'), 'info', 2000);
+  } catch (error) {
+    console.error('Error stopping scanner:', error);
+  }
+}
+
+/**
+ * Called when barcode is successfully scanned (and confirmed)
+ * @returns {boolean|null} true if used, false if refused, null if ignored as a
+ *   repeat - the scanner beeps accordingly (or not at all)
+ */
+function onScanSuccess(decodedText, decodedResult) {
+  console.log('Barcode detected:', decodedText);
+
+  // Misreads and non-book barcodes are ignored; the scanner keeps going
+  const format = decodedResult && decodedResult.result && decodedResult.result.format
+    ? decodedResult.result.format.formatName
+    : null;
+  const scan = BarcodeUtils.checkScan(decodedText, format);
+  if (!scan.valid) {
+    showStatus(t('scan.ignored', { reason: describeScanProblem(scan) }), 'warning', 2000);
+    return false;
+  }
+  const code = scan.code;
+  noteActivity();
+
+  // A location label switches the active location; the scanner keeps going
+  // for the books that follow
+  if (findLocationByCode(code)) {
+    return isRepeatFrame(code) ? null : handleLocationScan(code);
+  }
+
+  // Stocktake and batch mode - keep the scanner running and collect codes
+  if (appState.stocktake || appState.batchMode) {
+    if (isRepeatFrame(code)) {
+      return null;
+    }
+
+    if (appState.stocktake) {
+      addToStocktake(code);
+    } else {
+      addToCart(code);
+    }
+    return true;
+  }
+
+  // Stop scanner
+  stopScanning();
+
+  // Look up the book
+  lookupBook(code);
+
+  // Fill manual input for reference
+  elements.manualCodeInput.value = code;
+  return true;
+}
+
+/**
+ * Whether a camera read is the same barcode still in view rather than a new
+ * scan (while the scanner keeps running)
+ * @param {string} code - Cleaned scan
+ * @returns {boolean}
+ */
+function isRepeatFrame(code) {
+  const now = Date.now();
+  const isRepeat = code === appState.lastScan.code && now - appState.lastScan.time < BATCH_SCAN_COOLDOWN;
+  appState.lastScan = { code: code, time: now };
+  return isRepeat;
+}
+
+/**
+ * Called when scanner encounters an error
+ */
+function onScanError(errorMessage) {
+  showStatus(t('scanner.error', { message: errorMessage }), 'error');
+}
+
+/**
+ * Why a scan was refused, in the current language
+ * @param {object} scan - Invalid result of BarcodeUtils.checkScan
+ * @returns {string}
+ */
+function describeScanProblem(scan) {
+  switch (scan.problem) {
+    case 'format':
+      return t('scan.notBookBarcode', { format: scan.format });
+    case 'empty':
+      return t('scan.empty');
+    case 'check_digit':
+      return t('scan.misread', { code: scan.code });
+    default:
+      return scan.reason;
+  }
+}
+
+/**
+ * Called when a handheld (keyboard-wedge) scanner types a code and Enter
+ * Goes where a camera scan would; with hands-free on, the book is also
+ * posted at the default quantity straight away.
+ * @param {string} text - Characters typed by the scanner
+ */
+function handleWedgeScan(text) {
+  if (!appState.isAuthenticated) {
+    return;
+  }
+  console.log('Handheld scanner read:', text);
+
+  // The read may have landed in the search box
+  hideSearchResults();
+
+  const scan = BarcodeUtils.checkScan(text, null);
+  if (!scan.valid) {
+    showStatus(t('scan.ignoredWedge', { reason: describeScanProblem(scan) }), 'warning', 3000);
+    return;
+  }
+  const code = scan.code;
+
+  if (handleLocationScan(code) !== null) {
+    return;
+  }
+
+  if (appState.stocktake || appState.batchMode) {
+    enterBookCode(code);
+    return;
+  }
+
+  // Fill manual input for reference
+  elements.manualCodeInput.value = code;
+
+  if (appState.handsFree.enabled && hasRole('clerk') && appState.transactionMode === 'transaction') {
+    postHandsFree(code);
+  } else {
+    lookupBook(code);
+  }
+}
+
+/**
+ * Hands-free: open the book and submit the default quantity for it
+ * Stops at the form if anything needs the user (no location selected,
+ * a negative-stock override, an error).
+ * @param {string} code - Cleaned book code
+ */
+async function postHandsFree(code) {
+  // One post at a time - a read during the previous one would be lost
+  if (appState.isLoading) {
+    showStatus(t('handsFree.busy', { code }), 'warning', 3000);
+    return;
+  }
+
+  lookupBook(code);
+  if (!appState.currentBook) {
+    return;
+  }
+
+  elements.qtyInput.value = String(appState.handsFree.qty);
+  await handleTransactionSubmit({ preventDefault() {} });
+}
+
+/**
+ * Load the hands-free setting saved on this device
+ */
+function loadHandsFree() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(HANDS_FREE_STORAGE_KEY));
+    if (saved) {
+      appState.handsFree = { ...appState.handsFree, ...saved };
+    }
+  } catch (error) {
+    console.warn('Could not load hands-free setting:', error);
+  }
+}
+
+/**
+ * Change and save the hands-free setting
+ * @param {object} changes - { enabled, qty }
+ */
+function updateHandsFree(changes) {
+  const handsFree = { ...appState.handsFree, ...changes };
+
+  // A quantity of zero (or none) would post nothing - keep the last good one
+  const qty = parseFloat(handsFree.qty);
+  handsFree.qty = isNaN(qty) || qty === 0 ? appState.handsFree.qty : qty;
+  elements.handsFreeQty.value = String(handsFree.qty);
+
+  appState.handsFree = handsFree;
+  localStorage.setItem(HANDS_FREE_STORAGE_KEY, JSON.stringify(handsFree));
+}
+
+/**
+ * The location whose Location_code a scan read (as printed on its label)
+ * @param {string} code - Cleaned scan
+ * @returns {object|null} { code, name } from appState.locations
+ */
+function findLocationByCode(code) {
+  return appState.locations.find(location => BarcodeUtils.clean(String(location.code)) === code) || null;
+}
+
+/**
+ * A scanned location label makes that location the active one for the
+ * transactions that follow (a stocktake keeps the location it counts)
+ * @param {string} code - Cleaned scan
+ * @returns {boolean|null} true if switched, false if refused, null if the
+ *   code isn't a location's
+ */
+function handleLocationScan(code) {
+  const location = findLocationByCode(code);
+  if (!location) {
+    return null;
+  }
+
+  if (appState.stocktake) {
+    showStatus(t('location.stocktakeFixed', { name: appState.stocktake.location }), 'warning', 3000);
+    return false;
+  }
+  if (!canUseLocation(location.name)) {
+    showStatus(t('location.notAllowed', { name: location.name }), 'error');
+    return false;
+  }
+
+  setActiveLocation(location.name);
+  elements.locationBanner.classList.add('location-banner-changed');
+  setTimeout(() => elements.locationBanner.classList.remove('location-banner-changed'), 1500);
+  showStatus(t('location.scanned', { name: location.name }), 'success', 2000);
+  return true;
+}
+
+/**
+ * Record transactions at a location from now on: the transaction and batch
+ * forms both switch to it, and so does a stocktake not yet started
+ * @param {string} name - Location name ('' for none)
+ */
+function setActiveLocation(name) {
+  elements.locationSelect.value = name;
+  elements.cartLocationSelect.value = name;
+  if (!appState.stocktake) {
+    elements.stocktakeLocationSelect.value = name;
+  }
+  acknowledgeLocation();
+}
+
+/**
+ * Show the active location in the header banner (clerks and up), asking
+ * whether it's still right when the reminder is due
+ */
+function renderLocationBanner() {
+  const banner = elements.locationBanner;
+  if (!appState.isAuthenticated || !hasRole('clerk')) {
+    banner.style.display = 'none';
+    return;
+  }
+
+  const name = elements.locationSelect.value;
+  const due = appState.locationReminder.due;
+
+  banner.style.display = 'flex';
+  banner.classList.toggle('location-banner-empty', !name);
+  banner.classList.toggle('location-banner-reminder', due);
+  elements.locationBannerName.textContent = name || t('location.none');
+  elements.locationBannerHint.textContent = due ? t('location.reminder', { name: name }) : t('location.scanHint');
+  elements.locationBannerOkBtn.style.display = due ? '' : 'none';
+}
+
+/**
+ * Load the location reminder setting saved on this device
+ */
+function loadLocationReminder() {
+  const minutes = parseInt(localStorage.getItem(LOCATION_REMINDER_STORAGE_KEY), 10);
+  appState.locationReminder.minutes = minutes > 0 ? minutes : 0;
+}
+
+/**
+ * Change and save the location reminder setting
+ * @param {string|number} minutes - Idle minutes before it shows (0 = off)
+ */
+function updateLocationReminder(minutes) {
+  const value = Math.floor(Number(minutes));
+  appState.locationReminder.minutes = value > 0 ? value : 0;
+  elements.locationReminderMinutes.value = String(appState.locationReminder.minutes);
+  localStorage.setItem(LOCATION_REMINDER_STORAGE_KEY, String(appState.locationReminder.minutes));
+  scheduleLocationReminder();
+}
+
+/**
+ * The app is in use (a tap, a key or a scan) - put off the reminder
+ */
+function noteActivity() {
+  appState.locationReminder.lastActivity = Date.now();
+  scheduleLocationReminder();
+}
+
+/**
+ * Time the reminder from the last activity (nothing if it's off or
+ * already showing)
+ */
+function scheduleLocationReminder() {
+  const reminder = appState.locationReminder;
+  clearTimeout(reminder.timer);
+  reminder.timer = null;
+
+  if (!reminder.minutes || reminder.due) {
+    return;
+  }
+
+  const wait = reminder.lastActivity + reminder.minutes * 60000 - Date.now();
+  reminder.timer = setTimeout(checkLocationReminder, Math.max(wait, 0));
+}
+
+/**
+ * Ask whether the active location is still right if the app has been idle
+ * long enough. Also run when the app comes back into view, as timers sleep
+ * with the phone.
+ */
+function checkLocationReminder() {
+  const reminder = appState.locationReminder;
+  const name = elements.locationSelect.value;
+  if (!reminder.minutes || reminder.due || !appState.isAuthenticated || !hasRole('clerk') || !name) {
+    return;
+  }
+
+  if (Date.now() - reminder.lastActivity < reminder.minutes * 60000) {
+    scheduleLocationReminder();
+    return;
+  }
+
+  reminder.due = true;
+  renderLocationBanner();
+  showStatus(t('location.reminder', { name: name }), 'warning', 0, {
+    label: t('location.stillHere'),
+    onClick: acknowledgeLocation
+  });
+}
+
+/**
+ * The user has confirmed (or changed) the location - clear the reminder
+ * and start timing again
+ */
+function acknowledgeLocation() {
+  const reminder = appState.locationReminder;
+  if (reminder.due) {
+    reminder.due = false;
+    hideStatus();
+  }
+  noteActivity();
+  renderLocationBanner();
+}
+
+/**
+ * Use a typed, picked or scanned code for whatever mode is active:
+ * count it (stocktake), add it to the cart (batch) or open its card
+ * @param {string} code - Book code
+ */
+function enterBookCode(code) {
+  if (appState.stocktake) {
+    addToStocktake(code);
+    elements.manualCodeInput.value = '';
+  } else if (appState.batchMode) {
+    addToCart(code);
+    elements.manualCodeInput.value = '';
+  } else {
+    lookupBook(code);
+  }
+}
+
+/**
+ * Search the cached books for the text in the search box
+ */
+function runBookSearch() {
+  const query = elements.bookSearchInput.value;
+  appState.search.results = window.bookSearch.search(query);
+  appState.search.active = appState.search.results.length > 0 ? 0 : -1;
+
+  if (!query.trim()) {
+    hideSearchResults();
+    return;
+  }
+
+  renderSearchResults();
+}
+
+/**
+ * Render the search dropdown
+ */
+function renderSearchResults() {
+  const { results, active } = appState.search;
+
+  if (results.length === 0) {
+    elements.bookSearchResults.innerHTML = `<li class="book-search-empty">${escapeHtml(t('search.noMatches'))}</li>`;
+  } else {
+    elements.bookSearchResults.innerHTML = results.map((book, index) => {
+      const details = [book.Book_series, book.Volume, book.Book_code].filter(Boolean).join(' · ');
+      return `
+        <li role="option" data-search-index="${index}" class="${index === active ? 'active' : ''}" aria-selected="${index === active}">
+          <strong dir="auto">${escapeHtml(book.Book_name)}</strong>
+          <span dir="auto">${escapeHtml(details)}</span>
+        </li>
+      `;
+    }).join('');
+  }
+
+  elements.bookSearchResults.style.display = 'block';
+  elements.bookSearchInput.setAttribute('aria-expanded', 'true');
+}
+
+/**
+ * Hide the search dropdown
+ */
+function hideSearchResults() {
+  elements.bookSearchResults.style.display = 'none';
+  elements.bookSearchInput.setAttribute('aria-expanded', 'false');
+}
+
+/**
+ * Arrow keys move through the results, Enter picks, Escape closes
+ */
+function handleSearchKeydown(e) {
+  const { results } = appState.search;
+
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    if (results.length === 0) return;
+    e.preventDefault();
+    const step = e.key === 'ArrowDown' ? 1 : -1;
+    appState.search.active = (appState.search.active + step + results.length) % results.length;
+    renderSearchResults();
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    if (appState.search.active !== -1) {
+      selectSearchResult(appState.search.active);
+    }
+  } else if (e.key === 'Escape') {
+    hideSearchResults();
+  }
+}
+
+/**
+ * Open (or count / add to cart) the picked search result
+ * @param {number} index - Index in appState.search.results
+ */
+function selectSearchResult(index) {
+  const book = appState.search.results[index];
+  if (!book) return;
+
+  elements.bookSearchInput.value = '';
+  appState.search.results = [];
+  hideSearchResults();
+
+  enterBookCode(book.Book_code);
+
+  if (!appState.stocktake && !appState.batchMode) {
+    elements.manualCodeInput.value = book.Book_code;
+  }
+}
+
+/**
+ * Look up a book by code (from cached data - NO API call)
+ */
+function lookupBook(bookCode) {
+  hideStatus();
+
+  const book = findCachedBook(bookCode);
+
+  if (!book) {
+    appState.currentBook = null;
+    hideBookDisplay();
+    hideTransactionForm();
+    showBookNotFound(bookCode, 0);
+    return;
+  }
+
+  appState.currentBook = book;
+  displayBook(book);
+  showTransactionForm();
+  showStatus(t('book.found'), 'success', 2000);
+}
+
+/**
+ * Find a cached book by a scanned or typed code
+ * Tries the code's other forms too, so a book stored under its ISBN-10 is
+ * found from the ISBN-13 barcode (and vice versa), and a price add-on on
+ * the barcode doesn't matter.
+ * @param {string} bookCode
+ * @returns {object|null} Book from appState.books
+ */
+function findCachedBook(bookCode) {
+  for (const code of BarcodeUtils.getCodeVariants(bookCode)) {
+    const book = appState.books.get(code);
+    if (book) {
+      return book;
+    }
+  }
+  return null;
+}
+
+/**
+ * Report an unknown code, offering to create the book
+ * @param {string} bookCode - Code as scanned or typed
+ * @param {number} duration - Status duration (0 = until dismissed)
+ */
+function showBookNotFound(bookCode, duration) {
+  // An ISBN with a wrong check digit is almost always a typo
+  const invalidType = BarcodeUtils.getInvalidIsbnType(bookCode);
+  const message = invalidType
+    ? t('book.invalidIsbn', { code: bookCode, type: invalidType })
+    : t('book.notFound', { code: bookCode });
+
+  if (!hasRole('clerk')) {
+    showStatus(message, 'error', duration);
+    return;
+  }
+
+  showStatus(
+    message,
+    'error',
+    duration,
+    { label: t('book.create'), onClick: () => showNewBookForm(bookCode) }
+  );
+}
+
+/**
+ * Show the new book form prefilled with a code
+ * @param {string} bookCode - Code that wasn't found
+ */
+function showNewBookForm(bookCode) {
+  elements.newBookForm.reset();
+  elements.newBookCode.value = bookCode.trim();
+
+  if (!appState.stocktake && !appState.batchMode) {
+    hideBookDisplay();
+    hideTransactionForm();
+  }
+
+  elements.newBookSection.style.display = 'block';
+  elements.newBookSection.scrollIntoView({ behavior: 'smooth' });
+  elements.newBookName.focus();
+}
+
+/**
+ * Hide the new book form
+ */
+function hideNewBookForm() {
+  elements.newBookSection.style.display = 'none';
+}
+
+/**
+ * Create the book in the sheet, add it to the cache and carry on as if
+ * its code had just been scanned
+ */
+async function handleNewBookSubmit(e) {
+  e.preventDefault();
+
+  if (appState.isLoading) {
+    return;
+  }
+
+  const newBook = {
+    book_code: elements.newBookCode.value.trim(),
+    book_name: elements.newBookName.value.trim(),
+    book_series: elements.newBookSeries.value.trim(),
+    volume: elements.newBookVolume.value.trim()
+  };
+
+  if (!normalizeBookCode(newBook.book_code)) {
+    showStatus(t('code.enter'), 'error');
+    elements.newBookCode.focus();
+    return;
+  }
+
+  const existing = findCachedBook(newBook.book_code);
+  if (existing) {
+    showStatus(t('newBook.exists', { code: newBook.book_code, name: existing.Book_name }), 'error');
+    return;
+  }
+
+  let book = null;
+
+  setLoading(true);
+  hideStatus();
+
+  try {
+    showStatus(t('newBook.creating'), 'info', 0);
+
+    const result = await window.sheetsAPI.createBook(newBook);
+    book = result.book;
+
+    appState.books.set(normalizeBookCode(book.Book_code), book);
+    window.bookSearch.setBooks(appState.books.values());
+
+    hideNewBookForm();
+
+  } catch (error) {
+    console.error('Create book error:', error);
+    if (error.authError) {
+      promptReauthentication();
+    } else if (!navigator.onLine) {
+      showStatus(t('newBook.offline'), 'error');
+    } else {
+      showStatus(t('newBook.failed', { message: error.message }), 'error');
+    }
+  } finally {
+    setLoading(false);
+  }
+
+  if (book) {
+    // Open it, count it or add it to the cart, depending on the mode
+    enterBookCode(book.Book_code);
+    showStatus(t('newBook.created', { name: book.Book_name }), 'success', 3000);
+  }
+}
+
+/**
+ * Display book information
+ */
+function displayBook(book) {
+  elements.bookCode.textContent = book.Book_code || '';
+  elements.bookName.textContent = book.Book_name || t('common.na');
+  elements.bookSeries.textContent = book.Book_series || t('common.na');
+  elements.bookVolume.textContent = book.Volume || t('common.na');
+
+  // Extra columns listed in the Book_fields sheet (read-only)
+  elements.bookFields.innerHTML = Object.entries(book.fields || {}).map(([label, value]) => `
+    <div class="info-row">
+      <span class="label">${escapeHtml(label)}:</span>
+      <span class="value" dir="auto">${escapeHtml(value === '' || value === null ? t('common.na') : value)}</span>
+    </div>
+  `).join('');
+
+  // Display location-specific quantities
+  const locationsHtml = [];
+  if (book.locations) {
+    for (const [locName, qty] of Object.entries(book.locations)) {
+      locationsHtml.push(`
+        <div class="info-row location-qty">
+          <span class="label">${locName}:</span>
+          <span class="value highlight">${qty || 0}</span>
+        </div>
+      `);
+    }
+  }
+  elements.bookLocations.innerHTML = locationsHtml.join('');
+
+  const total = getTotalQty(book);
+  if (isLowStock(book)) {
+    elements.bookLowStock.textContent = t('book.lowStock', { total, min: book.Min_qty });
+    elements.bookLowStock.style.display = 'block';
+  } else {
+    elements.bookLowStock.style.display = 'none';
+  }
+
+  elements.bookSection.style.display = 'block';
+
+  if (appState.history.bookCode !== book.Book_code) {
+    resetHistory(book.Book_code);
+  } else if (elements.historyPanel.open) {
+    // Same book, quantities changed - the history has a new row
+    loadHistory(true);
+  }
+}
+
+/**
+ * Collapse and clear the history panel for a newly displayed book
+ * @param {string} bookCode - Book the panel now belongs to
+ */
+function resetHistory(bookCode) {
+  appState.history = { bookCode: bookCode, loaded: 0, loading: false };
+  elements.historyPanel.open = false;
+  elements.historyList.innerHTML = '';
+  elements.historyEmpty.style.display = 'none';
+  elements.historyMoreBtn.style.display = 'none';
+}
+
+/**
+ * Fetch a page of the current book's history
+ * @param {boolean} fromStart - Replace the rows shown instead of appending
+ */
+async function loadHistory(fromStart = false) {
+  const history = appState.history;
+  if (history.loading || !history.bookCode) {
+    return;
+  }
+
+  const bookCode = history.bookCode;
+  const offset = fromStart ? 0 : history.loaded;
+
+  history.loading = true;
+  elements.historyMoreBtn.disabled = true;
+  elements.historyEmpty.style.display = 'none';
+  if (offset === 0) {
+    elements.historyEmpty.textContent = t('common.loading');
+    elements.historyEmpty.style.display = 'block';
+  }
+
+  try {
+    const result = await window.sheetsAPI.loadHistory(bookCode, offset, HISTORY_PAGE_SIZE);
+
+    // Another book was opened while this was loading
+    if (appState.history.bookCode !== bookCode) return;
+
+    const rowsHtml = result.transactions.map(renderHistoryRow).join('');
+    if (offset === 0) {
+      elements.historyList.innerHTML = rowsHtml;
+    } else {
+      elements.historyList.insertAdjacentHTML('beforeend', rowsHtml);
+    }
+
+    history.loaded = offset + result.transactions.length;
+    elements.historyMoreBtn.style.display = result.has_more ? 'block' : 'none';
+
+    if (result.total === 0) {
+      elements.historyEmpty.textContent = t('history.none');
+    } else {
+      elements.historyEmpty.style.display = 'none';
+    }
+
+  } catch (error) {
+    console.error('Failed to load history:', error);
+    if (error.authError) {
+      promptReauthentication();
+    }
+    elements.historyEmpty.textContent = navigator.onLine
+      ? t('history.failed', { message: error.message })
+      : t('history.offline');
+    elements.historyEmpty.style.display = 'block';
+  } finally {
+    history.loading = false;
+    elements.historyMoreBtn.disabled = false;
+  }
+}
+
+/**
+ * Table row for one history entry
+ * @param {object} entry - Transaction from the history action
+ * @returns {string} HTML
+ */
+function renderHistoryRow(entry) {
+  const qtyText = entry.qty > 0 ? `+${entry.qty}` : entry.qty;
+  const date = entry.datetime ? new Date(entry.datetime).toLocaleString(window.i18n.language) : '';
+  const comments = entry.type && entry.type !== 'transaction'
+    ? `[${window.i18n.has('type.' + entry.type) ? t('type.' + entry.type) : entry.type}] ${entry.comments || ''}`
+    : entry.comments;
+
+  return `
+    <tr>
+      <td>${escapeHtml(date)}</td>
+      <td>${escapeHtml(entry.user)}</td>
+      <td dir="auto">${escapeHtml(entry.location)}</td>
+      <td class="${entry.qty < 0 ? 'history-out' : 'history-in'}">${escapeHtml(qtyText)}</td>
+      <td>${escapeHtml(entry.balance)}<small class="history-location-balance">${escapeHtml(entry.location)}: ${escapeHtml(entry.location_balance)}</small></td>
+      <td dir="auto">${escapeHtml(comments)}</td>
+    </tr>
+  `;
+}
+
+/**
+ * Total quantity of a cached book across all locations
+ * @param {object} book - Cached book
+ * @returns {number}
+ */
+function getTotalQty(book) {
+  return Object.values(book.locations || {})
+    .reduce((sum, qty) => sum + (parseFloat(qty) || 0), 0);
+}
+
+/**
+ * Whether a cached book is below its minimum quantity (Min_qty from its
+ * own row or its series; null when it has none)
+ * @param {object} book - Cached book
+ * @returns {boolean}
+ */
+function isLowStock(book) {
+  return book.Min_qty !== null && book.Min_qty !== undefined && getTotalQty(book) < book.Min_qty;
+}
+
+/**
+ * Open the low stock report and load it
+ */
+function showLowStockSection() {
+  elements.lowStockSection.style.display = 'block';
+  elements.lowStockSection.scrollIntoView({ behavior: 'smooth' });
+  loadLowStock();
+}
+
+/**
+ * Fetch the low stock report from the server (the cache may be out of date
+ * for books other users have changed)
+ */
+async function loadLowStock() {
+  elements.lowStockList.innerHTML = `<p class="cart-empty">${escapeHtml(t('common.loading'))}</p>`;
+
+  let books;
+  try {
+    books = (await window.sheetsAPI.loadLowStock()).books;
+  } catch (error) {
+    console.error('Failed to load low stock report:', error);
+    if (error.authError) {
+      promptReauthentication();
+    }
+
+    // Offline - fall back to the cached quantities
+    books = Array.from(appState.books.values()).filter(isLowStock).map(book => ({
+      Book_code: book.Book_code,
+      Book_name: book.Book_name,
+      total: getTotalQty(book),
+      min_qty: book.Min_qty,
+      shortfall: book.Min_qty - getTotalQty(book)
+    })).sort((a, b) => b.shortfall - a.shortfall);
+    showStatus(t('lowStock.offline'), 'warning');
+  }
+
+  if (books.length === 0) {
+    elements.lowStockList.innerHTML = `<p class="cart-empty">${escapeHtml(t('lowStock.none'))}</p>`;
+    return;
+  }
+
+  elements.lowStockList.innerHTML = books.map(book => `
+    <div class="cart-item cart-item-error" data-low-stock-code="${escapeHtml(book.Book_code)}">
+      <div class="cart-item-info">
+        <strong dir="auto">${escapeHtml(book.Book_name)}</strong>
+        <span>${escapeHtml(book.Book_code)} &middot; ${escapeHtml(t('lowStock.line', { total: book.total, min: book.min_qty, shortfall: book.shortfall }))}</span>
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Open the movement report, for the last week unless a range was chosen
+ */
+function showReportSection() {
+  if (!elements.reportFrom.value || !elements.reportTo.value) {
+    const range = MovementReport.defaultRange();
+    elements.reportFrom.value = range.from;
+    elements.reportTo.value = range.to;
+  }
+
+  elements.reportSection.style.display = 'block';
+  elements.reportSection.scrollIntoView({ behavior: 'smooth' });
+  loadReport();
+}
+
+/**
+ * Fetch in/out totals for the chosen dates (managers only; needs a
+ * connection - the device only has current quantities, not movements)
+ */
+async function loadReport() {
+  const from = elements.reportFrom.value;
+  const to = elements.reportTo.value;
+  if (!from || !to || from > to) {
+    showStatus(t('report.badDates'), 'error');
+    return;
+  }
+
+  appState.report = null;
+  elements.reportCsvBtn.disabled = true;
+  elements.reportSummary.textContent = t('common.loading');
+  elements.reportTables.innerHTML = '';
+
+  let report;
+  try {
+    report = new MovementReport(await window.sheetsAPI.loadReport(from, to));
+  } catch (error) {
+    console.error('Failed to load report:', error);
+    elements.reportSummary.textContent = '';
+    if (error.authError) {
+      promptReauthentication();
+    } else {
+      showStatus(t('report.failed', { message: error.message }), 'error');
+    }
+    return;
+  }
+
+  appState.report = report;
+  renderReport(report);
+}
+
+/**
+ * Show a movement report: the totals, then a table per group
+ * @param {MovementReport} report
+ */
+function renderReport(report) {
+  const { totals, transactions } = report.data;
+  elements.reportSummary.textContent = transactions === 0
+    ? t('report.none')
+    : t('report.summary', { count: transactions, in: totals.in, out: totals.out, net: (totals.net > 0 ? '+' : '') + totals.net });
+  elements.reportCsvBtn.disabled = transactions === 0;
+
+  if (transactions === 0) {
+    return;
+  }
+
+  elements.reportTables.innerHTML = report.getSections(t('report.noneName')).map(section => `
+    <h3>${escapeHtml(t('report.section.' + section.key))}</h3>
+    <div class="history-table-wrapper">
+      <table class="history-table report-table">
+        <thead>
+          <tr>
+            <th>${escapeHtml(t('report.column.' + section.key))}</th>
+            <th>${escapeHtml(t('report.in'))}</th><th>${escapeHtml(t('report.out'))}</th><th>${escapeHtml(t('report.net'))}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${section.rows.map(row => `
+            <tr>
+              <td dir="auto">${escapeHtml(row.name)}${row.code ? `<small class="history-location-balance">${escapeHtml(row.code)}</small>` : ''}</td>
+              <td class="history-in">${escapeHtml(row.in)}</td>
+              <td class="history-out">${escapeHtml(row.out)}</td>
+              <td>${escapeHtml(row.net)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `).join('');
+}
+
+/**
+ * Save the report shown as a CSV file
+ * Starts with a byte order mark so Excel reads Hebrew names as UTF-8.
+ */
+function downloadReportCsv() {
+  if (!appState.report) {
+    return;
+  }
+
+  const blob = new Blob(['\ufeff' + appState.report.toCsv()], { type: 'text/csv;charset=utf-8' });
+  saveFile(blob, appState.report.getFilename());
+}
+
+/**
+ * Have the browser download a file
+ * @param {Blob} blob - Contents
+ * @param {string} filename
+ */
+function saveFile(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Open label printing - with the book on screen already added if no books
+ * have been chosen yet, and every location ticked the first time
+ */
+function showLabelsSection() {
+  const labels = appState.labels;
+  if (labels.books.length === 0 && appState.currentBook) {
+    labels.books.push({ book_code: appState.currentBook.Book_code, copies: 1 });
+  }
+  if (!labels.locations) {
+    labels.locations = appState.locations.map(location => location.code);
+  }
+
+  populateLabelLayouts();
+  setLabelsKind(labels.kind);
+  elements.labelsSection.style.display = 'block';
+  elements.labelsSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Fill the label sheet picker: the preset layouts, then Custom
+ */
+function populateLabelLayouts() {
+  const selected = elements.labelsLayout.value || DEFAULT_LABEL_LAYOUT;
+  elements.labelsLayout.innerHTML = LabelSheet.getLayouts().map(layout => `
+    <option value="${layout.key}">${escapeHtml(layout.name)}</option>
+  `).join('') + `<option value="custom">${escapeHtml(t('labels.custom'))}</option>`;
+  elements.labelsLayout.value = selected;
+}
+
+/**
+ * Switch between book and location labels
+ * @param {string} kind - 'book' or 'location'
+ */
+function setLabelsKind(kind) {
+  appState.labels.kind = kind;
+
+  elements.labelsKind.querySelectorAll('[data-labels-kind]').forEach(button => {
+    button.classList.toggle('active', button.dataset.labelsKind === kind);
+  });
+
+  elements.labelsBooks.style.display = kind === 'book' ? 'block' : 'none';
+  elements.labelsLocationList.style.display = kind === 'location' ? 'flex' : 'none';
+  if (kind === 'book') {
+    renderLabelBooks();
+  } else {
+    renderLabelLocations();
+  }
+  renderLabels();
+}
+
+/**
+ * Search the cached books for one to add to the labels
+ */
+function runLabelsSearch() {
+  const query = elements.labelsSearchInput.value;
+  const results = query.trim() ? window.bookSearch.search(query) : [];
+  appState.labels.results = results;
+
+  if (!query.trim()) {
+    hideLabelsSearchResults();
+    return;
+  }
+
+  if (results.length === 0) {
+    elements.labelsSearchResults.innerHTML = `<li class="book-search-empty">${escapeHtml(t('search.noMatches'))}</li>`;
+  } else {
+    elements.labelsSearchResults.innerHTML = results.map((book, index) => {
+      const details = [book.Book_series, book.Volume, book.Book_code].filter(Boolean).join(' · ');
+      return `
+        <li role="option" data-labels-result="${index}" class="${index === 0 ? 'active' : ''}">
+          <strong dir="auto">${escapeHtml(book.Book_name)}</strong>
+          <span dir="auto">${escapeHtml(details)}</span>
+        </li>
+      `;
+    }).join('');
+  }
+
+  elements.labelsSearchResults.style.display = 'block';
+  elements.labelsSearchInput.setAttribute('aria-expanded', 'true');
+}
+
+/**
+ * Hide the labels search dropdown
+ */
+function hideLabelsSearchResults() {
+  elements.labelsSearchResults.style.display = 'none';
+  elements.labelsSearchInput.setAttribute('aria-expanded', 'false');
+}
+
+/**
+ * Add a book to the labels (another copy if it's already there)
+ * @param {string} bookCode
+ */
+function addLabelBook(bookCode) {
+  const books = appState.labels.books;
+  const line = books.find(l => normalizeBookCode(l.book_code) === normalizeBookCode(bookCode));
+  if (line) {
+    line.copies++;
+  } else {
+    books.push({ book_code: bookCode, copies: 1 });
+  }
+
+  elements.labelsSearchInput.value = '';
+  appState.labels.results = [];
+  hideLabelsSearchResults();
+  renderLabelBooks();
+  renderLabels();
+}
+
+/**
+ * Add every book whose code isn't an ISBN (or other EAN-13) - the ones
+ * without a barcode printed on them
+ */
+function addUnbarcodedBooks() {
+  const chosen = new Set(appState.labels.books.map(line => normalizeBookCode(line.book_code)));
+  const books = Array.from(appState.books.values()).filter(book => {
+    const barcode = LabelSheet.getBarcode(String(book.Book_code));
+    return !chosen.has(normalizeBookCode(book.Book_code)) && !(barcode && barcode.format === 'EAN_13');
+  });
+
+  books.forEach(book => appState.labels.books.push({ book_code: book.Book_code, copies: 1 }));
+  showStatus(t('labels.addedUnbarcoded', { count: books.length }), books.length ? 'success' : 'info');
+  renderLabelBooks();
+  renderLabels();
+}
+
+/**
+ * Render the books chosen for labels, each with its number of copies
+ */
+function renderLabelBooks() {
+  const books = appState.labels.books;
+
+  if (books.length === 0) {
+    elements.labelsBookList.innerHTML = `<p class="cart-empty">${escapeHtml(t('labels.noBooks'))}</p>`;
+    return;
+  }
+
+  elements.labelsBookList.innerHTML = books.map((line, index) => {
+    const book = appState.books.get(normalizeBookCode(line.book_code));
+    return `
+      <div class="cart-item">
+        <div class="cart-item-info">
+          <strong dir="auto">${escapeHtml(book ? book.Book_name : line.book_code)}</strong>
+          <span dir="ltr">${escapeHtml(line.book_code)}</span>
+        </div>
+        <input type="number" class="cart-qty" min="1" step="1" value="${line.copies}" data-labels-copies="${index}" aria-label="${escapeHtml(t('labels.copies'))}">
+        <button class="btn btn-small btn-secondary" data-labels-remove="${index}" aria-label="${escapeHtml(t('common.remove'))}">&times;</button>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Render the locations with a tick box each
+ */
+function renderLabelLocations() {
+  const chosen = appState.labels.locations || [];
+
+  elements.labelsLocationList.innerHTML = appState.locations.map(location => `
+    <label class="cart-item">
+      <input type="checkbox" data-labels-location="${escapeHtml(location.code)}"${chosen.includes(location.code) ? ' checked' : ''}>
+      <span class="cart-item-info">
+        <strong dir="auto">${escapeHtml(location.name)}</strong>
+        <span dir="ltr">${escapeHtml(location.code)}</span>
+      </span>
+    </label>
+  `).join('');
+}
+
+/**
+ * The labels to print, in order (a book once per copy)
+ * @returns {Array} From LabelSheet.bookLabel / locationLabel
+ */
+function getChosenLabels() {
+  const labels = appState.labels;
+
+  if (labels.kind === 'location') {
+    const chosen = labels.locations || [];
+    return appState.locations
+      .filter(location => chosen.includes(location.code))
+      .map(location => LabelSheet.locationLabel(location));
+  }
+
+  const volumeLabel = t('labels.volume');
+  return labels.books.flatMap(line => {
+    const book = appState.books.get(normalizeBookCode(line.book_code)) || { Book_code: line.book_code };
+    return Array(line.copies).fill(LabelSheet.bookLabel(book, volumeLabel));
+  });
+}
+
+/**
+ * The label sheet picked, or the custom one from its fields
+ * @returns {object|null} Layout, or null if the custom labels would be too small
+ */
+function getLabelLayout() {
+  const key = elements.labelsLayout.value || DEFAULT_LABEL_LAYOUT;
+  if (key !== 'custom') {
+    return LabelSheet.getLayout(key) || LabelSheet.getLayout(DEFAULT_LABEL_LAYOUT);
+  }
+
+  const options = {};
+  elements.labelsCustom.querySelectorAll('[data-labels-custom]').forEach(field => {
+    options[field.dataset.labelsCustom] = field.value;
+  });
+  return LabelSheet.customLayout(options);
+}
+
+/**
+ * Build the label sheets from the choices and preview the first one
+ */
+function renderLabels() {
+  const labels = appState.labels;
+  const layout = getLabelLayout();
+  const chosen = getChosenLabels();
+
+  labels.sheet = null;
+  elements.labelsCustom.style.display = elements.labelsLayout.value === 'custom' ? 'block' : 'none';
+  elements.labelsPreview.innerHTML = '';
+  elements.labelsPrintBtn.disabled = true;
+  elements.labelsPdfBtn.disabled = true;
+
+  if (!layout) {
+    elements.labelsSummary.textContent = t('labels.badLayout');
+    return;
+  }
+  if (chosen.length === 0) {
+    elements.labelsSummary.textContent = labels.kind === 'location' ? t('labels.noLocations') : '';
+    return;
+  }
+
+  const sheet = new LabelSheet(layout, chosen, Number(elements.labelsSkip.value));
+  const pages = sheet.getPages();
+  const unencodable = new Set(chosen.filter(label => !label.barcode).map(label => label.code)).size;
+
+  elements.labelsSummary.textContent = [
+    t('labels.summary', { count: chosen.length, pages: pages.length }),
+    unencodable ? t('labels.noBarcode', { count: unencodable }) : ''
+  ].filter(Boolean).join('. ');
+
+  // Only the first sheet - a preview of hundreds of labels would be slow
+  const firstPage = chosen.slice(0, LabelSheet.getPerPage(layout) - sheet.skip);
+  elements.labelsPreview.innerHTML = new LabelSheet(layout, firstPage, sheet.skip).toHtml();
+
+  labels.sheet = sheet;
+  elements.labelsPrintBtn.disabled = false;
+  elements.labelsPdfBtn.disabled = false;
+}
+
+/**
+ * Print the label sheets. Everything else on the page is hidden while they
+ * print (see .print-labels in styles.css) and the page size set to the
+ * layout's, so they come out at 100% on the label paper.
+ */
+function printLabels() {
+  const sheet = appState.labels.sheet;
+  if (!sheet) {
+    return;
+  }
+
+  elements.labelPrint.innerHTML = sheet.toHtml();
+  elements.labelPageStyle.textContent = `@page { size: ${sheet.layout.pageWidth}mm ${sheet.layout.pageHeight}mm; margin: 0; }`;
+  document.body.classList.add('print-labels');
+
+  const cleanUp = () => {
+    window.removeEventListener('afterprint', cleanUp);
+    document.body.classList.remove('print-labels');
+    elements.labelPrint.innerHTML = '';
+    elements.labelPageStyle.textContent = '';
+  };
+  window.addEventListener('afterprint', cleanUp);
+  window.print();
+}
+
+/**
+ * Save the label sheets as a PDF
+ */
+async function downloadLabelsPdf() {
+  const sheet = appState.labels.sheet;
+  if (!sheet || appState.isLoading) {
+    return;
+  }
+
+  setLoading(true);
+  try {
+    const pdf = await sheet.toPdf();
+    saveFile(new Blob([pdf], { type: 'application/pdf' }), `labels-${MovementReport.formatDate(new Date())}.pdf`);
+  } catch (error) {
+    console.error('Failed to make label PDF:', error);
+    showStatus(t('labels.pdfFailed', { message: error.message }), 'error');
+  } finally {
+    setLoading(false);
+  }
+}
+
+/**
+ * Compare the Books quantities with the Transactions sheet (admin only)
+ * A dry run just lists the differences; otherwise the Books sheet is
+ * overwritten with the ledger's figures after confirmation.
+ * @param {boolean} dryRun - true to only report
+ */
+async function runReconcile(dryRun) {
+  if (!dryRun && !confirm(t('reconcile.confirm'))) {
+    return;
+  }
+
+  elements.reconcileApplyBtn.style.display = 'none';
+  elements.reconcileSummary.textContent = dryRun ? t('reconcile.checking') : t('reconcile.applying');
+  elements.reconcileList.innerHTML = '';
+
+  let result;
+  try {
+    result = await window.sheetsAPI.reconcile(dryRun);
+  } catch (error) {
+    console.error('Reconcile failed:', error);
+    elements.reconcileSummary.textContent = '';
+    if (error.authError) {
+      promptReauthentication();
+    } else {
+      showStatus(t('reconcile.failed', { message: error.message }), 'error');
+    }
+    return;
+  }
+
+  const books = new Set(result.mismatches.map(m => m.book_code)).size;
+  elements.reconcileSummary.textContent = dryRun
+    ? t('reconcile.checked', { books: result.books_checked, transactions: result.transactions_replayed }) +
+      (books === 0 ? t('reconcile.matches') : t('reconcile.differ', { count: books }))
+    : t('reconcile.updated', { count: result.fixed });
+
+  if (!dryRun) {
+    // Bring the cache in line with what was written
+    for (const mismatch of result.mismatches) {
+      const book = appState.books.get(normalizeBookCode(mismatch.book_code));
+      if (book && book.locations && mismatch.column !== 'Total') {
+        book.locations[mismatch.column] = mismatch.ledger;
+      }
+    }
+    if (appState.currentBook) {
+      displayBook(appState.currentBook);
+    }
+    showStatus(t('reconcile.applied'), 'success');
+  }
+
+  const rows = result.mismatches.map(mismatch => `
+    <div class="cart-item">
+      <div class="cart-item-info">
+        <strong dir="auto">${escapeHtml(mismatch.book_name || mismatch.book_code)}</strong>
+        <span>${escapeHtml(mismatch.book_code)} &middot; ${escapeHtml(t('reconcile.mismatch', { column: mismatch.column, stored: mismatch.stored, ledger: mismatch.ledger }))}</span>
+      </div>
+    </div>
+  `);
+  for (const row of result.unmatched) {
+    rows.push(`
+      <div class="cart-item cart-item-error">
+        <div class="cart-item-info">
+          <strong>${escapeHtml(t('reconcile.unmatchedRow', { row: row.row }))}</strong>
+          <span>${escapeHtml(t('reconcile.unmatched', {
+            code: row.book_code,
+            location: row.location,
+            qty: row.qty,
+            reason: window.i18n.translateError({ error: row.reason, code: row.reason_code })
+          }))}</span>
+        </div>
+      </div>
+    `);
+  }
+  elements.reconcileList.innerHTML = rows.join('');
+
+  if (dryRun && result.mismatches.length > 0) {
+    elements.reconcileApplyBtn.style.display = 'block';
+  }
+}
+
+/**
+ * Hide book display
+ */
+function hideBookDisplay() {
+  elements.bookSection.style.display = 'none';
+}
+
+/**
+ * Show transaction form
+ */
+function showTransactionForm() {
+  // Viewers only get the book card
+  if (!hasRole('clerk')) {
+    return;
+  }
+
+  elements.transactionSection.style.display = 'block';
+
+  // Reset form but keep location
+  elements.qtyInput.value = '';
+  elements.commentsInput.value = '';
+
+  // Focus on quantity input for quick entry
+  elements.qtyInput.focus();
+}
+
+/**
+ * Switch the transaction form between In/Out and Transfer
+ * @param {string} mode - 'transaction' or 'transfer'
+ */
+function setTransactionMode(mode) {
+  appState.transactionMode = mode;
+  const isTransfer = mode === 'transfer';
+
+  elements.transactionMode.querySelectorAll('[data-mode]').forEach(button => {
+    button.classList.toggle('active', button.dataset.mode === mode);
+  });
+
+  elements.qtyInput.min = isTransfer ? '1' : '';
+  elements.toLocationGroup.style.display = isTransfer ? 'flex' : 'none';
+  elements.toLocationSelect.required = isTransfer;
+  renderTransactionModeText();
+}
+
+/**
+ * Labels of the transaction form for the current mode
+ */
+function renderTransactionModeText() {
+  const isTransfer = appState.transactionMode === 'transfer';
+
+  elements.qtyLabel.textContent = isTransfer ? t('form.qtyToMove') : t('form.qty');
+  elements.qtyInput.placeholder = isTransfer ? t('form.qtyToMovePlaceholder') : t('form.qtyPlaceholder');
+  elements.qtyHelp.textContent = isTransfer ? t('form.transferHelp') : t('form.qtyHelp');
+  elements.locationLabel.textContent = isTransfer ? t('form.fromLocation') : t('form.location');
+  elements.submitTransactionBtn.textContent = isTransfer ? t('form.submitTransfer') : t('form.submitTransaction');
+}
+
+/**
+ * Hide transaction form
+ */
+function hideTransactionForm() {
+  elements.transactionSection.style.display = 'none';
+}
+
+/**
+ * Handle transaction form submission
+ */
+async function handleTransactionSubmit(e) {
+  e.preventDefault();
+
+  if (!appState.currentBook) {
+    showStatus(t('transaction.lookUpFirst'), 'error');
+    return;
+  }
+
+  if (appState.isLoading) {
+    return;
+  }
+
+  if (appState.transactionMode === 'transfer') {
+    return handleTransferSubmit();
+  }
+
+  // Get form data
+  const qty = parseFloat(elements.qtyInput.value);
+  const location = elements.locationSelect.value;
+  const comments = elements.commentsInput.value.trim();
+
+  // Validate
+  if (isNaN(qty)) {
+    showStatus(t('transaction.invalidQty'), 'error');
+    elements.qtyInput.focus();
+    return;
+  }
+
+  if (!location) {
+    showStatus(t('transaction.selectLocation'), 'error');
+    elements.locationSelect.focus();
+    return;
+  }
+
+  const threshold = appState.limits.large_negative_threshold;
+  if (qty < -threshold && !hasRole('manager')) {
+    showStatus(t('error.large_negative', { threshold }), 'error');
+    elements.qtyInput.focus();
+    return;
+  }
+
+  const overrideReason = getNegativeStockOverride(appState.currentBook, location, qty);
+  if (overrideReason === null) {
+    return;
+  }
+
+  // Prepare transaction
+  const transaction = {
+    book_code: appState.currentBook.Book_code,
+    qty: qty,
+    location: location,
+    comments: comments,
+    override_reason: overrideReason
+  };
+
+  // Submit transaction (THIS IS THE ONLY API CALL DURING NORMAL USE)
+  setLoading(true);
+  hideStatus();
+
+  try {
+    showStatus(t('transaction.submitting'), 'info', 0);
+
+    const result = await window.sheetsAPI.submitTransaction(transaction);
+
+    console.log('Transaction result:', result);
+
+    const qtyText = qty > 0 ? `+${qty}` : qty;
+
+    if (result.queued) {
+      // Offline - assume it will succeed so the card reflects what was entered
+      applyPayloadToCache(transaction, 1);
+      displayBook(appState.currentBook);
+      refreshQueueBadge();
+
+      showStatus(
+        t('transaction.queued', { qty: qtyText, name: appState.currentBook.Book_name, location }),
+        'warning',
+        5000
+      );
+    } else {
+      // Update cached book data
+      if (appState.currentBook.locations) {
+        appState.currentBook.locations[location] = result.new_qty;
+      }
+
+      // Re-display book with updated quantities
+      displayBook(appState.currentBook);
+
+      recordActivity({ ...transaction, transaction_id: result.transaction_id });
+
+      // Show success message
+      showStatus(
+        t('transaction.recorded', { qty: qtyText, name: result.book_name, location, newQty: result.new_qty }),
+        'success',
+        UNDO_STATUS_DURATION,
+        { label: t('common.undo'), onClick: () => undoTransaction(result.transaction_id) }
+      );
+    }
+
+    // Reset form for next transaction
+    resetTransactionForm();
+
+  } catch (error) {
+    console.error('Transaction error:', error);
+    applyNegativeStockError(error);
+    if (error.authError) {
+      promptReauthentication();
+    } else {
+      showStatus(t('transaction.failed', { message: error.message }), 'error');
+    }
+  } finally {
+    setLoading(false);
+  }
+}
+
+/**
+ * Handle transaction form submission in Transfer mode
+ */
+async function handleTransferSubmit() {
+  const qty = parseFloat(elements.qtyInput.value);
+  const fromLocation = elements.locationSelect.value;
+  const toLocation = elements.toLocationSelect.value;
+  const comments = elements.commentsInput.value.trim();
+
+  // Validate
+  if (isNaN(qty) || qty <= 0) {
+    showStatus(t('transfer.qtyPositive'), 'error');
+    elements.qtyInput.focus();
+    return;
+  }
+
+  if (!fromLocation || !toLocation) {
+    showStatus(t('transfer.selectBoth'), 'error');
+    (fromLocation ? elements.toLocationSelect : elements.locationSelect).focus();
+    return;
+  }
+
+  if (fromLocation === toLocation) {
+    showStatus(t('transfer.sameLocation'), 'error');
+    elements.toLocationSelect.focus();
+    return;
+  }
+
+  const overrideReason = getNegativeStockOverride(appState.currentBook, fromLocation, -qty);
+  if (overrideReason === null) {
+    return;
+  }
+
+  const transfer = {
+    book_code: appState.currentBook.Book_code,
+    qty: qty,
+    from_location: fromLocation,
+    to_location: toLocation,
+    override_reason: overrideReason,
+    comments: comments
+  };
+
+  setLoading(true);
+  hideStatus();
+
+  try {
+    showStatus(t('transfer.submitting'), 'info', 0);
+
+    const result = await window.sheetsAPI.submitTransfer(transfer);
+
+    console.log('Transfer result:', result);
+
+    if (result.queued) {
+      applyPayloadToCache({ action: 'transfer', ...transfer }, 1);
+      refreshQueueBadge();
+
+      showStatus(
+        t('transfer.queued', { qty, name: appState.currentBook.Book_name, from: fromLocation, to: toLocation }),
+        'warning',
+        5000
+      );
+    } else {
+      Object.assign(appState.currentBook.locations, result.locations);
+
+      recordActivity({ action: 'transfer', ...transfer, transaction_id: result.transaction_id });
+
+      showStatus(
+        t('transfer.recorded', {
+          qty,
+          name: result.book_name,
+          from: fromLocation,
+          fromQty: result.from_qty,
+          to: toLocation,
+          toQty: result.to_qty
+        }),
+        'success',
+        UNDO_STATUS_DURATION,
+        { label: t('common.undo'), onClick: () => undoTransaction(result.transaction_id) }
+      );
+    }
+
+    displayBook(appState.currentBook);
+    resetTransactionForm();
+
+  } catch (error) {
+    console.error('Transfer error:', error);
+    applyNegativeStockError(error);
+    if (error.authError) {
+      promptReauthentication();
+    } else {
+      showStatus(t('transfer.failed', { message: error.message }), 'error');
+    }
+  } finally {
+    setLoading(false);
+  }
+}
+
+/**
+ * Ask for a reason when a removal would take a location below zero
+ * (the server refuses it without one)
+ * @param {object} book - Cached book
+ * @param {string} location - Location being reduced
+ * @param {number} qty - Change at that location (negative for a removal)
+ * @returns {string|null} '' when no override is needed, the reason, or null if cancelled
+ */
+function getNegativeStockOverride(book, location, qty) {
+  const current = parseFloat(book.locations && book.locations[location]) || 0;
+  if (qty >= 0 || current + qty >= 0) {
+    return '';
+  }
+
+  const reason = prompt(t('override.prompt', { location, current, after: current + qty }));
+
+  if (reason === null || !reason.trim()) {
+    showStatus(t('override.cancelled'), 'warning');
+    return null;
+  }
+  return reason.trim();
+}
+
+/**
+ * When the server refused a removal for lack of stock, our cached quantity
+ * was out of date - correct it so the next attempt asks for an override
+ * @param {Error} error - From SheetsAPI (error.data is the response body)
+ */
+function applyNegativeStockError(error) {
+  const data = error.data;
+  if (!data || !data.negative_stock) return;
+
+  const book = appState.books.get(normalizeBookCode(data.book_code));
+  if (book && book.locations) {
+    book.locations[data.location] = data.location_qty;
+    if (appState.currentBook === book) {
+      displayBook(book);
+    }
+  }
+}
+
+/**
+ * Reset transaction form
+ */
+function resetTransactionForm() {
+  elements.qtyInput.value = '';
+  elements.commentsInput.value = '';
+  // Keep location selected for convenience
+
+  // Hide book and form, ready for next scan
+  hideBookDisplay();
+  hideTransactionForm();
+  appState.currentBook = null;
+
+  // Clear manual input
+  elements.manualCodeInput.value = '';
+
+  // Focus back on manual input for next entry
+  elements.manualCodeInput.focus();
+}
+
+/**
+ * Turn batch scan mode on or off
+ * @param {boolean} enabled
+ */
+function setBatchMode(enabled) {
+  appState.batchMode = enabled;
+  elements.batchModeToggle.checked = enabled;
+
+  if (enabled) {
+    // The cart replaces the single-book card and form
+    appState.currentBook = null;
+    hideBookDisplay();
+    hideTransactionForm();
+    renderCart();
+    elements.cartSection.style.display = 'block';
+  } else {
+    elements.cartSection.style.display = 'none';
+  }
+}
+
+/**
+ * Add one copy of a book to the batch cart (repeat scans increment it)
+ * @param {string} bookCode - Scanned or typed code
+ */
+function addToCart(bookCode) {
+  // Line indexes must not shift while a batch is being submitted
+  if (appState.isLoading) {
+    showStatus(t('cart.wait'), 'warning', 2000);
+    return;
+  }
+
+  const book = findCachedBook(bookCode);
+
+  if (!book) {
+    showBookNotFound(bookCode, 5000);
+    return;
+  }
+
+  const normalizedCode = normalizeBookCode(book.Book_code);
+  let line = appState.cart.find(item => normalizeBookCode(item.book_code) === normalizedCode);
+  if (line) {
+    line.qty += 1;
+    line.error = null;
+  } else {
+    line = { book_code: book.Book_code, qty: 1, error: null };
+    appState.cart.push(line);
+  }
+
+  saveCart();
+  renderCart();
+  showStatus(t('cart.added', { name: book.Book_name, qty: line.qty }), 'success', 1500);
+}
+
+/**
+ * Change the quantity of a cart line
+ * @param {number} index - Line index in appState.cart
+ * @param {string} value - New quantity as typed
+ */
+function updateCartQty(index, value) {
+  const qty = parseFloat(value);
+  const line = appState.cart[index];
+  if (!line) return;
+
+  if (isNaN(qty) || qty === 0) {
+    // Revert to the previous value
+    renderCart();
+    return;
+  }
+
+  line.qty = qty;
+  saveCart();
+}
+
+/**
+ * Remove a line from the cart
+ * @param {number} index - Line index in appState.cart
+ */
+function removeFromCart(index) {
+  appState.cart.splice(index, 1);
+  saveCart();
+  renderCart();
+}
+
+/**
+ * Render the batch cart
+ */
+function renderCart() {
+  elements.cartCount.textContent = appState.cart.length;
+  elements.cartSubmitBtn.disabled = appState.isLoading || appState.cart.length === 0;
+
+  if (appState.cart.length === 0) {
+    elements.cartList.innerHTML = `<p class="cart-empty">${escapeHtml(t('cart.empty'))}</p>`;
+    return;
+  }
+
+  elements.cartList.innerHTML = appState.cart.map((line, index) => {
+    const book = appState.books.get(normalizeBookCode(line.book_code));
+    const name = book ? book.Book_name : line.book_code;
+    const error = line.error
+      ? window.i18n.translateError({ error: line.error, code: line.error_code, params: line.error_params })
+      : '';
+
+    return `
+      <div class="cart-item${line.error ? ' cart-item-error' : ''}">
+        <div class="cart-item-info">
+          <strong dir="auto">${escapeHtml(name)}</strong>
+          <span>${escapeHtml(line.book_code)}</span>
+          ${line.error ? `<span class="cart-item-status">${escapeHtml(error)}</span>` : ''}
+        </div>
+        <input type="number" class="cart-qty" step="1" value="${line.qty}" data-cart-qty="${index}" aria-label="${escapeHtml(t('common.quantity'))}">
+        <button class="btn btn-small btn-secondary" data-cart-remove="${index}" aria-label="${escapeHtml(t('common.remove'))}">&times;</button>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Persist the cart so a reload doesn't lose a half-finished batch
+ */
+function saveCart() {
+  localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(appState.cart));
+}
+
+/**
+ * Restore the cart saved by saveCart
+ */
+function loadCart() {
+  try {
+    appState.cart = JSON.parse(localStorage.getItem(CART_STORAGE_KEY)) || [];
+  } catch (e) {
+    appState.cart = [];
+  }
+}
+
+/**
+ * Submit every cart line in one call
+ */
+async function submitCart() {
+  if (appState.isLoading || appState.cart.length === 0) {
+    return;
+  }
+
+  const location = elements.cartLocationSelect.value;
+  if (!location) {
+    showStatus(t('transaction.selectLocation'), 'error');
+    elements.cartLocationSelect.focus();
+    return;
+  }
+
+  const batch = {
+    location: location,
+    lines: appState.cart.map(line => ({ book_code: line.book_code, qty: line.qty }))
+  };
+
+  setLoading(true);
+  hideStatus();
+
+  try {
+    showStatus(t('cart.submitting', { count: batch.lines.length }), 'info', 0);
+
+    const result = await window.sheetsAPI.submitBatch(batch);
+
+    console.log('Batch result:', result);
+
+    if (result.queued) {
+      applyPayloadToCache({ action: 'bulk', ...batch }, 1);
+      appState.cart = [];
+      refreshQueueBadge();
+      showStatus(t('cart.queued', { count: batch.lines.length }), 'warning', 5000);
+    } else {
+      // Keep only the lines that failed, with their reason
+      const failedLines = [];
+      for (const lineResult of result.results) {
+        const line = appState.cart[lineResult.index];
+        if (lineResult.success) {
+          const book = appState.books.get(normalizeBookCode(lineResult.book_code));
+          if (book && book.locations) {
+            Object.assign(book.locations, lineResult.locations);
+          }
+        } else {
+          failedLines.push({
+            ...line,
+            error: lineResult.error,
+            error_code: lineResult.code || null,
+            error_params: lineResult.params || null
+          });
+        }
+      }
+      appState.cart = failedLines;
+
+      if (result.failed > 0) {
+        showStatus(t('cart.partial', { applied: result.applied, failed: result.failed }), 'warning', 0);
+      } else {
+        showStatus(t('cart.recorded', { count: result.applied, location }), 'success', 5000);
+      }
+    }
+
+    saveCart();
+
+  } catch (error) {
+    console.error('Batch error:', error);
+    if (error.authError) {
+      promptReauthentication();
+    } else {
+      showStatus(t('cart.failed', { message: error.message }), 'error');
+    }
+  } finally {
+    setLoading(false);
+    renderCart();
+  }
+}
+
+/**
+ * Open the stocktake panel (at the location picker, or the count in progress)
+ */
+function showStocktakeSection() {
+  // Counting replaces batch mode and the single-book form
+  setBatchMode(false);
+  appState.currentBook = null;
+  hideBookDisplay();
+  hideTransactionForm();
+
+  elements.stocktakeSection.style.display = 'block';
+  elements.stocktakeStartBtn.style.display = 'none';
+  elements.batchModeToggle.parentElement.style.display = 'none';
+  renderStocktake();
+  elements.stocktakeSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Close the stocktake panel (only offered before counting starts)
+ */
+function hideStocktakeSection() {
+  elements.stocktakeSection.style.display = 'none';
+  elements.stocktakeStartBtn.style.display = 'block';
+  elements.batchModeToggle.parentElement.style.display = '';
+}
+
+/**
+ * Start counting the selected location
+ */
+function beginStocktake() {
+  const location = elements.stocktakeLocationSelect.value;
+  if (!location) {
+    showStatus(t('stocktake.selectLocation'), 'error');
+    elements.stocktakeLocationSelect.focus();
+    return;
+  }
+
+  appState.stocktake = new StocktakeSession(location);
+  saveStocktake();
+  renderStocktake();
+  showStatus(t('stocktake.counting', { location }), 'info', 3000);
+}
+
+/**
+ * Abandon the stocktake in progress without posting anything
+ */
+function cancelStocktake() {
+  if (appState.stocktake && appState.stocktake.getLines().length > 0 &&
+      !confirm(t('stocktake.discardConfirm'))) {
+    return;
+  }
+
+  appState.stocktake = null;
+  saveStocktake();
+  hideStocktakeSection();
+}
+
+/**
+ * Count one more copy of a book
+ * @param {string} bookCode - Scanned or typed code
+ */
+function addToStocktake(bookCode) {
+  if (appState.isLoading) {
+    showStatus(t('stocktake.wait'), 'warning', 2000);
+    return;
+  }
+
+  const book = findCachedBook(bookCode);
+  if (!book) {
+    showBookNotFound(bookCode, 5000);
+    return;
+  }
+
+  const counted = appState.stocktake.add(book.Book_code);
+  saveStocktake();
+  renderStocktake();
+  showStatus(t('stocktake.added', { name: book.Book_name, count: counted }), 'success', 1500);
+}
+
+/**
+ * Change a counted quantity
+ * @param {string} bookCode - Book_code of the line
+ * @param {string} value - New count as typed
+ */
+function updateStocktakeCount(bookCode, value) {
+  const counted = parseFloat(value);
+
+  if (isNaN(counted) || counted < 0) {
+    // Revert to the previous value
+    renderStocktake();
+    return;
+  }
+
+  appState.stocktake.set(bookCode, counted);
+  saveStocktake();
+}
+
+/**
+ * Render the stocktake panel for its current step (setup or counting)
+ */
+function renderStocktake() {
+  const session = appState.stocktake;
+
+  elements.stocktakeSetup.style.display = session ? 'none' : 'block';
+  elements.stocktakeCounting.style.display = session ? 'block' : 'none';
+  elements.stocktakeReview.style.display = 'none';
+
+  if (!session) return;
+
+  const lines = session.getLines();
+  elements.stocktakeLocationName.textContent = session.location;
+  elements.stocktakeBooks.textContent = lines.length;
+  elements.stocktakeUnits.textContent = session.getUnits();
+
+  if (lines.length === 0) {
+    elements.stocktakeList.innerHTML = `<p class="cart-empty">${escapeHtml(t('stocktake.empty'))}</p>`;
+    return;
+  }
+
+  // Most recent scan first - that's the one the user is looking at
+  elements.stocktakeList.innerHTML = lines.slice().reverse().map((line) => {
+    const book = appState.books.get(normalizeBookCode(line.book_code));
+    const name = book ? book.Book_name : line.book_code;
+    const code = escapeHtml(line.book_code);
+
+    return `
+      <div class="cart-item">
+        <div class="cart-item-info">
+          <strong dir="auto">${escapeHtml(name)}</strong>
+          <span>${code}</span>
+        </div>
+        <input type="number" class="cart-qty" min="0" step="1" value="${line.counted}" data-stocktake-qty="${code}" aria-label="${escapeHtml(t('stocktake.countedLabel'))}">
+        <button class="btn btn-small btn-secondary" data-stocktake-remove="${code}" aria-label="${escapeHtml(t('common.remove'))}">&times;</button>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Show the variance report (counted vs cached quantity) for confirmation
+ */
+function showStocktakeReview() {
+  const session = appState.stocktake;
+  const rows = session.computeVariances(appState.books);
+  const summary = StocktakeSession.summarize(rows);
+
+  if (rows.length === 0) {
+    showStatus(t('stocktake.nothing', { location: session.location }), 'warning');
+    return;
+  }
 
-  // Stop scanner
-  stopScanning();
+  elements.stocktakeCounting.style.display = 'none';
+  elements.stocktakeReview.style.display = 'block';
+
+  const net = summary.net > 0 ? `+${summary.net}` : summary.net;
+  elements.stocktakeSummary.textContent = t('stocktake.summary', {
+    location: session.location,
+    matched: summary.matched,
+    over: summary.over,
+    short: summary.short,
+    missing: summary.missing,
+    net
+  });
 
-  // Look up the book
-  lookupBook(decodedText);
+  elements.stocktakeVariances.innerHTML = rows.map((row) => {
+    let status = t('stocktake.match');
+    let className = '';
+    if (row.variance !== 0) {
+      const variance = row.variance > 0 ? `+${row.variance}` : row.variance;
+      status = !row.scanned
+        ? t('stocktake.notFound', { variance })
+        : t(row.variance > 0 ? 'stocktake.over' : 'stocktake.short', { variance });
+      className = row.variance > 0 ? ' stocktake-over' : ' stocktake-short';
+    }
 
-  // Fill manual input for reference
-  elements.manualCodeInput.value = decodedText;
+    return `
+      <div class="cart-item${className}">
+        <div class="cart-item-info">
+          <strong dir="auto">${escapeHtml(row.book_name)}</strong>
+          <span>${escapeHtml(row.book_code)} &middot; ${escapeHtml(t('stocktake.expected', { expected: row.expected, counted: row.counted }))}</span>
+          <span class="cart-item-status">${escapeHtml(status)}</span>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  elements.stocktakeConfirmBtn.disabled = appState.isLoading;
 }
 
 /**
- * Called when scanner encounters an error
+ * Post the stocktake: every counted book plus every expected book that
+ * wasn't found, so the server sets them all to the counted quantity
  */
-function onScanError(errorMessage) {
-  showStatus(`Scanner error: ${errorMessage}`, 'error');
+async function submitStocktake() {
+  const session = appState.stocktake;
+  if (appState.isLoading || !session) {
+    return;
+  }
+
+  const rows = session.computeVariances(appState.books);
+  const stocktake = {
+    location: session.location,
+    lines: rows.map(row => ({ book_code: row.book_code, counted: row.counted, expected: row.expected })),
+    comments: `Stocktake started ${new Date(session.startedAt).toLocaleString()}`
+  };
+
+  setLoading(true);
+  hideStatus();
+
+  try {
+    showStatus(t('stocktake.posting', { location: session.location }), 'info', 0);
+
+    const result = await window.sheetsAPI.submitStocktake(stocktake);
+
+    console.log('Stocktake result:', result);
+
+    if (result.queued) {
+      applyPayloadToCache({ action: 'stocktake', ...stocktake }, 1);
+      refreshQueueBadge();
+      showStatus(t('stocktake.queued'), 'warning', 5000);
+    } else {
+      const failed = result.results.filter(line => !line.success);
+      for (const lineResult of result.results) {
+        const book = appState.books.get(normalizeBookCode(lineResult.book_code));
+        if (lineResult.success && book && book.locations) {
+          Object.assign(book.locations, lineResult.locations);
+        }
+      }
+
+      if (failed.length > 0) {
+        showStatus(
+          t('stocktake.skipped', {
+            count: failed.length,
+            lines: failed.map(line => `${line.book_code} (${window.i18n.translateError(line)})`).join(', ')
+          }),
+          'warning',
+          0
+        );
+      } else if (result.duplicate) {
+        showStatus(t('stocktake.duplicate'), 'info', 5000);
+      } else {
+        showStatus(
+          t('stocktake.posted', { count: result.summary.adjustments, location: session.location }),
+          'success',
+          5000
+        );
+      }
+    }
+
+    appState.stocktake = null;
+    saveStocktake();
+    hideStocktakeSection();
+
+  } catch (error) {
+    console.error('Stocktake error:', error);
+    if (error.authError) {
+      promptReauthentication();
+    } else {
+      showStatus(t('stocktake.failed', { message: error.message }), 'error');
+    }
+  } finally {
+    setLoading(false);
+  }
 }
 
 /**
- * Look up a book by code (from cached data - NO API call)
+ * Persist the stocktake in progress (or clear it when there is none)
  */
-function lookupBook(bookCode) {
-  hideStatus();
-
-  const normalizedCode = normalizeBookCode(bookCode);
-  const book = appState.books.get(normalizedCode);
+function saveStocktake() {
+  if (appState.stocktake) {
+    localStorage.setItem(STOCKTAKE_STORAGE_KEY, JSON.stringify(appState.stocktake));
+  } else {
+    localStorage.removeItem(STOCKTAKE_STORAGE_KEY);
+  }
+}
 
-  if (!book) {
-    appState.currentBook = null;
-    hideBookDisplay();
-    hideTransactionForm();
-    showStatus(`Book code "${bookCode}" not found in inventory`, 'error');
-    return;
+/**
+ * Restore the stocktake saved by saveStocktake
+ */
+function loadStocktake() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STOCKTAKE_STORAGE_KEY));
+    appState.stocktake = saved ? StocktakeSession.fromJSON(saved) : null;
+  } catch (e) {
+    appState.stocktake = null;
   }
+}
 
-  appState.currentBook = book;
-  displayBook(book);
-  showTransactionForm();
-  showStatus('Book found!', 'success', 2000);
+/**
+ * Remember a sent transaction or transfer so it can be undone later
+ * @param {object} payload - Request body as sent (with transaction_id)
+ */
+function recordActivity(payload) {
+  if (!payload.transaction_id) return;
+
+  const changes = payload.action === 'transfer'
+    ? [
+      { location: payload.from_location, qty: -payload.qty },
+      { location: payload.to_location, qty: payload.qty }
+    ]
+    : [{ location: payload.location, qty: payload.qty }];
+  const { title, detail } = describeQueuedPayload(payload);
+
+  appState.recentActivity = appState.recentActivity
+    .filter(item => item.transaction_id !== payload.transaction_id);
+  appState.recentActivity.unshift({
+    transaction_id: payload.transaction_id,
+    user_email: appState.userEmail,
+    book_code: payload.book_code,
+    title: title,
+    detail: detail,
+    changes: changes,
+    recorded_at: new Date().toISOString(),
+    reversed: false
+  });
+  appState.recentActivity.length = Math.min(appState.recentActivity.length, ACTIVITY_LIMIT);
+
+  saveActivity();
+  renderActivity();
 }
 
 /**
- * Display book information
+ * Flag an activity entry as undone (or not, if a queued undo is discarded)
+ * @param {string} transactionId - Original transaction ID
+ * @param {boolean} reversed
  */
-function displayBook(book) {
-  elements.bookCode.textContent = book.Book_code || '';
-  elements.bookName.textContent = book.Book_name || 'N/A';
-  elements.bookSeries.textContent = book.Book_series || 'N/A';
-  elements.bookVolume.textContent = book.Volume || 'N/A';
+function markActivityReversed(transactionId, reversed = true) {
+  const item = appState.recentActivity.find(entry => entry.transaction_id === transactionId);
+  if (item) {
+    item.reversed = reversed;
+    saveActivity();
+    renderActivity();
+  }
+}
 
-  // Display location-specific quantities
-  const locationsHtml = [];
-  if (book.locations) {
-    for (const [locName, qty] of Object.entries(book.locations)) {
-      locationsHtml.push(`
-        <div class="info-row location-qty">
-          <span class="label">${locName}:</span>
-          <span class="value highlight">${qty || 0}</span>
-        </div>
-      `);
+/**
+ * Undo a transaction or transfer by posting a reversal
+ * @param {string} transactionId - Transaction_id (or transfer ID) to reverse
+ */
+async function undoTransaction(transactionId) {
+  const item = appState.recentActivity.find(entry => entry.transaction_id === transactionId);
+  if (!item || item.reversed || appState.isLoading) {
+    return;
+  }
+
+  if (!confirm(t('undo.confirm', { title: item.title, detail: item.detail }))) {
+    return;
+  }
+
+  // Taking back stock that has since been sold or moved needs a reason
+  const book = appState.books.get(normalizeBookCode(item.book_code));
+  let overrideReason = '';
+  for (const change of (book && item.changes) || []) {
+    overrideReason = getNegativeStockOverride(book, change.location, -change.qty);
+    if (overrideReason !== '') {
+      break;
     }
   }
-  elements.bookLocations.innerHTML = locationsHtml.join('');
+  if (overrideReason === null) {
+    return;
+  }
 
-  elements.bookSection.style.display = 'block';
+  const reversal = {
+    original_id: item.transaction_id,
+    book_code: item.book_code,
+    changes: item.changes,
+    override_reason: overrideReason
+  };
+
+  setLoading(true);
+  hideStatus();
+
+  try {
+    showStatus(t('undo.undoing'), 'info', 0);
+
+    const result = await window.sheetsAPI.reverseTransaction(reversal);
+
+    console.log('Reversal result:', result);
+
+    if (result.queued) {
+      applyPayloadToCache({ action: 'reverse', ...reversal }, 1);
+      refreshQueueBadge();
+      showStatus(t('undo.queued'), 'warning', 5000);
+    } else {
+      if (book && book.locations) {
+        Object.assign(book.locations, result.locations);
+      }
+      showStatus(t('undo.done', { title: item.title }), 'success', 5000);
+    }
+
+    markActivityReversed(item.transaction_id);
+
+    if (appState.currentBook === book) {
+      displayBook(book);
+    }
+
+  } catch (error) {
+    console.error('Reversal error:', error);
+    applyNegativeStockError(error);
+    if (error.authError) {
+      promptReauthentication();
+    } else {
+      showStatus(t('undo.failed', { message: error.message }), 'error');
+    }
+  } finally {
+    setLoading(false);
+  }
 }
 
 /**
- * Hide book display
+ * Render the signed-in user's recent activity
  */
-function hideBookDisplay() {
-  elements.bookSection.style.display = 'none';
+function renderActivity() {
+  const items = hasRole('clerk')
+    ? appState.recentActivity.filter(item => item.user_email === appState.userEmail)
+    : [];
+
+  elements.activitySection.style.display = items.length > 0 ? 'block' : 'none';
+
+  elements.activityList.innerHTML = items.map((item) => {
+    const recordedAt = new Date(item.recorded_at).toLocaleString(window.i18n.language);
+    const action = item.reversed
+      ? `<span class="activity-reversed">${escapeHtml(t('activity.undone'))}</span>`
+      : `<button class="btn btn-small btn-secondary" data-undo-id="${escapeHtml(item.transaction_id)}">${escapeHtml(t('common.undo'))}</button>`;
+
+    return `
+      <div class="cart-item${item.reversed ? ' activity-item-reversed' : ''}">
+        <div class="cart-item-info">
+          <strong dir="auto">${escapeHtml(item.title)}</strong>
+          <span>${escapeHtml(item.detail)} &middot; ${recordedAt}</span>
+        </div>
+        ${action}
+      </div>
+    `;
+  }).join('');
 }
 
 /**
- * Show transaction form
+ * Persist recent activity
  */
-function showTransactionForm() {
-  elements.transactionSection.style.display = 'block';
+function saveActivity() {
+  localStorage.setItem(ACTIVITY_STORAGE_KEY, JSON.stringify(appState.recentActivity));
+}
 
-  // Reset form but keep location
-  elements.qtyInput.value = '';
-  elements.commentsInput.value = '';
+/**
+ * Restore recent activity saved by saveActivity
+ */
+function loadActivity() {
+  try {
+    appState.recentActivity = JSON.parse(localStorage.getItem(ACTIVITY_STORAGE_KEY)) || [];
+  } catch (e) {
+    appState.recentActivity = [];
+  }
+}
 
-  // Focus on quantity input for quick entry
-  elements.qtyInput.focus();
+/**
+ * Add qty to a cached book's location quantity (used for offline entries)
+ */
+function adjustCachedQty(book, location, qty) {
+  if (!book || !book.locations) return;
+  book.locations[location] = (parseFloat(book.locations[location]) || 0) + qty;
 }
 
 /**
- * Hide transaction form
+ * Apply (direction 1) or undo (direction -1) a queued request's effect on
+ * the cached quantities
+ * @param {object} payload - Queued request body
+ * @param {number} direction - 1 to apply, -1 to revert
  */
-function hideTransactionForm() {
-  elements.transactionSection.style.display = 'none';
+function applyPayloadToCache(payload, direction) {
+  const book = appState.books.get(normalizeBookCode(payload.book_code));
+
+  if (payload.action === 'bulk') {
+    for (const line of payload.lines) {
+      const lineBook = appState.books.get(normalizeBookCode(line.book_code));
+      adjustCachedQty(lineBook, payload.location, line.qty * direction);
+    }
+  } else if (payload.action === 'stocktake') {
+    // A count sets the quantity outright; undoing restores what was cached
+    for (const line of payload.lines) {
+      const lineBook = appState.books.get(normalizeBookCode(line.book_code));
+      if (lineBook && lineBook.locations) {
+        lineBook.locations[payload.location] = direction > 0 ? line.counted : line.expected;
+      }
+    }
+  } else if (payload.action === 'reverse') {
+    for (const change of payload.changes) {
+      adjustCachedQty(book, change.location, -change.qty * direction);
+    }
+  } else if (payload.action === 'transfer') {
+    adjustCachedQty(book, payload.from_location, -payload.qty * direction);
+    adjustCachedQty(book, payload.to_location, payload.qty * direction);
+  } else {
+    adjustCachedQty(book, payload.location, payload.qty * direction);
+  }
 }
 
 /**
- * Handle transaction form submission
+ * Undo the optimistic changes made when a request was queued
+ * @param {object} payload - Queued request body
  */
-async function handleTransactionSubmit(e) {
-  e.preventDefault();
+function undoQueuedPayload(payload) {
+  applyPayloadToCache(payload, -1);
+  if (payload.action === 'reverse') {
+    markActivityReversed(payload.original_id, false);
+  }
+}
 
-  if (!appState.currentBook) {
-    showStatus('Please look up a book first', 'error');
-    return;
+/**
+ * Describe a queued request for the pending list
+ * @param {object} payload - Queued request body
+ * @returns {object} { title, detail } as plain text
+ */
+function describeQueuedPayload(payload) {
+  if (payload.action === 'bulk') {
+    const units = payload.lines.reduce((sum, line) => sum + line.qty, 0);
+    return {
+      title: t('queue.batchTitle', { count: payload.lines.length, units: (units > 0 ? '+' : '') + units }),
+      detail: payload.location
+    };
   }
 
-  if (appState.isLoading) {
-    return;
+  if (payload.action === 'stocktake') {
+    return {
+      title: t('queue.stocktakeTitle', { count: payload.lines.length }),
+      detail: payload.location
+    };
   }
 
-  // Get form data
-  const qty = parseFloat(elements.qtyInput.value);
-  const location = elements.locationSelect.value;
-  const comments = elements.commentsInput.value.trim();
+  const book = appState.books.get(normalizeBookCode(payload.book_code));
+  const bookName = book ? book.Book_name : payload.book_code;
 
-  // Validate
-  if (isNaN(qty)) {
-    showStatus('Please enter a valid quantity', 'error');
-    elements.qtyInput.focus();
-    return;
+  if (payload.action === 'reverse') {
+    return {
+      title: t('queue.undoTitle', { name: bookName }),
+      detail: payload.changes.map(change => `${change.location} ${-change.qty > 0 ? '+' : ''}${-change.qty}`).join(', ')
+    };
   }
 
-  if (!location) {
-    showStatus('Please select a location', 'error');
-    elements.locationSelect.focus();
-    return;
+  if (payload.action === 'transfer') {
+    return {
+      title: t('queue.moveTitle', { qty: payload.qty, name: bookName }),
+      detail: `${payload.from_location} → ${payload.to_location}`
+    };
   }
 
-  // Prepare transaction
-  const transaction = {
-    book_code: appState.currentBook.Book_code,
-    qty: qty,
-    location: location,
-    user: appState.user.name || appState.user.email,
-    comments: comments
-  };
+  const qtyText = payload.qty > 0 ? `+${payload.qty}` : payload.qty;
+  return { title: `${qtyText} ${bookName}`, detail: payload.location };
+}
 
-  // Submit transaction (THIS IS THE ONLY API CALL DURING NORMAL USE)
-  setLoading(true);
-  hideStatus();
+/**
+ * Start replaying the offline queue.
+ * The service worker handles Background Sync where supported; this
+ * foreground loop covers browsers without it (e.g. Safari, Firefox).
+ */
+function initOfflineQueue() {
+  window.addEventListener('online', () => flushOfflineQueue());
+
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (e) => {
+      if (e.data && e.data.type === 'queue-flushed') {
+        applyFlushSummary(e.data.summary);
+      }
+    });
+  }
+
+  appState.queueRetryTimer = setInterval(() => {
+    if (appState.pendingCount > 0 && navigator.onLine && !appState.needsReauth) {
+      flushOfflineQueue();
+    }
+  }, QUEUE_RETRY_INTERVAL);
+
+  refreshQueueBadge().then(() => {
+    if (appState.pendingCount > 0) {
+      flushOfflineQueue();
+    }
+  });
+}
 
+/**
+ * Send queued transactions now
+ * @param {boolean} userInitiated - Report the outcome even if nothing changed
+ */
+async function flushOfflineQueue(userInitiated = false) {
   try {
-    showStatus('Submitting transaction...', 'info', 0);
+    const summary = await window.sheetsAPI.flushQueue();
+    applyFlushSummary(summary);
 
-    const result = await window.sheetsAPI.submitTransaction(transaction);
+    if (userInitiated && summary.offline) {
+      showStatus(t('queue.stillOffline'), 'warning');
+    } else if (userInitiated && summary.server_error) {
+      showStatus(t('queue.serverError'), 'warning');
+    }
+  } catch (error) {
+    console.error('Failed to flush offline queue:', error);
+  }
+}
 
-    console.log('Transaction result:', result);
+/**
+ * Update cached quantities and the queue UI after a flush
+ * @param {object} summary - Flush summary from OfflineQueue
+ */
+function applyFlushSummary(summary) {
+  // Server quantities replace the optimistic ones
+  let failedLines = 0;
+  for (const { entry, result } of summary.sent) {
+    if (!entry.payload.action || entry.payload.action === 'transfer') {
+      recordActivity(entry.payload);
+    } else if (entry.payload.action === 'reverse') {
+      markActivityReversed(entry.payload.original_id);
+    }
 
-    // Update cached book data
-    if (appState.currentBook.locations) {
-      appState.currentBook.locations[location] = result.new_qty;
+    const lineResults = result.results || [result];
+
+    for (const lineResult of lineResults) {
+      const book = appState.books.get(normalizeBookCode(lineResult.book_code));
+      if (lineResult.success === false) {
+        // Part of a batch or stocktake the server rejected - undo its optimistic change
+        failedLines++;
+        const line = entry.payload.lines[lineResult.index];
+        if (entry.payload.action === 'stocktake') {
+          if (book && book.locations) book.locations[entry.payload.location] = line.expected;
+        } else {
+          adjustCachedQty(book, entry.payload.location, -line.qty);
+        }
+      } else if (book && book.locations && lineResult.locations) {
+        Object.assign(book.locations, lineResult.locations);
+      }
     }
+  }
 
-    // Re-display book with updated quantities
+  // Rejected outright - the server changed nothing, so neither should the cache
+  for (const entry of summary.failed) {
+    undoQueuedPayload(entry.payload);
+  }
+
+  if (appState.currentBook) {
     displayBook(appState.currentBook);
+  }
 
-    // Show success message
-    const qtyText = qty > 0 ? `+${qty}` : qty;
-    showStatus(
-      `Transaction recorded: ${qtyText} ${result.book_name} at ${location} (New qty: ${result.new_qty})`,
-      'success',
-      5000
-    );
+  if (summary.auth_required && summary.remaining > 0) {
+    promptReauthentication();
+  } else if (summary.failed.length > 0) {
+    showStatus(t('queue.rejected', { count: summary.failed.length }), 'error', 0);
+  } else if (failedLines > 0) {
+    showStatus(t('queue.linesRejected', { count: failedLines }), 'error', 0);
+  } else if (summary.sent.length > 0) {
+    showStatus(t('queue.sent', { count: summary.sent.length }), 'success');
+  }
 
-    // Reset form for next transaction
-    resetTransactionForm();
+  refreshQueueBadge();
+}
 
+/**
+ * Update the pending-count badge (and the list if it's open)
+ */
+async function refreshQueueBadge() {
+  try {
+    appState.pendingCount = await window.offlineQueue.count();
   } catch (error) {
-    console.error('Transaction error:', error);
-    showStatus(`Failed to submit transaction: ${error.message}`, 'error');
-  } finally {
-    setLoading(false);
+    console.error('Failed to read offline queue:', error);
+    return;
+  }
+
+  elements.queueCount.textContent = appState.pendingCount;
+  elements.queueBadge.style.display = appState.pendingCount > 0 ? 'inline-block' : 'none';
+
+  if (elements.queueSection.style.display !== 'none') {
+    renderQueueList();
   }
 }
 
 /**
- * Reset transaction form
+ * Show the pending transactions list
  */
-function resetTransactionForm() {
-  elements.qtyInput.value = '';
-  elements.commentsInput.value = '';
-  // Keep location selected for convenience
+function showQueueSection() {
+  elements.queueSection.style.display = 'block';
+  renderQueueList();
+  elements.queueSection.scrollIntoView({ behavior: 'smooth' });
+}
 
-  // Hide book and form, ready for next scan
-  hideBookDisplay();
-  hideTransactionForm();
-  appState.currentBook = null;
+/**
+ * Hide the pending transactions list
+ */
+function hideQueueSection() {
+  elements.queueSection.style.display = 'none';
+}
 
-  // Clear manual input
-  elements.manualCodeInput.value = '';
+/**
+ * Render queued transactions
+ */
+async function renderQueueList() {
+  const entries = await window.offlineQueue.getAll();
 
-  // Focus back on manual input for next entry
-  elements.manualCodeInput.focus();
+  if (entries.length === 0) {
+    elements.queueList.innerHTML = `<p class="queue-empty">${escapeHtml(t('queue.empty'))}</p>`;
+    return;
+  }
+
+  elements.queueList.innerHTML = entries.map((entry) => {
+    const { title, detail } = describeQueuedPayload(entry.payload);
+    const queuedAt = new Date(entry.queued_at).toLocaleString(window.i18n.language);
+    const error = window.i18n.translateError({
+      error: entry.last_error,
+      code: entry.last_error_code,
+      params: entry.last_error_params
+    });
+    let statusText = t('queue.waiting');
+    if (entry.status === 'failed') {
+      statusText = t('queue.rejectedStatus', { error });
+    } else if (entry.last_error) {
+      // Sent before but the server didn't answer properly - it will try again
+      statusText = t('queue.retrying', { error });
+    }
+
+    return `
+      <div class="queue-item queue-${entry.status}">
+        <div class="queue-item-info">
+          <strong dir="auto">${escapeHtml(title)}</strong>
+          <span>${escapeHtml(detail)} &middot; ${queuedAt}</span>
+          <span class="queue-item-status">${escapeHtml(statusText)}</span>
+        </div>
+        <button class="btn btn-small btn-secondary" data-discard-id="${entry.id}">${escapeHtml(t('queue.discard'))}</button>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Remove a transaction from the queue without sending it
+ * @param {number} id - Queue entry id
+ */
+async function discardQueuedTransaction(id) {
+  const entry = await window.offlineQueue.get(id);
+  if (!entry) return;
+
+  if (!confirm(t('queue.discardConfirm'))) {
+    return;
+  }
+
+  await window.offlineQueue.remove(id);
+
+  // A rejected entry was undone when the server rejected it
+  if (entry.status !== 'failed') {
+    undoQueuedPayload(entry.payload);
+  }
+  if (appState.currentBook) {
+    displayBook(appState.currentBook);
+  }
+
+  showStatus(t('queue.discarded'), 'info', 3000);
+  refreshQueueBadge();
+}
+
+/**
+ * Escape text for safe insertion into innerHTML
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Message in the user's language (see I18n.t)
+ * @param {string} key - Message key, e.g. 'book.found'
+ * @param {object} params - Values for its {placeholders}
+ * @returns {string} Plain text - escape it before putting it in innerHTML
+ */
+function t(key, params) {
+  return window.i18n.t(key, params);
 }
 
 /**
@@ -557,7 +3974,7 @@ function resetTransactionForm() {
  */
 function showDataLoading() {
   elements.dataLoadingOverlay.style.display = 'flex';
-  updateDataLoading(0, 'Connecting to server...');
+  updateDataLoading(0, t('loading.connecting'));
 }
 
 /**
@@ -593,6 +4010,8 @@ function setLoading(isLoading) {
     });
   }
 
+  if (elements.cartSubmitBtn) elements.cartSubmitBtn.disabled = isLoading || appState.cart.length === 0;
+  if (elements.stocktakeConfirmBtn) elements.stocktakeConfirmBtn.disabled = isLoading;
   if (elements.startScanBtn) elements.startScanBtn.disabled = isLoading;
   if (elements.lookupBtn) elements.lookupBtn.disabled = isLoading;
   if (elements.manualCodeInput) elements.manualCodeInput.disabled = isLoading;
@@ -603,12 +4022,24 @@ function setLoading(isLoading) {
  * @param {string} message - Message to display
  * @param {string} type - 'success', 'error', 'warning', or 'info'
  * @param {number} duration - Auto-hide after milliseconds (0 = don't hide)
+ * @param {object} action - Optional button: { label, onClick }
  */
-function showStatus(message, type = 'info', duration = 5000) {
+function showStatus(message, type = 'info', duration = 5000, action = null) {
   elements.statusMessage.textContent = message;
   elements.statusMessage.className = `status-message status-${type}`;
   elements.statusMessage.style.display = 'block';
 
+  if (action) {
+    const button = document.createElement('button');
+    button.className = 'btn btn-small status-action';
+    button.textContent = action.label;
+    button.addEventListener('click', () => {
+      hideStatus();
+      action.onClick();
+    });
+    elements.statusMessage.appendChild(button);
+  }
+
   // Auto-hide after duration
   if (duration > 0) {
     setTimeout(hideStatus, duration);
@@ -0,0 +1,218 @@
+/**
+ * Barcode Utilities Module
+ * Check digits for EAN/UPC and ISBN-10/ISBN-13, conversion between the two
+ * ISBN forms, and cleaning up what the scanner reads (price add-ons).
+ *
+ * Book codes in the sheet can be anything, so nothing here refuses an
+ * unusual code outright - only camera reads of product barcodes are held to
+ * their check digit, because a misread digit there is far more likely than
+ * a misprinted barcode.
+ */
+
+// Formats the camera scanner decodes (html5-qrcode format names):
+// product barcodes plus Code 128/39 for labels printed in-house
+const SCAN_FORMATS = ['EAN_13', 'EAN_8', 'UPC_A', 'UPC_E', 'CODE_128', 'CODE_39'];
+
+// Formats whose last digit is a GS1 check digit (UPC-E's is that of the
+// UPC-A it stands for)
+const GTIN_FORMATS = ['EAN_13', 'EAN_8', 'UPC_A', 'UPC_E'];
+
+class BarcodeUtils {
+  /**
+   * Clean a scanned or typed code: drop hyphens and spaces, upper-case
+   * (as normalizeBookCode does) and strip an EAN-2/EAN-5 add-on
+   * @param {string} code
+   * @returns {string}
+   */
+  static clean(code) {
+    return BarcodeUtils.stripAddOn(code.toString().replace(/[-\s]/g, '').toUpperCase());
+  }
+
+  /**
+   * Remove the 2- or 5-digit supplement printed beside some EAN-13s
+   * (usually the price on books), which scanners append to the code
+   * @param {string} code - Digits, already without separators
+   * @returns {string} The EAN-13 alone, or the code unchanged
+   */
+  static stripAddOn(code) {
+    if (/^\d{15}$|^\d{18}$/.test(code) && BarcodeUtils.isValidGtin(code.slice(0, 13))) {
+      return code.slice(0, 13);
+    }
+    return code;
+  }
+
+  /**
+   * GS1 check digit (EAN-8, UPC-A, EAN-13) for the digits before it
+   * @param {string} digits - Code without its check digit
+   * @returns {number}
+   */
+  static gtinCheckDigit(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      // Weights run 3, 1, 3, ... from the rightmost digit
+      const weight = (digits.length - i) % 2 === 1 ? 3 : 1;
+      sum += Number(digits[i]) * weight;
+    }
+    return (10 - (sum % 10)) % 10;
+  }
+
+  /**
+   * Whether a code is an EAN-8, UPC-A or EAN-13 (which includes ISBN-13)
+   * with a correct check digit
+   * @param {string} code
+   * @returns {boolean}
+   */
+  static isValidGtin(code) {
+    return /^(\d{8}|\d{12}|\d{13})$/.test(code) &&
+      BarcodeUtils.gtinCheckDigit(code.slice(0, -1)) === Number(code.slice(-1));
+  }
+
+  /**
+   * Expand a UPC-E (zero-suppressed UPC-A) to the UPC-A it stands for
+   * @param {string} code - Eight digits: number system 0 or 1, six digits,
+   *   check digit (as the scanner reads it)
+   * @returns {string|null} The 12-digit UPC-A with the same check digit, or
+   *   null if the code isn't shaped like a UPC-E
+   */
+  static upcEToUpcA(code) {
+    if (!/^[01]\d{7}$/.test(code)) {
+      return null;
+    }
+
+    const d = code.slice(1, 7);
+    const last = Number(d[5]);
+    let body;
+    if (last <= 2) {
+      body = d.slice(0, 2) + d[5] + '0000' + d.slice(2, 5);
+    } else if (last === 3) {
+      body = d.slice(0, 3) + '00000' + d.slice(3, 5);
+    } else if (last === 4) {
+      body = d.slice(0, 4) + '00000' + d[4];
+    } else {
+      body = d.slice(0, 5) + '0000' + d[5];
+    }
+    return code[0] + body + code[7];
+  }
+
+  /**
+   * ISBN-10 check character for its first nine digits
+   * @param {string} digits - Nine digits
+   * @returns {string} '0'-'9' or 'X'
+   */
+  static isbn10CheckDigit(digits) {
+    let sum = 0;
+    for (let i = 0; i < 9; i++) {
+      sum += Number(digits[i]) * (10 - i);
+    }
+    const check = (11 - (sum % 11)) % 11;
+    return check === 10 ? 'X' : String(check);
+  }
+
+  /**
+   * Whether a code is an ISBN-10 with a correct check character
+   * @param {string} code - Without hyphens
+   * @returns {boolean}
+   */
+  static isValidIsbn10(code) {
+    return /^\d{9}[\dX]$/.test(code) && BarcodeUtils.isbn10CheckDigit(code) === code[9];
+  }
+
+  /**
+   * Whether a code is an ISBN-13 (978/979 prefix) with a correct check digit
+   * @param {string} code - Without hyphens
+   * @returns {boolean}
+   */
+  static isValidIsbn13(code) {
+    return /^97[89]\d{10}$/.test(code) && BarcodeUtils.isValidGtin(code);
+  }
+
+  /**
+   * @param {string} isbn10 - Valid ISBN-10
+   * @returns {string} The same book's ISBN-13
+   */
+  static isbn10To13(isbn10) {
+    const digits = '978' + isbn10.slice(0, 9);
+    return digits + BarcodeUtils.gtinCheckDigit(digits);
+  }
+
+  /**
+   * @param {string} isbn13 - Valid ISBN-13
+   * @returns {string|null} The same book's ISBN-10, or null for 979
+   *   prefixes, which have none
+   */
+  static isbn13To10(isbn13) {
+    if (!isbn13.startsWith('978')) {
+      return null;
+    }
+    const digits = isbn13.slice(3, 12);
+    return digits + BarcodeUtils.isbn10CheckDigit(digits);
+  }
+
+  /**
+   * Every form a code might be stored under in the Books sheet, most
+   * likely first: as given, without an add-on, and the other ISBN form
+   * @param {string} code - Scanned or typed code
+   * @returns {Array} Normalized codes (no duplicates)
+   */
+  static getCodeVariants(code) {
+    const raw = code.toString().replace(/[-\s]/g, '').toUpperCase();
+    const cleaned = BarcodeUtils.stripAddOn(raw);
+    const variants = [raw, cleaned];
+
+    if (BarcodeUtils.isValidIsbn10(cleaned)) {
+      variants.push(BarcodeUtils.isbn10To13(cleaned));
+    } else if (BarcodeUtils.isValidIsbn13(cleaned)) {
+      variants.push(BarcodeUtils.isbn13To10(cleaned));
+    }
+
+    return [...new Set(variants.filter(Boolean))];
+  }
+
+  /**
+   * Check a camera read before it is used
+   * @param {string} text - Decoded text
+   * @param {string} format - html5-qrcode format name (e.g. 'EAN_13'), if known
+   * @returns {object} { valid, code, reason, problem } - code is cleaned; reason
+   *   says in English why an invalid read was refused, problem is the same as
+   *   'format', 'empty' or 'check_digit' for the app to translate
+   */
+  static checkScan(text, format = null) {
+    if (format && !SCAN_FORMATS.includes(format)) {
+      const name = format.replace(/_/g, ' ');
+      return { valid: false, code: null, reason: `not a book barcode (${name})`, problem: 'format', format: name };
+    }
+
+    const code = BarcodeUtils.clean(text || '');
+    if (!code) {
+      return { valid: false, code: null, reason: 'empty barcode', problem: 'empty' };
+    }
+
+    // Without a format, a 13-digit read is taken to be an EAN-13
+    const isGtin = format ? GTIN_FORMATS.includes(format) : /^\d{13}$/.test(code);
+    const gtin = format === 'UPC_E' ? BarcodeUtils.upcEToUpcA(code) : code;
+    if (isGtin && !(gtin && BarcodeUtils.isValidGtin(gtin))) {
+      return { valid: false, code: code, reason: `misread ${code} (check digit doesn't match)`, problem: 'check_digit' };
+    }
+
+    return { valid: true, code: code, reason: null };
+  }
+
+  /**
+   * Which ISBN a code looks like but fails the check digit of
+   * @param {string} code
+   * @returns {string|null} 'ISBN-13' or 'ISBN-10', or null if it looks fine
+   */
+  static getInvalidIsbnType(code) {
+    const cleaned = BarcodeUtils.clean(code);
+    if (/^97[89]\d{10}$/.test(cleaned) && !BarcodeUtils.isValidGtin(cleaned)) {
+      return 'ISBN-13';
+    }
+    if (/^\d{9}[\dX]$/.test(cleaned) && !BarcodeUtils.isValidIsbn10(cleaned)) {
+      return 'ISBN-10';
+    }
+    return null;
+  }
+}
+
+// Export for use in other modules
+window.BarcodeUtils = BarcodeUtils;
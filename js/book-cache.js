@@ -0,0 +1,71 @@
+/**
+ * Book Cache Module
+ * Keeps the book catalogue in IndexedDB between sessions, so signing in
+ * only downloads the books changed since the last sync.
+ *
+ * Stores the server's copy of each book (never the app's optimistic
+ * quantities) in the 'books' store of the offline queue's database, plus a
+ * 'catalogue' record in its settings store: { since, url }.
+ */
+
+class BookCache {
+  /**
+   * Normalize book code for use as a key (same rule as app.js)
+   */
+  static normalizeCode(code) {
+    return code.toString().replace(/[-\s]/g, '').toUpperCase();
+  }
+
+  /**
+   * Read the saved catalogue
+   * @param {string} url - Apps Script URL the app is using now
+   * @returns {Promise<object|null>} { books, since }, or null if nothing is saved
+   *   or it came from a different server
+   */
+  async load(url) {
+    const queue = window.offlineQueue;
+    const meta = await queue.runRequest('readonly', store => store.get('catalogue'), SETTINGS_STORE_NAME);
+
+    if (!meta || meta.url !== url) {
+      return null;
+    }
+
+    const books = await queue.runRequest('readonly', store => store.getAll(), BOOKS_STORE_NAME);
+    return { books: books, since: meta.since };
+  }
+
+  /**
+   * Save books from a sync response in one IndexedDB transaction
+   * @param {Array} books - Books from the server
+   * @param {boolean} full - They are the whole catalogue (anything else saved is dropped)
+   * @param {string} since - server_time of the response
+   * @param {string} url - Apps Script URL they came from
+   * @returns {Promise<void>}
+   */
+  async save(books, full, since, url) {
+    const db = await window.offlineQueue.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([BOOKS_STORE_NAME, SETTINGS_STORE_NAME], 'readwrite');
+      const store = tx.objectStore(BOOKS_STORE_NAME);
+
+      if (full) {
+        store.clear();
+      }
+      for (const book of books) {
+        store.put(book, BookCache.normalizeCode(book.Book_code));
+      }
+      tx.objectStore(SETTINGS_STORE_NAME).put({ since: since, url: url }, 'catalogue');
+
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+}
+
+// Create global instance
+window.bookCache = new BookCache();
+
+// Expose for debugging
+window.BookCache = BookCache;
@@ -0,0 +1,184 @@
+/**
+ * Book Search Module
+ * Type-ahead search over the cached books by name, series and volume.
+ * Matching ignores case, Latin accents, Hebrew niqqud and final letter forms,
+ * and tolerates small typos in longer words.
+ */
+
+// Fields searched and how much a match in each is worth
+const SEARCH_FIELDS = [
+  { key: 'Book_name', weight: 3 },
+  { key: 'Book_series', weight: 2 },
+  { key: 'Volume', weight: 1 },
+  { key: 'Book_code', weight: 1 }
+];
+
+// Hebrew final letters -> regular forms (ך ם ן ף ץ)
+const HEBREW_FINAL_LETTERS = { 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' };
+
+class BookSearch {
+  constructor() {
+    this.entries = [];   // [{ book, fields: [{ words, text, weight }] }]
+  }
+
+  /**
+   * Normalize text for matching: lower case, no accents/niqqud/punctuation,
+   * Hebrew final letters replaced by their regular forms
+   * @param {*} value - Text (numbers are converted)
+   * @returns {string}
+   */
+  static normalize(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .normalize('NFD')
+      // Latin accents, Hebrew niqqud and cantillation (but not maqaf, a hyphen)
+      .replace(/[\u0300-\u036f\u0591-\u05bd\u05bf-\u05c7]/g, '')
+      .replace(/[ךםןףץ]/g, ch => HEBREW_FINAL_LETTERS[ch])
+      .toLowerCase()
+      // Quotes inside abbreviations (רמב"ם, don't) are dropped, other punctuation separates words
+      .replace(/["'\u05f3\u05f4]/g, '')
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  /**
+   * Build the search index (call again whenever the cached books change)
+   * @param {Iterable} books - Book objects (e.g. appState.books.values())
+   */
+  setBooks(books) {
+    this.entries = [];
+
+    for (const book of books) {
+      const fields = [];
+      for (const field of SEARCH_FIELDS) {
+        const text = BookSearch.normalize(book[field.key]);
+        if (text) {
+          fields.push({ text: text, words: text.split(' '), weight: field.weight });
+        }
+      }
+      this.entries.push({ book: book, fields: fields });
+    }
+  }
+
+  /**
+   * Find books matching every word of the query, best first
+   * @param {string} query - What the user typed
+   * @param {number} limit - Maximum results
+   * @returns {Array} Book objects
+   */
+  search(query, limit = 8) {
+    const terms = BookSearch.normalize(query).split(' ').filter(Boolean);
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const matches = [];
+
+    for (const entry of this.entries) {
+      let score = 0;
+
+      for (const term of terms) {
+        let best = 0;
+        for (const field of entry.fields) {
+          best = Math.max(best, BookSearch.scoreTerm(term, field) * field.weight);
+        }
+        if (best === 0) {
+          score = 0;
+          break;
+        }
+        score += best;
+      }
+
+      if (score > 0) {
+        matches.push({ book: entry.book, score: score });
+      }
+    }
+
+    matches.sort((a, b) => b.score - a.score ||
+      String(a.book.Book_name).length - String(b.book.Book_name).length);
+
+    return matches.slice(0, limit).map(match => match.book);
+  }
+
+  /**
+   * How well one query word matches a field (0 = not at all)
+   * @param {string} term - Normalized query word
+   * @param {object} field - Indexed field { text, words }
+   * @returns {number}
+   */
+  static scoreTerm(term, field) {
+    let best = 0;
+
+    for (const word of field.words) {
+      if (word === term) return 10;
+      if (word.startsWith(term)) {
+        best = Math.max(best, 6);
+      } else if (word.includes(term)) {
+        best = Math.max(best, 3);
+      } else if (best === 0 && BookSearch.isTypo(term, word)) {
+        best = 2;
+      }
+    }
+
+    // Several words typed as one (or a code with its separators removed)
+    if (best === 0 && field.text.replace(/ /g, '').includes(term)) {
+      best = 1;
+    }
+
+    return best;
+  }
+
+  /**
+   * Whether term is within typo distance of word (or of its prefix, while typing)
+   * Short words must match exactly; 1 edit from 4 letters, 2 from 8.
+   * @param {string} term
+   * @param {string} word
+   * @returns {boolean}
+   */
+  static isTypo(term, word) {
+    if (term.length < 4) return false;
+
+    const allowed = term.length >= 8 ? 2 : 1;
+    const candidate = word.length > term.length ? word.slice(0, term.length) : word;
+
+    if (Math.abs(candidate.length - term.length) > allowed) return false;
+
+    return BookSearch.editDistance(term, candidate, allowed) <= allowed;
+  }
+
+  /**
+   * Edit distance (Levenshtein plus adjacent swaps), giving up once it exceeds max
+   * @returns {number} Distance, or max + 1 if larger
+   */
+  static editDistance(a, b, max) {
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+        // Two neighbouring letters swapped count as one edit
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, current[j]);
+      }
+
+      if (rowMin > max) return max + 1;
+      beforePrevious = previous;
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+}
+
+// Create global instance
+window.bookSearch = new BookSearch();
+
+// Expose for debugging
+window.BookSearch = BookSearch;
@@ -0,0 +1,982 @@
+/**
+ * Internationalisation Module
+ * Message catalogue (English and Hebrew), the language choice and the
+ * page direction. Text in index.html is marked with data-i18n attributes
+ * and translated by applyToDocument; app.js looks up everything else with t().
+ *
+ * Code.gs sends errors as { error, code, params }: the English sentence plus
+ * a code the app translates with the 'error.<code>' messages below.
+ */
+
+// Languages the app is translated into, with the name shown in the switcher
+const LANGUAGES = {
+  en: { name: 'English', dir: 'ltr' },
+  he: { name: 'עברית', dir: 'rtl' }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// { last, users: { email: language } } - the language last used on this
+// device (for the sign-in screen) and each user's own choice
+const LANGUAGE_STORAGE_KEY = 'lahak.language';
+
+// Messages by language; {name} is replaced by the value passed for name.
+// English is the fallback for anything a translation is missing.
+const MESSAGES = {
+  en: {
+    // Header and sign-in
+    'header.language': 'Language',
+    'header.pending': 'pending',
+    'header.pendingTitle': 'Transactions waiting to be sent',
+    'header.signOut': 'Sign Out',
+    'login.welcome': 'Welcome to Lahak Inventory',
+    'login.prompt': 'Please sign in with your Google account to continue.',
+    'login.mockNote': 'Development mode - using the mock backend at',
+    'login.signIn': 'Sign In',
+    'auth.notAuthorized': 'Your account is not authorized to access this application.',
+    'auth.contactAdmin': 'Please contact the administrator to request access.',
+    'auth.notConfigured': 'Google Sign-In not configured.',
+    'auth.contactAdminShort': 'Please contact the administrator.',
+    'auth.googleUserFailed': 'Failed to get user information from Google.',
+    'auth.signedInAgain': 'Signed in again',
+    'auth.expired': 'Your sign-in has expired. Please sign in again to continue.',
+    'auth.connectFailed': 'Failed to connect to the server. Please try again.',
+    'config.scriptUrl': 'Please configure Google Apps Script URL in sheets-api.js',
+
+    // Loading
+    'loading.title': 'Loading your data...',
+    'loading.connecting': 'Connecting to server...',
+    'loading.readingSaved': 'Reading saved books...',
+    'loading.fetchingChanges': 'Fetching changes to {count} saved books...',
+    'loading.fetching': 'Fetching inventory data...',
+    'loading.profile': 'Loading user profile...',
+    'loading.indexing': 'Indexing books...',
+    'loading.refreshing': 'Refreshing book list...',
+    'loading.ready': 'Ready!',
+    'loading.processing': 'Processing...',
+
+    // Book sync
+    'sync.offline': 'Offline - showing quantities saved on this device',
+    'sync.updated': '{count} book(s) updated',
+    'sync.upToDate': 'Everything is up to date',
+    'sync.failed': 'Sync failed: {message}',
+    'sync.syncing': 'Syncing...',
+    'sync.synced': 'Synced {time}',
+    'sync.notSynced': 'Not synced',
+    'sync.checkNow': 'Check for changes now',
+    'sync.lastChecked': 'Quantities last checked {time} - tap to check now',
+    'sync.tapToCheck': 'Tap to check for changes now',
+
+    // Shared
+    'common.or': 'OR',
+    'common.na': 'N/A',
+    'common.loading': 'Loading...',
+    'common.close': 'Close',
+    'common.cancel': 'Cancel',
+    'common.refresh': 'Refresh',
+    'common.remove': 'Remove',
+    'common.quantity': 'Quantity',
+    'common.undo': 'Undo',
+    'locations.placeholder': 'Select a location...',
+
+    // Active location (banner, location labels and the reminder)
+    'location.active': 'Location',
+    'location.none': 'None chosen',
+    'location.scanHint': 'Scan a location label to change it',
+    'location.scanned': 'Location set to {name}',
+    'location.notAllowed': 'You can\'t record changes at {name}',
+    'location.stocktakeFixed': 'Location labels don\'t change a stocktake - this one is counting {name}',
+    'location.reminder': 'Still at {name}? Scan a location label if you have moved.',
+    'location.stillHere': 'Still Here',
+    'location.reminderLabel': 'Check the location after',
+    'location.reminderUnit': 'idle minutes (0 = never)',
+
+    // Scanning and lookup
+    'scanner.heading': 'Scan or Enter Book Code',
+    'scanner.readOnly': 'Your account can look up books but not record changes.',
+    'scanner.cameraLabel': 'Camera',
+    'scanner.rearCamera': 'Rear camera',
+    'scanner.camera': 'Camera {number}',
+    'scanner.torch': 'Torch',
+    'scanner.zoom': 'Zoom',
+    'scanner.settings': 'Scanner settings',
+    'scanner.acceptAfter': 'Accept a code after',
+    'scanner.reads1': '1 read (fastest)',
+    'scanner.reads2': '2 identical reads',
+    'scanner.reads3': '3 identical reads',
+    'scanner.reads5': '5 identical reads (most careful)',
+    'scanner.beep': 'Beep on each read',
+    'scanner.vibrate': 'Vibrate on each read',
+    'scanner.start': 'Scan Barcode',
+    'scanner.stop': 'Stop Scanner',
+    'scanner.switchFailed': 'Failed to switch camera: {message}',
+    'scanner.noCamera': 'No camera found on this device. Please use manual entry.',
+    'scanner.active': 'Scanner active - point camera at barcode',
+    'scanner.startFailed': 'Failed to start scanner: {message}',
+    'scanner.torchFailed': 'Torch not available: {message}',
+    'scanner.stopped': 'Scanner stopped',
+    'scanner.error': 'Scanner error: {message}',
+    'scan.ignored': 'Ignored {reason} - keep scanning',
+    'scan.ignoredWedge': 'Ignored {reason} - scan again',
+    'scan.notBookBarcode': 'not a book barcode ({format})',
+    'scan.empty': 'empty barcode',
+    'scan.misread': 'misread {code} (check digit doesn\'t match)',
+    'code.placeholder': 'Enter book code manually',
+    'code.lookup': 'Lookup',
+    'code.enter': 'Please enter a book code',
+    'search.placeholder': 'Search by name, series or volume',
+    'search.noMatches': 'No matching books',
+    'batch.toggle': 'Batch mode - keep scanning and review before submitting',
+    'handsFree.toggle': 'Hands-free - handheld scanner posts',
+    'handsFree.qtyLabel': 'Hands-free quantity',
+    'handsFree.unit': 'per read',
+    'handsFree.busy': 'Still sending the last book - scan {code} again',
+    'menu.stocktake': 'Stocktake (count a location)',
+    'menu.lowStock': 'Low Stock Report',
+    'menu.report': 'Movement Report',
+    'menu.labels': 'Print Barcode Labels',
+    'menu.reconcile': 'Check Stock Against Transactions',
+
+    // Book card and history
+    'book.heading': 'Book Details',
+    'book.code': 'Code:',
+    'book.name': 'Name:',
+    'book.series': 'Series:',
+    'book.volume': 'Volume:',
+    'book.found': 'Book found!',
+    'book.invalidIsbn': '"{code}" is not a valid {type} (check digit) - check for a typo',
+    'book.notFound': 'Book code "{code}" not found in inventory',
+    'book.create': 'Create new book',
+    'book.lowStock': 'Low stock: {total} in total (minimum {min})',
+    'history.heading': 'Transaction History',
+    'history.date': 'Date',
+    'history.user': 'User',
+    'history.location': 'Location',
+    'history.qty': 'Qty',
+    'history.balance': 'Balance',
+    'history.comments': 'Comments',
+    'history.more': 'Load More',
+    'history.none': 'No transactions recorded for this book.',
+    'history.failed': 'Failed to load history: {message}',
+    'history.offline': 'History is not available offline.',
+    'type.transfer': 'transfer',
+    'type.stocktake': 'stocktake',
+    'type.reversal': 'reversal',
+
+    // New book
+    'newBook.heading': 'Create New Book',
+    'newBook.code': 'Book Code *',
+    'newBook.name': 'Name *',
+    'newBook.series': 'Series',
+    'newBook.volume': 'Volume',
+    'newBook.submit': 'Create Book',
+    'newBook.exists': 'Book code {code} already exists: {name}',
+    'newBook.creating': 'Creating book...',
+    'newBook.offline': 'Creating a book needs a connection - please try again when online',
+    'newBook.failed': 'Failed to create book: {message}',
+    'newBook.created': 'Created: {name}',
+
+    // Transaction form
+    'transaction.heading': 'Record Transaction',
+    'form.modeInOut': 'In / Out',
+    'form.modeTransfer': 'Transfer',
+    'form.qty': 'Quantity *',
+    'form.qtyToMove': 'Quantity to move *',
+    'form.qtyPlaceholder': 'Enter quantity (negative for out)',
+    'form.qtyToMovePlaceholder': 'Enter quantity to move',
+    'form.qtyHelp': 'Positive for IN, negative for OUT',
+    'form.transferHelp': 'Moved out of the first location and into the second',
+    'form.location': 'Location *',
+    'form.fromLocation': 'From location *',
+    'form.toLocation': 'To location *',
+    'form.comments': 'Comments',
+    'form.commentsPlaceholder': 'Optional notes or comments',
+    'form.submitTransaction': 'Submit Transaction',
+    'form.submitTransfer': 'Submit Transfer',
+    'transaction.lookUpFirst': 'Please look up a book first',
+    'transaction.invalidQty': 'Please enter a valid quantity',
+    'transaction.selectLocation': 'Please select a location',
+    'transaction.submitting': 'Submitting transaction...',
+    'transaction.queued': 'Offline: {qty} {name} at {location} saved and will be sent when back online',
+    'transaction.recorded': 'Transaction recorded: {qty} {name} at {location} (New qty: {newQty})',
+    'transaction.failed': 'Failed to submit transaction: {message}',
+    'transfer.qtyPositive': 'Please enter a quantity greater than zero',
+    'transfer.selectBoth': 'Please select both locations',
+    'transfer.sameLocation': 'Source and destination must be different locations',
+    'transfer.submitting': 'Submitting transfer...',
+    'transfer.queued': 'Offline: move of {qty} {name} from {from} to {to} saved and will be sent when back online',
+    'transfer.recorded': 'Transfer recorded: {qty} {name} {from} ({fromQty}) → {to} ({toQty})',
+    'transfer.failed': 'Failed to submit transfer: {message}',
+    'override.prompt': '{location} only has {current} - this would leave {after}.\n' +
+      'To record it anyway, enter the reason (e.g. stock not yet entered):',
+    'override.cancelled': 'Not recorded - a reason is needed to go below zero',
+
+    // Batch cart
+    'cart.heading': 'Batch Cart',
+    'cart.help': 'Quantities are added at this location (use negative numbers for OUT)',
+    'cart.submit': 'Submit All',
+    'cart.clear': 'Clear',
+    'cart.wait': 'Please wait for the current batch to finish',
+    'cart.added': 'Added: {name} (×{qty})',
+    'cart.empty': 'Scan or enter codes to add books.',
+    'cart.clearConfirm': 'Remove all books from the cart?',
+    'cart.submitting': 'Submitting {count} books...',
+    'cart.queued': 'Offline: {count} books saved and will be sent when back online',
+    'cart.partial': '{applied} recorded, {failed} failed - see the cart',
+    'cart.recorded': 'Batch recorded: {count} books at {location}',
+    'cart.failed': 'Failed to submit batch: {message}',
+
+    // Stocktake
+    'stocktake.heading': 'Stocktake',
+    'stocktake.locationLabel': 'Location to count *',
+    'stocktake.help': 'Scan or enter every book on the shelf, one scan per copy',
+    'stocktake.begin': 'Start Counting',
+    'stocktake.countingLabel': 'Counting',
+    'stocktake.books': 'books',
+    'stocktake.copies': 'copies',
+    'stocktake.review': 'Review Variances',
+    'stocktake.confirm': 'Confirm & Post Corrections',
+    'stocktake.back': 'Back to Counting',
+    'stocktake.selectLocation': 'Please select the location to count',
+    'stocktake.counting': 'Counting {location} - scan every copy on the shelf',
+    'stocktake.discardConfirm': 'Discard this stocktake? The counts will be lost.',
+    'stocktake.wait': 'Please wait for the stocktake to finish posting',
+    'stocktake.added': 'Counted: {name} (×{count})',
+    'stocktake.empty': 'Nothing counted yet.',
+    'stocktake.countedLabel': 'Counted',
+    'stocktake.nothing': 'Nothing counted and nothing expected at {location}',
+    'stocktake.summary': '{location}: {matched} match, {over} over, {short} short, {missing} not found (net {net})',
+    'stocktake.match': 'Match',
+    'stocktake.notFound': 'Not found ({variance})',
+    'stocktake.over': 'Over {variance}',
+    'stocktake.short': 'Short {variance}',
+    'stocktake.expected': 'expected {expected}, counted {counted}',
+    'stocktake.posting': 'Posting stocktake for {location}...',
+    'stocktake.queued': 'Offline: stocktake saved and will be posted when back online',
+    'stocktake.skipped': 'Stocktake posted, but {count} book(s) were skipped: {lines}',
+    'stocktake.duplicate': 'This stocktake was already posted',
+    'stocktake.posted': 'Stocktake posted: {count} correction(s) at {location}',
+    'stocktake.failed': 'Failed to post stocktake: {message}',
+
+    // Low stock and movement reports
+    'lowStock.heading': 'Low Stock',
+    'lowStock.offline': 'Could not reach the server - showing quantities saved on this device',
+    'lowStock.none': 'No books are below their minimum.',
+    'lowStock.line': '{total} of {min} (short {shortfall})',
+    'report.heading': 'Movement Report',
+    'report.from': 'From',
+    'report.to': 'To',
+    'report.show': 'Show',
+    'report.csv': 'Download CSV',
+    'report.badDates': 'Choose a start date on or before the end date',
+    'report.failed': 'Report failed: {message}',
+    'report.none': 'No transactions in these dates.',
+    'report.summary': '{count} transaction(s): {in} in, {out} out (net {net})',
+    'report.section.by_location': 'By location',
+    'report.section.by_series': 'By series',
+    'report.section.by_user': 'By user',
+    'report.section.top_titles': 'Top-moving titles',
+    'report.column.by_location': 'Location',
+    'report.column.by_series': 'Series',
+    'report.column.by_user': 'User',
+    'report.column.top_titles': 'Title',
+    'report.in': 'In',
+    'report.out': 'Out',
+    'report.net': 'Net',
+    'report.noneName': '(none)',
+
+    // Barcode labels
+    'labels.heading': 'Barcode Labels',
+    'labels.books': 'Books',
+    'labels.locations': 'Locations',
+    'labels.searchPlaceholder': 'Add a book: search by name, series or volume',
+    'labels.addUnbarcoded': 'Add All Books Without an ISBN',
+    'labels.addedUnbarcoded': '{count} book(s) added',
+    'labels.noBooks': 'Add the books to print labels for.',
+    'labels.noLocations': 'Tick the locations to print labels for.',
+    'labels.copies': 'Copies',
+    'labels.volume': 'Vol.',
+    'labels.layout': 'Label sheet',
+    'labels.custom': 'Custom...',
+    'labels.skip': 'Labels already used on the first sheet',
+    'labels.customHeading': 'Custom sheet (mm)',
+    'labels.page': 'Page size',
+    'labels.columns': 'Columns',
+    'labels.rows': 'Rows',
+    'labels.marginTop': 'Top margin',
+    'labels.marginSide': 'Side margins',
+    'labels.gapX': 'Gap between columns',
+    'labels.gapY': 'Gap between rows',
+    'labels.badLayout': 'The labels would be too small - use fewer columns or rows, or smaller margins and gaps',
+    'labels.summary': '{count} label(s) on {pages} sheet(s)',
+    'labels.noBarcode': '{count} code(s) have characters a barcode can\'t hold - those labels show the code as text only',
+    'labels.previewNote': 'Preview of the first sheet',
+    'labels.print': 'Print',
+    'labels.pdf': 'Download PDF',
+    'labels.pdfFailed': 'Could not make the PDF: {message}',
+
+    // Reconcile
+    'reconcile.heading': 'Check Stock Against Transactions',
+    'reconcile.apply': 'Apply Transaction Totals',
+    'reconcile.confirm': 'Overwrite the quantities and totals listed with the figures from the Transactions sheet?',
+    'reconcile.checking': 'Checking...',
+    'reconcile.applying': 'Applying...',
+    'reconcile.failed': 'Check failed: {message}',
+    'reconcile.checked': '{books} books checked against {transactions} transactions: ',
+    'reconcile.matches': 'everything matches.',
+    'reconcile.differ': '{count} book(s) differ.',
+    'reconcile.updated': 'Updated {count} book(s) to match the Transactions sheet.',
+    'reconcile.applied': 'Stock updated from the Transactions sheet',
+    'reconcile.mismatch': '{column}: sheet {stored}, transactions {ledger}',
+    'reconcile.unmatchedRow': 'Transactions row {row}',
+    'reconcile.unmatched': '{code} at {location} ({qty}): {reason} - not counted',
+
+    // Undo, recent activity and the offline queue
+    'undo.confirm': 'Undo "{title}" ({detail})?',
+    'undo.undoing': 'Undoing...',
+    'undo.queued': 'Offline: the undo will be sent when back online',
+    'undo.done': 'Undone: {title}',
+    'undo.failed': 'Could not undo: {message}',
+    'activity.heading': 'Recent Activity',
+    'activity.undone': 'Undone',
+    'queue.heading': 'Pending Transactions',
+    'queue.help': 'Saved while offline. They are sent in order as soon as the connection returns.',
+    'queue.sendNow': 'Send Now',
+    'queue.batchTitle': 'Batch: {count} books ({units})',
+    'queue.stocktakeTitle': 'Stocktake: {count} books',
+    'queue.undoTitle': 'Undo {name}',
+    'queue.moveTitle': 'Move {qty} {name}',
+    'queue.stillOffline': 'Still offline - transactions will be sent when the connection returns',
+    'queue.rejected': '{count} queued transaction(s) were rejected - tap "pending" to review',
+    'queue.linesRejected': '{count} book(s) in a queued batch or stocktake were rejected (not found or invalid qty)',
+    'queue.sent': '{count} queued transaction(s) sent',
+    'queue.empty': 'No pending transactions.',
+    'queue.rejectedStatus': 'Rejected: {error}',
+    'queue.waiting': 'Waiting to send',
+    'queue.retrying': 'Waiting to send again ({error})',
+    'queue.serverError': 'The server did not answer properly - queued transactions will be tried again',
+    'queue.discard': 'Discard',
+    'queue.discardConfirm': 'Discard this transaction? It will not be recorded.',
+    'queue.discarded': 'Queued transaction discarded',
+
+    // Install banner
+    'install.title': 'Install Lahak Inventory',
+    'install.text': 'Add to your home screen for quick access',
+    'install.install': 'Install',
+    'install.later': 'Later',
+
+    // Errors from Code.gs (ERROR_MESSAGES there)
+    'error.auth_required': 'Authentication required',
+    'error.sign_in_expired': 'Sign-in expired or invalid. Please sign in again.',
+    'error.user_not_registered': 'Your email is not registered. Please contact the administrator.',
+    'error.server_error': 'Server error: {detail}',
+    'error.server_busy': 'Server busy, please try again',
+    'error.missing_parameters': 'Missing required parameters',
+    'error.missing_parameter': 'Missing required parameter: {name}',
+    'error.missing_fields': 'Missing required fields: {fields}',
+    'error.book_not_found': 'Book not found',
+    'error.location_column_not_found': 'Location column not found',
+    'error.location_column_missing': 'Location column "{location}" not found in Books sheet',
+    'error.book_code_column_missing': 'Book_code column not found in Books sheet',
+    'error.sheet_not_found': 'The {sheet} sheet was not found. Check the sheet names at the top of Code.gs.',
+    'error.books_changed': 'The Books sheet changed during the lookup, please try again',
+    'error.report_manager_only': 'Only a manager can view movement reports',
+    'error.invalid_dates': 'from and to must be dates (YYYY-MM-DD)',
+    'error.dates_inverted': 'from must not be after to',
+    'error.qty_invalid': 'qty must be a valid number',
+    'error.qty_not_positive': 'qty must be a positive number',
+    'error.qty_zero': 'qty must be a non-zero number',
+    'error.counted_negative': 'counted must be zero or more',
+    'error.same_location': 'from_location and to_location must be different',
+    'error.book_code_invalid': 'book_code must contain letters or digits',
+    'error.book_exists': 'Book code {book_code} already exists: {book_name}',
+    'error.not_enough_stock': 'Not enough stock: {location} has {qty}. Give an override reason to go below zero.',
+    'error.line_not_enough_stock': 'Not enough stock ({qty} at {location})',
+    'error.role_read_only': 'Your role ({role}) can look up books but not record changes',
+    'error.reconcile_admin_only': 'Only an admin can reconcile stock with the Transactions sheet',
+    'error.location_not_allowed': 'You are not allowed to record changes at {location}',
+    'error.large_negative': 'Removing more than {threshold} copies at once needs a manager',
+    'error.line_large_negative': 'Removing more than {threshold} copies needs a manager',
+    'error.large_shortfall': 'Short by more than {threshold} - a manager must confirm this count',
+    'error.transaction_not_found': 'Transaction not found',
+    'error.not_reversible': 'A {type} row cannot be reversed',
+    'error.already_reversed': 'This transaction was already reversed by {user}',
+    'error.reverse_not_allowed': 'Only {user} or an admin can reverse this transaction',
+    'error.reverse_transfer_leg': 'This is one side of transfer {transfer_id} - undo the transfer as a whole',
+    'error.transaction_id_in_use': 'Transaction ID {transaction_id} is already in use',
+
+    // Errors found by the app itself
+    'error.bad_reply': 'The server sent an unexpected reply (HTTP {status})'
+  },
+
+  he: {
+    // Header and sign-in
+    'header.language': 'שפה',
+    'header.pending': 'ממתינות',
+    'header.pendingTitle': 'תנועות שממתינות לשליחה',
+    'header.signOut': 'התנתקות',
+    'login.welcome': 'ברוכים הבאים ל-Lahak Inventory',
+    'login.prompt': 'יש להתחבר עם חשבון Google כדי להמשיך.',
+    'login.mockNote': 'מצב פיתוח - בשימוש שרת הדמה בכתובת',
+    'login.signIn': 'התחברות',
+    'auth.notAuthorized': 'החשבון שלך אינו מורשה להשתמש באפליקציה.',
+    'auth.contactAdmin': 'יש לפנות למנהל המערכת כדי לבקש גישה.',
+    'auth.notConfigured': 'ההתחברות עם Google לא הוגדרה.',
+    'auth.contactAdminShort': 'יש לפנות למנהל המערכת.',
+    'auth.googleUserFailed': 'לא התקבלו פרטי המשתמש מ-Google.',
+    'auth.signedInAgain': 'התחברת מחדש',
+    'auth.expired': 'פג תוקף ההתחברות. יש להתחבר שוב כדי להמשיך.',
+    'auth.connectFailed': 'החיבור לשרת נכשל. נסו שוב.',
+    'config.scriptUrl': 'יש להגדיר את כתובת Google Apps Script בקובץ sheets-api.js',
+
+    // Loading
+    'loading.title': 'הנתונים שלך נטענים...',
+    'loading.connecting': 'מתחבר לשרת...',
+    'loading.readingSaved': 'קורא ספרים שמורים...',
+    'loading.fetchingChanges': 'מוריד שינויים ל-{count} ספרים שמורים...',
+    'loading.fetching': 'מוריד נתוני מלאי...',
+    'loading.profile': 'טוען פרופיל משתמש...',
+    'loading.indexing': 'ממפתח ספרים...',
+    'loading.refreshing': 'מרענן את רשימת הספרים...',
+    'loading.ready': 'מוכן!',
+    'loading.processing': 'מעבד...',
+
+    // Book sync
+    'sync.offline': 'אין חיבור - מוצגות הכמויות השמורות במכשיר',
+    'sync.updated': '{count} ספרים עודכנו',
+    'sync.upToDate': 'הכול מעודכן',
+    'sync.failed': 'הסנכרון נכשל: {message}',
+    'sync.syncing': 'מסנכרן...',
+    'sync.synced': 'סונכרן {time}',
+    'sync.notSynced': 'לא סונכרן',
+    'sync.checkNow': 'בדיקת שינויים עכשיו',
+    'sync.lastChecked': 'הכמויות נבדקו לאחרונה {time} - הקישו לבדיקה עכשיו',
+    'sync.tapToCheck': 'הקישו כדי לבדוק שינויים עכשיו',
+
+    // Shared
+    'common.or': 'או',
+    'common.na': 'לא צוין',
+    'common.loading': 'טוען...',
+    'common.close': 'סגירה',
+    'common.cancel': 'ביטול',
+    'common.refresh': 'רענון',
+    'common.remove': 'הסרה',
+    'common.quantity': 'כמות',
+    'common.undo': 'בטל',
+    'locations.placeholder': 'בחרו מיקום...',
+
+    // Active location (banner, location labels and the reminder)
+    'location.active': 'מיקום',
+    'location.none': 'לא נבחר',
+    'location.scanHint': 'סרקו תווית מיקום כדי להחליף',
+    'location.scanned': 'המיקום הוחלף ל-{name}',
+    'location.notAllowed': 'אין לך הרשאה לרשום שינויים ב-{name}',
+    'location.stocktakeFixed': 'תוויות מיקום לא משנות ספירת מלאי - בספירה הזו נספר {name}',
+    'location.reminder': 'עדיין ב-{name}? אם עברתם מקום, סרקו תווית מיקום.',
+    'location.stillHere': 'עדיין כאן',
+    'location.reminderLabel': 'לבדוק את המיקום אחרי',
+    'location.reminderUnit': 'דקות ללא פעילות (0 = אף פעם)',
+
+    // Scanning and lookup
+    'scanner.heading': 'סריקה או הקלדה של קוד ספר',
+    'scanner.readOnly': 'החשבון שלך יכול לחפש ספרים אך לא לרשום שינויים.',
+    'scanner.cameraLabel': 'מצלמה',
+    'scanner.rearCamera': 'מצלמה אחורית',
+    'scanner.camera': 'מצלמה {number}',
+    'scanner.torch': 'פנס',
+    'scanner.zoom': 'זום',
+    'scanner.settings': 'הגדרות סורק',
+    'scanner.acceptAfter': 'קבלת קוד אחרי',
+    'scanner.reads1': 'קריאה אחת (הכי מהיר)',
+    'scanner.reads2': '2 קריאות זהות',
+    'scanner.reads3': '3 קריאות זהות',
+    'scanner.reads5': '5 קריאות זהות (הכי זהיר)',
+    'scanner.beep': 'צפצוף בכל קריאה',
+    'scanner.vibrate': 'רטט בכל קריאה',
+    'scanner.start': 'סריקת ברקוד',
+    'scanner.stop': 'עצירת הסורק',
+    'scanner.switchFailed': 'החלפת המצלמה נכשלה: {message}',
+    'scanner.noCamera': 'לא נמצאה מצלמה במכשיר. השתמשו בהקלדה ידנית.',
+    'scanner.active': 'הסורק פעיל - כוונו את המצלמה לברקוד',
+    'scanner.startFailed': 'הפעלת הסורק נכשלה: {message}',
+    'scanner.torchFailed': 'הפנס אינו זמין: {message}',
+    'scanner.stopped': 'הסורק נעצר',
+    'scanner.error': 'שגיאת סורק: {message}',
+    'scan.ignored': 'נדחה: {reason} - המשיכו לסרוק',
+    'scan.ignoredWedge': 'נדחה: {reason} - סרקו שוב',
+    'scan.notBookBarcode': 'לא ברקוד של ספר ({format})',
+    'scan.empty': 'ברקוד ריק',
+    'scan.misread': 'קריאה שגויה {code} (ספרת הביקורת לא תואמת)',
+    'code.placeholder': 'הקלדת קוד ספר ידנית',
+    'code.lookup': 'חיפוש',
+    'code.enter': 'יש להזין קוד ספר',
+    'search.placeholder': 'חיפוש לפי שם, סדרה או כרך',
+    'search.noMatches': 'לא נמצאו ספרים מתאימים',
+    'batch.toggle': 'מצב אצווה - ממשיכים לסרוק ובודקים לפני השליחה',
+    'handsFree.toggle': 'ללא ידיים - הסורק הידני רושם',
+    'handsFree.qtyLabel': 'כמות במצב ללא ידיים',
+    'handsFree.unit': 'לכל קריאה',
+    'handsFree.busy': 'הספר הקודם עדיין נשלח - סרקו את {code} שוב',
+    'menu.stocktake': 'ספירת מלאי (ספירת מיקום)',
+    'menu.lowStock': 'דוח מלאי נמוך',
+    'menu.report': 'דוח תנועות',
+    'menu.labels': 'הדפסת תוויות ברקוד',
+    'menu.reconcile': 'בדיקת המלאי מול התנועות',
+
+    // Book card and history
+    'book.heading': 'פרטי הספר',
+    'book.code': 'קוד:',
+    'book.name': 'שם:',
+    'book.series': 'סדרה:',
+    'book.volume': 'כרך:',
+    'book.found': 'הספר נמצא!',
+    'book.invalidIsbn': '"{code}" אינו {type} תקין (ספרת ביקורת) - בדקו אם יש שגיאת הקלדה',
+    'book.notFound': 'קוד הספר "{code}" לא נמצא במלאי',
+    'book.create': 'יצירת ספר חדש',
+    'book.lowStock': 'מלאי נמוך: {total} בסך הכול (מינימום {min})',
+    'history.heading': 'היסטוריית תנועות',
+    'history.date': 'תאריך',
+    'history.user': 'משתמש',
+    'history.location': 'מיקום',
+    'history.qty': 'כמות',
+    'history.balance': 'יתרה',
+    'history.comments': 'הערות',
+    'history.more': 'טעינת עוד',
+    'history.none': 'לא נרשמו תנועות לספר זה.',
+    'history.failed': 'טעינת ההיסטוריה נכשלה: {message}',
+    'history.offline': 'ההיסטוריה אינה זמינה ללא חיבור.',
+    'type.transfer': 'העברה',
+    'type.stocktake': 'ספירת מלאי',
+    'type.reversal': 'ביטול',
+
+    // New book
+    'newBook.heading': 'יצירת ספר חדש',
+    'newBook.code': 'קוד ספר *',
+    'newBook.name': 'שם *',
+    'newBook.series': 'סדרה',
+    'newBook.volume': 'כרך',
+    'newBook.submit': 'יצירת ספר',
+    'newBook.exists': 'קוד הספר {code} כבר קיים: {name}',
+    'newBook.creating': 'יוצר ספר...',
+    'newBook.offline': 'יצירת ספר דורשת חיבור - נסו שוב כשתהיו מחוברים',
+    'newBook.failed': 'יצירת הספר נכשלה: {message}',
+    'newBook.created': 'נוצר: {name}',
+
+    // Transaction form
+    'transaction.heading': 'רישום תנועה',
+    'form.modeInOut': 'כניסה / יציאה',
+    'form.modeTransfer': 'העברה',
+    'form.qty': 'כמות *',
+    'form.qtyToMove': 'כמות להעברה *',
+    'form.qtyPlaceholder': 'הזינו כמות (שלילית ליציאה)',
+    'form.qtyToMovePlaceholder': 'הזינו כמות להעברה',
+    'form.qtyHelp': 'חיובי לכניסה, שלילי ליציאה',
+    'form.transferHelp': 'יוצא מהמיקום הראשון ונכנס לשני',
+    'form.location': 'מיקום *',
+    'form.fromLocation': 'ממיקום *',
+    'form.toLocation': 'למיקום *',
+    'form.comments': 'הערות',
+    'form.commentsPlaceholder': 'הערות או פרטים (לא חובה)',
+    'form.submitTransaction': 'רישום תנועה',
+    'form.submitTransfer': 'רישום העברה',
+    'transaction.lookUpFirst': 'יש לחפש ספר קודם',
+    'transaction.invalidQty': 'יש להזין כמות תקינה',
+    'transaction.selectLocation': 'יש לבחור מיקום',
+    'transaction.submitting': 'שולח תנועה...',
+    'transaction.queued': 'אין חיבור: {qty} {name} ב-{location} נשמר ויישלח כשהחיבור יחזור',
+    'transaction.recorded': 'התנועה נרשמה: {qty} {name} ב-{location} (כמות חדשה: {newQty})',
+    'transaction.failed': 'שליחת התנועה נכשלה: {message}',
+    'transfer.qtyPositive': 'יש להזין כמות גדולה מאפס',
+    'transfer.selectBoth': 'יש לבחור את שני המיקומים',
+    'transfer.sameLocation': 'מיקום המקור והיעד חייבים להיות שונים',
+    'transfer.submitting': 'שולח העברה...',
+    'transfer.queued': 'אין חיבור: העברה של {qty} {name} מ-{from} ל-{to} נשמרה ותישלח כשהחיבור יחזור',
+    // The arrow points the way the text reads
+    'transfer.recorded': 'ההעברה נרשמה: {qty} {name} {from} ({fromQty}) ← {to} ({toQty})',
+    'transfer.failed': 'שליחת ההעברה נכשלה: {message}',
+    'override.prompt': 'ב-{location} יש רק {current} - אחרי הפעולה יישארו {after}.\n' +
+      'כדי לרשום בכל זאת, הזינו את הסיבה (למשל מלאי שעוד לא נקלט):',
+    'override.cancelled': 'לא נרשם - נדרשת סיבה כדי לרדת מתחת לאפס',
+
+    // Batch cart
+    'cart.heading': 'עגלת אצווה',
+    'cart.help': 'הכמויות מתווספות במיקום זה (מספרים שליליים ליציאה)',
+    'cart.submit': 'שליחת הכול',
+    'cart.clear': 'ניקוי',
+    'cart.wait': 'נא להמתין לסיום האצווה הנוכחית',
+    'cart.added': 'נוסף: {name} (×{qty})',
+    'cart.empty': 'סרקו או הקלידו קודים כדי להוסיף ספרים.',
+    'cart.clearConfirm': 'להסיר את כל הספרים מהעגלה?',
+    'cart.submitting': 'שולח {count} ספרים...',
+    'cart.queued': 'אין חיבור: {count} ספרים נשמרו ויישלחו כשהחיבור יחזור',
+    'cart.partial': '{applied} נרשמו, {failed} נכשלו - ראו בעגלה',
+    'cart.recorded': 'האצווה נרשמה: {count} ספרים ב-{location}',
+    'cart.failed': 'שליחת האצווה נכשלה: {message}',
+
+    // Stocktake
+    'stocktake.heading': 'ספירת מלאי',
+    'stocktake.locationLabel': 'מיקום לספירה *',
+    'stocktake.help': 'סרקו או הקלידו כל ספר על המדף, סריקה אחת לכל עותק',
+    'stocktake.begin': 'התחלת ספירה',
+    'stocktake.countingLabel': 'סופרים את',
+    'stocktake.books': 'ספרים',
+    'stocktake.copies': 'עותקים',
+    'stocktake.review': 'בדיקת הפרשים',
+    'stocktake.confirm': 'אישור ורישום התיקונים',
+    'stocktake.back': 'חזרה לספירה',
+    'stocktake.selectLocation': 'יש לבחור את המיקום לספירה',
+    'stocktake.counting': 'סופרים את {location} - סרקו כל עותק על המדף',
+    'stocktake.discardConfirm': 'לבטל את ספירת המלאי? הספירות יאבדו.',
+    'stocktake.wait': 'נא להמתין לסיום רישום ספירת המלאי',
+    'stocktake.added': 'נספר: {name} (×{count})',
+    'stocktake.empty': 'עדיין לא נספר דבר.',
+    'stocktake.countedLabel': 'נספר',
+    'stocktake.nothing': 'לא נספר דבר ולא צפוי דבר ב-{location}',
+    'stocktake.summary': '{location}: {matched} תואמים, {over} עודף, {short} חוסר, {missing} לא נמצאו (נטו {net})',
+    'stocktake.match': 'תואם',
+    'stocktake.notFound': 'לא נמצא ({variance})',
+    'stocktake.over': 'עודף {variance}',
+    'stocktake.short': 'חוסר {variance}',
+    'stocktake.expected': 'צפוי {expected}, נספר {counted}',
+    'stocktake.posting': 'רושם ספירת מלאי עבור {location}...',
+    'stocktake.queued': 'אין חיבור: ספירת המלאי נשמרה ותירשם כשהחיבור יחזור',
+    'stocktake.skipped': 'ספירת המלאי נרשמה, אך {count} ספרים דולגו: {lines}',
+    'stocktake.duplicate': 'ספירת מלאי זו כבר נרשמה',
+    'stocktake.posted': 'ספירת המלאי נרשמה: {count} תיקונים ב-{location}',
+    'stocktake.failed': 'רישום ספירת המלאי נכשל: {message}',
+
+    // Low stock and movement reports
+    'lowStock.heading': 'מלאי נמוך',
+    'lowStock.offline': 'אין גישה לשרת - מוצגות הכמויות השמורות במכשיר',
+    'lowStock.none': 'אין ספרים מתחת למינימום.',
+    'lowStock.line': '{total} מתוך {min} (חסרים {shortfall})',
+    'report.heading': 'דוח תנועות',
+    'report.from': 'מתאריך',
+    'report.to': 'עד תאריך',
+    'report.show': 'הצגה',
+    'report.csv': 'הורדת CSV',
+    'report.badDates': 'יש לבחור תאריך התחלה שאינו אחרי תאריך הסיום',
+    'report.failed': 'הדוח נכשל: {message}',
+    'report.none': 'אין תנועות בתאריכים אלה.',
+    'report.summary': '{count} תנועות: {in} נכנסו, {out} יצאו (נטו {net})',
+    'report.section.by_location': 'לפי מיקום',
+    'report.section.by_series': 'לפי סדרה',
+    'report.section.by_user': 'לפי משתמש',
+    'report.section.top_titles': 'הכותרים עם הכי הרבה תנועה',
+    'report.column.by_location': 'מיקום',
+    'report.column.by_series': 'סדרה',
+    'report.column.by_user': 'משתמש',
+    'report.column.top_titles': 'כותר',
+    'report.in': 'נכנס',
+    'report.out': 'יצא',
+    'report.net': 'נטו',
+    'report.noneName': '(ללא)',
+
+    // Barcode labels
+    'labels.heading': 'תוויות ברקוד',
+    'labels.books': 'ספרים',
+    'labels.locations': 'מיקומים',
+    'labels.searchPlaceholder': 'הוספת ספר: חיפוש לפי שם, סדרה או כרך',
+    'labels.addUnbarcoded': 'הוספת כל הספרים ללא ISBN',
+    'labels.addedUnbarcoded': 'נוספו {count} ספרים',
+    'labels.noBooks': 'יש להוסיף את הספרים שעבורם יודפסו תוויות.',
+    'labels.noLocations': 'יש לסמן את המיקומים שעבורם יודפסו תוויות.',
+    'labels.copies': 'עותקים',
+    'labels.volume': 'כרך',
+    'labels.layout': 'גיליון תוויות',
+    'labels.custom': 'מותאם אישית...',
+    'labels.skip': 'תוויות שכבר נוצלו בגיליון הראשון',
+    'labels.customHeading': 'גיליון מותאם אישית (מ"מ)',
+    'labels.page': 'גודל דף',
+    'labels.columns': 'עמודות',
+    'labels.rows': 'שורות',
+    'labels.marginTop': 'שוליים עליונים',
+    'labels.marginSide': 'שוליים בצדדים',
+    'labels.gapX': 'רווח בין עמודות',
+    'labels.gapY': 'רווח בין שורות',
+    'labels.badLayout': 'התוויות יהיו קטנות מדי - יש להקטין את מספר העמודות או השורות, או את השוליים והרווחים',
+    'labels.summary': '{count} תוויות ב-{pages} גיליונות',
+    'labels.noBarcode': 'ב-{count} קודים יש תווים שאי אפשר לקודד בברקוד - בתוויות שלהם הקוד יודפס כטקסט בלבד',
+    'labels.previewNote': 'תצוגה מקדימה של הגיליון הראשון',
+    'labels.print': 'הדפסה',
+    'labels.pdf': 'הורדת PDF',
+    'labels.pdfFailed': 'לא ניתן ליצור את קובץ ה-PDF: {message}',
+
+    // Reconcile
+    'reconcile.heading': 'בדיקת המלאי מול התנועות',
+    'reconcile.apply': 'החלת סיכומי התנועות',
+    'reconcile.confirm': 'לדרוס את הכמויות והסיכומים שברשימה בנתונים מגיליון התנועות?',
+    'reconcile.checking': 'בודק...',
+    'reconcile.applying': 'מעדכן...',
+    'reconcile.failed': 'הבדיקה נכשלה: {message}',
+    'reconcile.checked': 'נבדקו {books} ספרים מול {transactions} תנועות: ',
+    'reconcile.matches': 'הכול תואם.',
+    'reconcile.differ': '{count} ספרים שונים.',
+    'reconcile.updated': '{count} ספרים עודכנו לפי גיליון התנועות.',
+    'reconcile.applied': 'המלאי עודכן מגיליון התנועות',
+    'reconcile.mismatch': '{column}: בגיליון {stored}, בתנועות {ledger}',
+    'reconcile.unmatchedRow': 'שורה {row} בגיליון התנועות',
+    'reconcile.unmatched': '{code} ב-{location} ({qty}): {reason} - לא נספר',
+
+    // Undo, recent activity and the offline queue
+    'undo.confirm': 'לבטל את "{title}" ({detail})?',
+    'undo.undoing': 'מבטל...',
+    'undo.queued': 'אין חיבור: הביטול יישלח כשהחיבור יחזור',
+    'undo.done': 'בוטל: {title}',
+    'undo.failed': 'הביטול נכשל: {message}',
+    'activity.heading': 'פעילות אחרונה',
+    'activity.undone': 'בוטל',
+    'queue.heading': 'תנועות ממתינות',
+    'queue.help': 'נשמרו ללא חיבור. הן יישלחו לפי הסדר ברגע שהחיבור יחזור.',
+    'queue.sendNow': 'שליחה עכשיו',
+    'queue.batchTitle': 'אצווה: {count} ספרים ({units})',
+    'queue.stocktakeTitle': 'ספירת מלאי: {count} ספרים',
+    'queue.undoTitle': 'ביטול {name}',
+    'queue.moveTitle': 'העברת {qty} {name}',
+    'queue.stillOffline': 'עדיין אין חיבור - התנועות יישלחו כשהחיבור יחזור',
+    'queue.rejected': '{count} תנועות ממתינות נדחו - הקישו על "ממתינות" כדי לבדוק',
+    'queue.linesRejected': '{count} ספרים באצווה או בספירה ממתינה נדחו (לא נמצאו או כמות לא תקינה)',
+    'queue.sent': '{count} תנועות ממתינות נשלחו',
+    'queue.empty': 'אין תנועות ממתינות.',
+    'queue.rejectedStatus': 'נדחה: {error}',
+    'queue.waiting': 'ממתין לשליחה',
+    'queue.retrying': 'ממתין לשליחה חוזרת ({error})',
+    'queue.serverError': 'השרת לא ענה כראוי - התנועות הממתינות יישלחו שוב',
+    'queue.discard': 'מחיקה',
+    'queue.discardConfirm': 'למחוק את התנועה? היא לא תירשם.',
+    'queue.discarded': 'התנועה הממתינה נמחקה',
+
+    // Install banner
+    'install.title': 'התקנת Lahak Inventory',
+    'install.text': 'הוספה למסך הבית לגישה מהירה',
+    'install.install': 'התקנה',
+    'install.later': 'אחר כך',
+
+    // Errors from Code.gs (ERROR_MESSAGES there)
+    'error.auth_required': 'נדרשת התחברות',
+    'error.sign_in_expired': 'ההתחברות פגה או אינה תקינה. יש להתחבר שוב.',
+    'error.user_not_registered': 'כתובת האימייל שלך אינה רשומה. יש לפנות למנהל המערכת.',
+    'error.server_error': 'שגיאת שרת: {detail}',
+    'error.server_busy': 'השרת עמוס, נסו שוב',
+    'error.missing_parameters': 'חסרים פרמטרים נדרשים',
+    'error.missing_parameter': 'חסר פרמטר נדרש: {name}',
+    'error.missing_fields': 'חסרים שדות נדרשים: {fields}',
+    'error.book_not_found': 'הספר לא נמצא',
+    'error.location_column_not_found': 'עמודת המיקום לא נמצאה',
+    'error.location_column_missing': 'עמודת המיקום "{location}" לא נמצאה בגיליון Books',
+    'error.book_code_column_missing': 'העמודה Book_code לא נמצאה בגיליון Books',
+    'error.sheet_not_found': 'הגיליון {sheet} לא נמצא. יש לבדוק את שמות הגיליונות בראש Code.gs.',
+    'error.books_changed': 'גיליון הספרים השתנה במהלך החיפוש, יש לנסות שוב',
+    'error.report_manager_only': 'רק מנהל יכול לצפות בדוחות תנועות',
+    'error.invalid_dates': 'התאריכים חייבים להיות בפורמט YYYY-MM-DD',
+    'error.dates_inverted': 'תאריך ההתחלה לא יכול להיות אחרי תאריך הסיום',
+    'error.qty_invalid': 'הכמות חייבת להיות מספר תקין',
+    'error.qty_not_positive': 'הכמות חייבת להיות מספר חיובי',
+    'error.qty_zero': 'הכמות חייבת להיות מספר שונה מאפס',
+    'error.counted_negative': 'הכמות שנספרה חייבת להיות אפס או יותר',
+    'error.same_location': 'מיקום המקור והיעד חייבים להיות שונים',
+    'error.book_code_invalid': 'קוד הספר חייב להכיל אותיות או ספרות',
+    'error.book_exists': 'קוד הספר {book_code} כבר קיים: {book_name}',
+    'error.not_enough_stock': 'אין מספיק מלאי: ב-{location} יש {qty}. יש לציין סיבה כדי לרדת מתחת לאפס.',
+    'error.line_not_enough_stock': 'אין מספיק מלאי ({qty} ב-{location})',
+    'error.role_read_only': 'התפקיד שלך ({role}) מאפשר לחפש ספרים אך לא לרשום שינויים',
+    'error.reconcile_admin_only': 'רק מנהל מערכת יכול להתאים את המלאי לגיליון התנועות',
+    'error.location_not_allowed': 'אין לך הרשאה לרשום שינויים ב-{location}',
+    'error.large_negative': 'הוצאה של יותר מ-{threshold} עותקים בבת אחת דורשת מנהל',
+    'error.line_large_negative': 'הוצאה של יותר מ-{threshold} עותקים דורשת מנהל',
+    'error.large_shortfall': 'חוסר של יותר מ-{threshold} - מנהל צריך לאשר ספירה זו',
+    'error.transaction_not_found': 'התנועה לא נמצאה',
+    'error.not_reversible': 'לא ניתן לבטל שורה מסוג {type}',
+    'error.already_reversed': 'התנועה כבר בוטלה על ידי {user}',
+    'error.reverse_not_allowed': 'רק {user} או מנהל מערכת יכולים לבטל תנועה זו',
+    'error.reverse_transfer_leg': 'זהו צד אחד של ההעברה {transfer_id} - יש לבטל את ההעברה כולה',
+    'error.transaction_id_in_use': 'מזהה התנועה {transaction_id} כבר בשימוש',
+
+    // Errors found by the app itself
+    'error.bad_reply': 'השרת החזיר תשובה לא צפויה (HTTP {status})'
+  }
+};
+
+class I18n {
+  constructor() {
+    // Until someone signs in, the language last used on this device
+    const saved = this.loadSaved();
+    this.language = I18n.isSupported(saved.last) ? saved.last : I18n.detectLanguage();
+  }
+
+  /**
+   * Languages the app can be shown in
+   * @returns {Array} [{ code, name, dir }]
+   */
+  static getLanguages() {
+    return Object.keys(LANGUAGES).map(code => ({ code: code, ...LANGUAGES[code] }));
+  }
+
+  /**
+   * @param {string} language - Code such as 'he'
+   * @returns {boolean}
+   */
+  static isSupported(language) {
+    return Object.prototype.hasOwnProperty.call(LANGUAGES, language || '');
+  }
+
+  /**
+   * The browser's preferred language if there is a translation, else English
+   * @returns {string}
+   */
+  static detectLanguage() {
+    const preferred = (typeof navigator !== 'undefined' && navigator.language) || '';
+    const base = preferred.toLowerCase().split('-')[0];
+    // Older browsers report Hebrew as 'iw'
+    const language = base === 'iw' ? 'he' : base;
+    return I18n.isSupported(language) ? language : DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Message in the current language, with {placeholders} filled in
+   * @param {string} key - e.g. 'book.notFound'
+   * @param {object} params - Values for the placeholders
+   * @returns {string} The English message if there is no translation, or
+   *   the key itself if there is no message at all
+   */
+  t(key, params = {}) {
+    const messages = MESSAGES[this.language] || {};
+    let message = messages[key];
+    if (message === undefined) {
+      message = MESSAGES[DEFAULT_LANGUAGE][key];
+    }
+    if (message === undefined) {
+      return key;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] !== undefined && params[name] !== null ? String(params[name]) : match);
+  }
+
+  /**
+   * Whether there is a message for a key (in English at least)
+   * @param {string} key
+   * @returns {boolean}
+   */
+  has(key) {
+    return MESSAGES[DEFAULT_LANGUAGE][key] !== undefined;
+  }
+
+  /**
+   * Text for an error response from Code.gs
+   * @param {object} data - Response body: { error, code, params }
+   * @param {string} fallback - Shown when the code is unknown (defaults to data.error)
+   * @returns {string}
+   */
+  translateError(data, fallback) {
+    if (data && data.code && this.has('error.' + data.code)) {
+      return this.t('error.' + data.code, data.params || {});
+    }
+    return fallback !== undefined && fallback !== null ? fallback : (data && data.error) || '';
+  }
+
+  /**
+   * Work out the language for a user who has just signed in: their own
+   * choice on this device, then the Language column of the Users sheet,
+   * then whatever this device was showing
+   * @param {string} email - Signed-in user
+   * @param {string} sheetLanguage - From the Users sheet ('' if none)
+   * @returns {string} The language now in use
+   */
+  chooseLanguage(email, sheetLanguage) {
+    const saved = this.loadSaved();
+    const own = email ? saved.users[email.toLowerCase()] : null;
+    const sheet = (sheetLanguage || '').toString().trim().toLowerCase();
+
+    if (I18n.isSupported(own)) {
+      this.language = own;
+    } else if (I18n.isSupported(sheet)) {
+      this.language = sheet;
+    }
+
+    saved.last = this.language;
+    this.save(saved);
+    return this.language;
+  }
+
+  /**
+   * Switch language and remember it for this device (and the user, if signed in)
+   * @param {string} language - One of LANGUAGES
+   * @param {string} email - Signed-in user, if any
+   * @returns {boolean} false if the language isn't supported
+   */
+  setLanguage(language, email = null) {
+    if (!I18n.isSupported(language)) {
+      return false;
+    }
+
+    this.language = language;
+    const saved = this.loadSaved();
+    saved.last = language;
+    if (email) {
+      saved.users[email.toLowerCase()] = language;
+    }
+    this.save(saved);
+    return true;
+  }
+
+  /**
+   * @returns {boolean} Whether the current language is written right to left
+   */
+  isRtl() {
+    return LANGUAGES[this.language].dir === 'rtl';
+  }
+
+  /**
+   * Set the page's language and direction and translate the marked text:
+   * data-i18n (text), data-i18n-placeholder, data-i18n-title and data-i18n-aria-label
+   * @param {Document} root
+   */
+  applyToDocument(root = document) {
+    if (root.documentElement) {
+      root.documentElement.lang = this.language;
+      root.documentElement.dir = LANGUAGES[this.language].dir;
+    }
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+      element.placeholder = this.t(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+      element.title = this.t(element.dataset.i18nTitle);
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+      element.setAttribute('aria-label', this.t(element.dataset.i18nAriaLabel));
+    });
+  }
+
+  /**
+   * @returns {object} { last, users } as saved on this device
+   */
+  loadSaved() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(LANGUAGE_STORAGE_KEY));
+      if (saved && typeof saved === 'object') {
+        return { last: saved.last || null, users: saved.users || {} };
+      }
+    } catch (error) {
+      console.warn('Could not load language setting:', error);
+    }
+    return { last: null, users: {} };
+  }
+
+  /**
+   * @param {object} saved - { last, users }
+   */
+  save(saved) {
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, JSON.stringify(saved));
+  }
+}
+
+// Create global instance
+window.i18n = new I18n();
+
+// Export for use in other modules
+window.I18n = I18n;
@@ -0,0 +1,111 @@
+/**
+ * Keyboard Wedge Module
+ * Recognises handheld USB/Bluetooth barcode scanners that "type" the code
+ * followed by Enter, wherever focus is on the page.
+ *
+ * A scanner types far faster than a person, so a run of at least
+ * minLength characters, each within maxKeyGap ms of the last, ended by
+ * Enter, is taken as a scan. Its Enter is swallowed (so it doesn't submit
+ * whatever form has focus) and the characters are taken back out of the
+ * focused field, if they landed in one.
+ */
+
+const WEDGE_DEFAULTS = {
+  maxKeyGap: 50,   // ms between characters; people rarely manage under ~80
+  minLength: 4     // shorter bursts (e.g. "-1" in the quantity box) are typing
+};
+
+class KeyboardWedge {
+  /**
+   * @param {object} options - { maxKeyGap, minLength } (see WEDGE_DEFAULTS)
+   */
+  constructor(options = {}) {
+    this.options = { ...WEDGE_DEFAULTS, ...options };
+    this.onScan = null;
+    this.buffer = '';
+    this.lastKeyTime = 0;
+    this.handleKeydown = this.handleKeydown.bind(this);
+  }
+
+  /**
+   * Start listening
+   * @param {Function} scanCallback - Called with the scanned code
+   * @param {EventTarget} target - Where to listen (the document by default)
+   */
+  attach(scanCallback, target = document) {
+    this.onScan = scanCallback;
+    this.target = target;
+    // Capture phase, so the scan is seen before the focused field reacts to Enter
+    target.addEventListener('keydown', this.handleKeydown, true);
+  }
+
+  /**
+   * Stop listening
+   */
+  detach() {
+    if (this.target) {
+      this.target.removeEventListener('keydown', this.handleKeydown, true);
+      this.target = null;
+    }
+    this.reset();
+  }
+
+  reset() {
+    this.buffer = '';
+    this.lastKeyTime = 0;
+  }
+
+  /**
+   * @param {KeyboardEvent} event
+   */
+  handleKeydown(event) {
+    if (event.ctrlKey || event.altKey || event.metaKey) {
+      this.reset();
+      return;
+    }
+
+    const now = event.timeStamp || Date.now();
+    const inBurst = this.buffer && now - this.lastKeyTime <= this.options.maxKeyGap;
+
+    if (event.key === 'Enter') {
+      if (inBurst && this.buffer.length >= this.options.minLength) {
+        event.preventDefault();
+        event.stopPropagation();
+        const code = this.buffer;
+        this.removeTypedText(event.target, code);
+        this.reset();
+        if (this.onScan) {
+          this.onScan(code);
+        }
+        return;
+      }
+      this.reset();
+      return;
+    }
+
+    if (event.key && event.key.length === 1) {
+      this.buffer = inBurst ? this.buffer + event.key : event.key;
+      this.lastKeyTime = now;
+    } else if (event.key !== 'Shift') {
+      // Scanners only send printable characters (and Shift for capitals)
+      this.reset();
+    }
+  }
+
+  /**
+   * Take the scanned characters back out of the field they were typed into
+   * @param {EventTarget} target - Element that had focus
+   * @param {string} code - Characters typed by the scanner
+   */
+  removeTypedText(target, code) {
+    if (!target || typeof target.value !== 'string') {
+      return;
+    }
+    if (target.value.endsWith(code)) {
+      target.value = target.value.slice(0, -code.length);
+    }
+  }
+}
+
+// Export for use in other modules
+window.KeyboardWedge = KeyboardWedge;
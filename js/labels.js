@@ -0,0 +1,563 @@
+/**
+ * Labels Module
+ * Barcode labels for books (many older books have none) and for locations:
+ * EAN-13 / Code 128 encoding, label sheet layouts, and output as a printable
+ * HTML sheet or a PDF.
+ *
+ * The encoding and layout are pure data; the PDF is drawn on a canvas (so
+ * Hebrew titles come out right) and each page embedded as a JPEG. The UI
+ * lives in app.js.
+ */
+
+// Page sizes in mm
+const LABEL_PAGES = {
+  a4: { name: 'A4', width: 210, height: 297 },
+  letter: { name: 'Letter', width: 215.9, height: 279.4 }
+};
+
+// Common label sheets, all sizes in mm. Add an entry here for another make
+// of sheet; anything else can be set up as a custom layout in the app.
+const LABEL_LAYOUTS = {
+  'a4-3x8': { page: 'a4', columns: 3, rows: 8, labelWidth: 70, labelHeight: 37, marginTop: 0.5, marginLeft: 0, gapX: 0, gapY: 0 },
+  'a4-3x7': { page: 'a4', columns: 3, rows: 7, labelWidth: 63.5, labelHeight: 38.1, marginTop: 15.15, marginLeft: 7.25, gapX: 2.5, gapY: 0 },
+  'a4-2x7': { page: 'a4', columns: 2, rows: 7, labelWidth: 99.1, labelHeight: 38.1, marginTop: 15.15, marginLeft: 4.65, gapX: 2.5, gapY: 0 },
+  'a4-5x13': { page: 'a4', columns: 5, rows: 13, labelWidth: 38.1, labelHeight: 21.2, marginTop: 10.7, marginLeft: 4.75, gapX: 2.5, gapY: 0 },
+  'letter-3x10': { page: 'letter', columns: 3, rows: 10, labelWidth: 66.675, labelHeight: 25.4, marginTop: 12.7, marginLeft: 4.7625, gapX: 3.175, gapY: 0 }
+};
+
+const DEFAULT_LABEL_LAYOUT = 'a4-3x8';
+
+// Smallest label a custom layout may have (mm) - below this the barcode
+// can't be read
+const MIN_LABEL_WIDTH = 25;
+const MIN_LABEL_HEIGHT = 15;
+
+// Widest bar module (mm) - wider only makes the barcode harder to fit in
+// the camera view. Narrow labels get narrower bars, down to what fits.
+const MAX_MODULE_WIDTH = 0.5;
+
+// Blank space either side of a barcode, in bar widths
+const QUIET_ZONE = 10;
+
+// Resolution of the PDF's page images
+const LABEL_PDF_DPI = 300;
+const LABEL_PDF_QUALITY = 0.92;
+
+// EAN-13 digit patterns: L and G code the left half (the first digit picks
+// which, by PARITY), R the right half
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_G = ['0100111', '0110011', '0011011', '0100001', '0011101', '0111001', '0000101', '0010001', '0001001', '0010111'];
+const EAN_R = ['1110010', '1100110', '1101100', '1000010', '1011100', '1001110', '1010000', '1000100', '1001000', '1110100'];
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Code 128 symbols 0-106 as bar/space widths (bar first); 106 is the stop
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128_CODE_B = 100;
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_STOP = 106;
+
+class LabelSheet {
+  /**
+   * @param {object} layout - From LabelSheet.getLayout or customLayout
+   * @param {Array} labels - From bookLabel / locationLabel, in print order
+   * @param {number} skip - Labels already used at the start of the first sheet
+   */
+  constructor(layout, labels, skip = 0) {
+    this.layout = layout;
+    this.labels = labels;
+    this.skip = Math.max(0, Math.min(Math.floor(skip) || 0, LabelSheet.getPerPage(layout) - 1));
+  }
+
+  /**
+   * The preset layouts, for the layout picker
+   * @returns {Array} [{ key, name, ...layout }]
+   */
+  static getLayouts() {
+    return Object.keys(LABEL_LAYOUTS).map(key => LabelSheet.getLayout(key));
+  }
+
+  /**
+   * A preset layout with its page size filled in
+   * @param {string} key - Key in LABEL_LAYOUTS
+   * @returns {object|null} Layout (sizes in mm), or null for an unknown key
+   */
+  static getLayout(key) {
+    const preset = LABEL_LAYOUTS[key];
+    if (!preset) {
+      return null;
+    }
+
+    const page = LABEL_PAGES[preset.page];
+    const size = (mm) => Math.round(mm * 10) / 10;
+    return {
+      ...preset,
+      key: key,
+      name: `${page.name} ${preset.columns} × ${preset.rows} (${size(preset.labelWidth)} × ${size(preset.labelHeight)} mm)`,
+      pageWidth: page.width,
+      pageHeight: page.height
+    };
+  }
+
+  /**
+   * A layout for a sheet that isn't one of the presets: the labels share
+   * out the page left inside the margins and gaps
+   * @param {object} options - { page ('a4' or 'letter'), columns, rows,
+   *   marginTop, marginSide, gapX, gapY } (mm)
+   * @returns {object|null} Layout, or null if the labels would be too small
+   */
+  static customLayout(options) {
+    const page = LABEL_PAGES[options.page] || LABEL_PAGES.a4;
+    const columns = Math.floor(Number(options.columns));
+    const rows = Math.floor(Number(options.rows));
+    const marginTop = Number(options.marginTop) || 0;
+    const marginLeft = Number(options.marginSide) || 0;
+    const gapX = Number(options.gapX) || 0;
+    const gapY = Number(options.gapY) || 0;
+
+    if (!(columns >= 1 && rows >= 1) || [marginTop, marginLeft, gapX, gapY].some(value => value < 0)) {
+      return null;
+    }
+
+    const labelWidth = (page.width - 2 * marginLeft - (columns - 1) * gapX) / columns;
+    const labelHeight = (page.height - 2 * marginTop - (rows - 1) * gapY) / rows;
+    if (labelWidth < MIN_LABEL_WIDTH || labelHeight < MIN_LABEL_HEIGHT) {
+      return null;
+    }
+
+    const size = (mm) => Math.round(mm * 10) / 10;
+    return {
+      key: 'custom',
+      name: `${page.name} ${columns} × ${rows} (${size(labelWidth)} × ${size(labelHeight)} mm)`,
+      page: options.page in LABEL_PAGES ? options.page : 'a4',
+      pageWidth: page.width,
+      pageHeight: page.height,
+      columns, rows, labelWidth, labelHeight, marginTop, marginLeft, gapX, gapY
+    };
+  }
+
+  /**
+   * @param {object} layout
+   * @returns {number} Labels on one sheet
+   */
+  static getPerPage(layout) {
+    return layout.columns * layout.rows;
+  }
+
+  /**
+   * The barcode to print for a code: EAN-13 for an ISBN or other EAN
+   * (an ISBN-10 as its ISBN-13, which the app finds it by), Code 128 for
+   * anything else
+   * @param {string} code - Book or location code
+   * @returns {object|null} { format, text, modules } ('1' = bar, '0' = space),
+   *   or null if the code has characters Code 128 can't hold
+   */
+  static getBarcode(code) {
+    const text = BarcodeUtils.clean(code);
+    if (!text) {
+      return null;
+    }
+
+    let ean = null;
+    if (/^\d{13}$/.test(text) && BarcodeUtils.isValidGtin(text)) {
+      ean = text;
+    } else if (BarcodeUtils.isValidIsbn10(text)) {
+      ean = BarcodeUtils.isbn10To13(text);
+    }
+
+    if (ean) {
+      return { format: 'EAN_13', text: ean, modules: LabelSheet.encodeEan13(ean) };
+    }
+
+    const modules = LabelSheet.encodeCode128(text);
+    return modules ? { format: 'CODE_128', text: text, modules: modules } : null;
+  }
+
+  /**
+   * @param {string} digits - 13 digits, check digit included
+   * @returns {string} 95 modules
+   */
+  static encodeEan13(digits) {
+    const parity = EAN_PARITY[Number(digits[0])];
+    let modules = '101';
+    for (let i = 1; i <= 6; i++) {
+      modules += (parity[i - 1] === 'L' ? EAN_L : EAN_G)[Number(digits[i])];
+    }
+    modules += '01010';
+    for (let i = 7; i <= 12; i++) {
+      modules += EAN_R[Number(digits[i])];
+    }
+    return modules + '101';
+  }
+
+  /**
+   * Code 128 symbol values for some text: code set C (digit pairs) for
+   * all-digit text, code set B otherwise
+   * @param {string} text
+   * @returns {Array|null} Values from the start symbol to the check symbol,
+   *   or null if a character is outside printable ASCII
+   */
+  static getCode128Values(text) {
+    let values;
+
+    if (/^\d{2,}$/.test(text)) {
+      values = [CODE128_START_C];
+      const pairs = text.length - (text.length % 2);
+      for (let i = 0; i < pairs; i += 2) {
+        values.push(Number(text.slice(i, i + 2)));
+      }
+      if (pairs < text.length) {
+        values.push(CODE128_CODE_B, text.charCodeAt(pairs) - 32);
+      }
+    } else {
+      values = [CODE128_START_B];
+      for (const char of text) {
+        const code = char.charCodeAt(0);
+        if (char.length > 1 || code < 32 || code > 126) {
+          return null;
+        }
+        values.push(code - 32);
+      }
+    }
+
+    const checksum = values.reduce((sum, value, i) => sum + value * Math.max(i, 1), 0) % 103;
+    return [...values, checksum];
+  }
+
+  /**
+   * @param {string} text
+   * @returns {string|null} Modules ('1' = bar), or null if the text can't
+   *   be encoded
+   */
+  static encodeCode128(text) {
+    const values = LabelSheet.getCode128Values(text);
+    if (!values) {
+      return null;
+    }
+
+    return [...values, CODE128_STOP].map(value => {
+      return CODE128_PATTERNS[value].split('').map((width, i) => (i % 2 === 0 ? '1' : '0').repeat(Number(width))).join('');
+    }).join('');
+  }
+
+  /**
+   * Label for a book
+   * @param {object} book - From appState.books
+   * @param {string} volumeLabel - Word printed before the volume number
+   * @returns {object} { kind, title, subtitle, code, barcode }
+   */
+  static bookLabel(book, volumeLabel = 'Vol.') {
+    const volume = book.Volume ? `${volumeLabel} ${book.Volume}` : '';
+    return {
+      kind: 'book',
+      title: String(book.Book_name || ''),
+      subtitle: [book.Book_series, volume].filter(Boolean).join(' · '),
+      code: String(book.Book_code),
+      barcode: LabelSheet.getBarcode(String(book.Book_code))
+    };
+  }
+
+  /**
+   * Label for a location (scanning it picks the location in the app)
+   * @param {object} location - { code, name } from appState.locations
+   * @returns {object} { kind, title, subtitle, code, barcode }
+   */
+  static locationLabel(location) {
+    return {
+      kind: 'location',
+      title: String(location.name || location.code),
+      subtitle: '',
+      code: String(location.code),
+      barcode: LabelSheet.getBarcode(String(location.code))
+    };
+  }
+
+  /**
+   * The labels on each sheet with their position
+   * @returns {Array} Pages: [[{ label, x, y }]] (mm from the page's top left)
+   */
+  getPages() {
+    const layout = this.layout;
+    const perPage = LabelSheet.getPerPage(layout);
+    const pages = [];
+
+    this.labels.forEach((label, index) => {
+      const slot = index + this.skip;
+      const page = Math.floor(slot / perPage);
+      const column = slot % layout.columns;
+      const row = Math.floor((slot % perPage) / layout.columns);
+
+      if (!pages[page]) {
+        pages[page] = [];
+      }
+      pages[page].push({
+        label: label,
+        x: layout.marginLeft + column * (layout.labelWidth + layout.gapX),
+        y: layout.marginTop + row * (layout.labelHeight + layout.gapY)
+      });
+    });
+
+    return pages;
+  }
+
+  /**
+   * Where the text and barcode go on a label: title (and series/volume)
+   * above the barcode, the code below it
+   * @param {object} label
+   * @returns {Array} Items, positions in mm from the label's top left:
+   *   { type: 'text', text, x, y, width, size, bold } or
+   *   { type: 'bars', modules, x, y, width, height, module }
+   */
+  layoutLabel(label) {
+    const { labelWidth, labelHeight } = this.layout;
+    const pad = Math.min(Math.max(Math.min(labelWidth, labelHeight) * 0.06, 1), 3);
+    const innerWidth = labelWidth - 2 * pad;
+    const innerHeight = labelHeight - 2 * pad;
+    const size = Math.min(Math.max(innerHeight * 0.12, 2), 4);
+    const lineHeight = 1.2;
+
+    const above = [{ text: label.title, size: label.kind === 'location' ? size * 1.3 : size, bold: true }];
+    if (label.subtitle) {
+      above.push({ text: label.subtitle, size: size * 0.85, bold: false });
+    }
+    const below = { text: label.code, size: size * 0.85, bold: false };
+
+    const items = [];
+    let y = pad;
+    for (const line of above) {
+      items.push({ type: 'text', ...line, x: pad, y: y, width: innerWidth });
+      y += line.size * lineHeight;
+    }
+
+    const barsHeight = innerHeight - (y - pad) - below.size * lineHeight;
+    if (label.barcode && barsHeight > 0) {
+      const count = label.barcode.modules.length;
+      const module = Math.min(MAX_MODULE_WIDTH, innerWidth / (count + 2 * QUIET_ZONE));
+      const width = module * count;
+      items.push({
+        type: 'bars',
+        modules: label.barcode.modules,
+        x: (labelWidth - width) / 2,
+        y: y,
+        width: width,
+        height: barsHeight,
+        module: module
+      });
+    }
+
+    items.push({ type: 'text', ...below, x: pad, y: labelHeight - pad - below.size * lineHeight, width: innerWidth });
+    return items;
+  }
+
+  /**
+   * Runs of bars in a module string
+   * @param {string} modules
+   * @returns {Array} [[start, length]] in modules
+   */
+  static getBars(modules) {
+    const bars = [];
+    const pattern = /1+/g;
+    let match;
+    while ((match = pattern.exec(modules)) !== null) {
+      bars.push([match.index, match[0].length]);
+    }
+    return bars;
+  }
+
+  /**
+   * A barcode as SVG, stretched to fill its box
+   * @param {string} modules
+   * @returns {string} SVG markup
+   */
+  static barcodeSvg(modules) {
+    const path = LabelSheet.getBars(modules).map(([start, length]) => `M${start} 0h${length}v1h-${length}z`).join('');
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${modules.length} 1" preserveAspectRatio="none" shape-rendering="crispEdges"><path d="${path}"/></svg>`;
+  }
+
+  static escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' }[char]));
+  }
+
+  /**
+   * The sheets as HTML, sized in mm for printing at 100%
+   * (styles for the classes are in styles.css)
+   * @returns {string}
+   */
+  toHtml() {
+    const { pageWidth, pageHeight, labelWidth, labelHeight } = this.layout;
+    const mm = (value) => `${Math.round(value * 1000) / 1000}mm`;
+    const box = (item) => `left:${mm(item.x)};top:${mm(item.y)};width:${mm(item.width)}`;
+
+    return this.getPages().map(slots => {
+      const labels = slots.map(({ label, x, y }) => {
+        const items = this.layoutLabel(label).map(item => {
+          if (item.type === 'bars') {
+            return `<div class="label-barcode" style="${box(item)};height:${mm(item.height)}">${LabelSheet.barcodeSvg(item.modules)}</div>`;
+          }
+          const weight = item.bold ? ';font-weight:bold' : '';
+          return `<div class="label-text" dir="auto" style="${box(item)};font-size:${mm(item.size)}${weight}">${LabelSheet.escapeHtml(item.text)}</div>`;
+        }).join('');
+
+        return `<div class="label label-${label.kind}" style="left:${mm(x)};top:${mm(y)};width:${mm(labelWidth)};height:${mm(labelHeight)}">${items}</div>`;
+      }).join('');
+
+      return `<div class="label-page" style="width:${mm(pageWidth)};height:${mm(pageHeight)}">${labels}</div>`;
+    }).join('');
+  }
+
+  /**
+   * Draw one sheet on a canvas. Bars are snapped to whole pixels so every
+   * bar of a barcode comes out the same width.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {Array} slots - One page from getPages
+   * @param {number} scale - Pixels per mm
+   */
+  drawPage(ctx, slots, scale) {
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, Math.round(this.layout.pageWidth * scale), Math.round(this.layout.pageHeight * scale));
+    ctx.fillStyle = '#000000';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+
+    for (const { label, x, y } of slots) {
+      for (const item of this.layoutLabel(label)) {
+        if (item.type === 'bars') {
+          const module = Math.max(1, Math.round(item.module * scale));
+          const left = Math.round((x + item.x + item.width / 2) * scale - (module * item.modules.length) / 2);
+          const top = Math.round((y + item.y) * scale);
+          const height = Math.round(item.height * scale);
+          for (const [start, length] of LabelSheet.getBars(item.modules)) {
+            ctx.fillRect(left + start * module, top, length * module, height);
+          }
+        } else {
+          const width = item.width * scale;
+          ctx.font = `${item.bold ? 'bold ' : ''}${Math.round(item.size * scale)}px sans-serif`;
+          ctx.direction = /[\u0590-\u05FF]/.test(item.text) ? 'rtl' : 'ltr';
+          ctx.fillText(LabelSheet.fitText(ctx, item.text, width), (x + item.x) * scale + width / 2, (y + item.y) * scale);
+        }
+      }
+    }
+  }
+
+  /**
+   * Shorten text with an ellipsis until it fits
+   * @param {CanvasRenderingContext2D} ctx - With the font set
+   * @param {string} text
+   * @param {number} width - Pixels
+   * @returns {string}
+   */
+  static fitText(ctx, text, width) {
+    if (ctx.measureText(text).width <= width) {
+      return text;
+    }
+
+    let length = text.length;
+    while (length > 0 && ctx.measureText(text.slice(0, length).trimEnd() + '…').width > width) {
+      length--;
+    }
+    return length > 0 ? text.slice(0, length).trimEnd() + '…' : '';
+  }
+
+  /**
+   * Render every sheet and wrap them in a PDF (browser only)
+   * @returns {Promise<Uint8Array>} PDF file
+   */
+  async toPdf() {
+    const scale = LABEL_PDF_DPI / 25.4;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(this.layout.pageWidth * scale);
+    canvas.height = Math.round(this.layout.pageHeight * scale);
+    const ctx = canvas.getContext('2d');
+
+    const images = [];
+    for (const slots of this.getPages()) {
+      this.drawPage(ctx, slots, scale);
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', LABEL_PDF_QUALITY));
+      images.push({ data: new Uint8Array(await blob.arrayBuffer()), width: canvas.width, height: canvas.height });
+    }
+
+    return LabelSheet.buildPdf(images, this.layout.pageWidth, this.layout.pageHeight);
+  }
+
+  /**
+   * A PDF with one full-page JPEG per page
+   * @param {Array} images - [{ data (JPEG bytes), width, height (pixels) }]
+   * @param {number} pageWidth - mm
+   * @param {number} pageHeight - mm
+   * @returns {Uint8Array}
+   */
+  static buildPdf(images, pageWidth, pageHeight) {
+    const points = (mm) => (mm * 72 / 25.4).toFixed(2);
+    const width = points(pageWidth);
+    const height = points(pageHeight);
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+
+    const write = (part) => {
+      const bytes = typeof part === 'string' ? Uint8Array.from(part, char => char.charCodeAt(0)) : part;
+      chunks.push(bytes);
+      length += bytes.length;
+    };
+    const object = (number, body) => {
+      offsets[number] = length;
+      write(`${number} 0 obj\n`);
+      body();
+      write('\nendobj\n');
+    };
+
+    // Objects 1 and 2 are the catalogue and page tree; each page then has
+    // three: the page, its content stream and its image
+    const pageNumbers = images.map((image, i) => 3 + i * 3);
+
+    write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+    object(1, () => write('<< /Type /Catalog /Pages 2 0 R >>'));
+    object(2, () => write(`<< /Type /Pages /Kids [${pageNumbers.map(n => `${n} 0 R`).join(' ')}] /Count ${images.length} >>`));
+
+    images.forEach((image, i) => {
+      const page = pageNumbers[i];
+      const content = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`;
+
+      object(page, () => write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+        `/Resources << /XObject << /Im0 ${page + 2} 0 R >> >> /Contents ${page + 1} 0 R >>`));
+      object(page + 1, () => write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`));
+      object(page + 2, () => {
+        write(`<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+          `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>\nstream\n`);
+        write(image.data);
+        write('\nendstream');
+      });
+    });
+
+    const xref = length;
+    const count = offsets.length;
+    write(`xref\n0 ${count}\n0000000000 65535 f \n`);
+    for (let number = 1; number < count; number++) {
+      write(`${String(offsets[number]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+    const pdf = new Uint8Array(length);
+    let position = 0;
+    for (const chunk of chunks) {
+      pdf.set(chunk, position);
+      position += chunk.length;
+    }
+    return pdf;
+  }
+}
+
+// Export for use in other modules
+window.LabelSheet = LabelSheet;
@@ -0,0 +1,298 @@
+/**
+ * Offline Queue Module
+ * Persists transactions in IndexedDB while the network is down and replays
+ * them in order once connectivity returns. Also owns the database itself,
+ * including the book catalogue store used by book-cache.js.
+ *
+ * Loaded by the page and by the service worker (via importScripts), so it
+ * must not touch the DOM.
+ */
+
+const OFFLINE_DB_NAME = 'lahak-inventory';
+const OFFLINE_DB_VERSION = 3;
+const QUEUE_STORE_NAME = 'transaction-queue';
+const SETTINGS_STORE_NAME = 'settings';
+const BOOKS_STORE_NAME = 'books';
+
+// Background Sync tag registered by SheetsAPI and handled in sw.js
+const QUEUE_SYNC_TAG = 'sync-transactions';
+
+// Replays that reach the server but get no usable reply (an Apps Script
+// error or quota page) before the entry is marked as failed
+const MAX_SERVER_ERROR_ATTEMPTS = 3;
+
+class OfflineQueue {
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+   * Open (and create if needed) the IndexedDB database
+   * @returns {Promise<IDBDatabase>}
+   */
+  async open() {
+    if (this.db) {
+      return this.db;
+    }
+
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(QUEUE_STORE_NAME)) {
+          db.createObjectStore(QUEUE_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(SETTINGS_STORE_NAME)) {
+          db.createObjectStore(SETTINGS_STORE_NAME);
+        }
+        if (!db.objectStoreNames.contains(BOOKS_STORE_NAME)) {
+          db.createObjectStore(BOOKS_STORE_NAME);
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // A newer version of the app (another tab or the service worker) wants
+    // to upgrade the database - let it, and reopen on next use
+    this.db.onversionchange = () => {
+      this.db.close();
+      this.db = null;
+    };
+
+    return this.db;
+  }
+
+  /**
+   * Run a single request against an object store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives the object store, returns an IDBRequest
+   * @param {string} storeName - Object store (defaults to the queue)
+   * @returns {Promise<*>} Result of the request once the transaction completes
+   */
+  async runRequest(mode, callback, storeName = QUEUE_STORE_NAME) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = callback(tx.objectStore(storeName));
+
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Add a transaction to the end of the queue
+   * @param {string} url - Apps Script URL to POST to
+   * @param {object} payload - Request body (as sent by SheetsAPI)
+   * @param {string} userEmail - Signed-in user; only replayed with their token
+   * @returns {Promise<object>} The stored queue entry
+   */
+  async add(url, payload, userEmail) {
+    const entry = {
+      url: url,
+      payload: payload,
+      user_email: userEmail,
+      status: 'pending',
+      queued_at: new Date().toISOString(),
+      attempts: 0,
+      last_error: null,
+      last_error_code: null,
+      last_error_params: null
+    };
+
+    entry.id = await this.runRequest('readwrite', store => store.add(entry));
+    return entry;
+  }
+
+  /**
+   * Get all queued entries, oldest first
+   * @returns {Promise<Array>}
+   */
+  getAll() {
+    return this.runRequest('readonly', store => store.getAll());
+  }
+
+  /**
+   * Get a single entry by id
+   * @param {number} id - Queue entry id
+   * @returns {Promise<object|undefined>}
+   */
+  get(id) {
+    return this.runRequest('readonly', store => store.get(id));
+  }
+
+  /**
+   * Save changes to an existing entry
+   * @param {object} entry - Queue entry (must have id)
+   */
+  update(entry) {
+    return this.runRequest('readwrite', store => store.put(entry));
+  }
+
+  /**
+   * Remove an entry (sent or discarded)
+   * @param {number} id - Queue entry id
+   */
+  remove(id) {
+    return this.runRequest('readwrite', store => store.delete(id));
+  }
+
+  /**
+   * Number of entries still in the queue (pending and failed)
+   * @returns {Promise<number>}
+   */
+  count() {
+    return this.runRequest('readonly', store => store.count());
+  }
+
+  /**
+   * Store the Google ID token used when replaying entries
+   * (the service worker has no other way to get it)
+   * @param {string|null} token - Raw ID token, or null to clear it
+   * @param {string|null} email - Email the token belongs to
+   */
+  setAuthToken(token, email) {
+    const auth = token ? { token: token, email: email } : null;
+    return this.runRequest('readwrite', store => store.put(auth, 'auth'), SETTINGS_STORE_NAME);
+  }
+
+  /**
+   * Get the stored Google ID token
+   * @returns {Promise<object|null>} { token, email } or null when signed out
+   */
+  async getAuthToken() {
+    const auth = await this.runRequest('readonly', store => store.get('auth'), SETTINGS_STORE_NAME);
+    return auth || null;
+  }
+
+  /**
+   * Read the body of a reply that reached the server
+   * An Apps Script error or quota page is HTML rather than JSON. That is a
+   * server error, not a network failure, so it comes back as an error body
+   * with code 'bad_reply' and server_error set.
+   * @param {Response} response - From fetch
+   * @returns {Promise<object>} Response body
+   */
+  static async readResponse(response) {
+    if (response.ok) {
+      try {
+        return await response.json();
+      } catch (error) {
+        console.warn('Server reply is not JSON:', error);
+      }
+    }
+
+    return {
+      error: `The server sent an unexpected reply (HTTP ${response.status})`,
+      code: 'bad_reply',
+      params: { status: response.status },
+      server_error: true
+    };
+  }
+
+  /**
+   * Replay pending entries in order.
+   * Stops at the first network failure so later entries never overtake
+   * earlier ones. Entries the server rejects are marked as failed and left
+   * in the queue for the user to review or discard. An entry whose replay
+   * gets no usable reply also stops the replay, until it has tried
+   * MAX_SERVER_ERROR_ATTEMPTS times - then it is marked as failed too, so
+   * it can't hold up the rest for ever. An expired sign-in also stops the
+   * replay: the entries are fine, they just need a fresh token.
+   * Entries queued by another user are left until that user signs in.
+   * @returns {Promise<object>} Summary: { sent, failed, remaining, offline, server_error, auth_required }
+   */
+  async flush() {
+    // Page and service worker may both try to flush - only one at a time
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+      return navigator.locks.request('lahak-queue-flush', () => this.flushEntries());
+    }
+    return this.flushEntries();
+  }
+
+  /**
+   * Replay entries (use flush() instead, which serialises callers)
+   * @returns {Promise<object>}
+   */
+  async flushEntries() {
+    const summary = { sent: [], failed: [], remaining: 0, offline: false, server_error: false, auth_required: false };
+    const entries = await this.getAll();
+    const auth = await this.getAuthToken();
+
+    if (!auth) {
+      summary.auth_required = true;
+      summary.remaining = entries.length;
+      return summary;
+    }
+
+    for (const entry of entries) {
+      if (entry.status === 'failed') continue;
+      if (entry.user_email && entry.user_email !== auth.email) continue;
+
+      let response;
+      try {
+        response = await fetch(entry.url, {
+          method: 'POST',
+          redirect: 'follow',
+          body: JSON.stringify({ ...entry.payload, id_token: auth.token })
+        });
+      } catch (error) {
+        // Still offline - keep this and everything after it for next time
+        summary.offline = true;
+        break;
+      }
+
+      const data = await OfflineQueue.readResponse(response);
+      entry.attempts += 1;
+
+      // Reached the server but no answer - keep this entry's place and try
+      // again later, unless it has already had its tries
+      if (data.server_error && entry.attempts < MAX_SERVER_ERROR_ATTEMPTS) {
+        entry.last_error = data.error;
+        entry.last_error_code = data.code;
+        entry.last_error_params = data.params;
+        await this.update(entry);
+        summary.server_error = true;
+        break;
+      }
+
+      if (data.auth_error) {
+        summary.auth_required = true;
+        break;
+      }
+
+      // Server busy - same as being offline, try again later
+      if (data.retry) {
+        summary.offline = true;
+        break;
+      }
+
+      if (data.error) {
+        entry.status = 'failed';
+        entry.last_error = data.error;
+        // Code and params let the app show the error in the user's language
+        entry.last_error_code = data.code || null;
+        entry.last_error_params = data.params || null;
+        await this.update(entry);
+        summary.failed.push(entry);
+      } else {
+        await this.remove(entry.id);
+        summary.sent.push({ entry: entry, result: data });
+      }
+    }
+
+    summary.remaining = await this.count();
+    return summary;
+  }
+}
+
+// Create global instance (window on the page, the worker scope in sw.js)
+self.offlineQueue = new OfflineQueue();
+
+// Expose for debugging
+self.OfflineQueue = OfflineQueue;
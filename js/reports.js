@@ -0,0 +1,114 @@
+/**
+ * Reports Module
+ * Holds a movement report (in/out totals for a date range, from Code.gs)
+ * and turns it into CSV for download.
+ *
+ * Pure data - the UI lives in app.js.
+ */
+
+// Groups in the order they are shown and exported: [report field, name field, heading]
+const REPORT_SECTIONS = [
+  ['by_location', 'location', 'Location'],
+  ['by_series', 'series', 'Series'],
+  ['by_user', 'user', 'User'],
+  ['top_titles', 'Book_name', 'Title']
+];
+
+class MovementReport {
+  /**
+   * @param {object} data - Response from SheetsAPI.loadReport
+   */
+  constructor(data) {
+    this.data = data;
+  }
+
+  /**
+   * Date as YYYY-MM-DD in the device's time zone (what a date input holds)
+   * @param {Date} date
+   * @returns {string}
+   */
+  static formatDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * The last seven days, today included
+   * @param {Date} today
+   * @returns {object} { from, to } as YYYY-MM-DD
+   */
+  static defaultRange(today = new Date()) {
+    const from = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 6);
+    return { from: MovementReport.formatDate(from), to: MovementReport.formatDate(today) };
+  }
+
+  /**
+   * The report's groups with a display name for each row
+   * (an empty series or user is shown as "(none)", a title the Books
+   * sheet no longer has by its code)
+   * @param {string} noneLabel - Name for an empty series or user (the CSV
+   *   always uses "(none)")
+   * @returns {Array} [{ key, heading, rows: [{ name, code, in, out, net }] }]
+   */
+  getSections(noneLabel = '(none)') {
+    return REPORT_SECTIONS.map(([key, field, heading]) => ({
+      key: key,
+      heading: heading,
+      rows: (this.data[key] || []).map(row => ({
+        name: row[field] || (key === 'top_titles' ? row.Book_code : noneLabel),
+        code: key === 'top_titles' ? row.Book_code : '',
+        in: row.in,
+        out: row.out,
+        net: row.net
+      }))
+    }));
+  }
+
+  /**
+   * The whole report as CSV: one row per group line, plus the totals
+   * @returns {string}
+   */
+  toCsv() {
+    const lines = [['Section', 'Name', 'Book_code', 'In', 'Out', 'Net']];
+    const totals = this.data.totals || { in: 0, out: 0, net: 0 };
+    lines.push(['Total', `${this.data.from} to ${this.data.to}`, '', totals.in, totals.out, totals.net]);
+
+    for (const section of this.getSections()) {
+      for (const row of section.rows) {
+        lines.push([section.heading, row.name, row.code, row.in, row.out, row.net]);
+      }
+    }
+
+    return lines.map(line => line.map(MovementReport.csvCell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Name for the downloaded CSV file
+   * @returns {string}
+   */
+  getFilename() {
+    return `movements-${this.data.from}-to-${this.data.to}.csv`;
+  }
+
+  /**
+   * Quote a CSV value if needed
+   * Text starting with = + - or @ gets a leading apostrophe so a spreadsheet
+   * doesn't run it as a formula (numbers are left alone).
+   * @param {*} value
+   * @returns {string}
+   */
+  static csvCell(value) {
+    if (typeof value === 'number') {
+      return String(value);
+    }
+
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+// Export for use in other modules
+window.MovementReport = MovementReport;
@@ -1,14 +1,57 @@
 /**
  * Barcode Scanner Module
  * Handles barcode scanning using html5-qrcode library
+ *
+ * A code only counts once it has been decoded the same in confirmFrames
+ * consecutive decodes, so a partly visible barcode that decodes wrongly
+ * once is not used. Camera, confirmation and feedback settings are saved
+ * on the device.
  */
 
+// localStorage key for the saved settings
+const SCANNER_SETTINGS_KEY = 'lahak.scanner';
+
+const SCANNER_DEFAULT_SETTINGS = {
+  cameraId: null,     // null = the rear camera (facingMode: environment)
+  confirmFrames: 2,   // identical decodes in a row needed to accept a code
+  sound: true,        // beep on an accepted (high) or rejected (low) read
+  vibrate: true
+};
+
+// Decodes per second - high enough that confirming over several frames stays quick
+const SCANNER_FPS = 10;
+
 class BarcodeScanner {
   constructor() {
     this.scanner = null;
     this.isScanning = false;
     this.onScanSuccess = null;
     this.onScanError = null;
+    this.settings = BarcodeScanner.loadSettings();
+    this.candidate = { code: null, count: 0 };
+    this.audioContext = null;
+  }
+
+  /**
+   * Read the saved settings, filling in defaults
+   * @returns {object}
+   */
+  static loadSettings() {
+    try {
+      return { ...SCANNER_DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SCANNER_SETTINGS_KEY)) };
+    } catch (error) {
+      return { ...SCANNER_DEFAULT_SETTINGS };
+    }
+  }
+
+  /**
+   * Change and save settings
+   * @param {object} changes - Any of cameraId, confirmFrames, sound, vibrate
+   */
+  updateSettings(changes) {
+    this.settings = { ...this.settings, ...changes };
+    this.settings.confirmFrames = Math.max(1, parseInt(this.settings.confirmFrames, 10) || 1);
+    localStorage.setItem(SCANNER_SETTINGS_KEY, JSON.stringify(this.settings));
   }
 
   /**
@@ -30,6 +73,9 @@ class BarcodeScanner {
       return;
     }
 
+    // Called from a tap, so the browser lets audio start now
+    this.unlockAudio();
+
     try {
       // Check if camera is available
       const cameras = await Html5Qrcode.getCameras();
@@ -42,43 +88,32 @@ class BarcodeScanner {
         this.scanner = new Html5Qrcode('qr-reader');
       }
 
-      // Get the back camera (environment facing)
-      // On mobile, this is usually the rear camera
-      let cameraId = cameras[cameras.length - 1].id;
-
-      // Try to find environment-facing camera
-      for (let camera of cameras) {
-        if (camera.label.toLowerCase().includes('back') ||
-            camera.label.toLowerCase().includes('rear') ||
-            camera.label.toLowerCase().includes('environment')) {
-          cameraId = camera.id;
-          break;
-        }
-      }
+      // The camera the user chose, if it's still there; otherwise let the
+      // browser pick the rear one (labels vary too much between devices)
+      const savedCamera = cameras.find(camera => camera.id === this.settings.cameraId);
+      const camera = savedCamera ? savedCamera.id : { facingMode: 'environment' };
 
       // Configure scanner for ISBN barcodes
       const config = {
-        fps: 5, // Lower FPS for better performance (reduces setTimeout warnings)
-        qrbox: { width: 350, height: 120 }, // Wide box for ISBN barcodes
+        fps: SCANNER_FPS,
+        // Wide box for ISBN barcodes, scaled to the viewfinder
+        qrbox: (width, height) => ({
+          width: Math.max(50, Math.floor(width * 0.9)),
+          height: Math.max(50, Math.floor(Math.min(height * 0.6, width * 0.4)))
+        }),
         aspectRatio: 1.777778, // 16:9 aspect ratio
-        disableFlip: false // Allow scanning from any orientation
-        // Removed formatsToSupport to allow ALL formats
+        disableFlip: false, // Allow scanning from any orientation
+        // Book and label barcodes only - QR codes on shipping labels are never books
+        formatsToSupport: SCAN_FORMATS.map(name => Html5QrcodeSupportedFormats[name])
       };
 
       // Start scanning
       console.log('Starting scanner with config:', config);
+      this.candidate = { code: null, count: 0 };
       await this.scanner.start(
-        cameraId,
+        camera,
         config,
-        (decodedText, decodedResult) => {
-          // Success callback - barcode detected
-          console.log('✅ Barcode scanned successfully!');
-          console.log('Code:', decodedText);
-          console.log('Format:', decodedResult.result.format.formatName);
-          if (this.onScanSuccess) {
-            this.onScanSuccess(decodedText, decodedResult);
-          }
-        },
+        (decodedText, decodedResult) => this.handleDecode(decodedText, decodedResult),
         (errorMessage) => {
           // Error callback - typically means no barcode in frame (not a real error)
           // Only log occasionally to help debug
@@ -101,6 +136,158 @@ class BarcodeScanner {
     }
   }
 
+  /**
+   * Count a decode towards confirming its code, and pass the code on once
+   * it has been read confirmFrames times in a row
+   * @param {string} decodedText
+   * @param {object} decodedResult - From html5-qrcode
+   */
+  handleDecode(decodedText, decodedResult) {
+    if (decodedText === this.candidate.code) {
+      this.candidate.count++;
+    } else {
+      this.candidate = { code: decodedText, count: 1 };
+    }
+
+    if (this.candidate.count < this.settings.confirmFrames) {
+      return;
+    }
+    this.candidate = { code: null, count: 0 };
+
+    console.log('✅ Barcode scanned successfully!');
+    console.log('Code:', decodedText);
+    console.log('Format:', decodedResult.result.format.formatName);
+
+    // The callback returns false when it refuses the code (e.g. a bad check
+    // digit) and null when it ignores it (a repeat) - no feedback for those
+    const result = this.onScanSuccess ? this.onScanSuccess(decodedText, decodedResult) : true;
+    if (result !== null) {
+      this.feedback(result !== false);
+    }
+  }
+
+  /**
+   * Beep and/or vibrate, as the settings allow
+   * @param {boolean} accepted - High short beep if true, low longer one if not
+   */
+  feedback(accepted) {
+    if (this.settings.vibrate && navigator.vibrate) {
+      navigator.vibrate(accepted ? 80 : [60, 60, 60]);
+    }
+    if (this.settings.sound) {
+      this.beep(accepted ? 1760 : 220, accepted ? 0.08 : 0.25);
+    }
+  }
+
+  /**
+   * Create (or resume) the audio context; browsers only allow this
+   * during a user gesture
+   */
+  unlockAudio() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    try {
+      this.audioContext = this.audioContext || new AudioContextClass();
+      if (this.audioContext.state === 'suspended') {
+        this.audioContext.resume();
+      }
+    } catch (error) {
+      console.warn('Audio not available:', error);
+    }
+  }
+
+  /**
+   * Play a short tone
+   * @param {number} frequency - Hz
+   * @param {number} seconds - Length
+   */
+  beep(frequency, seconds) {
+    if (!this.audioContext) return;
+
+    const oscillator = this.audioContext.createOscillator();
+    const gain = this.audioContext.createGain();
+    oscillator.frequency.value = frequency;
+    gain.gain.value = 0.1;
+    oscillator.connect(gain);
+    gain.connect(this.audioContext.destination);
+    oscillator.start();
+    oscillator.stop(this.audioContext.currentTime + seconds);
+  }
+
+  /**
+   * Switch to another camera and remember the choice
+   * @param {string|null} cameraId - From getCameras (null = rear camera)
+   * @returns {Promise<void>}
+   */
+  async selectCamera(cameraId) {
+    this.updateSettings({ cameraId: cameraId || null });
+
+    if (this.isScanning) {
+      await this.stop();
+      await this.start();
+    }
+  }
+
+  /**
+   * Torch and zoom support of the running camera
+   * @returns {object} { torch: boolean, zoom: { min, max, step, value } or null }
+   */
+  getTrackFeatures() {
+    const features = { torch: false, zoom: null };
+    if (!this.isScanning || !this.scanner) {
+      return features;
+    }
+
+    try {
+      const capabilities = this.scanner.getRunningTrackCapabilities();
+      const settings = this.scanner.getRunningTrackSettings();
+      features.torch = Boolean(capabilities.torch);
+      if (capabilities.zoom && capabilities.zoom.max > capabilities.zoom.min) {
+        features.zoom = {
+          min: capabilities.zoom.min,
+          max: capabilities.zoom.max,
+          step: capabilities.zoom.step || 0.1,
+          value: settings.zoom || capabilities.zoom.min
+        };
+      }
+    } catch (error) {
+      console.warn('Camera capabilities not available:', error);
+    }
+    return features;
+  }
+
+  /**
+   * Turn the torch on or off
+   * @param {boolean} on
+   * @returns {Promise<void>}
+   */
+  setTorch(on) {
+    return this.scanner.applyVideoConstraints({ advanced: [{ torch: on }] });
+  }
+
+  /**
+   * Set the camera zoom
+   * @param {number} value - Within getTrackFeatures().zoom's range
+   * @returns {Promise<void>}
+   */
+  setZoom(value) {
+    return this.scanner.applyVideoConstraints({ advanced: [{ zoom: value }] });
+  }
+
+  /**
+   * Available cameras
+   * @returns {Promise<Array>} [{ id, label }]
+   */
+  static async getCameras() {
+    try {
+      return await Html5Qrcode.getCameras();
+    } catch (error) {
+      console.error('Failed to list cameras:', error);
+      return [];
+    }
+  }
+
   /**
    * Stop scanning
    */
@@ -3,18 +3,90 @@
  * Handles communication with Google Apps Script backend
  */
 
+// Give up waiting for a transaction response after this long and queue it.
+// Safe because the transaction_id makes the server ignore a second copy.
+const SUBMIT_TIMEOUT_MS = 20000;
+
+// A different backend chosen at runtime (?api=... on the page URL) is kept here
+const SCRIPT_URL_STORAGE_KEY = 'lahak.scriptUrl';
+
+// Where dev/mock-server.js serves Code.gs; ?api=mock points the app at it
+const MOCK_API_PATH = '/mock/exec';
+
+// Hosts a backend chosen at runtime may be on, besides the page's own origin
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
 class SheetsAPI {
   constructor() {
     // IMPORTANT: Replace this with your Google Apps Script Web App URL
     // After deploying Code.gs as a Web App, paste the URL here
-    this.SCRIPT_URL = 'https://script.google.com/macros/s/AKfycbxn1xzfNz3wko28yTRsKSvuXcKaBSTmjQ-gGnHx5XRwQmIwt5s3URjKrNlAnTUj0g8/exec';
+    this.DEFAULT_SCRIPT_URL = 'https://script.google.com/macros/s/AKfycbxn1xzfNz3wko28yTRsKSvuXcKaBSTmjQ-gGnHx5XRwQmIwt5s3URjKrNlAnTUj0g8/exec';
+    this.SCRIPT_URL = SheetsAPI.resolveScriptURL(this.DEFAULT_SCRIPT_URL);
+
+    // Google ID token (raw JWT) sent with every request for server-side verification
+    this.idToken = null;
+    this.userEmail = null;
 
     // Check if URL is configured
     if (this.SCRIPT_URL === 'YOUR_GOOGLE_APPS_SCRIPT_URL_HERE') {
       console.warn('Google Apps Script URL not configured! Please update SCRIPT_URL in sheets-api.js');
+    } else if (this.SCRIPT_URL !== this.DEFAULT_SCRIPT_URL) {
+      console.warn('Using backend set at runtime:', this.SCRIPT_URL, '(open the app with ?api=default to go back)');
     }
   }
 
+  /**
+   * Work out which backend to use
+   * ?api=mock (the mock server on this origin), ?api=<url> or ?api=default
+   * on the page URL changes the saved choice. Every request carries the
+   * user's Google ID token, which the real backend would accept from
+   * whoever holds it, so only this origin or localhost can be chosen - a
+   * link can't send sign-ins anywhere else.
+   * @param {string} defaultUrl - URL built into this file
+   * @returns {string} URL to use
+   */
+  static resolveScriptURL(defaultUrl) {
+    const requested = new URLSearchParams(window.location.search).get('api');
+
+    if (requested === 'default') {
+      localStorage.removeItem(SCRIPT_URL_STORAGE_KEY);
+    } else if (requested) {
+      const url = requested === 'mock'
+        ? new URL(MOCK_API_PATH, window.location.origin).href
+        : requested;
+      if (SheetsAPI.isAllowedScriptURL(url)) {
+        localStorage.setItem(SCRIPT_URL_STORAGE_KEY, new URL(url).href);
+      } else {
+        console.error('Ignoring ?api= URL that is not on this origin or localhost:', requested);
+      }
+    }
+
+    // Saved by an older version, which allowed any server
+    const saved = localStorage.getItem(SCRIPT_URL_STORAGE_KEY);
+    if (saved && !SheetsAPI.isAllowedScriptURL(saved)) {
+      localStorage.removeItem(SCRIPT_URL_STORAGE_KEY);
+      return defaultUrl;
+    }
+
+    return saved || defaultUrl;
+  }
+
+  /**
+   * Whether a backend chosen at runtime may be used
+   * @param {string} url
+   * @returns {boolean} true for this page's origin or a localhost URL
+   */
+  static isAllowedScriptURL(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+    return ['http:', 'https:'].includes(parsed.protocol) &&
+      (parsed.origin === window.location.origin || LOCAL_HOSTNAMES.includes(parsed.hostname));
+  }
+
   /**
    * Set the Google Apps Script URL
    * @param {string} url - The deployed Web App URL
@@ -24,19 +96,67 @@ class SheetsAPI {
     console.log('Google Apps Script URL configured');
   }
 
+  /**
+   * Whether the app is talking to dev/mock-server.js rather than Apps Script
+   * @returns {boolean}
+   */
+  isMockBackend() {
+    try {
+      return new URL(this.SCRIPT_URL).pathname === MOCK_API_PATH;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Unsigned ID token accepted only by the mock backend
+   * (same format as createMockIdToken in dev/fake-apps-script.js)
+   * @param {string} email - User to sign in as
+   * @returns {string}
+   */
+  createMockIdToken(email) {
+    const encode = value => btoa(String.fromCharCode(...new TextEncoder().encode(JSON.stringify(value))))
+      .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    const payload = {
+      email: email,
+      name: email.split('@')[0],
+      email_verified: true,
+      exp: Math.floor(Date.now() / 1000) + 3600
+    };
+    return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(payload)}.mock`;
+  }
+
+  /**
+   * Set the Google ID token used to authenticate requests
+   * Also stored for the offline queue, so replays use the latest token.
+   * @param {string|null} token - Raw credential from Google Sign-In (null on sign out)
+   * @param {string|null} email - Email from the token's payload
+   * @returns {Promise<void>} Resolves once the token is stored for the queue
+   */
+  setIdToken(token, email = null) {
+    this.idToken = token;
+    this.userEmail = email;
+    return window.offlineQueue.setAuthToken(token, email)
+      .catch(error => console.warn('Failed to store auth token for offline queue:', error));
+  }
+
   /**
    * Load initial data (user validation, locations, books)
-   * This is called once after Google Sign-In to load all data into memory
-   * @param {string} email - User's email from Google Sign-In
-   * @returns {Promise<object>} Object with user, locations, and books
+   * This is called once after Google Sign-In to load all data into memory.
+   * The server identifies the user from the ID token set via setIdToken.
+   * @param {string|null} since - server_time of the cached books; only books changed since are returned
+   * @returns {Promise<object>} Object with user, locations, books, book_count, server_time and full
    */
-  async loadInitData(email) {
+  async loadInitData(since = null) {
     if (!this.isConfigured()) {
       throw new Error('Google Apps Script URL not configured');
     }
 
     try {
-      const url = `${this.SCRIPT_URL}?action=init&email=${encodeURIComponent(email)}`;
+      let url = `${this.SCRIPT_URL}?action=init&id_token=${encodeURIComponent(this.idToken)}`;
+      if (since) {
+        url += `&since=${encodeURIComponent(since)}`;
+      }
 
       const response = await fetch(url, {
         redirect: 'follow'
@@ -45,7 +165,7 @@ class SheetsAPI {
       const data = await response.json();
 
       if (data.error) {
-        throw new Error(data.message || data.error);
+        throw this.createError(data.error, data);
       }
 
       return data;
@@ -56,15 +176,77 @@ class SheetsAPI {
     }
   }
 
+  /**
+   * Fetch books changed since an earlier sync
+   * @param {string|null} since - server_time from the last sync; null for every book
+   * @returns {Promise<object>} { books, book_count, server_time, full }
+   */
+  async syncBooks(since = null) {
+    if (!this.isConfigured()) {
+      throw new Error('Google Apps Script URL not configured');
+    }
+
+    const params = new URLSearchParams({ action: 'sync', id_token: this.idToken });
+    if (since) {
+      params.set('since', since);
+    }
+
+    const response = await fetch(`${this.SCRIPT_URL}?${params}`, {
+      redirect: 'follow'
+    });
+
+    const data = await response.json();
+
+    if (data.error) {
+      throw this.createError(data.error, data);
+    }
+
+    return data;
+  }
+
+  /**
+   * Load a page of a book's transaction history, newest first
+   * @param {string} bookCode - Book code
+   * @param {number} offset - Newer rows to skip
+   * @param {number} limit - Rows per page
+   * @returns {Promise<object>} { total, has_more, transactions: [{ datetime, user, location, qty, comments, type, balance, location_balance }] }
+   */
+  async loadHistory(bookCode, offset = 0, limit = 20) {
+    if (!this.isConfigured()) {
+      throw new Error('Google Apps Script URL not configured');
+    }
+
+    const params = new URLSearchParams({
+      action: 'history',
+      code: bookCode,
+      offset: offset,
+      limit: limit,
+      id_token: this.idToken
+    });
+
+    const response = await fetch(`${this.SCRIPT_URL}?${params}`, {
+      redirect: 'follow'
+    });
+
+    const data = await response.json();
+
+    if (data.error) {
+      throw this.createError(data.error, data);
+    }
+
+    return data;
+  }
+
   /**
    * Submit a transaction
    * @param {object} transaction - Transaction data
    * @param {string} transaction.book_code - Book code
    * @param {number} transaction.qty - Quantity (positive for in, negative for out)
    * @param {string} transaction.location - Location name
-   * @param {string} transaction.user - User name
    * @param {string} transaction.comments - Optional comments
-   * @returns {Promise<object>} Result with updated quantities
+   * @param {string} transaction.transaction_id - Optional; generated if missing
+   * @param {string} transaction.override_reason - Optional; needed to take a location below zero
+   * @returns {Promise<object>} Result with updated quantities, or { queued: true } when offline
    */
   async submitTransaction(transaction) {
     if (!this.isConfigured()) {
@@ -81,35 +263,416 @@ class SheetsAPI {
     if (!transaction.location) {
       throw new Error('location is required');
     }
-    if (!transaction.user) {
-      throw new Error('user is required');
+
+    // The server records the user from the ID token, not from the payload
+    const payload = {
+      book_code: transaction.book_code,
+      qty: parseFloat(transaction.qty),
+      location: transaction.location,
+      comments: transaction.comments || '',
+      transaction_id: transaction.transaction_id || SheetsAPI.generateTransactionId()
+    };
+
+    // Allows going below zero (the server refuses otherwise)
+    if (transaction.override_reason) {
+      payload.override_reason = transaction.override_reason;
+    }
+
+    return this.postWithQueue(payload);
+  }
+
+  /**
+   * Submit a stock transfer between two locations
+   * The server applies both sides together, or neither.
+   * @param {object} transfer - Transfer data
+   * @param {string} transfer.book_code - Book code
+   * @param {number} transfer.qty - Quantity to move (positive)
+   * @param {string} transfer.from_location - Source location name
+   * @param {string} transfer.to_location - Destination location name
+   * @param {string} transfer.comments - Optional comments
+   * @param {string} transfer.transaction_id - Optional; generated if missing
+   * @param {string} transfer.override_reason - Optional; needed to take the source below zero
+   * @returns {Promise<object>} Result with both new quantities, or { queued: true } when offline
+   */
+  async submitTransfer(transfer) {
+    if (!this.isConfigured()) {
+      throw new Error('Google Apps Script URL not configured');
+    }
+
+    // Validate required fields
+    if (!transfer.book_code) {
+      throw new Error('book_code is required');
+    }
+    if (!(parseFloat(transfer.qty) > 0)) {
+      throw new Error('qty must be a positive number');
+    }
+    if (!transfer.from_location || !transfer.to_location) {
+      throw new Error('from_location and to_location are required');
+    }
+    if (transfer.from_location === transfer.to_location) {
+      throw new Error('from_location and to_location must be different');
+    }
+
+    return this.postWithQueue({
+      action: 'transfer',
+      book_code: transfer.book_code,
+      qty: parseFloat(transfer.qty),
+      from_location: transfer.from_location,
+      to_location: transfer.to_location,
+      comments: transfer.comments || '',
+      override_reason: transfer.override_reason || '',
+      transaction_id: transfer.transaction_id || SheetsAPI.generateTransactionId()
+    });
+  }
+
+  /**
+   * Submit several transactions at one location in a single call
+   * Each line succeeds or fails on its own; see result.results.
+   * @param {object} batch - Batch data
+   * @param {string} batch.location - Location name for every line
+   * @param {Array} batch.lines - [{ book_code, qty, comments }, ...]
+   * @param {string} batch.comments - Optional comments for lines without their own
+   * @param {string} batch.transaction_id - Optional; generated if missing
+   * @returns {Promise<object>} Result with per-line results, or { queued: true } when offline
+   */
+  async submitBatch(batch) {
+    if (!this.isConfigured()) {
+      throw new Error('Google Apps Script URL not configured');
+    }
+
+    // Validate required fields
+    if (!batch.location) {
+      throw new Error('location is required');
+    }
+    if (!Array.isArray(batch.lines) || batch.lines.length === 0) {
+      throw new Error('lines must contain at least one book');
+    }
+    for (const line of batch.lines) {
+      if (!line.book_code || isNaN(parseFloat(line.qty))) {
+        throw new Error('Every line needs a book_code and a numeric qty');
+      }
+    }
+
+    return this.postWithQueue({
+      action: 'bulk',
+      location: batch.location,
+      lines: batch.lines.map(line => ({
+        book_code: line.book_code,
+        qty: parseFloat(line.qty),
+        comments: line.comments || ''
+      })),
+      comments: batch.comments || '',
+      transaction_id: batch.transaction_id || SheetsAPI.generateTransactionId()
+    });
+  }
+
+  /**
+   * Submit a stocktake: the server sets each book's quantity at the location
+   * to the counted value and records the differences as corrections
+   * @param {object} stocktake - { location, lines: [{ book_code, counted, expected }], comments }
+   *   (include books expected but not found, with counted 0). expected is the
+   *   cached quantity - the server ignores it, but it lets a queued stocktake
+   *   be undone in the cache if it's discarded.
+   * @returns {Promise<object>} { transaction_id, summary, results: [...] }, or { queued: true }
+   */
+  async submitStocktake(stocktake) {
+    if (!this.isConfigured()) {
+      throw new Error('Google Apps Script URL not configured');
+    }
+
+    // Validate required fields
+    if (!stocktake.location) {
+      throw new Error('location is required');
+    }
+    if (!Array.isArray(stocktake.lines) || stocktake.lines.length === 0) {
+      throw new Error('lines must contain at least one book');
+    }
+    for (const line of stocktake.lines) {
+      const counted = parseFloat(line.counted);
+      if (!line.book_code || isNaN(counted) || counted < 0) {
+        throw new Error('Every line needs a book_code and a count of zero or more');
+      }
+    }
+
+    return this.postWithQueue({
+      action: 'stocktake',
+      location: stocktake.location,
+      lines: stocktake.lines.map(line => ({
+        book_code: line.book_code,
+        counted: parseFloat(line.counted),
+        expected: line.expected
+      })),
+      comments: stocktake.comments || '',
+      transaction_id: stocktake.transaction_id || SheetsAPI.generateTransactionId()
+    });
+  }
+
+  /**
+   * Reverse an earlier transaction or transfer (restores the quantities)
+   * The server refuses a second reversal, and anyone's but your own unless
+   * you are an admin.
+   * @param {object} reversal - { original_id, book_code, changes: [{ location, qty }], comments, override_reason }
+   *   changes is what the original did to the cached quantities - only used
+   *   to update the cache if the reversal has to be queued. override_reason
+   *   is needed when taking the stock back would leave a location below zero
+   * @returns {Promise<object>} { transaction_id, original_id, locations }, or { queued: true }
+   */
+  async reverseTransaction(reversal) {
+    if (!this.isConfigured()) {
+      throw new Error('Google Apps Script URL not configured');
+    }
+
+    if (!reversal.original_id) {
+      throw new Error('original_id is required');
+    }
+
+    return this.postWithQueue({
+      action: 'reverse',
+      original_id: reversal.original_id,
+      book_code: reversal.book_code,
+      changes: reversal.changes || [],
+      comments: reversal.comments || '',
+      override_reason: reversal.override_reason || '',
+      transaction_id: reversal.transaction_id || SheetsAPI.generateTransactionId()
+    });
+  }
+
+  /**
+   * Load the books whose total is below their minimum quantity
+   * @returns {Promise<object>} { books: [{ Book_code, Book_name, total, min_qty, shortfall, locations }] }
+   */
+  async loadLowStock() {
+    if (!this.isConfigured()) {
+      throw new Error('Google Apps Script URL not configured');
+    }
+
+    const url = `${this.SCRIPT_URL}?action=low_stock&id_token=${encodeURIComponent(this.idToken)}`;
+
+    const response = await fetch(url, {
+      redirect: 'follow'
+    });
+
+    const data = await response.json();
+
+    if (data.error) {
+      throw this.createError(data.error, data);
+    }
+
+    return data;
+  }
+
+  /**
+   * Load in/out totals for a date range (managers only)
+   * @param {string} from - First day, YYYY-MM-DD
+   * @param {string} to - Last day, YYYY-MM-DD (included)
+   * @returns {Promise<object>} { from, to, transactions, totals, by_location, by_series,
+   *   by_user, top_titles } - each total is { in, out, net }
+   */
+  async loadReport(from, to) {
+    if (!this.isConfigured()) {
+      throw new Error('Google Apps Script URL not configured');
+    }
+
+    const params = new URLSearchParams({ action: 'report', from: from, to: to, id_token: this.idToken });
+    const response = await fetch(`${this.SCRIPT_URL}?${params}`, {
+      redirect: 'follow'
+    });
+
+    const data = await response.json();
+
+    if (data.error) {
+      throw this.createError(data.error, data);
+    }
+
+    return data;
+  }
+
+  /**
+   * Add a new book to the Books sheet (zero stock at every location)
+   * Not queued offline - the book has to exist before anything can be
+   * recorded against it.
+   * @param {object} book - { book_code, book_name, book_series, volume }
+   * @returns {Promise<object>} { success, book } with the book as returned by init
+   */
+  async createBook(book) {
+    if (!this.isConfigured()) {
+      throw new Error('Google Apps Script URL not configured');
+    }
+
+    // Validate required fields
+    if (!book.book_code || !book.book_name) {
+      throw new Error('book_code and book_name are required');
+    }
+
+    const response = await fetch(this.SCRIPT_URL, {
+      method: 'POST',
+      redirect: 'follow',
+      body: JSON.stringify({
+        action: 'create_book',
+        book_code: book.book_code,
+        book_name: book.book_name,
+        book_series: book.book_series || '',
+        volume: book.volume || '',
+        id_token: this.idToken
+      })
+    });
+
+    const data = await response.json();
+
+    if (data.error) {
+      throw this.createError(data.error, data);
+    }
+
+    return data;
+  }
+
+  /**
+   * Compare (and optionally rebuild) Books quantities from the Transactions sheet
+   * Admin only. Never queued - the result is only useful online.
+   * @param {boolean} dryRun - true to only report mismatches
+   * @returns {Promise<object>} { dry_run, books_checked, transactions_replayed, mismatches, unmatched, fixed }
+   */
+  async reconcile(dryRun = true) {
+    if (!this.isConfigured()) {
+      throw new Error('Google Apps Script URL not configured');
+    }
+
+    const response = await fetch(this.SCRIPT_URL, {
+      method: 'POST',
+      redirect: 'follow',
+      body: JSON.stringify({
+        action: 'reconcile',
+        dry_run: dryRun,
+        id_token: this.idToken
+      })
+    });
+
+    const data = await response.json();
+
+    if (data.error) {
+      throw this.createError(data.error, data);
     }
 
+    return data;
+  }
+
+  /**
+   * POST a stock-changing request, queueing it if the server can't be reached
+   * @param {object} payload - Request body (without id_token)
+   * @returns {Promise<object>} Server result, or { queued: true } when offline
+   */
+  async postWithQueue(payload) {
+    // Known to be offline - don't wait for the request to time out
+    if (!navigator.onLine) {
+      return this.queueTransaction(payload);
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), SUBMIT_TIMEOUT_MS);
+
+    let response;
     try {
-      const response = await fetch(this.SCRIPT_URL, {
+      response = await fetch(this.SCRIPT_URL, {
         method: 'POST',
         redirect: 'follow',
-        body: JSON.stringify({
-          book_code: transaction.book_code,
-          qty: parseFloat(transaction.qty),
-          location: transaction.location,
-          user: transaction.user,
-          comments: transaction.comments || ''
-        })
+        body: JSON.stringify({ ...payload, id_token: this.idToken }),
+        signal: controller.signal
       });
+    } catch (error) {
+      // Unreachable or timed out - the retry is safe thanks to transaction_id
+      console.warn('Network unavailable, queueing request:', error);
+      return this.queueTransaction(payload);
+    } finally {
+      clearTimeout(timeout);
+    }
 
-      const data = await response.json();
+    // The request got there, so an unusable reply is an error, not a reason
+    // to queue it
+    const data = await OfflineQueue.readResponse(response);
 
-      if (data.error) {
-        throw new Error(data.error);
-      }
+    // Server couldn't take the lock in time - let the queue retry it
+    if (data.retry) {
+      return this.queueTransaction(payload);
+    }
 
-      return data;
+    if (data.error) {
+      console.error('Error submitting ' + (payload.action || 'transaction') + ':', data.error);
+      throw this.createError(data.error, data);
+    }
 
-    } catch (error) {
-      console.error('Error submitting transaction:', error);
-      throw error;
+    return data;
+  }
+
+  /**
+   * Generate a unique ID for a transaction (used to detect retried submits)
+   * @returns {string}
+   */
+  static generateTransactionId() {
+    if (window.crypto && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
+  }
+
+  /**
+   * Create an Error for a failed API response
+   * The message is in the user's language when the server sent an error code.
+   * @param {string} message - Error message (English, from the server)
+   * @param {object} data - Response body
+   * @returns {Error} Error with authError set when the user must sign in again,
+   *   the server's error code (or null) as code, and the response body as data
+   */
+  createError(message, data) {
+    const error = new Error(window.i18n ? window.i18n.translateError(data, message) : message);
+    error.authError = Boolean(data.auth_error);
+    error.code = data.code || null;
+    error.data = data;
+    return error;
+  }
+
+  /**
+   * Save a transaction to the offline queue for later replay
+   * The ID token is added at replay time, so it is not stored in the entry.
+   * @param {object} payload - Request body that would have been POSTed
+   * @returns {Promise<object>} Result marked as queued
+   */
+  async queueTransaction(payload) {
+    const entry = await window.offlineQueue.add(this.SCRIPT_URL, payload, this.userEmail);
+    this.requestBackgroundSync();
+
+    return {
+      success: true,
+      queued: true,
+      queue_id: entry.id,
+      transaction_id: payload.transaction_id,
+      book_code: payload.book_code,
+      transaction_qty: payload.qty
+    };
+  }
+
+  /**
+   * Ask the service worker to replay the queue when connectivity returns.
+   * Browsers without Background Sync rely on the foreground retry in app.js.
+   */
+  requestBackgroundSync() {
+    if (!('serviceWorker' in navigator) || !('SyncManager' in window)) {
+      return;
+    }
+
+    navigator.serviceWorker.ready
+      .then(registration => registration.sync.register(QUEUE_SYNC_TAG))
+      .catch(error => console.warn('Background sync registration failed:', error));
+  }
+
+  /**
+   * Replay queued transactions now
+   * @returns {Promise<object>} Flush summary from OfflineQueue
+   */
+  async flushQueue() {
+    if (!navigator.onLine) {
+      return { sent: [], failed: [], remaining: await window.offlineQueue.count(), offline: true };
     }
+    return window.offlineQueue.flush();
   }
 
   /**
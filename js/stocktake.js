@@ -0,0 +1,149 @@
+/**
+ * Stocktake Module
+ * Holds the counts for one physical count of a location and compares them
+ * with the quantities the app has cached for that location.
+ *
+ * Pure data - the UI lives in app.js.
+ */
+
+class StocktakeSession {
+  /**
+   * @param {string} location - Location being counted
+   * @param {object} counts - { normalizedCode: { book_code, counted } }
+   * @param {string} startedAt - ISO timestamp
+   */
+  constructor(location, counts = {}, startedAt = new Date().toISOString()) {
+    this.location = location;
+    this.counts = counts;
+    this.startedAt = startedAt;
+  }
+
+  /**
+   * Normalize book code for use as a key (same rule as app.js)
+   */
+  static normalizeCode(code) {
+    return code.toString().replace(/[-\s]/g, '').toUpperCase();
+  }
+
+  /**
+   * Count more copies of a book (each scan adds one)
+   * @param {string} bookCode - Book_code as stored in the sheet
+   * @param {number} qty - Copies to add
+   * @returns {number} New count for the book
+   */
+  add(bookCode, qty = 1) {
+    const key = StocktakeSession.normalizeCode(bookCode);
+    const line = this.counts[key] || { book_code: bookCode, counted: 0 };
+    line.counted += qty;
+    this.counts[key] = line;
+    return line.counted;
+  }
+
+  /**
+   * Replace the count for a book (typed in by the user)
+   * @param {string} bookCode - Book_code
+   * @param {number} counted - Copies on the shelf (0 or more)
+   */
+  set(bookCode, counted) {
+    const key = StocktakeSession.normalizeCode(bookCode);
+    this.counts[key] = { book_code: bookCode, counted: counted };
+  }
+
+  /**
+   * Forget a book's count (it will be treated as not scanned)
+   * @param {string} bookCode - Book_code
+   */
+  remove(bookCode) {
+    delete this.counts[StocktakeSession.normalizeCode(bookCode)];
+  }
+
+  /**
+   * Counted lines in the order they were first scanned
+   * @returns {Array} [{ book_code, counted }, ...]
+   */
+  getLines() {
+    return Object.values(this.counts);
+  }
+
+  /**
+   * Total copies counted so far
+   * @returns {number}
+   */
+  getUnits() {
+    return this.getLines().reduce((sum, line) => sum + line.counted, 0);
+  }
+
+  /**
+   * Compare the counts with the cached quantities at this location.
+   * Books with stock here that were never scanned are included with a count
+   * of zero, so they show up as missing.
+   * @param {Map} books - appState.books (normalized code -> book)
+   * @returns {Array} [{ book_code, book_name, expected, counted, variance, scanned }, ...]
+   *   differences first (largest first), then matching books
+   */
+  computeVariances(books) {
+    const rows = [];
+
+    for (const [key, book] of books) {
+      const expected = parseFloat(book.locations && book.locations[this.location]) || 0;
+      const line = this.counts[key];
+
+      if (!line && expected === 0) continue;
+
+      const counted = line ? line.counted : 0;
+      rows.push({
+        book_code: book.Book_code,
+        book_name: book.Book_name,
+        expected: expected,
+        counted: counted,
+        variance: counted - expected,
+        scanned: Boolean(line)
+      });
+    }
+
+    return rows.sort((a, b) => Math.abs(b.variance) - Math.abs(a.variance));
+  }
+
+  /**
+   * Totals for a list from computeVariances
+   * @param {Array} rows - Variance rows
+   * @returns {object} { over, short, missing, matched, net }
+   */
+  static summarize(rows) {
+    const summary = { over: 0, short: 0, missing: 0, matched: 0, net: 0 };
+
+    for (const row of rows) {
+      summary.net += row.variance;
+      if (row.variance === 0) {
+        summary.matched++;
+      } else if (!row.scanned) {
+        summary.missing++;
+      } else if (row.variance > 0) {
+        summary.over++;
+      } else {
+        summary.short++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Plain object for localStorage
+   */
+  toJSON() {
+    return { location: this.location, counts: this.counts, startedAt: this.startedAt };
+  }
+
+  /**
+   * Restore a session saved with toJSON
+   * @param {object} data - Parsed JSON
+   * @returns {StocktakeSession}
+   */
+  static fromJSON(data) {
+    return new StocktakeSession(data.location, data.counts || {}, data.startedAt);
+  }
+}
+
+// Export for use in other modules
+window.StocktakeSession = StocktakeSession;
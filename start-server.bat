@@ -7,6 +7,19 @@ echo Mobile Inventory Manager - Local Server
 echo ================================================
 echo.
 
+REM --mock: serve the app with the local mock backend instead of Google Apps Script
+if "%~1"=="--mock" (
+    node --version >nul 2>&1
+    if errorlevel 1 (
+        echo ERROR: --mock needs Node.js: https://nodejs.org/
+        pause
+        goto :end
+    )
+    echo Starting mock backend on port 8000...
+    node "%~dp0dev\mock-server.js" --port 8000
+    goto :end
+)
+
 REM Check for Python
 python --version >nul 2>&1
 if %errorlevel% equ 0 (
@@ -7,6 +7,18 @@ echo "Mobile Inventory Manager - Local Server"
 echo "================================================"
 echo ""
 
+# --mock: serve the app with the local mock backend instead of Google Apps Script
+# (any further options, e.g. --fixture my-sheets.json, are passed on)
+if [ "$1" = "--mock" ]; then
+    if ! command -v node &> /dev/null; then
+        echo "ERROR: --mock needs Node.js: https://nodejs.org/"
+        exit 1
+    fi
+    echo "Starting mock backend..."
+    node "$(dirname "$0")/dev/mock-server.js" --port 8000 "${@:2}"
+    exit $?
+fi
+
 # Check for Python 3
 if command -v python3 &> /dev/null; then
     echo "Starting Python HTTP server on port 8000..."
@@ -1,16 +1,28 @@
 /**
  * Service Worker for Lahak Inventory PWA
- * Enables "Add to Home Screen" functionality
+ * Enables "Add to Home Screen" functionality and replays transactions
+ * queued while offline (Background Sync)
  */
 
-const CACHE_NAME = 'lahak-inventory-v2';
+importScripts('/js/offline-queue.js');
+
+const CACHE_NAME = 'lahak-inventory-v13';
 const ASSETS_TO_CACHE = [
   '/',
   '/index.html',
   '/css/styles.css',
   '/js/app.js',
+  '/js/barcode-utils.js',
   '/js/scanner.js',
   '/js/sheets-api.js',
+  '/js/stocktake.js',
+  '/js/reports.js',
+  '/js/labels.js',
+  '/js/keyboard-wedge.js',
+  '/js/book-search.js',
+  '/js/book-cache.js',
+  '/js/offline-queue.js',
+  '/js/i18n.js',
   '/lib/html5-qrcode.min.js',
   '/icons/icon.svg',
   '/icons/icon-192.png',
@@ -49,6 +61,9 @@ self.addEventListener('fetch', (event) => {
   const url = new URL(event.request.url);
   if (url.origin !== location.origin) return;
 
+  // API calls to the local mock backend (dev/mock-server.js)
+  if (url.pathname.startsWith('/mock/')) return;
+
   event.respondWith(
     fetch(event.request)
       .then((response) => {
@@ -65,3 +80,26 @@ self.addEventListener('fetch', (event) => {
       })
   );
 });
+
+// Background Sync - replay transactions queued while offline
+self.addEventListener('sync', (event) => {
+  if (event.tag !== QUEUE_SYNC_TAG) return;
+
+  event.waitUntil(
+    self.offlineQueue.flush().then((summary) => {
+      notifyClients({ type: 'queue-flushed', summary: summary });
+
+      // Rejecting makes the browser retry the sync later
+      if (summary.offline || summary.server_error) {
+        throw new Error('Still offline, queued transactions kept for retry');
+      }
+    })
+  );
+});
+
+// Tell open pages about sync results so they can update cached quantities
+function notifyClients(message) {
+  return self.clients.matchAll({ type: 'window' }).then((clients) => {
+    clients.forEach((client) => client.postMessage(message));
+  });
+}
@@ -0,0 +1,643 @@
+/**
+ * app.js: code normalization, token parsing, cached lookups and what a
+ * submitted transaction does to the app's state
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { loadApp, createMockFetch, plain } = require('./helpers/browser-context');
+const { createMockIdToken } = require('../dev/fake-apps-script');
+
+/**
+ * Load the app with books already in its cache, signed in as a user
+ * @param {object} options - { books, user, fetch, online, prompt }
+ * @returns {object} Context (appState, elements and app.js functions are on it)
+ */
+function loadSignedInApp(options = {}) {
+  const context = loadApp(options);
+  const appState = context.appState;
+
+  appState.isAuthenticated = true;
+  appState.userEmail = options.user ? options.user.email : 'clerk@example.com';
+  appState.user = options.user || { email: 'clerk@example.com', role: 'clerk', allowed_locations: [] };
+  for (const book of options.books || []) {
+    appState.books.set(context.normalizeBookCode(book.Book_code), book);
+  }
+  context.elements = vm.runInContext('elements', context);
+  return context;
+}
+
+/**
+ * Fill in the transaction form and submit it
+ * @returns {Promise<void>}
+ */
+function submitForm(context, qty, location, comments = '') {
+  context.elements.qtyInput.value = String(qty);
+  context.elements.locationSelect.value = location;
+  context.elements.commentsInput.value = comments;
+  return context.handleTransactionSubmit({ preventDefault() {} });
+}
+
+function sampleBook() {
+  return {
+    Book_code: '978-965-000001-1',
+    Book_name: 'Mishnah Berurah 1',
+    Book_series: 'Mishnah Berurah',
+    Volume: 1,
+    locations: { Store: 5, Warehouse: 3 }
+  };
+}
+
+describe('normalizeBookCode', () => {
+  const context = loadApp();
+
+  it('removes hyphens and spaces', () => {
+    assert.equal(context.normalizeBookCode('978-965 0000 01-1'), '9789650000011');
+  });
+
+  it('upper-cases letters so codes match regardless of case', () => {
+    assert.equal(context.normalizeBookCode('ab-12x'), 'AB12X');
+  });
+
+  it('accepts numbers', () => {
+    assert.equal(context.normalizeBookCode(9789650000011), '9789650000011');
+  });
+
+  it('keeps leading zeros', () => {
+    assert.equal(context.normalizeBookCode('00123'), '00123');
+  });
+});
+
+describe('parseJwt', () => {
+  const context = loadApp();
+
+  it('decodes the payload of a token', () => {
+    const payload = context.parseJwt(createMockIdToken('clerk@example.com'));
+    assert.equal(payload.email, 'clerk@example.com');
+    assert.equal(payload.email_verified, true);
+  });
+
+  it('decodes UTF-8 in the payload', () => {
+    const payload = context.parseJwt(createMockIdToken('rivka@example.com', { name: 'רבקה' }));
+    assert.equal(payload.name, 'רבקה');
+  });
+
+  it('reads tokens made by SheetsAPI.createMockIdToken', () => {
+    const payload = context.parseJwt(context.sheetsAPI.createMockIdToken('admin@example.com'));
+    assert.equal(payload.email, 'admin@example.com');
+    assert.ok(payload.exp > Date.now() / 1000);
+  });
+
+  it('returns null for something that is not a token', () => {
+    assert.equal(context.parseJwt('not-a-token'), null);
+    assert.equal(context.parseJwt('a.%%%.c'), null);
+  });
+});
+
+describe('lookupBook', () => {
+  let context;
+
+  beforeEach(() => {
+    context = loadSignedInApp({ books: [sampleBook()] });
+  });
+
+  it('finds a cached book whatever the code formatting', () => {
+    context.lookupBook(' 9789650000011 ');
+    assert.equal(context.appState.currentBook.Book_name, 'Mishnah Berurah 1');
+
+    context.lookupBook('978-965-000001-1');
+    assert.equal(context.appState.currentBook.Book_name, 'Mishnah Berurah 1');
+  });
+
+  it('shows the book and the transaction form', () => {
+    context.lookupBook('9789650000011');
+    assert.equal(context.elements.bookName.textContent, 'Mishnah Berurah 1');
+    assert.equal(context.elements.bookSection.style.display, 'block');
+    assert.match(context.elements.bookLocations.innerHTML, /Warehouse:/);
+    assert.equal(context.elements.statusMessage.textContent, 'Book found!');
+  });
+
+  it('shows the extra Book_fields columns on the card', () => {
+    context.appState.books.get('9789650000011').fields = { Publisher: 'Feldheim <Jerusalem>', Price: '' };
+
+    context.lookupBook('9789650000011');
+
+    assert.match(context.elements.bookFields.innerHTML, /Publisher:<\/span>\s*<span class="value" dir="auto">Feldheim &lt;Jerusalem&gt;/);
+    assert.match(context.elements.bookFields.innerHTML, /Price:<\/span>\s*<span class="value" dir="auto">N\/A/);
+  });
+
+  it('clears the current book and reports an unknown code', () => {
+    context.lookupBook('9789650000011');
+    context.lookupBook('0000');
+
+    assert.equal(context.appState.currentBook, null);
+    assert.equal(context.elements.bookSection.style.display, 'none');
+    assert.equal(context.elements.statusMessage.textContent, 'Book code "0000" not found in inventory');
+    assert.match(context.elements.statusMessage.className, /status-error/);
+  });
+
+  it('finds a book stored under its ISBN-13 from the ISBN-10, and the reverse', () => {
+    context.lookupBook('965-000001-1');
+    assert.equal(context.appState.currentBook.Book_name, 'Mishnah Berurah 1');
+
+    context.appState.books.set('0306406152', { Book_code: '0-306-40615-2', Book_name: 'Stored as ISBN-10', locations: {} });
+    context.lookupBook('9780306406157');
+    assert.equal(context.appState.currentBook.Book_name, 'Stored as ISBN-10');
+  });
+
+  it('points out an ISBN with a wrong check digit', () => {
+    context.lookupBook('9789650000012');
+
+    assert.equal(context.appState.currentBook, null);
+    assert.equal(
+      context.elements.statusMessage.textContent,
+      '"9789650000012" is not a valid ISBN-13 (check digit) - check for a typo'
+    );
+  });
+
+  it('makes no request to the server', () => {
+    let fetched = false;
+    context.fetch = () => {
+      fetched = true;
+      return Promise.reject(new Error('unexpected'));
+    };
+    context.lookupBook('9789650000011');
+    assert.equal(fetched, false);
+  });
+});
+
+describe('onScanSuccess', () => {
+  let context;
+
+  const read = (format) => ({ result: { format: { formatName: format } } });
+
+  beforeEach(() => {
+    context = loadSignedInApp({ books: [sampleBook()] });
+    context.appState.scanner = { start: async () => {}, stop: async () => {} };
+  });
+
+  it('looks up a good read without its price add-on', () => {
+    context.onScanSuccess('978965000001151999', read('EAN_13'));
+
+    assert.equal(context.appState.currentBook.Book_name, 'Mishnah Berurah 1');
+    assert.equal(context.elements.manualCodeInput.value, '9789650000011');
+  });
+
+  it('ignores a misread and keeps scanning', () => {
+    let stopped = false;
+    context.appState.scanner.stop = async () => {
+      stopped = true;
+    };
+
+    context.onScanSuccess('9789650000012', read('EAN_13'));
+
+    assert.equal(stopped, false);
+    assert.equal(context.appState.currentBook, null);
+    assert.match(context.elements.statusMessage.textContent, /^Ignored misread 9789650000012/);
+  });
+
+  it('ignores QR codes', () => {
+    context.onScanSuccess('9789650000011', read('QR_CODE'));
+
+    assert.equal(context.appState.currentBook, null);
+    assert.match(context.elements.statusMessage.textContent, /not a book barcode/);
+  });
+
+  it('adds the stored code to the batch cart whichever form was scanned', () => {
+    context.appState.batchMode = true;
+
+    context.onScanSuccess('9789650000011', read('EAN_13'));
+    context.appState.lastScan.time = 0;
+    context.enterBookCode('9650000011');
+
+    assert.deepEqual(plain(context.appState.cart), [{ book_code: '978-965-000001-1', qty: 2, error: null }]);
+  });
+});
+
+describe('handleWedgeScan', () => {
+  let context;
+  let submitted;
+
+  beforeEach(() => {
+    context = loadSignedInApp({ books: [sampleBook()] });
+    submitted = [];
+    context.sheetsAPI.submitTransaction = async (transaction) => {
+      submitted.push(plain(transaction));
+      return { success: true, transaction_id: 't-1', book_name: 'Mishnah Berurah 1', new_qty: 6 };
+    };
+  });
+
+  it('opens the book without posting anything by default', () => {
+    context.handleWedgeScan('9789650000011');
+
+    assert.equal(context.appState.currentBook.Book_name, 'Mishnah Berurah 1');
+    assert.equal(context.elements.manualCodeInput.value, '9789650000011');
+    assert.deepEqual(submitted, []);
+  });
+
+  it('ignores a read with a wrong check digit', () => {
+    context.handleWedgeScan('9789650000012');
+
+    assert.equal(context.appState.currentBook, null);
+    assert.match(context.elements.statusMessage.textContent, /^Ignored misread/);
+  });
+
+  it('adds to the batch cart in batch mode', () => {
+    context.appState.batchMode = true;
+
+    context.handleWedgeScan('9789650000011');
+
+    assert.deepEqual(plain(context.appState.cart), [{ book_code: '978-965-000001-1', qty: 1, error: null }]);
+  });
+
+  it('posts the hands-free quantity at the selected location', async () => {
+    context.updateHandsFree({ enabled: true, qty: '-1' });
+    context.elements.locationSelect.value = 'Store';
+
+    context.handleWedgeScan('9789650000011');
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(submitted, [{
+      book_code: '978-965-000001-1',
+      qty: -1,
+      location: 'Store',
+      comments: '',
+      override_reason: ''
+    }]);
+    assert.equal(context.appState.currentBook, null);
+    assert.deepEqual(JSON.parse(context.localStorage.getItem('lahak.handsFree')), { enabled: true, qty: -1 });
+  });
+
+  it('stops at the form when no location is selected', async () => {
+    context.updateHandsFree({ enabled: true });
+
+    context.handleWedgeScan('9789650000011');
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(submitted, []);
+    assert.equal(context.appState.currentBook.Book_name, 'Mishnah Berurah 1');
+    assert.equal(context.elements.qtyInput.value, '1');
+  });
+
+  it('keeps the last good quantity when zero is entered', () => {
+    context.updateHandsFree({ qty: '3' });
+    context.updateHandsFree({ qty: '0' });
+
+    assert.equal(context.appState.handsFree.qty, 3);
+    assert.equal(context.elements.handsFreeQty.value, '3');
+  });
+});
+
+describe('handleTransactionSubmit', () => {
+  let context;
+  let submitted;
+
+  /**
+   * Replace SheetsAPI.submitTransaction with one that records its
+   * argument and returns a canned result
+   */
+  function stubSubmit(result) {
+    submitted = [];
+    context.sheetsAPI.submitTransaction = async (transaction) => {
+      submitted.push(plain(transaction));
+      if (result instanceof Error) throw result;
+      return result;
+    };
+  }
+
+  beforeEach(() => {
+    context = loadSignedInApp({ books: [sampleBook()] });
+    context.lookupBook('9789650000011');
+  });
+
+  it('sends the form and stores the new quantity from the server', async () => {
+    stubSubmit({ success: true, transaction_id: 't-1', book_name: 'Mishnah Berurah 1', new_qty: 7 });
+
+    await submitForm(context, 2, 'Store', ' Delivery ');
+
+    assert.deepEqual(submitted, [{
+      book_code: '978-965-000001-1',
+      qty: 2,
+      location: 'Store',
+      comments: 'Delivery',
+      override_reason: ''
+    }]);
+    const book = context.appState.books.get('9789650000011');
+    assert.deepEqual(plain(book.locations), { Store: 7, Warehouse: 3 });
+  });
+
+  it('records the transaction so it can be undone', async () => {
+    stubSubmit({ success: true, transaction_id: 't-1', book_name: 'Mishnah Berurah 1', new_qty: 4 });
+
+    await submitForm(context, -1, 'Store');
+
+    const [activity] = context.appState.recentActivity;
+    assert.equal(activity.transaction_id, 't-1');
+    assert.equal(activity.user_email, 'clerk@example.com');
+    assert.deepEqual(plain(activity.changes), [{ location: 'Store', qty: -1 }]);
+    assert.match(context.localStorage.getItem('lahak.recentActivity'), /"t-1"/);
+  });
+
+  it('resets the form ready for the next scan', async () => {
+    stubSubmit({ success: true, transaction_id: 't-1', book_name: 'Mishnah Berurah 1', new_qty: 6 });
+
+    await submitForm(context, 1, 'Store', 'note');
+
+    assert.equal(context.appState.currentBook, null);
+    assert.equal(context.appState.isLoading, false);
+    assert.equal(context.elements.qtyInput.value, '');
+    assert.equal(context.elements.commentsInput.value, '');
+    assert.match(context.elements.statusMessage.textContent, /New qty: 6/);
+  });
+
+  it('applies a queued transaction to the cached quantity', async () => {
+    stubSubmit({ success: true, queued: true, queue_id: 1, transaction_id: 't-1' });
+
+    await submitForm(context, -2, 'Warehouse');
+
+    const book = context.appState.books.get('9789650000011');
+    assert.deepEqual(plain(book.locations), { Store: 5, Warehouse: 1 });
+    assert.equal(context.appState.recentActivity.length, 0);
+    assert.match(context.elements.statusMessage.textContent, /^Offline:/);
+  });
+
+  it('does not submit without a valid quantity or location', async () => {
+    stubSubmit({ success: true });
+
+    await submitForm(context, 'abc', 'Store');
+    assert.equal(context.elements.statusMessage.textContent, 'Please enter a valid quantity');
+
+    await submitForm(context, 1, '');
+    assert.equal(context.elements.statusMessage.textContent, 'Please select a location');
+
+    assert.equal(submitted.length, 0);
+    assert.equal(context.appState.currentBook.Book_name, 'Mishnah Berurah 1');
+  });
+
+  it('asks for a reason before going below zero, and sends it', async () => {
+    stubSubmit({ success: true, transaction_id: 't-1', book_name: 'Mishnah Berurah 1', new_qty: -1 });
+    const prompts = [];
+    context.prompt = (message) => {
+      prompts.push(message);
+      return '  Stock not yet entered ';
+    };
+
+    await submitForm(context, -6, 'Store');
+
+    assert.equal(prompts.length, 1);
+    assert.match(prompts[0], /Store only has 5 - this would leave -1/);
+    assert.equal(submitted[0].override_reason, 'Stock not yet entered');
+  });
+
+  it('does not submit when the below-zero reason is cancelled', async () => {
+    stubSubmit({ success: true });
+    context.prompt = () => null;
+
+    await submitForm(context, -6, 'Store');
+
+    assert.equal(submitted.length, 0);
+    assert.equal(context.appState.books.get('9789650000011').locations.Store, 5);
+  });
+
+  it('corrects the cached quantity when the server refuses for lack of stock', async () => {
+    const error = new Error('Only 1 at Store');
+    error.data = { error: error.message, negative_stock: true, book_code: '9789650000011', location: 'Store', location_qty: 1 };
+    stubSubmit(error);
+
+    await submitForm(context, -2, 'Store');
+
+    assert.equal(context.appState.books.get('9789650000011').locations.Store, 1);
+    assert.equal(context.elements.statusMessage.textContent, 'Failed to submit transaction: Only 1 at Store');
+    assert.equal(context.appState.isLoading, false);
+  });
+
+  it('keeps the cache in step with Code.gs end to end', async () => {
+    const mockFetch = createMockFetch();
+    context = loadSignedInApp({
+      fetch: mockFetch,
+      user: { email: 'manager@example.com', role: 'manager', allowed_locations: [] },
+      books: mockFetch.backend.doGet({ action: 'init', id_token: createMockIdToken('manager@example.com') }).data.books
+    });
+    context.sheetsAPI.SCRIPT_URL = 'http://localhost:8000/mock/exec';
+    context.sheetsAPI.idToken = createMockIdToken('manager@example.com');
+
+    context.lookupBook('9789650000035');
+    await submitForm(context, -5, 'Warehouse');
+
+    assert.equal(context.appState.books.get('9789650000035').locations.Warehouse, 3);
+    const sheet = mockFetch.backend.spreadsheet.getSheetByName('Books').getDataRange().getValues();
+    const row = sheet.find(values => String(values[0]) === '9789650000035');
+    assert.equal(row[8], 3);
+    assert.equal(row[4], 15);
+  });
+});
+
+describe('applyFlushSummary', () => {
+  it('undoes a rejected entry\'s optimistic change once, and lets sync update its book', async () => {
+    const context = loadSignedInApp({ books: [sampleBook()] });
+    context.confirm = () => true;
+    const entry = await context.offlineQueue.add('', { book_code: '9789650000011', qty: -2, location: 'Store' }, 'clerk@example.com');
+    context.applyPayloadToCache(entry.payload, 1);
+    const book = context.appState.books.get('9789650000011');
+    assert.equal(book.locations.Store, 3);
+
+    entry.status = 'failed';
+    context.applyFlushSummary({ sent: [], failed: [entry], remaining: 1 });
+    assert.equal(book.locations.Store, 5);
+
+    context.appState.pendingCount = 1;
+    const fresh = { ...sampleBook(), Book_code: '9789650000011', locations: { Store: 6, Warehouse: 3 } };
+    await context.applyBookSync({ books: [fresh], book_count: 1, server_time: 'now', full: false });
+    assert.equal(book.locations.Store, 6);
+
+    await context.discardQueuedTransaction(entry.id);
+    assert.equal(context.offlineQueue.entries.length, 0);
+    assert.equal(book.locations.Store, 6);
+  });
+});
+
+describe('applyBookSync', () => {
+  it('keeps the optimistic quantities of books still in the queue, on the device too', async () => {
+    const context = loadSignedInApp({ books: [sampleBook()] });
+    const saved = [];
+    context.bookCache.save = async (books) => saved.push(...plain(books));
+    context.appState.pendingCount = 1;
+    await context.offlineQueue.add('', { book_code: '9789650000011', qty: -2, location: 'Store' }, 'clerk@example.com');
+    context.appState.books.get('9789650000011').locations.Store = 3;
+
+    const stale = { ...sampleBook(), Book_code: '9789650000011', locations: { Store: 5, Warehouse: 3 } };
+    const other = { Book_code: '00123', Book_name: 'Other', locations: { Store: 1 } };
+    await context.applyBookSync({ books: [stale, other], book_count: 2, server_time: 'now', full: false });
+
+    assert.equal(context.appState.books.get('9789650000011').locations.Store, 3);
+    assert.deepEqual(saved.map(book => book.locations.Store), [3, 1]);
+  });
+});
+
+describe('movement report', () => {
+  it('is only offered to managers', () => {
+    const context = loadSignedInApp();
+    context.applyPermissions();
+    assert.equal(context.elements.reportBtn.style.display, 'none');
+
+    context.appState.user.role = 'manager';
+    context.applyPermissions();
+    assert.equal(context.elements.reportBtn.style.display, 'block');
+  });
+
+  it('loads the chosen dates from Code.gs and keeps the report for CSV', async () => {
+    const mockFetch = createMockFetch();
+    const context = loadSignedInApp({
+      fetch: mockFetch,
+      user: { email: 'manager@example.com', role: 'manager', allowed_locations: [] }
+    });
+    context.sheetsAPI.SCRIPT_URL = 'http://localhost:8000/mock/exec';
+    context.sheetsAPI.idToken = createMockIdToken('manager@example.com');
+    context.elements.reportFrom.value = '2026-01-01';
+    context.elements.reportTo.value = '2026-01-31';
+
+    await context.loadReport();
+
+    assert.equal(context.elements.reportSummary.textContent, '7 transaction(s): 37 in, 0 out (net +37)');
+    assert.equal(context.elements.reportCsvBtn.disabled, false);
+    assert.match(context.appState.report.toCsv(), /^Location,Store,,22,0,22\r$/m);
+  });
+
+  it('refuses a range that ends before it starts', async () => {
+    const context = loadSignedInApp();
+    context.elements.reportFrom.value = '2026-01-31';
+    context.elements.reportTo.value = '2026-01-01';
+
+    await context.loadReport();
+
+    assert.match(context.elements.statusMessage.textContent, /start date on or before the end date/);
+  });
+});
+
+describe('barcode labels', () => {
+  const oldBook = { Book_code: '00123', Book_name: 'Old Siddur', Book_series: '', Volume: '', locations: {} };
+
+  it('adds the books without an ISBN and prints a label per copy', () => {
+    const context = loadSignedInApp({ books: [sampleBook(), oldBook] });
+    context.showLabelsSection();
+
+    context.addUnbarcodedBooks();
+    context.addLabelBook('00123');
+
+    assert.deepEqual(plain(context.appState.labels.books), [{ book_code: '00123', copies: 2 }]);
+    assert.equal(context.elements.labelsSummary.textContent, '2 label(s) on 1 sheet(s)');
+    assert.equal(context.elements.labelsPrintBtn.disabled, false);
+    assert.equal(context.elements.labelsPreview.innerHTML.match(/class="label label-book"/g).length, 2);
+  });
+
+  it('starts with the book on screen, and every location ticked', () => {
+    const context = loadSignedInApp({ books: [sampleBook()] });
+    context.appState.locations = [{ code: 'STORE', name: 'Store' }, { code: 'WH', name: 'Warehouse' }];
+    context.appState.currentBook = sampleBook();
+
+    context.showLabelsSection();
+    assert.deepEqual(plain(context.appState.labels.books), [{ book_code: '978-965-000001-1', copies: 1 }]);
+
+    context.setLabelsKind('location');
+    assert.equal(context.elements.labelsSummary.textContent, '2 label(s) on 1 sheet(s)');
+    assert.match(context.elements.labelsPreview.innerHTML, /Warehouse/);
+  });
+});
+
+describe('location labels', () => {
+  let context;
+
+  const read = (format) => ({ result: { format: { formatName: format } } });
+
+  beforeEach(() => {
+    context = loadSignedInApp({
+      books: [sampleBook()],
+      user: { email: 'clerk@example.com', role: 'clerk', allowed_locations: ['Store', 'Warehouse'] }
+    });
+    context.appState.locations = [
+      { code: 'STORE', name: 'Store' },
+      { code: 'WH', name: 'Warehouse' },
+      { code: 'OFFICE', name: 'Office' }
+    ];
+    context.appState.scanner = { start: async () => {}, stop: async () => {} };
+    context.elements.locationSelect.value = 'Store';
+    context.elements.cartLocationSelect.value = 'Store';
+  });
+
+  it('switch the location for the next transactions and show it in the banner', () => {
+    context.handleWedgeScan('wh');
+
+    assert.equal(context.elements.locationSelect.value, 'Warehouse');
+    assert.equal(context.elements.cartLocationSelect.value, 'Warehouse');
+    assert.equal(context.elements.stocktakeLocationSelect.value, 'Warehouse');
+    assert.equal(context.elements.locationBanner.style.display, 'flex');
+    assert.equal(context.elements.locationBannerName.textContent, 'Warehouse');
+    assert.equal(context.elements.statusMessage.textContent, 'Location set to Warehouse');
+    assert.equal(context.appState.currentBook, null);
+  });
+
+  it('keep the camera scanning, ignoring the label while it stays in view', () => {
+    let stopped = false;
+    context.appState.scanner.stop = async () => {
+      stopped = true;
+    };
+
+    assert.equal(context.onScanSuccess('WH', read('CODE_128')), true);
+    assert.equal(context.onScanSuccess('WH', read('CODE_128')), null);
+
+    assert.equal(stopped, false);
+    assert.equal(context.elements.locationSelect.value, 'Warehouse');
+  });
+
+  it('are refused for a location the user can\'t post to, or during a stocktake', () => {
+    assert.equal(context.onScanSuccess('OFFICE', read('CODE_128')), false);
+    assert.equal(context.elements.statusMessage.textContent, 'You can\'t record changes at Office');
+
+    context.appState.stocktake = { location: 'Store' };
+    context.handleWedgeScan('WH');
+    assert.match(context.elements.statusMessage.textContent, /this one is counting Store/);
+    assert.equal(context.elements.locationSelect.value, 'Store');
+  });
+});
+
+describe('location reminder', () => {
+  it('asks whether the location is still right after the app sits idle', () => {
+    const context = loadSignedInApp();
+    context.elements.locationSelect.value = 'Store';
+    context.updateLocationReminder('5');
+    context.appState.locationReminder.lastActivity = Date.now() - 4 * 60000;
+
+    context.checkLocationReminder();
+    assert.equal(context.appState.locationReminder.due, false);
+
+    context.appState.locationReminder.lastActivity = Date.now() - 6 * 60000;
+    context.checkLocationReminder();
+    assert.equal(context.appState.locationReminder.due, true);
+    assert.equal(context.elements.locationBanner.classList.contains('location-banner-reminder'), true);
+    assert.equal(context.elements.statusMessage.textContent, 'Still at Store? Scan a location label if you have moved.');
+
+    // Taps don't dismiss it - confirming does
+    context.noteActivity();
+    assert.equal(context.appState.locationReminder.due, true);
+    context.acknowledgeLocation();
+    assert.equal(context.appState.locationReminder.due, false);
+    assert.equal(context.elements.locationBanner.classList.contains('location-banner-reminder'), false);
+    clearTimeout(context.appState.locationReminder.timer);
+  });
+
+  it('is off unless turned on, and remembered on the device', () => {
+    const context = loadSignedInApp();
+    context.elements.locationSelect.value = 'Store';
+    context.appState.locationReminder.lastActivity = 0;
+
+    context.checkLocationReminder();
+    assert.equal(context.appState.locationReminder.due, false);
+
+    context.updateLocationReminder('-3');
+    assert.equal(context.localStorage.getItem('lahak.locationReminder'), '0');
+    context.updateLocationReminder('10');
+    clearTimeout(context.appState.locationReminder.timer);
+    assert.equal(context.localStorage.getItem('lahak.locationReminder'), '10');
+  });
+});
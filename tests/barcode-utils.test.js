@@ -0,0 +1,145 @@
+/**
+ * barcode-utils.js: check digits, ISBN conversion and scan checks
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowserContext, loadScripts, plain } = require('./helpers/browser-context');
+
+const { BarcodeUtils } = loadScripts(createBrowserContext(), ['js/barcode-utils.js']);
+
+describe('BarcodeUtils check digits', () => {
+  it('accepts EAN-13, EAN-8 and UPC-A codes with the right check digit', () => {
+    assert.equal(BarcodeUtils.isValidGtin('9780306406157'), true);
+    assert.equal(BarcodeUtils.isValidGtin('96385074'), true);
+    assert.equal(BarcodeUtils.isValidGtin('036000291452'), true);
+  });
+
+  it('rejects a single wrong digit', () => {
+    assert.equal(BarcodeUtils.isValidGtin('9780306406158'), false);
+    assert.equal(BarcodeUtils.isValidGtin('9780386406157'), false);
+  });
+
+  it('rejects codes that are not 8, 12 or 13 digits', () => {
+    assert.equal(BarcodeUtils.isValidGtin('978030640615'), false);
+    assert.equal(BarcodeUtils.isValidGtin('97803064061X7'), false);
+  });
+
+  it('validates ISBN-10, including an X check character', () => {
+    assert.equal(BarcodeUtils.isValidIsbn10('0306406152'), true);
+    assert.equal(BarcodeUtils.isValidIsbn10('080442957X'), true);
+    assert.equal(BarcodeUtils.isValidIsbn10('0306406153'), false);
+    assert.equal(BarcodeUtils.isValidIsbn10('X306406152'), false);
+  });
+
+  it('validates ISBN-13 only with a 978 or 979 prefix', () => {
+    assert.equal(BarcodeUtils.isValidIsbn13('9780306406157'), true);
+    assert.equal(BarcodeUtils.isValidIsbn13('9791034304233'), true);
+    assert.equal(BarcodeUtils.isValidIsbn13('4006381333931'), false);
+  });
+});
+
+describe('BarcodeUtils ISBN conversion', () => {
+  it('converts ISBN-10 to ISBN-13 and back', () => {
+    assert.equal(BarcodeUtils.isbn10To13('0306406152'), '9780306406157');
+    assert.equal(BarcodeUtils.isbn13To10('9780306406157'), '0306406152');
+    assert.equal(BarcodeUtils.isbn13To10('9780804429573'), '080442957X');
+  });
+
+  it('has no ISBN-10 for a 979 prefix', () => {
+    assert.equal(BarcodeUtils.isbn13To10('9791034304233'), null);
+  });
+
+  it('lists every form a code may be stored under', () => {
+    assert.deepEqual(plain(BarcodeUtils.getCodeVariants('978-0-306-40615-7')), ['9780306406157', '0306406152']);
+    assert.deepEqual(plain(BarcodeUtils.getCodeVariants('0-306-40615-2')), ['0306406152', '9780306406157']);
+    assert.deepEqual(plain(BarcodeUtils.getCodeVariants('080442957x')), ['080442957X', '9780804429573']);
+  });
+
+  it('leaves codes that are not ISBNs alone', () => {
+    assert.deepEqual(plain(BarcodeUtils.getCodeVariants('00123')), ['00123']);
+    assert.deepEqual(plain(BarcodeUtils.getCodeVariants('loc-store')), ['LOCSTORE']);
+    assert.deepEqual(plain(BarcodeUtils.getCodeVariants('0306406153')), ['0306406153']);
+  });
+});
+
+describe('BarcodeUtils add-ons', () => {
+  it('strips a 5-digit price add-on after a valid EAN-13', () => {
+    assert.equal(BarcodeUtils.clean('9780306406157 51999'), '9780306406157');
+    assert.equal(BarcodeUtils.clean('978030640615751999'), '9780306406157');
+  });
+
+  it('strips a 2-digit add-on', () => {
+    assert.equal(BarcodeUtils.clean('977123456700312'), '9771234567003');
+  });
+
+  it('keeps long codes whose first 13 digits are not an EAN-13', () => {
+    assert.equal(BarcodeUtils.clean('123456789012345678'), '123456789012345678');
+  });
+
+  it('tries the code with its add-on first, in case it was stored that way', () => {
+    assert.deepEqual(
+      plain(BarcodeUtils.getCodeVariants('978030640615751999')),
+      ['978030640615751999', '9780306406157', '0306406152']
+    );
+  });
+});
+
+describe('BarcodeUtils.checkScan', () => {
+  it('accepts a good EAN-13 read and cleans it', () => {
+    assert.deepEqual(plain(BarcodeUtils.checkScan('9780306406157 51999', 'EAN_13')), {
+      valid: true, code: '9780306406157', reason: null
+    });
+  });
+
+  it('rejects an EAN-13 read with a wrong check digit', () => {
+    const scan = BarcodeUtils.checkScan('9780306406158', 'EAN_13');
+    assert.equal(scan.valid, false);
+    assert.match(scan.reason, /check digit/);
+    assert.equal(scan.problem, 'check_digit');
+  });
+
+  it('rejects QR codes and other 2D formats', () => {
+    const scan = BarcodeUtils.checkScan('https://track.example.com/1Z999', 'QR_CODE');
+    assert.equal(scan.valid, false);
+    assert.equal(scan.reason, 'not a book barcode (QR CODE)');
+    assert.equal(scan.problem, 'format');
+    assert.equal(scan.format, 'QR CODE');
+  });
+
+  it('holds UPC-E reads to the check digit of the UPC-A they stand for', () => {
+    assert.equal(BarcodeUtils.upcEToUpcA('04252614'), '042100005264');
+    assert.equal(BarcodeUtils.checkScan('04252614', 'UPC_E').code, '04252614');
+
+    const scan = BarcodeUtils.checkScan('04252615', 'UPC_E');
+    assert.equal(scan.valid, false);
+    assert.equal(scan.problem, 'check_digit');
+    assert.equal(BarcodeUtils.checkScan('94252614', 'UPC_E').valid, false);
+  });
+
+  it('accepts in-house Code 128 labels as printed', () => {
+    assert.equal(BarcodeUtils.checkScan('00123', 'CODE_128').code, '00123');
+  });
+
+  it('holds 13-digit reads of unknown format to the check digit', () => {
+    assert.equal(BarcodeUtils.checkScan('9780306406157').valid, true);
+    assert.equal(BarcodeUtils.checkScan('9780306406158').valid, false);
+  });
+
+  it('rejects an empty read', () => {
+    assert.equal(BarcodeUtils.checkScan(' ', 'CODE_128').valid, false);
+  });
+});
+
+describe('BarcodeUtils.getInvalidIsbnType', () => {
+  it('spots ISBNs with a wrong check digit', () => {
+    assert.equal(BarcodeUtils.getInvalidIsbnType('9780306406158'), 'ISBN-13');
+    assert.equal(BarcodeUtils.getInvalidIsbnType('0306406153'), 'ISBN-10');
+  });
+
+  it('says nothing about valid ISBNs or other codes', () => {
+    assert.equal(BarcodeUtils.getInvalidIsbnType('9780306406157'), null);
+    assert.equal(BarcodeUtils.getInvalidIsbnType('4006381333932'), null);
+    assert.equal(BarcodeUtils.getInvalidIsbnType('00123'), null);
+  });
+});
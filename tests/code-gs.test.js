@@ -0,0 +1,819 @@
+/**
+ * google-apps-script/Code.gs run against an in-memory spreadsheet
+ * (dev/fake-apps-script.js): column detection, lookups and quantity maths
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockBackend } = require('../dev/mock-server');
+const { createMockIdToken } = require('../dev/fake-apps-script');
+const { createBrowserContext, loadScripts, plain } = require('./helpers/browser-context');
+
+const FIXTURE = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'dev', 'fixtures', 'sheets.json'), 'utf8'));
+
+/**
+ * Code.gs loaded against the dev fixture, with some sheets replaced
+ * @param {object} sheets - { sheetName: rows } to use instead of the fixture's
+ * @returns {object} Mock backend (context has Code.gs's functions)
+ */
+function createBackend(sheets = {}) {
+  return createMockBackend({ fixture: plain({ ...FIXTURE, ...sheets }) });
+}
+
+/**
+ * A sheet's rows as plain values
+ */
+function sheetValues(backend, name) {
+  return plain(backend.spreadsheet.getSheetByName(name).getDataRange().getValues());
+}
+
+/**
+ * The Books row for a code, as { header: value }
+ */
+function bookRow(backend, code) {
+  const [headers, ...rows] = sheetValues(backend, 'Books');
+  const row = rows.find(values => String(values[headers.indexOf('Book_code')]) === code);
+  return row ? Object.fromEntries(headers.map((header, i) => [String(header).trim(), row[i]])) : null;
+}
+
+function lastTransaction(backend) {
+  const rows = sheetValues(backend, 'Transactions');
+  return Object.fromEntries(rows[0].map((header, i) => [header, rows[rows.length - 1][i]]));
+}
+
+function transaction(fields) {
+  return { user: 'clerk@example.com', comments: '', transaction_id: 'test-' + Math.random(), ...fields };
+}
+
+describe('getAllBooks', () => {
+  it('reads every book with its quantity at each location', () => {
+    const books = plain(createBackend().context.getAllBooks());
+
+    assert.equal(books.length, 5);
+    assert.deepEqual(books[0], {
+      Book_code: '9789650000011',
+      Book_series: 'Mishnah Berurah',
+      Book_name: 'Mishnah Berurah 1',
+      Volume: 1,
+      Total: 8,
+      Last_update: '2026-01-05T09:00:00.000Z',
+      locations: { Store: 5, Warehouse: 3 },
+      fields: {},
+      Min_qty: 5
+    });
+  });
+
+  it('finds columns by header, whatever their order', () => {
+    const backend = createBackend({
+      Books: [
+        ['Warehouse', 'Book_name', 'Total', 'Book_code', 'Store'],
+        [7, 'Reordered', 9, 'R-1', 2]
+      ]
+    });
+
+    const [book] = plain(backend.context.getAllBooks());
+    assert.equal(book.Book_code, 'R-1');
+    assert.equal(book.Book_name, 'Reordered');
+    assert.equal(book.Total, 9);
+    assert.deepEqual(book.locations, { Warehouse: 7, Store: 2 });
+  });
+
+  it('trims location headers', () => {
+    const backend = createBackend({
+      Books: [['Book_code', 'Book_name', ' Store ', 'Warehouse  '], ['T-1', 'Trimmed', 1, 2]]
+    });
+
+    assert.deepEqual(plain(backend.context.getAllBooks()[0].locations), { Store: 1, Warehouse: 2 });
+  });
+
+  it('takes location columns from the Locations sheet and ignores other columns', () => {
+    const backend = createBackend({
+      Books: [['Book_code', 'Store', 'Price', 'Warehouse'], ['L-1', 1, 49.9, 2]]
+    });
+
+    assert.deepEqual(plain(backend.context.getAllBooks()[0].locations), { Store: 1, Warehouse: 2 });
+  });
+
+  it('treats every non-standard column as a location without a Locations sheet', () => {
+    const backend = createBackend({
+      Books: [['Book_code', 'Store', 'Warehouse', 'Basement'], ['L-1', 1, 2, 3]],
+      Locations: undefined
+    });
+
+    assert.deepEqual(Object.keys(backend.context.getAllBooks()[0].locations), ['Store', 'Warehouse', 'Basement']);
+  });
+
+  it('reads columns listed in Book_fields as fields, under their label', () => {
+    const backend = createBackend({
+      Books: [['Book_code', 'Publisher', 'Store', 'ISBN', 'Warehouse'], ['F-1', 'Feldheim', 1, '965-000', 2]],
+      Book_fields: [['Column', 'Label'], ['ISBN', ''], ['Publisher', 'Published by']]
+    });
+
+    const [book] = plain(backend.context.getAllBooks());
+    assert.deepEqual(book.fields, { 'Published by': 'Feldheim', ISBN: '965-000' });
+    assert.deepEqual(book.locations, { Store: 1, Warehouse: 2 });
+    assert.deepEqual(plain(backend.context.lookupBook('F-1').fields), book.fields);
+  });
+
+  it('defaults missing optional columns and blank quantities', () => {
+    const backend = createBackend({
+      Books: [['Book_code', 'Store', 'Warehouse'], ['M-1', '', 4]]
+    });
+
+    const [book] = plain(backend.context.getAllBooks());
+    assert.equal(book.Book_name, '');
+    assert.equal(book.Book_series, '');
+    assert.equal(book.Volume, '');
+    assert.equal(book.Total, 0);
+    assert.deepEqual(book.locations, { Store: 0, Warehouse: 4 });
+  });
+
+  it('skips rows without a code', () => {
+    const backend = createBackend({
+      Books: [['Book_code', 'Book_name', 'Store'], ['A', 'First', 1], ['', 'No code', 5], ['B', 'Second', 2]]
+    });
+
+    assert.deepEqual(plain(backend.context.getAllBooks().map(book => book.Book_code)), ['A', 'B']);
+  });
+
+  it('takes Min_qty from the book, or else its series', () => {
+    const books = plain(createBackend().context.getAllBooks());
+    const byCode = Object.fromEntries(books.map(book => [String(book.Book_code), book]));
+
+    assert.equal(byCode['9789650000035'].Min_qty, 10);
+    assert.equal(byCode['9789650000028'].Min_qty, 5);
+  });
+
+  it('fails clearly without a Book_code column', () => {
+    const backend = createBackend({ Books: [['Code', 'Store'], ['X', 1]] });
+    assert.throws(() => backend.context.getAllBooks(), /Book_code column not found/);
+  });
+});
+
+describe('lookupBook', () => {
+  const backend = createBackend();
+
+  it('ignores hyphens, spaces and case', () => {
+    assert.equal(backend.context.lookupBook('978-965-000001-1').Book_name, 'Mishnah Berurah 1');
+    assert.equal(backend.context.lookupBook(' 9789650000011 ').Book_name, 'Mishnah Berurah 1');
+  });
+
+  it('returns the sheet row for updating', () => {
+    assert.equal(backend.context.lookupBook('9789650000035').rowIndex, 4);
+  });
+
+  it('keeps leading zeros significant', () => {
+    assert.equal(backend.context.lookupBook('00123').Book_name, 'Local Print Sample');
+    assert.equal(backend.context.lookupBook('123'), null);
+  });
+
+  it('finds a book from its other ISBN form', () => {
+    assert.equal(backend.context.lookupBook('965-000001-1').Book_name, 'Mishnah Berurah 1');
+    assert.equal(backend.context.lookupBook('9789650000035 51999').Book_name, 'Siddur Tefilat Yisrael');
+  });
+
+  it('prefers a row stored exactly as given', () => {
+    const books = plain(FIXTURE.Books);
+    books.push(['9650000011', '', 'Old ISBN-10 row', '', 0, '', '', 0, 0]);
+    const duplicated = createBackend({ Books: books });
+
+    assert.equal(duplicated.context.lookupBook('9650000011').Book_name, 'Old ISBN-10 row');
+    assert.equal(duplicated.context.lookupBook('9789650000011').Book_name, 'Mishnah Berurah 1');
+  });
+
+  it('returns null for an unknown code', () => {
+    assert.equal(backend.context.lookupBook('0000000000000'), null);
+  });
+
+  it('agrees with getAllBooks on quantities', () => {
+    const book = plain(backend.context.lookupBook('9789650000042'));
+    const listed = plain(backend.context.getAllBooks()).find(item => item.Book_code === '9789650000042');
+
+    assert.deepEqual(book.locations, listed.locations);
+    assert.equal(book.Total, listed.Total);
+  });
+});
+
+describe('book index', () => {
+  const cachedIndex = (backend) => backend.context.CacheService.getScriptCache().get('books_index');
+
+  /**
+   * Record the Books ranges read from here on, as [row, numRows]
+   */
+  function watchBookReads(backend) {
+    const sheet = backend.spreadsheet.getSheetByName('Books');
+    const reads = [];
+    const getRange = sheet.getRange.bind(sheet);
+    sheet.getRange = (row, column, numRows = 1, numColumns = 1) => {
+      reads.push([row, numRows]);
+      return getRange(row, column, numRows, numColumns);
+    };
+    return reads;
+  }
+
+  it('reads only the book\'s row once the index is cached', () => {
+    const backend = createBackend();
+    backend.context.lookupBook('9789650000011');
+    assert.notEqual(cachedIndex(backend), null);
+
+    const reads = watchBookReads(backend);
+    assert.equal(backend.context.lookupBook('9789650000035').Book_name, 'Siddur Tefilat Yisrael');
+    assert.deepEqual(reads, [[1, 1], [4, 1]]);
+  });
+
+  it('rebuilds the index when a column has been deleted', () => {
+    const backend = createBackend();
+    backend.context.lookupBook('9789650000011');
+
+    // Deleting a column doesn't run onEdit, so the cache stays
+    const rows = backend.spreadsheet.getSheetByName('Books').rows;
+    const storeCol = rows[0].indexOf('Store');
+    rows.forEach(row => row.splice(storeCol, 1));
+    assert.notEqual(cachedIndex(backend), null);
+
+    backend.context.addTransaction(transaction({ book_code: '9789650000011', qty: 1, location: 'Warehouse' }));
+
+    assert.equal(bookRow(backend, '9789650000011').Warehouse, 4);
+    assert.equal(bookRow(backend, '9789650000011').Total, 4);
+  });
+
+  it('rebuilds the index when rows have been moved by hand', () => {
+    const backend = createBackend();
+    backend.context.lookupBook('9789650000011');
+
+    const rows = backend.spreadsheet.getSheetByName('Books').rows;
+    [rows[1], rows[3]] = [rows[3], rows[1]];
+
+    assert.equal(backend.context.lookupBook('9789650000011').rowIndex, 4);
+    assert.equal(backend.context.lookupBook('9789650000035').rowIndex, 2);
+  });
+
+  it('answers unknown codes from the cached index and the header row alone', () => {
+    const backend = createBackend();
+    backend.context.lookupBook('9789650000011');
+
+    const reads = watchBookReads(backend);
+    assert.equal(backend.context.lookupBook('5550001'), null);
+    assert.equal(backend.context.lookupBook('5550001'), null);
+    assert.deepEqual(reads, [[1, 1], [1, 1]]);
+  });
+
+  it('finds a row added behind the cache\'s back', () => {
+    const backend = createBackend();
+    backend.context.lookupBook('9789650000011');
+
+    // As the Sheets API or an import would: no onEdit, so the cache stays
+    backend.spreadsheet.getSheetByName('Books').appendRow(['5550001', '', 'Imported', '', 0, '', '', 0, 0]);
+    assert.notEqual(cachedIndex(backend), null);
+
+    assert.equal(backend.context.lookupBook('5550001').Book_name, 'Imported');
+    assert.equal(backend.context.lookupBook('5550001').rowIndex, 7);
+
+    // The rebuilt index is up to date, so an unknown code costs no rebuild
+    const reads = watchBookReads(backend);
+    assert.equal(backend.context.lookupBook('5550002'), null);
+    assert.deepEqual(reads, [[1, 1]]);
+  });
+
+  it('finds a row added by hand', () => {
+    const backend = createBackend();
+    backend.context.lookupBook('9789650000011');
+
+    const books = backend.spreadsheet.getSheetByName('Books');
+    books.appendRow(['5550001', '', 'Hand-added', '', 0, '', '', 0, 0]);
+    backend.context.onEdit({ range: books.getRange(7, 1) });
+
+    assert.equal(backend.context.lookupBook('5550001').Book_name, 'Hand-added');
+  });
+
+  it('is dropped when a book is created', () => {
+    const backend = createBackend();
+    backend.context.lookupBook('9789650000011');
+
+    backend.context.createBook({ book_code: '5550002', book_name: 'New', book_series: '', volume: '' });
+
+    assert.equal(cachedIndex(backend), null);
+    assert.equal(backend.context.lookupBook('5550002').rowIndex, 7);
+  });
+
+  it('is dropped by edits to the Books sheet, not to Transactions', () => {
+    const backend = createBackend();
+    const edit = (name) => backend.context.onEdit({ range: backend.spreadsheet.getSheetByName(name).getRange(2, 1) });
+    backend.context.lookupBook('9789650000011');
+
+    edit('Transactions');
+    assert.notEqual(cachedIndex(backend), null);
+    edit('Books');
+    assert.equal(cachedIndex(backend), null);
+  });
+});
+
+describe('addTransaction', () => {
+  it('changes the location, recomputes Total and logs the transaction', () => {
+    const backend = createBackend();
+
+    const result = plain(backend.context.addTransaction(transaction({
+      book_code: '9789650000011',
+      qty: 4,
+      location: 'Warehouse',
+      comments: 'Delivery',
+      transaction_id: 'tx-1'
+    })));
+
+    assert.equal(result.success, true);
+    assert.equal(result.old_qty, 3);
+    assert.equal(result.new_qty, 7);
+    assert.deepEqual(result.locations, { Store: 5, Warehouse: 7 });
+
+    const row = bookRow(backend, '9789650000011');
+    assert.equal(row.Warehouse, 7);
+    assert.equal(row.Store, 5);
+    assert.equal(row.Total, 12);
+    assert.notEqual(row.Last_update, '2026-01-05T09:00:00.000Z');
+
+    const logged = lastTransaction(backend);
+    assert.equal(String(logged.Book_code), '9789650000011');
+    assert.equal(logged.Qty, 4);
+    assert.equal(logged.Location, 'Warehouse');
+    assert.equal(logged.User, 'clerk@example.com');
+    assert.equal(logged.Comments, 'Delivery');
+    assert.equal(logged.Transaction_id, 'tx-1');
+    assert.equal(logged.Type, 'transaction');
+  });
+
+  it('repairs a wrong Total rather than adding to it', () => {
+    const books = plain(FIXTURE.Books);
+    books[1][4] = 99;
+    const backend = createBackend({ Books: books });
+
+    backend.context.addTransaction(transaction({ book_code: '9789650000011', qty: -1, location: 'Store' }));
+
+    assert.equal(bookRow(backend, '9789650000011').Total, 7);
+  });
+
+  it('writes the column whose header matches after trimming', () => {
+    const books = plain(FIXTURE.Books);
+    books[0][8] = 'Warehouse ';
+    const backend = createBackend({ Books: books });
+
+    backend.context.addTransaction(transaction({ book_code: '9789650000011', qty: 1, location: 'Warehouse' }));
+
+    assert.equal(bookRow(backend, '9789650000011').Warehouse, 4);
+  });
+
+  it('refuses to go below zero without an override, changing nothing', () => {
+    const backend = createBackend();
+    const before = sheetValues(backend, 'Transactions').length;
+
+    const result = plain(backend.context.addTransaction(transaction({
+      book_code: '9789650000028', qty: -3, location: 'Store'
+    })));
+
+    assert.equal(result.negative_stock, true);
+    assert.equal(result.location_qty, 2);
+    assert.match(result.error, /Not enough stock: Store has 2/);
+    assert.equal(bookRow(backend, '9789650000028').Store, 2);
+    assert.equal(sheetValues(backend, 'Transactions').length, before);
+  });
+
+  it('goes below zero with an override and notes the reason', () => {
+    const backend = createBackend();
+
+    const result = plain(backend.context.addTransaction(transaction({
+      book_code: '9789650000028', qty: -3, location: 'Store', comments: 'Sold', override_reason: 'Not yet received'
+    })));
+
+    assert.equal(result.new_qty, -1);
+    assert.equal(bookRow(backend, '9789650000028').Total, -1);
+    assert.equal(lastTransaction(backend).Comments, 'Sold [Negative stock override: Not yet received]');
+  });
+
+  it('applies a retried transaction_id only once', () => {
+    const backend = createBackend();
+    const retried = transaction({ book_code: '9789650000011', qty: 2, location: 'Store', transaction_id: 'retry-1' });
+
+    backend.context.addTransaction(retried);
+    const second = plain(backend.context.addTransaction(retried));
+
+    assert.equal(second.duplicate, true);
+    assert.equal(bookRow(backend, '9789650000011').Store, 7);
+    assert.equal(sheetValues(backend, 'Transactions').filter(row => row[6] === 'retry-1').length, 1);
+  });
+
+  it('keeps leading zeros in the logged code', () => {
+    const backend = createBackend();
+
+    backend.context.addTransaction(transaction({ book_code: '00123', qty: 1, location: 'Store' }));
+
+    assert.equal(lastTransaction(backend).Book_code, '00123');
+    assert.equal(bookRow(backend, '00123').Store, 1);
+  });
+
+  it('rejects a location that has no column', () => {
+    const backend = createBackend();
+    assert.throws(
+      () => backend.context.addTransaction(transaction({ book_code: '9789650000011', qty: 1, location: 'Attic' })),
+      /Location column "Attic" not found/
+    );
+  });
+});
+
+describe('location columns', () => {
+  const books = [['Book_code', 'Book_name', 'Total', 'Store', 'Price', 'Warehouse'], ['P-1', 'Priced', 3, 1, 50, 2]];
+
+  it('refuses to post stock to a column that is not a location', () => {
+    const backend = createBackend({ Books: books });
+
+    assert.throws(
+      () => backend.context.addTransaction(transaction({ book_code: 'P-1', qty: 1, location: 'Price' })),
+      /Location column "Price" not found/
+    );
+    assert.equal(bookRow(backend, 'P-1').Price, 50);
+  });
+
+  it('leaves other columns out of Total', () => {
+    const backend = createBackend({ Books: books });
+
+    backend.context.addTransaction(transaction({ book_code: 'P-1', qty: 1, location: 'Store' }));
+
+    assert.equal(bookRow(backend, 'P-1').Total, 4);
+    assert.equal(bookRow(backend, 'P-1').Price, 50);
+  });
+});
+
+describe('getBookCodeVariants', () => {
+  it('matches barcode-utils.js', () => {
+    const backend = createBackend();
+    const { BarcodeUtils } = loadScripts(createBrowserContext(), ['js/barcode-utils.js']);
+
+    for (const code of ['978-0-306-40615-7', '080442957x', '978030640615751999', '9791034304233', '00123', 'R-1']) {
+      assert.deepEqual(plain(backend.context.getBookCodeVariants(code)), plain(BarcodeUtils.getCodeVariants(code)), code);
+    }
+  });
+
+  it('refuses to create a book already stored under its other ISBN form', () => {
+    const backend = createBackend();
+    const result = plain(backend.context.createBook({ book_code: '9650000011', book_name: 'Again', book_series: '', volume: '' }));
+
+    assert.match(result.error, /already exists: Mishnah Berurah 1/);
+  });
+});
+
+describe('transferStock', () => {
+  it('moves stock between locations without changing Total', () => {
+    const backend = createBackend();
+
+    const result = plain(backend.context.transferStock({
+      book_code: '9789650000035',
+      qty: 5,
+      from_location: 'Warehouse',
+      to_location: 'Store',
+      user: 'manager@example.com',
+      comments: '',
+      transaction_id: 'move-1'
+    }));
+
+    assert.equal(result.success, true);
+    const row = bookRow(backend, '9789650000035');
+    assert.equal(row.Store, 17);
+    assert.equal(row.Warehouse, 3);
+    assert.equal(row.Total, 20);
+  });
+});
+
+describe('applyStocktake', () => {
+  it('creates the Stocktakes sheet only while holding the lock', () => {
+    const backend = createBackend();
+    let locked = false;
+    backend.context.LockService = {
+      getScriptLock: () => ({
+        tryLock: () => (locked = true),
+        waitLock: () => { locked = true; },
+        releaseLock: () => { locked = false; }
+      })
+    };
+    const insertSheet = backend.spreadsheet.insertSheet.bind(backend.spreadsheet);
+    const inserted = [];
+    backend.spreadsheet.insertSheet = (name) => {
+      inserted.push({ name: name, locked: locked });
+      return insertSheet(name);
+    };
+
+    const result = plain(backend.context.applyStocktake({
+      location: 'Store',
+      lines: [{ book_code: '9789650000011', counted: 5 }],
+      user: 'manager@example.com',
+      comments: '',
+      transaction_id: 'count-1'
+    }));
+
+    assert.equal(result.success, true);
+    assert.deepEqual(plain(inserted), [{ name: 'Stocktakes', locked: true }]);
+  });
+});
+
+describe('reverseTransaction', () => {
+  /**
+   * A receipt of 4 at Warehouse (3 -> 7) whose stock has since all been
+   * moved to Store
+   */
+  function receivedThenMoved() {
+    const backend = createBackend();
+    backend.context.addTransaction(transaction({
+      book_code: '9789650000011', qty: 4, location: 'Warehouse', transaction_id: 'in-1'
+    }));
+    backend.context.transferStock(transaction({
+      book_code: '9789650000011', qty: 7, from_location: 'Warehouse', to_location: 'Store', transaction_id: 'move-1'
+    }));
+    return backend;
+  }
+
+  it('refuses to take back stock that has since moved on, changing nothing', () => {
+    const backend = receivedThenMoved();
+    const before = sheetValues(backend, 'Transactions').length;
+
+    const result = plain(backend.context.reverseTransaction({
+      original_id: 'in-1', user: 'clerk@example.com', comments: '', transaction_id: 'undo-1'
+    }));
+
+    assert.equal(result.negative_stock, true);
+    assert.equal(result.location, 'Warehouse');
+    assert.equal(result.location_qty, 0);
+    assert.equal(result.code, 'not_enough_stock');
+    assert.equal(bookRow(backend, '9789650000011').Warehouse, 0);
+    assert.equal(sheetValues(backend, 'Transactions').length, before);
+  });
+
+  it('goes below zero with an override and notes the reason', () => {
+    const backend = receivedThenMoved();
+
+    const result = plain(backend.context.reverseTransaction({
+      original_id: 'in-1', user: 'clerk@example.com', comments: '', override_reason: 'Wrong book', transaction_id: 'undo-1'
+    }));
+
+    assert.equal(result.success, true);
+    assert.equal(result.locations.Warehouse, -4);
+    const row = bookRow(backend, '9789650000011');
+    assert.equal(row.Warehouse, -4);
+    assert.equal(row.Total, 8);
+    const logged = lastTransaction(backend);
+    assert.equal(logged.Qty, -4);
+    assert.equal(logged.Type, 'reversal');
+    assert.equal(logged.Comments, 'Reversal of in-1 [Negative stock override: Wrong book]');
+  });
+
+  it('reverses a transfer once, by its own ID and not by a leg\'s', () => {
+    const backend = receivedThenMoved();
+    const reverse = (originalId, id) => plain(backend.context.reverseTransaction({
+      original_id: originalId, user: 'clerk@example.com', comments: '', transaction_id: id
+    }));
+
+    const leg = reverse('move-1-out', 'undo-leg');
+    assert.equal(leg.code, 'reverse_transfer_leg');
+    assert.equal(leg.params.transfer_id, 'move-1');
+
+    assert.equal(reverse('move-1', 'undo-1').success, true);
+    assert.equal(reverse('move-1', 'undo-2').code, 'already_reversed');
+    assert.equal(reverse('move-1-in', 'undo-3').code, 'reverse_transfer_leg');
+
+    const row = bookRow(backend, '9789650000011');
+    assert.equal(row.Warehouse, 7);
+    assert.equal(row.Store, 5);
+  });
+
+  it('refuses a reversal ID that is already in use', () => {
+    const backend = receivedThenMoved();
+    const reverse = (id) => plain(backend.context.reverseTransaction({
+      original_id: 'in-1', user: 'clerk@example.com', comments: '', override_reason: 'Wrong book', transaction_id: id
+    }));
+    const before = sheetValues(backend, 'Transactions').length;
+
+    assert.equal(reverse('in-1').code, 'transaction_id_in_use');
+    assert.equal(reverse('move-1').code, 'transaction_id_in_use');
+    assert.equal(reverse('move-1-out').code, 'transaction_id_in_use');
+    assert.equal(sheetValues(backend, 'Transactions').length, before);
+  });
+});
+
+describe('doPost and doGet', () => {
+  const post = (backend, email, body) => backend.doPost({ ...body, id_token: email && createMockIdToken(email) });
+
+  it('requires a valid sign-in', () => {
+    const backend = createBackend();
+
+    assert.equal(backend.doPost({ book_code: '9789650000011', qty: 1, location: 'Store' }).status, 401);
+    assert.equal(backend.doGet({ action: 'init', id_token: 'a.b.c' }).status, 401);
+    assert.equal(post(backend, 'stranger@example.com', { book_code: '9789650000011', qty: 1, location: 'Store' }).status, 403);
+  });
+
+  it('checks roles and allowed locations', () => {
+    const backend = createBackend();
+
+    assert.equal(post(backend, 'viewer@example.com', { book_code: '9789650000011', qty: 1, location: 'Store' }).status, 403);
+    assert.equal(post(backend, 'clerk@example.com', { book_code: '9789650000011', qty: 1, location: 'Warehouse' }).status, 403);
+    assert.equal(post(backend, 'clerk@example.com', { book_code: '9789650000011', qty: 1, location: 'Store' }).status, 200);
+  });
+
+  it('checks reversals against the locations and quantities of the original rows', () => {
+    const backend = createBackend();
+    const reverse = (email, originalId) => post(backend, email, { action: 'reverse', original_id: originalId });
+
+    post(backend, 'manager@example.com', { book_code: '9789650000011', qty: 1, location: 'Warehouse', transaction_id: 'wh-1' });
+    const elsewhere = reverse('clerk@example.com', 'wh-1');
+    assert.equal(elsewhere.status, 403);
+    assert.equal(elsewhere.data.code, 'location_not_allowed');
+
+    // Undoing a +50 receipt takes 50 out of the Store
+    post(backend, 'clerk@example.com', { book_code: '9789650000011', qty: 50, location: 'Store', transaction_id: 'big-1' });
+    const large = reverse('clerk@example.com', 'big-1');
+    assert.equal(large.status, 403);
+    assert.equal(large.data.code, 'large_negative');
+    assert.equal(reverse('admin@example.com', 'big-1').status, 200);
+  });
+
+  it('applies the large-negative rule to the quantity a transfer takes out', () => {
+    const users = plain(FIXTURE.Users).map(row => row[0] === 'clerk@example.com' ? [...row.slice(0, 4), 'Store, Warehouse'] : row);
+    const backend = createBackend({ Users: users });
+    const transfer = (email, qty) => post(backend, email, {
+      action: 'transfer', book_code: '9789650000011', qty: qty, from_location: 'Store', to_location: 'Warehouse', override_reason: 'Move'
+    });
+
+    assert.equal(transfer('clerk@example.com', 25).data.code, 'large_negative');
+    assert.equal(transfer('clerk@example.com', 1).status, 200);
+    assert.equal(transfer('manager@example.com', 25).status, 200);
+  });
+
+  it('answers 400, 404 and 409 for bad, unknown and refused transactions', () => {
+    const backend = createBackend();
+
+    assert.equal(post(backend, 'admin@example.com', { book_code: '9789650000011', location: 'Store' }).status, 400);
+    assert.equal(post(backend, 'admin@example.com', { book_code: '9789650000011', qty: 'x', location: 'Store' }).status, 400);
+    assert.equal(post(backend, 'admin@example.com', { book_code: '404', qty: 1, location: 'Store' }).status, 404);
+    assert.equal(post(backend, 'admin@example.com', { book_code: '9789650000028', qty: -5, location: 'Store' }).status, 409);
+  });
+
+  it('sends a code and its values with each error for the app to translate', () => {
+    const backend = createBackend();
+
+    const refused = post(backend, 'admin@example.com', { book_code: '9789650000028', qty: -5, location: 'Store' }).data;
+    assert.equal(refused.code, 'not_enough_stock');
+    assert.equal(refused.params.location, 'Store');
+    assert.equal(refused.error, `Not enough stock: Store has ${refused.params.qty}. Give an override reason to go below zero.`);
+
+    const missing = post(backend, 'admin@example.com', { book_code: '9789650000011', location: 'Store' }).data;
+    assert.equal(missing.code, 'missing_fields');
+
+    const stranger = backend.doGet({ action: 'init', id_token: createMockIdToken('stranger@example.com') }).data;
+    assert.equal(stranger.code, 'user_not_registered');
+    assert.equal(stranger.auth_error, undefined);
+    assert.equal(stranger.message, undefined);
+  });
+
+  it('sends problems with the sheets as error codes too', () => {
+    const backend = createBackend();
+
+    const response = post(backend, 'admin@example.com', { book_code: '9789650000011', qty: 1, location: 'Attic' });
+
+    assert.equal(response.status, 500);
+    assert.deepEqual(plain(response.data), {
+      error: 'Location column "Attic" not found in Books sheet',
+      code: 'location_column_missing',
+      params: { location: 'Attic' }
+    });
+  });
+
+  it('has a message in both of the app\'s languages for every error code', () => {
+    const codes = Object.keys(vm.runInContext('ERROR_MESSAGES', createBackend().context));
+    const MESSAGES = vm.runInContext('MESSAGES', loadScripts(createBrowserContext(), ['js/i18n.js']));
+
+    for (const language of ['en', 'he']) {
+      assert.deepEqual(codes.filter(code => !MESSAGES[language]['error.' + code]), [], language);
+    }
+  });
+
+  it('sends the Language column of the Users sheet on init', () => {
+    const users = plain(FIXTURE.Users).map((row, i) => [...row, i === 0 ? 'Language' : (i === 3 ? 'HE ' : '')]);
+    const backend = createBackend({ Users: users });
+    const init = (email) => backend.doGet({ action: 'init', id_token: createMockIdToken(email) }).data;
+
+    assert.equal(init('clerk@example.com').user.language, 'he');
+    assert.equal(init('admin@example.com').user.language, '');
+    assert.equal(createBackend().doGet({ action: 'init', id_token: createMockIdToken('clerk@example.com') }).data.user.language, '');
+  });
+
+  it('records the signed-in user, not one named in the body', () => {
+    const backend = createBackend();
+
+    post(backend, 'clerk@example.com', { book_code: '9789650000011', qty: 1, location: 'Store', user: 'admin@example.com' });
+
+    assert.equal(lastTransaction(backend).User, 'clerk@example.com');
+  });
+
+  it('sends the user, locations and books on init', () => {
+    const { status, data } = createBackend().doGet({ action: 'init', id_token: createMockIdToken('clerk@example.com') });
+
+    assert.equal(status, 200);
+    assert.equal(data.user.role, 'clerk');
+    assert.deepEqual(data.user.allowed_locations, ['Store']);
+    assert.deepEqual(data.locations.map(location => location.name), ['Store', 'Warehouse']);
+    assert.equal(data.books.length, 5);
+    assert.equal(data.full, true);
+  });
+
+  it('syncs only books changed since the last sync', () => {
+    const backend = createBackend();
+    const token = createMockIdToken('admin@example.com');
+    const first = backend.doGet({ action: 'sync', id_token: token }).data;
+
+    post(backend, 'admin@example.com', { book_code: '9789650000042', qty: 1, location: 'Store' });
+    const changes = backend.doGet({ action: 'sync', id_token: token, since: first.server_time }).data;
+
+    assert.equal(changes.full, false);
+    assert.deepEqual(changes.books.map(book => String(book.Book_code)), ['9789650000042']);
+    assert.equal(changes.book_count, 5);
+  });
+
+  it('keeps the Books sheet in step with the ledger', () => {
+    const backend = createBackend();
+
+    post(backend, 'manager@example.com', { book_code: '9789650000035', qty: -3, location: 'Warehouse' });
+    post(backend, 'manager@example.com', {
+      action: 'transfer', book_code: '9789650000011', qty: 2, from_location: 'Store', to_location: 'Warehouse'
+    });
+    post(backend, 'manager@example.com', { book_code: '00123', qty: -1, location: 'Warehouse' });
+    const { data } = post(backend, 'admin@example.com', { action: 'reconcile', dry_run: true });
+
+    assert.equal(data.success, true);
+    assert.deepEqual(data.mismatches, []);
+    assert.deepEqual(data.unmatched, []);
+  });
+});
+
+describe('movement report', () => {
+  const HEADERS = FIXTURE.Transactions[0];
+  const row = (code, qty, location, datetime, user, type = 'transaction') =>
+    [code, qty, location, datetime, user, '', 'r-' + Math.random(), '', type];
+
+  // Local times, like the dates the script parses from/to as
+  const backend = createBackend({
+    Transactions: [
+      HEADERS,
+      row('9789650000011', 10, 'Store', '2026-03-01T23:59:00', 'admin@example.com'),
+      row('9789650000011', -2, 'Store', '2026-03-02T09:00:00', 'clerk@example.com'),
+      row('9650000011', -1, 'Store', '2026-03-02T10:00:00', 'clerk@example.com'),
+      row('9789650000035', -4, 'Warehouse', '2026-03-03T12:00:00', 'manager@example.com'),
+      row('9789650000035', -2, 'Warehouse', '2026-03-03T23:30:00', 'manager@example.com', 'transfer'),
+      row('9789650000035', 2, 'Store', '2026-03-03T23:30:00', 'manager@example.com', 'transfer'),
+      row('9789650000042', 3, 'Store', '2026-03-04T00:30:00', 'admin@example.com')
+    ]
+  });
+  const report = (email, params) => backend.doGet({ action: 'report', id_token: createMockIdToken(email), ...params });
+
+  it('totals in and out for the days chosen, both included', () => {
+    const { status, data } = report('manager@example.com', { from: '2026-03-02', to: '2026-03-03' });
+
+    assert.equal(status, 200);
+    assert.equal(data.transactions, 5);
+    assert.deepEqual(plain(data.totals), { in: 2, out: 9, net: -7 });
+  });
+
+  it('groups by location, series and user, most copies out first', () => {
+    const { data } = report('manager@example.com', { from: '2026-03-02', to: '2026-03-03' });
+
+    assert.deepEqual(plain(data.by_location), [
+      { location: 'Warehouse', in: 0, out: 6, net: -6 },
+      { location: 'Store', in: 2, out: 3, net: -1 }
+    ]);
+    assert.deepEqual(plain(data.by_series), [
+      { series: '', in: 2, out: 6, net: -4 },
+      { series: 'Mishnah Berurah', in: 0, out: 3, net: -3 }
+    ]);
+    assert.deepEqual(plain(data.by_user).map(group => [group.user, group.out]), [
+      ['manager@example.com', 6],
+      ['clerk@example.com', 3]
+    ]);
+  });
+
+  it('counts rows logged under the other ISBN form as the same title', () => {
+    const { data } = report('manager@example.com', { from: '2026-03-02', to: '2026-03-02', top: '1' });
+
+    assert.deepEqual(plain(data.top_titles), [{
+      Book_code: '9789650000011',
+      Book_name: 'Mishnah Berurah 1',
+      Book_series: 'Mishnah Berurah',
+      in: 0,
+      out: 3,
+      net: -3
+    }]);
+  });
+
+  it('is for managers, with a valid date range', () => {
+    assert.equal(report('clerk@example.com', { from: '2026-03-02', to: '2026-03-03' }).status, 403);
+    assert.equal(report('manager@example.com', { from: '2026-03-02' }).status, 400);
+    assert.equal(report('manager@example.com', { from: '2026-02-30', to: '2026-03-03' }).status, 400);
+    assert.equal(report('manager@example.com', { from: '2026-03-03', to: '2026-03-02' }).status, 400);
+  });
+});
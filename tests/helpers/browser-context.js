@@ -0,0 +1,405 @@
+/**
+ * Headless browser context for loading the app's scripts under node:test
+ * The fake DOM is only as deep as app.js needs: getElementById creates an
+ * element on first use, and elements just remember what the app sets on them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createMockBackend } = require('../../dev/mock-server');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+// In index.html order, less the camera library (see createFakeHtml5Qrcode)
+const APP_SCRIPTS = [
+  'js/i18n.js',
+  'js/offline-queue.js',
+  'js/sheets-api.js',
+  'js/barcode-utils.js',
+  'js/scanner.js',
+  'js/book-search.js',
+  'js/book-cache.js',
+  'js/stocktake.js',
+  'js/reports.js',
+  'js/labels.js',
+  'js/keyboard-wedge.js',
+  'js/app.js'
+];
+
+class FakeClassList {
+  constructor() {
+    this.names = new Set();
+  }
+
+  add(...names) {
+    names.forEach(name => this.names.add(name));
+  }
+
+  remove(...names) {
+    names.forEach(name => this.names.delete(name));
+  }
+
+  contains(name) {
+    return this.names.has(name);
+  }
+
+  toggle(name, force) {
+    const on = force === undefined ? !this.names.has(name) : Boolean(force);
+    if (on) {
+      this.names.add(name);
+    } else {
+      this.names.delete(name);
+    }
+    return on;
+  }
+}
+
+class FakeElement {
+  constructor(id = '', tagName = 'div') {
+    this.id = id;
+    this.tagName = tagName.toUpperCase();
+    this.style = {};
+    this.dataset = {};
+    this.attributes = {};
+    this.children = [];
+    this.listeners = {};
+    this.classList = new FakeClassList();
+    this.className = '';
+    this.textContent = '';
+    this.innerHTML = '';
+    this.value = '';
+    this.title = '';
+    this.placeholder = '';
+    this.disabled = false;
+    this.checked = false;
+    this.required = false;
+    this.open = false;
+    this.focused = false;
+    this.parent = null;
+  }
+
+  get parentElement() {
+    if (!this.parent) {
+      this.parent = new FakeElement();
+    }
+    return this.parent;
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  /**
+   * Call the element's listeners for an event (test helper)
+   * @param {string} type - Event type
+   * @param {object} event - Extra event fields
+   */
+  dispatch(type, event = {}) {
+    for (const listener of this.listeners[type] || []) {
+      listener({ type: type, target: this, preventDefault() {}, ...event });
+    }
+  }
+
+  appendChild(child) {
+    child.parent = this;
+    this.children.push(child);
+    return child;
+  }
+
+  insertAdjacentHTML(position, html) {
+    this.innerHTML += html;
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  getAttribute(name) {
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+
+  removeAttribute(name) {
+    delete this.attributes[name];
+  }
+
+  querySelector() {
+    return null;
+  }
+
+  querySelectorAll() {
+    return [];
+  }
+
+  closest() {
+    return null;
+  }
+
+  focus() {
+    this.focused = true;
+  }
+
+  click() {
+    this.dispatch('click');
+  }
+
+  reset() {}
+
+  scrollIntoView() {}
+}
+
+class FakeDocument {
+  constructor() {
+    this.elements = {};
+    this.listeners = {};
+    this.visibilityState = 'visible';
+    this.documentElement = new FakeElement('', 'html');
+  }
+
+  // Nothing in the fake DOM is marked with data-i18n
+  querySelectorAll() {
+    return [];
+  }
+
+  getElementById(id) {
+    if (!this.elements[id]) {
+      this.elements[id] = new FakeElement(id);
+    }
+    return this.elements[id];
+  }
+
+  createElement(tagName) {
+    return new FakeElement('', tagName);
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener);
+  }
+}
+
+class FakeStorage {
+  constructor(items = {}) {
+    this.items = new Map(Object.entries(items));
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
+
+/**
+ * Create a context that looks enough like a browser window to load the scripts
+ * Timers are unref'd so a pending status auto-hide never keeps the test alive.
+ * @param {object} options - { fetch, localStorage: { key: value }, search: '?api=...',
+ *   hostname, online, confirm, prompt }
+ * @returns {object} vm context (also its own window)
+ */
+function createBrowserContext(options = {}) {
+  const unref = timer => {
+    if (timer && timer.unref) timer.unref();
+    return timer;
+  };
+
+  const context = {
+    console: options.console || { log() {}, warn() {}, error() {}, info() {} },
+    setTimeout: (fn, ms, ...args) => unref(setTimeout(fn, ms, ...args)),
+    clearTimeout: clearTimeout,
+    setInterval: (fn, ms, ...args) => unref(setInterval(fn, ms, ...args)),
+    clearInterval: clearInterval,
+    URL: URL,
+    URLSearchParams: URLSearchParams,
+    TextEncoder: TextEncoder,
+    TextDecoder: TextDecoder,
+    AbortController: AbortController,
+    atob: atob,
+    btoa: btoa,
+    crypto: globalThis.crypto,
+    fetch: options.fetch || (() => Promise.reject(new TypeError('Failed to fetch'))),
+    document: new FakeDocument(),
+    localStorage: new FakeStorage(options.localStorage),
+    navigator: { onLine: options.online !== false },
+    location: {
+      search: options.search || '',
+      origin: `http://${options.hostname || 'localhost'}:8000`,
+      hostname: options.hostname || 'localhost',
+      href: `http://${options.hostname || 'localhost'}:8000/${options.search || ''}`,
+      reload() {}
+    },
+    confirm: options.confirm || (() => true),
+    prompt: options.prompt || (() => null),
+    alert: () => {},
+    addEventListener: () => {}
+  };
+
+  context.window = context;
+  context.self = context;
+  return vm.createContext(context);
+}
+
+/**
+ * Run scripts from the repository in a context, in order
+ * @param {object} context - From createBrowserContext
+ * @param {Array} files - Paths relative to the repository root
+ * @returns {object} The context
+ */
+function loadScripts(context, files) {
+  for (const file of files) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT_DIR, file), 'utf8'), context, { filename: file });
+  }
+  return context;
+}
+
+/**
+ * Load the page's scripts (as index.html does, minus the camera scanner)
+ * with an in-memory offline queue
+ * @param {object} options - As for createBrowserContext
+ * @returns {object} Context; context.offlineQueue is from createMemoryQueue
+ */
+function loadApp(options = {}) {
+  const context = loadScripts(createBrowserContext(options), APP_SCRIPTS);
+  context.offlineQueue = createMemoryQueue();
+  return context;
+}
+
+/**
+ * A fetch that sends requests to a mock backend in the same process
+ * @param {object} backend - From createMockBackend (a fresh one if omitted)
+ * @returns {Function} fetch(url, init) with .backend and .requests for inspection
+ */
+function createMockFetch(backend = createMockBackend()) {
+  const mockFetch = async (url, init = {}) => {
+    const parsed = new URL(url);
+    const params = Object.fromEntries(parsed.searchParams);
+    const body = init.body === undefined ? null : JSON.parse(init.body);
+    mockFetch.requests.push({ method: init.method || 'GET', params: params, body: body });
+
+    const result = (init.method || 'GET') === 'POST' ? backend.doPost(body, params) : backend.doGet(params);
+    return { ok: true, status: 200, json: async () => result.data };
+  };
+
+  mockFetch.backend = backend;
+  mockFetch.requests = [];
+  return mockFetch;
+}
+
+/**
+ * Stand-in for the html5-qrcode library's Html5Qrcode class
+ * Tests drive it through the instance's decode(text, format) helper.
+ * @param {object} options - { cameras: [{ id, label }], capabilities, settings }
+ * @returns {Function} Class to put on the context as Html5Qrcode (.instances lists those made)
+ */
+function createFakeHtml5Qrcode(options = {}) {
+  class FakeHtml5Qrcode {
+    constructor(elementId) {
+      this.elementId = elementId;
+      this.started = null;
+      this.constraints = [];
+      FakeHtml5Qrcode.instances.push(this);
+    }
+
+    static async getCameras() {
+      return options.cameras || [{ id: 'front', label: 'Front Camera' }, { id: 'back', label: 'Back Camera' }];
+    }
+
+    async start(camera, config, onSuccess, onError) {
+      this.started = { camera: camera, config: config, onSuccess: onSuccess, onError: onError };
+    }
+
+    async stop() {
+      this.started = null;
+    }
+
+    decode(text, format = 'EAN_13') {
+      this.started.onSuccess(text, { result: { format: { formatName: format } } });
+    }
+
+    getRunningTrackCapabilities() {
+      return options.capabilities || {};
+    }
+
+    getRunningTrackSettings() {
+      return options.settings || {};
+    }
+
+    async applyVideoConstraints(constraints) {
+      this.constraints.push(constraints);
+    }
+  }
+
+  FakeHtml5Qrcode.instances = [];
+  return FakeHtml5Qrcode;
+}
+
+/**
+ * In-memory stand-in for window.offlineQueue (there is no IndexedDB in Node)
+ * @returns {object} Same methods as OfflineQueue that the app and SheetsAPI use,
+ *   with .entries for inspection
+ */
+function createMemoryQueue() {
+  let nextId = 1;
+  const queue = {
+    entries: [],
+    auth: { token: null, email: null },
+    async add(url, payload, userEmail) {
+      const entry = { id: nextId++, url: url, payload: payload, user_email: userEmail, status: 'pending', attempts: 0 };
+      queue.entries.push(entry);
+      return entry;
+    },
+    async get(id) {
+      return queue.entries.find(entry => entry.id === id);
+    },
+    async getAll() {
+      return queue.entries.slice();
+    },
+    async count() {
+      return queue.entries.length;
+    },
+    async remove(id) {
+      queue.entries = queue.entries.filter(entry => entry.id !== id);
+    },
+    async setAuthToken(token, email) {
+      queue.auth = { token: token, email: email };
+    },
+    async getAuthToken() {
+      return queue.auth;
+    }
+  };
+  return queue;
+}
+
+/**
+ * Copy a value from another realm into this one, so deepStrictEqual
+ * compares contents rather than prototypes
+ * @param {*} value
+ * @returns {*}
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  FakeElement,
+  createBrowserContext,
+  loadScripts,
+  loadApp,
+  createFakeHtml5Qrcode,
+  createMockFetch,
+  createMemoryQueue,
+  plain
+};
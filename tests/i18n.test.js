@@ -0,0 +1,156 @@
+/**
+ * i18n.js: message lookup, error translation, the language choice and
+ * the page direction
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { createBrowserContext, loadScripts, loadApp, plain } = require('./helpers/browser-context');
+
+/**
+ * i18n.js loaded in a fresh context
+ * @param {object} options - As for createBrowserContext, plus language (navigator.language)
+ * @returns {object} Context (i18n and I18n are on it)
+ */
+function loadI18n(options = {}) {
+  const context = createBrowserContext(options);
+  context.navigator.language = options.language;
+  return loadScripts(context, ['js/i18n.js']);
+}
+
+function savedLanguage(context) {
+  return plain(JSON.parse(context.localStorage.getItem('lahak.language')));
+}
+
+describe('I18n.t', () => {
+  const { i18n } = loadI18n({ language: 'en-US' });
+
+  it('fills in placeholders', () => {
+    i18n.language = 'en';
+    assert.equal(i18n.t('book.notFound', { code: '0000' }), 'Book code "0000" not found in inventory');
+    assert.equal(i18n.t('sync.updated', { count: 0 }), '0 book(s) updated');
+  });
+
+  it('leaves a placeholder with no value as it is', () => {
+    assert.equal(i18n.t('book.notFound'), 'Book code "{code}" not found in inventory');
+  });
+
+  it('translates, falling back to English and then to the key', () => {
+    i18n.language = 'he';
+    assert.equal(i18n.t('book.found'), 'הספר נמצא!');
+    assert.equal(i18n.t('no.such.key'), 'no.such.key');
+    assert.equal(i18n.has('no.such.key'), false);
+  });
+
+  it('has a Hebrew message for every English one', () => {
+    const MESSAGES = vm.runInContext('MESSAGES', loadI18n());
+    const missing = Object.keys(MESSAGES.en).filter(key => !(key in MESSAGES.he));
+    assert.deepEqual(missing, []);
+  });
+});
+
+describe('I18n.translateError', () => {
+  const { i18n } = loadI18n();
+
+  it('translates a known code with its values', () => {
+    i18n.language = 'he';
+    const data = { error: 'Not enough stock ...', code: 'line_not_enough_stock', params: { qty: 2, location: 'Store' } };
+    assert.equal(i18n.translateError(data), 'אין מספיק מלאי (2 ב-Store)');
+  });
+
+  it('keeps the server text for an unknown or missing code', () => {
+    i18n.language = 'he';
+    assert.equal(i18n.translateError({ error: 'Something new', code: 'something_new' }), 'Something new');
+    assert.equal(i18n.translateError({ error: 'Old server' }), 'Old server');
+    assert.equal(i18n.translateError({ error: 'Old server' }, 'Fallback'), 'Fallback');
+  });
+});
+
+describe('I18n language choice', () => {
+  it('starts in the browser language, or English if there is no translation', () => {
+    assert.equal(loadI18n({ language: 'he-IL' }).i18n.language, 'he');
+    assert.equal(loadI18n({ language: 'iw' }).i18n.language, 'he');
+    assert.equal(loadI18n({ language: 'fr-FR' }).i18n.language, 'en');
+  });
+
+  it('starts in the language last used on the device', () => {
+    const context = loadI18n({ language: 'en-US', localStorage: { 'lahak.language': '{"last":"he","users":{}}' } });
+    assert.equal(context.i18n.language, 'he');
+  });
+
+  it('prefers the user\'s own choice, then the Users sheet, then the current language', () => {
+    const context = loadI18n({
+      language: 'en-US',
+      localStorage: { 'lahak.language': '{"last":"en","users":{"chosen@example.com":"en"}}' }
+    });
+    const i18n = context.i18n;
+
+    assert.equal(i18n.chooseLanguage('Chosen@example.com', 'he'), 'en');
+    assert.equal(i18n.chooseLanguage('clerk@example.com', 'HE'), 'he');
+    assert.equal(i18n.chooseLanguage('admin@example.com', ''), 'he');
+    assert.equal(i18n.chooseLanguage('admin@example.com', 'xx'), 'he');
+    assert.equal(savedLanguage(context).last, 'he');
+  });
+
+  it('remembers a switch for the device and the signed-in user', () => {
+    const context = loadI18n({ language: 'en-US' });
+
+    assert.equal(context.i18n.setLanguage('he', 'Clerk@example.com'), true);
+    assert.deepEqual(savedLanguage(context), { last: 'he', users: { 'clerk@example.com': 'he' } });
+
+    assert.equal(context.i18n.setLanguage('xx'), false);
+    assert.equal(context.i18n.language, 'he');
+  });
+});
+
+describe('I18n.applyToDocument', () => {
+  it('sets the direction and translates marked elements', () => {
+    const { i18n } = loadI18n({ language: 'he' });
+    const heading = { dataset: { i18n: 'book.heading' }, textContent: 'Book Details' };
+    const input = { dataset: { i18nPlaceholder: 'code.placeholder' }, placeholder: '' };
+    const select = { dataset: { i18nAriaLabel: 'header.language' }, setAttribute(name, value) { this[name] = value; } };
+    const root = {
+      documentElement: {},
+      querySelectorAll: (selector) => ({
+        '[data-i18n]': [heading],
+        '[data-i18n-placeholder]': [input],
+        '[data-i18n-aria-label]': [select]
+      }[selector] || [])
+    };
+
+    i18n.applyToDocument(root);
+
+    assert.equal(i18n.isRtl(), true);
+    assert.deepEqual(root.documentElement, { lang: 'he', dir: 'rtl' });
+    assert.equal(heading.textContent, 'פרטי הספר');
+    assert.equal(input.placeholder, 'הקלדת קוד ספר ידנית');
+    assert.equal(select['aria-label'], 'שפה');
+
+    i18n.setLanguage('en');
+    i18n.applyToDocument(root);
+    assert.deepEqual(root.documentElement, { lang: 'en', dir: 'ltr' });
+    assert.equal(heading.textContent, 'Book Details');
+  });
+});
+
+describe('app messages', () => {
+  it('are shown in the chosen language', () => {
+    const context = loadApp({ localStorage: { 'lahak.language': '{"last":"he","users":{}}' } });
+    context.appState.isAuthenticated = true;
+    context.appState.user = { email: 'clerk@example.com', role: 'clerk', allowed_locations: [] };
+
+    context.lookupBook('0000');
+
+    assert.equal(context.document.getElementById('status-message').textContent, 'קוד הספר "0000" לא נמצא במלאי');
+  });
+
+  it('translate server errors by their code', () => {
+    const context = loadApp({ localStorage: { 'lahak.language': '{"last":"he","users":{}}' } });
+
+    const error = context.sheetsAPI.createError('Book not found', { error: 'Book not found', code: 'book_not_found' });
+
+    assert.equal(error.message, 'הספר לא נמצא');
+    assert.equal(error.code, 'book_not_found');
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * keyboard-wedge.js: telling a handheld scanner's typing from a person's
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowserContext, loadScripts } = require('./helpers/browser-context');
+
+/**
+ * Send keydowns to the document as a scanner (or a person) would
+ * @param {object} context - Browser context
+ * @param {string} text - Characters, then Enter
+ * @param {object} options - { gap: ms between keys, target: focused element, ctrlKey }
+ * @returns {object[]} The events sent
+ */
+function type(context, text, options = {}) {
+  const gap = options.gap === undefined ? 10 : options.gap;
+  const keys = [...text, 'Enter'];
+  const events = [];
+
+  for (const key of keys) {
+    context.clock += gap;
+    const event = {
+      key: key,
+      timeStamp: context.clock,
+      ctrlKey: Boolean(options.ctrlKey),
+      target: options.target || null,
+      defaultPrevented: false,
+      preventDefault() {
+        this.defaultPrevented = true;
+      },
+      stopPropagation() {}
+    };
+    if (options.target && key !== 'Enter') {
+      options.target.value += key;
+    }
+    for (const listener of context.document.listeners.keydown || []) {
+      listener(event);
+    }
+    events.push(event);
+  }
+  return events;
+}
+
+describe('KeyboardWedge', () => {
+  let context;
+  let scans;
+
+  beforeEach(() => {
+    context = createBrowserContext();
+    loadScripts(context, ['js/keyboard-wedge.js']);
+    context.clock = 1000;
+    scans = [];
+    context.wedge = new context.KeyboardWedge();
+    context.wedge.attach(code => scans.push(code));
+  });
+
+  it('reports a fast burst ending in Enter and swallows the Enter', () => {
+    const events = type(context, '9789650000011');
+
+    assert.deepEqual(scans, ['9789650000011']);
+    assert.equal(events[events.length - 1].defaultPrevented, true);
+  });
+
+  it('leaves typing at human speed alone', () => {
+    const events = type(context, '9789650000011', { gap: 150 });
+
+    assert.deepEqual(scans, []);
+    assert.equal(events[events.length - 1].defaultPrevented, false);
+  });
+
+  it('ignores short bursts such as a quantity', () => {
+    type(context, '-1');
+
+    assert.deepEqual(scans, []);
+  });
+
+  it('takes the code back out of the field that had focus', () => {
+    const input = context.document.getElementById('qty-input');
+    input.value = '2';
+
+    type(context, '9789650000011', { target: input });
+
+    assert.equal(input.value, '2');
+    assert.deepEqual(scans, ['9789650000011']);
+  });
+
+  it('starts a new code after a pause', () => {
+    type(context, '12', { gap: 10 });
+    context.clock += 500;
+    type(context, 'LOC-STORE');
+
+    assert.deepEqual(scans, ['LOC-STORE']);
+  });
+
+  it('ignores keyboard shortcuts', () => {
+    type(context, '9789650000011', { ctrlKey: true });
+
+    assert.deepEqual(scans, []);
+  });
+
+  it('stops listening when detached', () => {
+    context.wedge.detach();
+
+    type(context, '9789650000011');
+
+    assert.deepEqual(scans, []);
+  });
+});
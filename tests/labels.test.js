@@ -0,0 +1,263 @@
+/**
+ * labels.js: barcode encoding, label sheet layouts, and the printable HTML
+ * and PDF output
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { createBrowserContext, loadScripts, plain } = require('./helpers/browser-context');
+
+const context = loadScripts(createBrowserContext(), ['js/barcode-utils.js', 'js/labels.js']);
+const { LabelSheet } = context;
+
+/**
+ * Canvas context that records what is drawn
+ * Text is 0.5 of the font size wide per character.
+ */
+function createRecordingContext() {
+  return {
+    rects: [],
+    texts: [],
+    fillRect(x, y, width, height) {
+      this.rects.push([x, y, width, height]);
+    },
+    fillText(text, x, y) {
+      this.texts.push({ text: text, x: x, y: y, direction: this.direction, font: this.font });
+    },
+    measureText(text) {
+      return { width: text.length * parseFloat(this.font.replace('bold ', '')) * 0.5 };
+    }
+  };
+}
+
+function bookLabel(overrides = {}) {
+  return LabelSheet.bookLabel({
+    Book_code: '978-0-306-40615-7',
+    Book_name: 'Mishnah Berurah',
+    Book_series: 'Mishnah Berurah',
+    Volume: 3,
+    ...overrides
+  });
+}
+
+describe('LabelSheet.encodeCode128', () => {
+  it('has a pattern of 11 modules for every symbol and 13 for the stop', () => {
+    const patterns = vm.runInContext('CODE128_PATTERNS', context);
+    const width = (pattern) => pattern.split('').reduce((sum, n) => sum + Number(n), 0);
+
+    assert.equal(patterns.length, 107);
+    assert.equal(new Set(patterns).size, 107);
+    assert.deepEqual(plain(patterns.slice(0, 106).filter(pattern => width(pattern) !== 11)), []);
+    assert.equal(width(patterns[106]), 13);
+  });
+
+  it('packs digits in pairs (code set C), finishing an odd one in code set B', () => {
+    // 105 + 0x1 + 12x2 + 100x3 + 19x4 = 505, and 505 mod 103 = 93
+    assert.deepEqual(plain(LabelSheet.getCode128Values('00123')), [105, 0, 12, 100, 19, 93]);
+  });
+
+  it('uses code set B for text', () => {
+    // 104 + 51 + 52x2 + 47x3 + 50x4 + 37x5 = 785, and 785 mod 103 = 64
+    assert.deepEqual(plain(LabelSheet.getCode128Values('STORE')), [104, 51, 52, 47, 50, 37, 64]);
+  });
+
+  it('turns the symbols into bars, start to stop', () => {
+    const modules = LabelSheet.encodeCode128('00123');
+
+    assert.equal(modules.length, 6 * 11 + 13);
+    assert.ok(modules.startsWith('11010011100'));
+    assert.ok(modules.endsWith('1100011101011'));
+  });
+
+  it('refuses characters a barcode can\'t hold', () => {
+    assert.equal(LabelSheet.encodeCode128('מחסן'), null);
+    assert.equal(LabelSheet.encodeCode128('A\tB'), null);
+  });
+});
+
+describe('LabelSheet.encodeEan13', () => {
+  it('has guard bars and the first digit in the parity of the left half', () => {
+    const modules = LabelSheet.encodeEan13('4006381333931');
+
+    assert.equal(modules.length, 95);
+    assert.equal(modules.slice(0, 3), '101');
+    assert.equal(modules.slice(45, 50), '01010');
+    assert.equal(modules.slice(92), '101');
+
+    // An odd number of bars is an L digit, an even number a G digit
+    const parity = [0, 1, 2, 3, 4, 5].map(i => {
+      const bars = modules.slice(3 + i * 7, 10 + i * 7).split('').filter(m => m === '1').length;
+      return bars % 2 === 1 ? 'L' : 'G';
+    }).join('');
+    assert.equal(parity, 'LGLLGG');
+  });
+});
+
+describe('LabelSheet.getBarcode', () => {
+  it('prints an ISBN as EAN-13, an ISBN-10 as its ISBN-13', () => {
+    assert.equal(LabelSheet.getBarcode('978-0-306-40615-7').format, 'EAN_13');
+    assert.equal(LabelSheet.getBarcode('0-306-40615-2').text, '9780306406157');
+  });
+
+  it('prints any other code as Code 128', () => {
+    assert.equal(LabelSheet.getBarcode('00123').format, 'CODE_128');
+    assert.equal(LabelSheet.getBarcode('9780306406158').format, 'CODE_128');
+    assert.equal(LabelSheet.getBarcode('wh').text, 'WH');
+    assert.equal(LabelSheet.getBarcode('מחסן'), null);
+  });
+});
+
+describe('LabelSheet layouts', () => {
+  it('has presets that are centred on their page', () => {
+    for (const layout of LabelSheet.getLayouts()) {
+      const width = 2 * layout.marginLeft + layout.columns * layout.labelWidth + (layout.columns - 1) * layout.gapX;
+      const height = 2 * layout.marginTop + layout.rows * layout.labelHeight + (layout.rows - 1) * layout.gapY;
+      assert.ok(Math.abs(width - layout.pageWidth) < 0.01, `${layout.key} width`);
+      assert.ok(Math.abs(height - layout.pageHeight) < 0.01, `${layout.key} height`);
+    }
+    assert.equal(LabelSheet.getLayout('a4-3x8').name, 'A4 3 × 8 (70 × 37 mm)');
+    assert.equal(LabelSheet.getLayout('a5-1x1'), null);
+  });
+
+  it('shares a custom sheet out between its labels', () => {
+    const layout = LabelSheet.customLayout({ page: 'a4', columns: '2', rows: '5', marginTop: '10', marginSide: '5', gapX: '2', gapY: '' });
+
+    assert.equal(layout.labelWidth, 99);
+    assert.equal(layout.labelHeight, 55.4);
+    assert.equal(layout.name, 'A4 2 × 5 (99 × 55.4 mm)');
+  });
+
+  it('refuses a custom sheet with labels too small to scan', () => {
+    assert.equal(LabelSheet.customLayout({ page: 'a4', columns: 10, rows: 8 }), null);
+    assert.equal(LabelSheet.customLayout({ page: 'a4', columns: 3, rows: 8, marginTop: -1 }), null);
+    assert.equal(LabelSheet.customLayout({ page: 'a4', columns: '', rows: 8 }), null);
+  });
+});
+
+describe('LabelSheet.getPages', () => {
+  const layout = LabelSheet.getLayout('a4-3x8');
+  const labels = Array.from({ length: 30 }, (_, i) => bookLabel({ Book_code: String(i) }));
+
+  it('fills each sheet row by row, after any labels already used', () => {
+    const pages = new LabelSheet(layout, labels, 2).getPages();
+
+    assert.deepEqual(plain(pages.map(page => page.length)), [22, 8]);
+    assert.deepEqual(plain({ x: pages[0][0].x, y: pages[0][0].y }), { x: 140, y: 0.5 });
+    assert.deepEqual(plain({ x: pages[0][1].x, y: pages[0][1].y }), { x: 0, y: 37.5 });
+    assert.deepEqual(plain({ x: pages[1][0].x, y: pages[1][0].y }), { x: 0, y: 0.5 });
+  });
+
+  it('skips no more than a sheet less one label', () => {
+    assert.equal(new LabelSheet(layout, labels, 99).skip, 23);
+    assert.equal(new LabelSheet(layout, labels, -1).skip, 0);
+  });
+});
+
+describe('LabelSheet.layoutLabel', () => {
+  it('keeps everything inside the label, the barcode with its quiet zones', () => {
+    for (const layout of LabelSheet.getLayouts()) {
+      const sheet = new LabelSheet(layout, []);
+      for (const label of [bookLabel(), bookLabel({ Book_code: 'OLD-SHELF-0042' }), LabelSheet.locationLabel({ code: 'WH', name: 'Warehouse' })]) {
+        const items = sheet.layoutLabel(label);
+        const bars = items.find(item => item.type === 'bars');
+
+        assert.ok(bars, `${layout.key} has a barcode`);
+        assert.ok(bars.module <= 0.5);
+        assert.ok(bars.module * (bars.modules.length + 20) <= layout.labelWidth + 1e-9, `${layout.key} quiet zones`);
+        for (const item of items) {
+          assert.ok(item.x >= 0 && item.x + item.width <= layout.labelWidth + 1e-9, `${layout.key} ${item.type} x`);
+          assert.ok(item.y >= 0 && item.y <= layout.labelHeight, `${layout.key} ${item.type} y`);
+        }
+      }
+    }
+  });
+
+  it('puts the series and volume under the title and the code under the barcode', () => {
+    const items = new LabelSheet(LabelSheet.getLayout('a4-3x8'), []).layoutLabel(bookLabel());
+
+    assert.deepEqual(plain(items.map(item => item.type === 'text' ? item.text : item.type)), [
+      'Mishnah Berurah', 'Mishnah Berurah · Vol. 3', 'bars', '978-0-306-40615-7'
+    ]);
+  });
+
+  it('prints the code as text when it can\'t be a barcode', () => {
+    const label = bookLabel({ Book_code: 'ספר-1' });
+    const items = new LabelSheet(LabelSheet.getLayout('a4-3x8'), []).layoutLabel(label);
+
+    assert.equal(label.barcode, null);
+    assert.equal(items.some(item => item.type === 'bars'), false);
+    assert.equal(items[items.length - 1].text, 'ספר-1');
+  });
+});
+
+describe('LabelSheet.toHtml', () => {
+  it('has a page per sheet, sized in mm, with escaped text', () => {
+    const labels = [bookLabel({ Book_name: 'Tehillim <large>' }), LabelSheet.locationLabel({ code: 'WH', name: 'מחסן' })];
+    const html = new LabelSheet(LabelSheet.getLayout('a4-3x8'), labels, 23).toHtml();
+
+    assert.equal(html.match(/class="label-page"/g).length, 2);
+    assert.match(html, /width:210mm;height:297mm/);
+    assert.match(html, /Tehillim &lt;large&gt;/);
+    assert.match(html, /<div class="label label-location" style="left:0mm;top:0.5mm;width:70mm;height:37mm">/);
+    assert.match(html, /dir="auto"[^>]*>מחסן</);
+    assert.equal(html.match(/<svg /g).length, 2);
+  });
+});
+
+describe('LabelSheet.drawPage', () => {
+  const sheet = new LabelSheet(LabelSheet.getLayout('a4-3x8'), [
+    bookLabel({ Book_name: 'A title much too long to fit on one line of a small label' }),
+    LabelSheet.locationLabel({ code: 'STORE', name: 'חנות' })
+  ]);
+  const ctx = createRecordingContext();
+  sheet.drawPage(ctx, sheet.getPages()[0], 300 / 25.4);
+
+  it('draws every bar on whole pixels, all the same width per module', () => {
+    const bars = ctx.rects.slice(1);
+
+    assert.deepEqual(ctx.rects[0], [0, 0, 2480, 3508]);
+    assert.ok(bars.length > 0);
+    assert.ok(bars.every(rect => rect.every(Number.isInteger)));
+  });
+
+  it('shortens text that doesn\'t fit and sets Hebrew right to left', () => {
+    const title = ctx.texts[0];
+    assert.ok(title.text.endsWith('…'));
+    assert.ok(title.text.length < 50);
+
+    const location = ctx.texts.find(text => text.text === 'חנות');
+    assert.equal(location.direction, 'rtl');
+    assert.equal(ctx.texts.find(text => text.text === 'STORE').direction, 'ltr');
+  });
+});
+
+describe('LabelSheet.buildPdf', () => {
+  const jpeg = Uint8Array.from([0xFF, 0xD8, 0x00, 0x80, 0xFF, 0xD9]);
+  const pdf = LabelSheet.buildPdf([
+    { data: jpeg, width: 2480, height: 3508 },
+    { data: jpeg, width: 2480, height: 3508 }
+  ], 210, 297);
+  const text = Buffer.from(pdf).toString('latin1');
+
+  it('has a page per image at the paper size', () => {
+    assert.ok(text.startsWith('%PDF-1.4\n'));
+    assert.match(text, /\/Type \/Pages \/Kids \[3 0 R 6 0 R\] \/Count 2/);
+    assert.equal(text.match(/\/MediaBox \[0 0 595\.28 841\.89\]/g).length, 2);
+    assert.equal(text.match(/\/Filter \/DCTDecode \/Length 6 >>\nstream\n\xFF\xD8\x00\x80\xFF\xD9\nendstream/g).length, 2);
+    assert.ok(text.endsWith('%%EOF\n'));
+  });
+
+  it('has a cross-reference table pointing at each object', () => {
+    const xref = Number(text.match(/startxref\n(\d+)\n/)[1]);
+    assert.equal(text.slice(xref, xref + 4), 'xref');
+
+    const entries = text.slice(xref).match(/^\d{10} 00000 n $/gm);
+    assert.equal(entries.length, 8);
+    entries.forEach((entry, i) => {
+      const offset = Number(entry.slice(0, 10));
+      assert.equal(text.slice(offset, offset + `${i + 1} 0 obj`.length), `${i + 1} 0 obj`);
+    });
+    assert.match(text, /trailer\n<< \/Size 9 \/Root 1 0 R >>/);
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * dev/mock-server.js: the HTTP side (Code.gs itself is covered by
+ * code-gs.test.js)
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer } = require('../dev/mock-server');
+
+describe('startMockServer', () => {
+  let server;
+  let base;
+
+  before(async () => {
+    server = await startMockServer({ port: 0 });
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('listens on the loopback interface only', () => {
+    assert.equal(server.address().address, '127.0.0.1');
+  });
+
+  it('answers a path that is not valid UTF-8 with 400 and keeps running', async () => {
+    const bad = await fetch(`${base}/%E0`);
+    assert.equal(bad.status, 400);
+
+    const page = await fetch(`${base}/index.html`);
+    assert.equal(page.status, 200);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * offline-queue.js: replaying queued entries in order, and what a replay
+ * does with each kind of reply
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowserContext, loadScripts, plain } = require('./helpers/browser-context');
+
+const SCRIPT_URL = 'https://script.example.com/exec';
+
+/**
+ * An OfflineQueue kept in memory (there is no IndexedDB in Node), with a
+ * fetch that answers every request with reply()
+ * @param {Function} reply - Returns the Response, or throws to be offline
+ * @param {number} count - Entries to queue
+ * @returns {object} { queue, entries, requests }
+ */
+function createQueue(reply, count = 2) {
+  const requests = [];
+  const context = loadScripts(createBrowserContext({
+    fetch: async (url, init) => {
+      requests.push(JSON.parse(init.body));
+      return reply();
+    }
+  }), ['js/offline-queue.js']);
+
+  const entries = new Map();
+  for (let id = 1; id <= count; id++) {
+    entries.set(id, {
+      id: id,
+      url: SCRIPT_URL,
+      payload: { book_code: 'X', qty: id, location: 'Store', transaction_id: 'tx-' + id },
+      user_email: 'clerk@example.com',
+      status: 'pending',
+      attempts: 0,
+      last_error: null
+    });
+  }
+
+  const queue = new context.OfflineQueue();
+  Object.assign(queue, {
+    getAll: async () => [...entries.values()],
+    update: async (entry) => entries.set(entry.id, entry),
+    remove: async (id) => entries.delete(id),
+    count: async () => entries.size,
+    getAuthToken: async () => ({ token: 'id-token', email: 'clerk@example.com' })
+  });
+
+  return { queue, entries, requests };
+}
+
+const htmlPage = () => new Response('<html><body>Service error</body></html>', {
+  status: 200,
+  headers: { 'Content-Type': 'text/html' }
+});
+
+describe('OfflineQueue.flush', () => {
+  it('sends entries in order and removes them', async () => {
+    const { queue, entries, requests } = createQueue(() => Response.json({ success: true }));
+
+    const summary = await queue.flushEntries();
+
+    assert.equal(summary.sent.length, 2);
+    assert.deepEqual(plain(requests.map(body => body.transaction_id)), ['tx-1', 'tx-2']);
+    assert.equal(requests[0].id_token, 'id-token');
+    assert.equal(entries.size, 0);
+  });
+
+  it('stops at a network failure and keeps every entry', async () => {
+    const { queue, entries } = createQueue(() => {
+      throw new TypeError('Failed to fetch');
+    });
+
+    const summary = await queue.flushEntries();
+
+    assert.equal(summary.offline, true);
+    assert.equal(summary.remaining, 2);
+    assert.equal(entries.get(1).attempts, 0);
+  });
+
+  it('marks an entry the server rejects as failed and goes on to the next', async () => {
+    let calls = 0;
+    const { queue, entries } = createQueue(() => (calls++ === 0
+      ? Response.json({ error: 'Book not found', code: 'book_not_found', params: {} })
+      : Response.json({ success: true })));
+
+    const summary = await queue.flushEntries();
+
+    assert.equal(summary.failed.length, 1);
+    assert.equal(summary.sent.length, 1);
+    assert.equal(entries.get(1).status, 'failed');
+    assert.equal(entries.get(1).last_error_code, 'book_not_found');
+  });
+
+  it('treats an HTML reply as a server error, not as being offline', async () => {
+    const { queue, entries, requests } = createQueue(htmlPage);
+
+    const summary = await queue.flushEntries();
+
+    assert.equal(summary.offline, false);
+    assert.equal(summary.server_error, true);
+    assert.equal(requests.length, 1, 'later entries wait their turn');
+    assert.equal(entries.get(1).status, 'pending');
+    assert.equal(entries.get(1).attempts, 1);
+    assert.equal(entries.get(1).last_error_code, 'bad_reply');
+    assert.equal(entries.get(1).last_error, 'The server sent an unexpected reply (HTTP 200)');
+  });
+
+  it('gives up on an entry that keeps getting a bad reply, so it doesn\'t hold up the rest', async () => {
+    const { queue, entries } = createQueue(htmlPage);
+
+    await queue.flushEntries();
+    await queue.flushEntries();
+    const summary = await queue.flushEntries();
+
+    assert.equal(entries.get(1).status, 'failed');
+    assert.equal(entries.get(1).attempts, 3);
+    assert.equal(summary.failed.length, 1);
+    // The next entry has had its first try
+    assert.equal(entries.get(2).attempts, 1);
+    assert.equal(entries.get(2).status, 'pending');
+  });
+
+  it('treats an HTTP error status as a server error', async () => {
+    const { queue, entries } = createQueue(() => new Response('Bad gateway', { status: 502 }), 1);
+
+    const summary = await queue.flushEntries();
+
+    assert.equal(summary.server_error, true);
+    assert.deepEqual(plain(entries.get(1).last_error_params), { status: 502 });
+  });
+});
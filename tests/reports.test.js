@@ -0,0 +1,66 @@
+/**
+ * reports.js: date ranges and CSV export of a movement report
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowserContext, loadScripts, plain } = require('./helpers/browser-context');
+
+const { MovementReport } = loadScripts(createBrowserContext(), ['js/reports.js']);
+
+function sampleReport() {
+  return new MovementReport({
+    from: '2026-03-02',
+    to: '2026-03-08',
+    transactions: 3,
+    totals: { in: 2, out: 5, net: -3 },
+    by_location: [{ location: 'Store', in: 2, out: 5, net: -3 }],
+    by_series: [{ series: '', in: 2, out: 5, net: -3 }],
+    by_user: [{ user: 'clerk@example.com', in: 2, out: 5, net: -3 }],
+    top_titles: [
+      { Book_code: '9789650000042', Book_name: 'תהילים, עם פירוש', Book_series: 'תהילים', in: 0, out: 3, net: -3 },
+      { Book_code: '00999', Book_name: '', Book_series: '', in: 2, out: 2, net: 0 }
+    ]
+  });
+}
+
+describe('MovementReport.defaultRange', () => {
+  it('covers the last seven days, today included', () => {
+    assert.deepEqual(plain(MovementReport.defaultRange(new Date(2026, 2, 4))), { from: '2026-02-26', to: '2026-03-04' });
+  });
+});
+
+describe('MovementReport.getSections', () => {
+  it('names empty groups and falls back to the code for unknown titles', () => {
+    const sections = sampleReport().getSections();
+
+    assert.deepEqual(plain(sections.map(section => section.heading)), ['Location', 'Series', 'User', 'Title']);
+    assert.equal(sections[1].rows[0].name, '(none)');
+    assert.equal(sampleReport().getSections('(ללא)')[1].rows[0].name, '(ללא)');
+    assert.equal(sections[3].rows[1].name, '00999');
+  });
+});
+
+describe('MovementReport.toCsv', () => {
+  it('writes the totals and a row per group line', () => {
+    const lines = sampleReport().toCsv().split('\r\n');
+
+    assert.deepEqual(lines.slice(0, 4), [
+      'Section,Name,Book_code,In,Out,Net',
+      'Total,2026-03-02 to 2026-03-08,,2,5,-3',
+      'Location,Store,,2,5,-3',
+      'Series,(none),,2,5,-3'
+    ]);
+    assert.equal(lines[5], 'Title,"תהילים, עם פירוש",9789650000042,0,3,-3');
+    assert.equal(lines[7], '');
+  });
+
+  it('keeps spreadsheet formulas from running', () => {
+    assert.equal(MovementReport.csvCell('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+    assert.equal(MovementReport.csvCell(-3), '-3');
+  });
+
+  it('names the file after the dates', () => {
+    assert.equal(sampleReport().getFilename(), 'movements-2026-03-02-to-2026-03-08.csv');
+  });
+});
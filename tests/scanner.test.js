@@ -0,0 +1,187 @@
+/**
+ * scanner.js: multi-read confirmation, camera choice, torch/zoom and feedback
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowserContext, loadScripts, createFakeHtml5Qrcode, plain } = require('./helpers/browser-context');
+
+/**
+ * Load scanner.js with a fake camera library, recording reads and feedback
+ * @param {object} options - For createFakeHtml5Qrcode, plus localStorage
+ * @returns {object} Context with .reads and .vibrations
+ */
+function loadScanner(options = {}) {
+  const context = createBrowserContext({ localStorage: options.localStorage });
+  context.Html5Qrcode = createFakeHtml5Qrcode(options);
+  context.Html5QrcodeSupportedFormats = { EAN_13: 9, EAN_8: 10, UPC_A: 14, UPC_E: 15, CODE_128: 5, CODE_39: 3 };
+  context.vibrations = [];
+  context.navigator.vibrate = (pattern) => context.vibrations.push(pattern);
+  loadScripts(context, ['js/barcode-utils.js', 'js/scanner.js']);
+
+  context.reads = [];
+  context.scanner = new context.BarcodeScanner();
+  context.scanner.init((text) => {
+    context.reads.push(text);
+    return context.nextResult === undefined ? true : context.nextResult;
+  }, () => {});
+  return context;
+}
+
+const library = (context) => context.Html5Qrcode.instances[0];
+
+describe('BarcodeScanner confirmation', () => {
+  let context;
+
+  beforeEach(async () => {
+    context = loadScanner();
+    await context.scanner.start();
+  });
+
+  it('waits for the same code in consecutive decodes (2 by default)', () => {
+    library(context).decode('9789650000011');
+    assert.deepEqual(context.reads, []);
+
+    library(context).decode('9789650000011');
+    assert.deepEqual(context.reads, ['9789650000011']);
+  });
+
+  it('starts counting again when a different code is decoded', () => {
+    library(context).decode('9789650000011');
+    library(context).decode('9789650000017');
+    library(context).decode('9789650000011');
+    assert.deepEqual(context.reads, []);
+
+    library(context).decode('9789650000011');
+    assert.deepEqual(context.reads, ['9789650000011']);
+  });
+
+  it('uses the saved number of frames', () => {
+    context.scanner.updateSettings({ confirmFrames: '3' });
+
+    library(context).decode('A');
+    library(context).decode('A');
+    assert.deepEqual(context.reads, []);
+    library(context).decode('A');
+    assert.deepEqual(context.reads, ['A']);
+    assert.equal(JSON.parse(context.localStorage.getItem('lahak.scanner')).confirmFrames, 3);
+  });
+
+  it('passes every decode on with a setting of 1', () => {
+    context.scanner.updateSettings({ confirmFrames: 1 });
+
+    library(context).decode('A');
+    library(context).decode('B');
+    assert.deepEqual(context.reads, ['A', 'B']);
+  });
+
+  it('never needs fewer than one frame', () => {
+    context.scanner.updateSettings({ confirmFrames: 0 });
+    assert.equal(context.scanner.settings.confirmFrames, 1);
+  });
+});
+
+describe('BarcodeScanner feedback', () => {
+  it('vibrates briefly for an accepted read, and in a pattern for a refused one', async () => {
+    const context = loadScanner({ localStorage: { 'lahak.scanner': JSON.stringify({ confirmFrames: 1 }) } });
+    await context.scanner.start();
+
+    library(context).decode('A');
+    context.nextResult = false;
+    library(context).decode('B');
+
+    assert.deepEqual(plain(context.vibrations), [80, [60, 60, 60]]);
+  });
+
+  it('gives no feedback when the app ignores a repeat', async () => {
+    const context = loadScanner({ localStorage: { 'lahak.scanner': JSON.stringify({ confirmFrames: 1 }) } });
+    await context.scanner.start();
+
+    context.nextResult = null;
+    library(context).decode('A');
+
+    assert.deepEqual(context.vibrations, []);
+  });
+
+  it('stays quiet when turned off', async () => {
+    const context = loadScanner({
+      localStorage: { 'lahak.scanner': JSON.stringify({ confirmFrames: 1, vibrate: false }) }
+    });
+    await context.scanner.start();
+
+    library(context).decode('A');
+
+    assert.deepEqual(context.vibrations, []);
+  });
+});
+
+describe('BarcodeScanner camera', () => {
+  it('asks for the rear camera until one is chosen', async () => {
+    const context = loadScanner();
+    await context.scanner.start();
+
+    assert.deepEqual(plain(library(context).started.camera), { facingMode: 'environment' });
+  });
+
+  it('remembers the chosen camera and restarts with it', async () => {
+    const context = loadScanner();
+    await context.scanner.start();
+
+    await context.scanner.selectCamera('front');
+
+    assert.equal(library(context).started.camera, 'front');
+    assert.equal(loadScanner({ localStorage: { 'lahak.scanner': context.localStorage.getItem('lahak.scanner') } })
+      .scanner.settings.cameraId, 'front');
+  });
+
+  it('falls back to the rear camera when the saved one is gone', async () => {
+    const context = loadScanner({ localStorage: { 'lahak.scanner': JSON.stringify({ cameraId: 'usb-cam' }) } });
+    await context.scanner.start();
+
+    assert.deepEqual(plain(library(context).started.camera), { facingMode: 'environment' });
+  });
+
+  it('only decodes book and label barcode formats', async () => {
+    const context = loadScanner();
+    await context.scanner.start();
+
+    assert.deepEqual(plain(library(context).started.config.formatsToSupport), [9, 10, 14, 15, 5, 3]);
+  });
+
+  it('sizes the scan box to the viewfinder', async () => {
+    const context = loadScanner();
+    await context.scanner.start();
+
+    assert.deepEqual(plain(library(context).started.config.qrbox(1000, 600)), { width: 900, height: 360 });
+  });
+});
+
+describe('BarcodeScanner torch and zoom', () => {
+  it('reports only what the camera supports', async () => {
+    const context = loadScanner({ capabilities: { torch: true, zoom: { min: 1, max: 4, step: 0.5 } }, settings: { zoom: 2 } });
+    assert.deepEqual(plain(context.scanner.getTrackFeatures()), { torch: false, zoom: null });
+
+    await context.scanner.start();
+    assert.deepEqual(plain(context.scanner.getTrackFeatures()), { torch: true, zoom: { min: 1, max: 4, step: 0.5, value: 2 } });
+  });
+
+  it('has no zoom when the range is fixed', async () => {
+    const context = loadScanner({ capabilities: { zoom: { min: 1, max: 1 } } });
+    await context.scanner.start();
+
+    assert.deepEqual(plain(context.scanner.getTrackFeatures()), { torch: false, zoom: null });
+  });
+
+  it('applies torch and zoom as video constraints', async () => {
+    const context = loadScanner({ capabilities: { torch: true } });
+    await context.scanner.start();
+
+    await context.scanner.setTorch(true);
+    await context.scanner.setZoom(2.5);
+
+    assert.deepEqual(plain(library(context).constraints), [
+      { advanced: [{ torch: true }] },
+      { advanced: [{ zoom: 2.5 }] }
+    ]);
+  });
+});
@@ -0,0 +1,276 @@
+/**
+ * sheets-api.js: request validation, what is sent, offline queueing and
+ * choosing the backend
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowserContext, loadScripts, createMemoryQueue, createMockFetch, plain } = require('./helpers/browser-context');
+const { createMockIdToken, parseMockIdToken } = require('../dev/fake-apps-script');
+
+const SCRIPT_URL = 'https://script.example.com/exec';
+
+/**
+ * Load sheets-api.js with a fetch that records requests and answers with
+ * a canned body (or rejects, if given an Error), or with reply() as the
+ * whole Response
+ * @param {object} options - { response, reply, online, search, hostname, confirm, localStorage }
+ * @returns {object} Context, with .requests and .offlineQueue
+ */
+function loadSheetsAPI(options = {}) {
+  const requests = [];
+  const response = options.response === undefined ? { success: true } : options.response;
+
+  const context = createBrowserContext({
+    ...options,
+    fetch: async (url, init) => {
+      requests.push({ url: url, init: init, body: JSON.parse(init.body) });
+      if (response instanceof Error) throw response;
+      if (options.reply) return options.reply();
+      return { ok: true, json: async () => response };
+    }
+  });
+  loadScripts(context, ['js/offline-queue.js', 'js/sheets-api.js']);
+
+  context.offlineQueue = createMemoryQueue();
+  context.requests = requests;
+  context.sheetsAPI.SCRIPT_URL = options.scriptUrl || SCRIPT_URL;
+  context.sheetsAPI.idToken = 'id-token';
+  return context;
+}
+
+describe('SheetsAPI.submitTransaction', () => {
+  let context;
+
+  beforeEach(() => {
+    context = loadSheetsAPI();
+  });
+
+  it('requires a book code, quantity and location', async () => {
+    const api = context.sheetsAPI;
+
+    await assert.rejects(api.submitTransaction({ qty: 1, location: 'Store' }), { message: 'book_code is required' });
+    await assert.rejects(api.submitTransaction({ book_code: 'X', location: 'Store' }), { message: 'qty is required' });
+    await assert.rejects(api.submitTransaction({ book_code: 'X', qty: null, location: 'Store' }), { message: 'qty is required' });
+    await assert.rejects(api.submitTransaction({ book_code: 'X', qty: 1 }), { message: 'location is required' });
+    assert.equal(context.requests.length, 0);
+  });
+
+  it('accepts a quantity of zero', async () => {
+    await context.sheetsAPI.submitTransaction({ book_code: 'X', qty: 0, location: 'Store' });
+    assert.equal(context.requests[0].body.qty, 0);
+  });
+
+  it('refuses to send anything until the URL is configured', async () => {
+    context.sheetsAPI.SCRIPT_URL = 'YOUR_GOOGLE_APPS_SCRIPT_URL_HERE';
+    await assert.rejects(
+      context.sheetsAPI.submitTransaction({ book_code: 'X', qty: 1, location: 'Store' }),
+      { message: 'Google Apps Script URL not configured' }
+    );
+  });
+
+  it('POSTs the transaction with the ID token and a transaction_id', async () => {
+    await context.sheetsAPI.submitTransaction({ book_code: '9789650000011', qty: '-2', location: 'Store' });
+
+    const [request] = context.requests;
+    assert.equal(request.url, SCRIPT_URL);
+    assert.equal(request.init.method, 'POST');
+    assert.ok(request.body.transaction_id);
+    assert.deepEqual(request.body, {
+      book_code: '9789650000011',
+      qty: -2,
+      location: 'Store',
+      comments: '',
+      transaction_id: request.body.transaction_id,
+      id_token: 'id-token'
+    });
+  });
+
+  it('keeps a given transaction_id so retries are recognised', async () => {
+    await context.sheetsAPI.submitTransaction({ book_code: 'X', qty: 1, location: 'Store', transaction_id: 'abc' });
+    assert.equal(context.requests[0].body.transaction_id, 'abc');
+  });
+
+  it('sends override_reason only when there is one', async () => {
+    await context.sheetsAPI.submitTransaction({ book_code: 'X', qty: -9, location: 'Store', override_reason: '' });
+    await context.sheetsAPI.submitTransaction({ book_code: 'X', qty: -9, location: 'Store', override_reason: 'Miscount' });
+
+    assert.equal('override_reason' in context.requests[0].body, false);
+    assert.equal(context.requests[1].body.override_reason, 'Miscount');
+  });
+
+  it('throws the server\'s error with the response attached', async () => {
+    const body = { error: 'Only 1 at Store', negative_stock: true, location_qty: 1 };
+    context = loadSheetsAPI({ response: body });
+
+    await assert.rejects(
+      context.sheetsAPI.submitTransaction({ book_code: 'X', qty: -2, location: 'Store' }),
+      (error) => {
+        assert.equal(error.message, 'Only 1 at Store');
+        assert.equal(error.authError, false);
+        assert.deepEqual(plain(error.data), body);
+        return true;
+      }
+    );
+  });
+
+  it('marks errors that need the user to sign in again', async () => {
+    context = loadSheetsAPI({ response: { error: 'Token expired', auth_error: true } });
+
+    await assert.rejects(
+      context.sheetsAPI.submitTransaction({ book_code: 'X', qty: 1, location: 'Store' }),
+      { authError: true }
+    );
+  });
+});
+
+describe('SheetsAPI offline queueing', () => {
+  it('queues without trying the network when offline', async () => {
+    const context = loadSheetsAPI({ online: false });
+    context.sheetsAPI.userEmail = 'clerk@example.com';
+
+    const result = await context.sheetsAPI.submitTransaction({ book_code: 'X', qty: 3, location: 'Store' });
+
+    assert.equal(result.queued, true);
+    assert.equal(result.transaction_qty, 3);
+    assert.equal(context.requests.length, 0);
+
+    const [entry] = context.offlineQueue.entries;
+    assert.equal(entry.url, SCRIPT_URL);
+    assert.equal(entry.user_email, 'clerk@example.com');
+    assert.equal(entry.payload.transaction_id, result.transaction_id);
+    assert.equal('id_token' in entry.payload, false);
+  });
+
+  it('queues when the request fails', async () => {
+    const context = loadSheetsAPI({ response: new TypeError('Failed to fetch') });
+
+    const result = await context.sheetsAPI.submitTransaction({ book_code: 'X', qty: 3, location: 'Store' });
+
+    assert.equal(result.queued, true);
+    assert.equal(context.requests.length, 1);
+    assert.equal(context.offlineQueue.entries.length, 1);
+  });
+
+  it('queues when the server asks for a retry', async () => {
+    const context = loadSheetsAPI({ response: { error: 'Busy', retry: true } });
+
+    const result = await context.sheetsAPI.submitTransaction({ book_code: 'X', qty: 3, location: 'Store' });
+
+    assert.equal(result.queued, true);
+    assert.equal(context.offlineQueue.entries.length, 1);
+  });
+
+  it('throws rather than queueing when the server\'s reply is an HTML page', async () => {
+    const context = loadSheetsAPI({
+      reply: () => new Response('<html><body>Service error</body></html>', { headers: { 'Content-Type': 'text/html' } })
+    });
+
+    await assert.rejects(
+      context.sheetsAPI.submitTransaction({ book_code: 'X', qty: 3, location: 'Store' }),
+      { message: 'The server sent an unexpected reply (HTTP 200)', code: 'bad_reply' }
+    );
+    assert.equal(context.offlineQueue.entries.length, 0);
+  });
+});
+
+describe('SheetsAPI backend selection', () => {
+  const DEFAULT_URL = 'https://script.google.com/default/exec';
+
+  it('uses the built-in URL unless told otherwise', () => {
+    const context = loadSheetsAPI();
+    assert.equal(context.SheetsAPI.resolveScriptURL(DEFAULT_URL), DEFAULT_URL);
+  });
+
+  it('remembers ?api=mock as the mock server on this origin', () => {
+    const context = loadSheetsAPI({ search: '?api=mock' });
+
+    assert.equal(context.SheetsAPI.resolveScriptURL(DEFAULT_URL), 'http://localhost:8000/mock/exec');
+    assert.equal(context.localStorage.getItem('lahak.scriptUrl'), 'http://localhost:8000/mock/exec');
+  });
+
+  it('goes back to the built-in URL with ?api=default', () => {
+    const context = loadSheetsAPI({
+      search: '?api=default',
+      localStorage: { 'lahak.scriptUrl': 'http://localhost:8000/mock/exec' }
+    });
+
+    assert.equal(context.SheetsAPI.resolveScriptURL(DEFAULT_URL), DEFAULT_URL);
+    assert.equal(context.localStorage.getItem('lahak.scriptUrl'), null);
+  });
+
+  it('never sends sign-ins to another server, even if the user would agree', () => {
+    for (const hostname of ['inventory.example.org', 'localhost']) {
+      const context = loadSheetsAPI({
+        search: '?api=https://evil.example.com/exec',
+        hostname: hostname,
+        confirm: () => true
+      });
+
+      assert.equal(context.SheetsAPI.resolveScriptURL(DEFAULT_URL), DEFAULT_URL);
+      assert.equal(context.localStorage.getItem('lahak.scriptUrl'), null);
+    }
+  });
+
+  it('accepts this origin and localhost', () => {
+    const onSite = loadSheetsAPI({ search: '?api=mock', hostname: 'inventory.example.org' });
+    assert.equal(onSite.SheetsAPI.resolveScriptURL(DEFAULT_URL), 'http://inventory.example.org:8000/mock/exec');
+
+    const local = loadSheetsAPI({ search: '?api=http://127.0.0.1:8791/mock/exec', hostname: 'inventory.example.org' });
+    assert.equal(local.SheetsAPI.resolveScriptURL(DEFAULT_URL), 'http://127.0.0.1:8791/mock/exec');
+  });
+
+  it('forgets another server saved by an older version', () => {
+    const context = loadSheetsAPI({ localStorage: { 'lahak.scriptUrl': 'https://evil.example.com/exec' } });
+
+    assert.equal(context.SheetsAPI.resolveScriptURL(DEFAULT_URL), DEFAULT_URL);
+    assert.equal(context.localStorage.getItem('lahak.scriptUrl'), null);
+  });
+
+  it('ignores an ?api= value that is not a URL', () => {
+    const context = loadSheetsAPI({ search: '?api=not a url' });
+    assert.equal(context.SheetsAPI.resolveScriptURL(DEFAULT_URL), DEFAULT_URL);
+  });
+
+  it('knows when it is talking to the mock backend', () => {
+    const context = loadSheetsAPI({ scriptUrl: 'http://localhost:8000/mock/exec' });
+    assert.equal(context.sheetsAPI.isMockBackend(), true);
+
+    context.sheetsAPI.SCRIPT_URL = SCRIPT_URL;
+    assert.equal(context.sheetsAPI.isMockBackend(), false);
+  });
+
+  it('makes mock ID tokens the mock backend accepts', () => {
+    const context = loadSheetsAPI();
+    const token = context.sheetsAPI.createMockIdToken('clerk@example.com');
+
+    assert.equal(parseMockIdToken(token).email, 'clerk@example.com');
+  });
+});
+
+describe('SheetsAPI against the mock backend', () => {
+  it('records a transaction in the Transactions sheet', async () => {
+    const mockFetch = createMockFetch();
+    const context = createBrowserContext({ fetch: mockFetch });
+    loadScripts(context, ['js/offline-queue.js', 'js/sheets-api.js']);
+    context.offlineQueue = createMemoryQueue();
+    context.sheetsAPI.SCRIPT_URL = 'http://localhost:8000/mock/exec';
+    context.sheetsAPI.idToken = createMockIdToken('clerk@example.com');
+
+    const result = await context.sheetsAPI.submitTransaction({
+      book_code: '9789650000011',
+      qty: 4,
+      location: 'Store',
+      comments: 'Delivery',
+      transaction_id: 'from-test'
+    });
+
+    assert.equal(result.new_qty, 9);
+    const transactions = mockFetch.backend.spreadsheet.getSheetByName('Transactions').getDataRange().getValues();
+    const last = transactions[transactions.length - 1];
+    assert.deepEqual(
+      [String(last[0]), last[1], last[2], last[4], last[5], last[6]],
+      ['9789650000011', 4, 'Store', 'clerk@example.com', 'Delivery', 'from-test']
+    );
+  });
+});